@@ -0,0 +1,142 @@
+// Line-based diff used to compare project versions. Returns unified-style
+// hunks; very large files fall back to a whole-file replacement so a diff
+// request can never pin the CPU. MAX_CELLS bounds one file, MAX_TOTAL_CELLS a
+// whole diffFiles call: once it is spent, the remaining files are replaced
+// whole too.
+
+const MAX_CELLS = 4_000_000;
+const MAX_TOTAL_CELLS = 16_000_000;
+const CONTEXT = 3;
+
+function lcsOps(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'equal', line: a[i] });
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      ops.push({ type: 'remove', line: a[i++] });
+    } else {
+      ops.push({ type: 'add', line: b[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: 'remove', line: a[i++] });
+  while (j < m) ops.push({ type: 'add', line: b[j++] });
+  return ops;
+}
+
+function diffOps(a, b, budget) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map((line) => ({ type: 'equal', line }));
+  const tail = a.slice(endA).map((line) => ({ type: 'equal', line }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  const cells = (midA.length + 1) * (midB.length + 1);
+  const affordable = cells <= MAX_CELLS && cells <= budget.cells;
+  if (affordable) budget.cells -= cells;
+  const middle = affordable
+    ? lcsOps(midA, midB)
+    : [...midA.map((line) => ({ type: 'remove', line })), ...midB.map((line) => ({ type: 'add', line }))];
+  return [...head, ...middle, ...tail];
+}
+
+// Groups ops into hunks with CONTEXT lines of surrounding equal lines
+function toHunks(ops) {
+  const hunks = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let current = null;
+  let trailing = 0;
+
+  ops.forEach((op, index) => {
+    if (op.type === 'equal') {
+      if (current) {
+        const nextChange = ops.slice(index + 1, index + 1 + CONTEXT * 2).some((o) => o.type !== 'equal');
+        if (trailing < CONTEXT || nextChange) {
+          current.lines.push(` ${op.line}`);
+          current.oldLines++;
+          current.newLines++;
+          trailing++;
+        } else {
+          hunks.push(current);
+          current = null;
+        }
+      }
+      oldLine++;
+      newLine++;
+      return;
+    }
+
+    if (!current) {
+      const lead = [];
+      for (let k = index - 1; k >= 0 && lead.length < CONTEXT && ops[k].type === 'equal'; k--) lead.unshift(ops[k].line);
+      current = {
+        oldStart: oldLine - lead.length,
+        newStart: newLine - lead.length,
+        oldLines: lead.length,
+        newLines: lead.length,
+        lines: lead.map((line) => ` ${line}`)
+      };
+    }
+    trailing = 0;
+    if (op.type === 'remove') {
+      current.lines.push(`-${op.line}`);
+      current.oldLines++;
+      oldLine++;
+    } else {
+      current.lines.push(`+${op.line}`);
+      current.newLines++;
+      newLine++;
+    }
+  });
+
+  if (current) hunks.push(current);
+  return hunks;
+}
+
+const toLines = (text) => (text === '' ? [] : text.split('\n'));
+
+// `budget` is shared by the files of one diffFiles call
+export function diffText(before, after, budget = { cells: MAX_CELLS }) {
+  const ops = diffOps(toLines(before), toLines(after), budget);
+  return {
+    additions: ops.filter((op) => op.type === 'add').length,
+    deletions: ops.filter((op) => op.type === 'remove').length,
+    hunks: toHunks(ops)
+  };
+}
+
+// Compares two { path: content } maps
+export function diffFiles(before, after) {
+  const paths = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+  const budget = { cells: MAX_TOTAL_CELLS };
+  return paths
+    .map((path) => {
+      if (!(path in before)) return { path, status: 'added', ...diffText('', after[path], budget) };
+      if (!(path in after)) return { path, status: 'removed', ...diffText(before[path], '', budget) };
+      if (before[path] === after[path]) return null;
+      return { path, status: 'modified', ...diffText(before[path], after[path], budget) };
+    })
+    .filter(Boolean);
+}
@@ -0,0 +1,518 @@
+import { createHash } from 'crypto';
+import { closeSync, existsSync, openSync, readFileSync, readSync, readdirSync, statSync } from 'fs';
+import { join } from 'path';
+import { inflateSync } from 'zlib';
+import { ApiError } from './_http.js';
+
+// Read-only access to git repositories: local ones (bare, or a working
+// tree's .git) through refs, loose objects and v2 packs with deltas, and
+// remote ones over the smart HTTP protocol. Just enough to walk a branch's
+// history for project import, without shelling out to git.
+
+const OBJECT_TYPES = { 1: 'commit', 2: 'tree', 3: 'blob', 4: 'tag' };
+const OFS_DELTA = 6;
+const REF_DELTA = 7;
+const SHA_RE = /^[0-9a-f]{40}$/;
+// Packs are read an object at a time, never whole. Objects over
+// MAX_OBJECT_BYTES are refused, as is a walk that needs more than
+// MAX_READ_BYTES inflated in total; that also bounds the object cache.
+const MAX_OBJECT_BYTES = 8 * 1024 * 1024;
+const MAX_READ_BYTES = 64 * 1024 * 1024;
+// Deflate never grows data by more than 5 bytes per 16 KB block, plus the
+// zlib header and trailer
+const deflatedBound = (size) => size + Math.ceil(size / 16384) * 5 + 64;
+
+function invalid(message) {
+  return new ApiError(400, 'INVALID_REPOSITORY', message);
+}
+
+function checkObjectSize(size) {
+  if (size > MAX_OBJECT_BYTES) {
+    throw new ApiError(413, 'OBJECT_TOO_LARGE', `Repositories with files over ${MAX_OBJECT_BYTES / 1024 / 1024} MB can't be imported`);
+  }
+}
+
+// With `info`, returns { buffer, engine } and engine.bytesWritten is how much
+// of `data` the stream took up
+function inflate(data, { info = false } = {}) {
+  try {
+    return inflateSync(data, { maxOutputLength: MAX_OBJECT_BYTES, info });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') checkObjectSize(Infinity);
+    throw invalid('Corrupt object data');
+  }
+}
+
+// Counts inflated bytes against MAX_READ_BYTES for one history walk
+function readBudget() {
+  let bytesRead = 0;
+  return (data) => {
+    bytesRead += data.length;
+    if (bytesRead > MAX_READ_BYTES) {
+      throw new ApiError(413, 'REPOSITORY_TOO_LARGE', 'The repository history is too large to import');
+    }
+    return data;
+  };
+}
+
+function gitDir(dir) {
+  const nested = join(dir, '.git');
+  if (existsSync(nested) && statSync(nested).isDirectory()) return nested;
+  if (existsSync(join(dir, 'HEAD')) && existsSync(join(dir, 'objects'))) return dir;
+  throw invalid('Not a git repository');
+}
+
+function readPackIndex(path) {
+  const index = readFileSync(path);
+  if (index.readUInt32BE(0) !== 0xff744f63 || index.readUInt32BE(4) !== 2) throw invalid(`Unsupported pack index ${path}`);
+  const count = index.readUInt32BE(8 + 255 * 4);
+  const shas = 8 + 256 * 4;
+  const offsets = shas + count * 20 + count * 4;
+  const largeOffsets = offsets + count * 4;
+  const entries = new Map();
+  for (let i = 0; i < count; i += 1) {
+    const sha = index.toString('hex', shas + i * 20, shas + i * 20 + 20);
+    let offset = index.readUInt32BE(offsets + i * 4);
+    if (offset & 0x80000000) offset = Number(index.readBigUInt64BE(largeOffsets + (offset & 0x7fffffff) * 8));
+    entries.set(sha, offset);
+  }
+  return entries;
+}
+
+// Applies a git delta (base size, result size, then copy/insert ops)
+function applyDelta(base, delta) {
+  let position = 0;
+  const varint = () => {
+    let value = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = delta[position++];
+      value += (byte & 0x7f) * 2 ** shift;
+      shift += 7;
+    } while (byte & 0x80);
+    return value;
+  };
+  if (varint() !== base.length) throw invalid('Corrupt delta');
+  const size = varint();
+  checkObjectSize(size);
+  const result = Buffer.alloc(size);
+  let length = 0;
+  while (position < delta.length) {
+    const op = delta[position++];
+    if (op & 0x80) {
+      let offset = 0;
+      let size = 0;
+      for (let i = 0; i < 4; i += 1) if (op & (1 << i)) offset |= delta[position++] << (i * 8);
+      for (let i = 0; i < 3; i += 1) if (op & (0x10 << i)) size |= delta[position++] << (i * 8);
+      length += base.copy(result, length, offset >>> 0, (offset >>> 0) + (size || 0x10000));
+    } else if (op) {
+      length += delta.copy(result, length, position, position + op);
+      position += op;
+    } else {
+      throw invalid('Corrupt delta');
+    }
+  }
+  if (length !== result.length) throw invalid('Corrupt delta');
+  return result;
+}
+
+// Commits and trees from any object store: readObject(sha) -> { type, data }
+function historyReader(readObject) {
+  function readCommit(sha) {
+    const text = readObject(sha).data.toString('utf8');
+    const split = text.indexOf('\n\n');
+    const headers = split === -1 ? text : text.slice(0, split);
+    const field = (name) => (headers.match(new RegExp(`^${name} (.*)$`, 'm')) || [])[1];
+    const author = field('author') || '';
+    const [, authorName = '', seconds = '0'] = author.match(/^(.*?) <.*> (\d+) [-+]\d{4}$/) || [];
+    return {
+      sha,
+      tree: field('tree'),
+      parent: field('parent') || null,
+      author: authorName,
+      date: new Date(Number(seconds) * 1000).toISOString(),
+      message: split === -1 ? '' : text.slice(split + 2).trim()
+    };
+  }
+
+  // Tree sha -> { path: Buffer } for regular files. Submodules and symlinks
+  // have no content of their own and are left out.
+  function readTree(sha, prefix = '', files = {}) {
+    const data = readObject(sha).data;
+    let position = 0;
+    while (position < data.length) {
+      const space = data.indexOf(0x20, position);
+      const nul = data.indexOf(0, space);
+      const mode = data.toString('utf8', position, space);
+      const name = data.toString('utf8', space + 1, nul);
+      const entry = data.toString('hex', nul + 1, nul + 21);
+      position = nul + 21;
+      if (mode === '40000') readTree(entry, `${prefix}${name}/`, files);
+      else if (mode.startsWith('100')) files[`${prefix}${name}`] = readObject(entry).data;
+    }
+    return files;
+  }
+
+  return { readCommit, readTree };
+}
+
+// Walks first parents back from the commit `head`, returning up to
+// `maxCommits` commits oldest first, each with its full file tree
+function walkHistory({ readCommit, readTree }, head, maxCommits) {
+  const commits = [];
+  for (let sha = head; sha && commits.length < maxCommits;) {
+    const commit = readCommit(sha);
+    commits.push(commit);
+    sha = commit.parent;
+  }
+  return commits.reverse().map(({ tree, parent, ...commit }) => ({ ...commit, files: readTree(tree) }));
+}
+
+// Call close() when done: packs stay open between object reads
+export function openRepository(dir) {
+  const root = gitDir(dir);
+  const cache = new Map();
+  const spend = readBudget();
+  const packDir = join(root, 'objects', 'pack');
+  const packs = existsSync(packDir)
+    ? readdirSync(packDir).filter((name) => name.endsWith('.idx')).map((name) => ({
+      index: readPackIndex(join(packDir, name)),
+      path: join(packDir, name.replace(/\.idx$/, '.pack')),
+      fd: null
+    }))
+    : [];
+
+  function readAt(pack, position, length) {
+    if (pack.fd === null) pack.fd = openSync(pack.path, 'r');
+    const buffer = Buffer.alloc(length);
+    return buffer.subarray(0, readSync(pack.fd, buffer, 0, length, position));
+  }
+
+  function readPacked(pack, offset) {
+    // Type, size and delta base all fit in the first 32 bytes
+    const header = readAt(pack, offset, 32);
+    let position = 0;
+    let byte = header[position++];
+    const kind = (byte >> 4) & 7;
+    let size = byte & 0x0f;
+    let shift = 4;
+    while (byte & 0x80) {
+      byte = header[position++];
+      size += (byte & 0x7f) * 2 ** shift;
+      shift += 7;
+    }
+    checkObjectSize(size);
+
+    let base = null;
+    if (kind === OFS_DELTA) {
+      byte = header[position++];
+      let distance = byte & 0x7f;
+      while (byte & 0x80) {
+        byte = header[position++];
+        distance = (distance + 1) * 128 + (byte & 0x7f);
+      }
+      base = readPacked(pack, offset - distance);
+    } else if (kind === REF_DELTA) {
+      base = readObject(header.toString('hex', position, position + 20));
+      position += 20;
+    }
+
+    const body = spend(inflate(readAt(pack, offset + position, deflatedBound(size))));
+    if (!base) {
+      if (!OBJECT_TYPES[kind]) throw invalid(`Unknown object type ${kind}`);
+      return { type: OBJECT_TYPES[kind], data: body };
+    }
+    return { type: base.type, data: spend(applyDelta(base.data, body)) };
+  }
+
+  function readObject(sha) {
+    if (cache.has(sha)) return cache.get(sha);
+    let object = null;
+    const loose = join(root, 'objects', sha.slice(0, 2), sha.slice(2));
+    if (existsSync(loose)) {
+      if (statSync(loose).size > deflatedBound(MAX_OBJECT_BYTES)) checkObjectSize(Infinity);
+      const raw = spend(inflate(readFileSync(loose)));
+      const space = raw.indexOf(0x20);
+      const nul = raw.indexOf(0);
+      object = { type: raw.toString('utf8', 0, space), data: raw.subarray(nul + 1) };
+    } else {
+      const pack = packs.find((candidate) => candidate.index.has(sha));
+      if (pack) object = readPacked(pack, pack.index.get(sha));
+    }
+    if (!object) throw invalid(`Missing object ${sha}`);
+    cache.set(sha, object);
+    return object;
+  }
+
+  function packedRefs() {
+    const path = join(root, 'packed-refs');
+    if (!existsSync(path)) return new Map();
+    return new Map(readFileSync(path, 'utf8').split('\n')
+      .filter((line) => SHA_RE.test(line.slice(0, 40)))
+      .map((line) => [line.slice(41).trim(), line.slice(0, 40)]));
+  }
+
+  function readRef(name, depth = 0) {
+    if (depth > 5) throw invalid(`Ref ${name} loops`);
+    if (name.includes('..')) return null;
+    const path = join(root, name);
+    if (existsSync(path) && statSync(path).isFile()) {
+      const value = readFileSync(path, 'utf8').trim();
+      return value.startsWith('ref: ') ? readRef(value.slice(5), depth + 1) : value;
+    }
+    return packedRefs().get(name) || null;
+  }
+
+  // Branch, tag or full commit sha (default HEAD) -> commit sha, peeling
+  // annotated tags
+  function resolve(ref = 'HEAD') {
+    let sha = SHA_RE.test(ref)
+      ? ref
+      : [ref, `refs/heads/${ref}`, `refs/tags/${ref}`].map((name) => readRef(name)).find(Boolean);
+    if (!sha) throw new ApiError(404, 'REF_NOT_FOUND', `No branch or tag named ${ref}`);
+    for (let object = readObject(sha); object.type === 'tag'; object = readObject(sha)) {
+      sha = object.data.toString('utf8').match(/^object ([0-9a-f]{40})/)[1];
+    }
+    if (readObject(sha).type !== 'commit') throw invalid(`${ref} is not a commit`);
+    return sha;
+  }
+
+  function close() {
+    packs.forEach((pack) => {
+      if (pack.fd !== null) closeSync(pack.fd);
+      pack.fd = null;
+    });
+  }
+
+  return { resolve, ...historyReader(readObject), close };
+}
+
+// The history of `ref` in a local repository, as walkHistory returns it
+export function readGitHistory(dir, { ref, maxCommits = 50 } = {}) {
+  const repo = openRepository(dir);
+  try {
+    return walkHistory(repo, repo.resolve(ref || 'HEAD'), maxCommits);
+  } finally {
+    repo.close();
+  }
+}
+
+
+// Remote repositories, over git's smart HTTP protocol (v0, upload-pack only).
+// The caller vets the URL; fetching sticks to its scheme and host.
+
+const FETCH_TIMEOUT_MS = 30 * 1000;
+const MAX_PACK_BYTES = 32 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const ADVERTISEMENT_TYPE = 'application/x-git-upload-pack-advertisement';
+
+function remoteError(message) {
+  return new ApiError(502, 'REMOTE_ERROR', message);
+}
+
+function pktLine(text) {
+  return `${(text.length + 4).toString(16).padStart(4, '0')}${text}`;
+}
+
+// -> { line, next } with line null for a flush packet
+function readPktLine(buffer, position) {
+  const header = buffer.toString('latin1', position, position + 4);
+  if (!/^[0-9a-f]{4}$/.test(header)) throw remoteError('Malformed response from the git server');
+  const length = parseInt(header, 16);
+  if (length === 0) return { line: null, next: position + 4 };
+  if (length < 4 || position + length > buffer.length) throw remoteError('Malformed response from the git server');
+  return { line: buffer.subarray(position + 4, position + length), next: position + length };
+}
+
+// The ref advertisement -> { refs: Map(name -> sha), capabilities: Set }
+function parseAdvertisement(buffer) {
+  let { line, next } = readPktLine(buffer, 0);
+  if (!line || line.toString('utf8').trim() !== '# service=git-upload-pack') {
+    throw remoteError('Not a git upload-pack endpoint');
+  }
+  ({ line, next } = readPktLine(buffer, next));
+  if (line) throw remoteError('Malformed response from the git server');
+  const refs = new Map();
+  let capabilities = new Set();
+  while (next < buffer.length) {
+    ({ line, next } = readPktLine(buffer, next));
+    if (!line) break;
+    let text = line.toString('utf8').replace(/\n$/, '');
+    if (text.startsWith('ERR ')) throw remoteError(`The git server said: ${text.slice(4)}`);
+    const nul = text.indexOf('\0');
+    if (nul !== -1) {
+      capabilities = new Set(text.slice(nul + 1).split(' ').filter(Boolean));
+      text = text.slice(0, nul);
+    }
+    const [sha, name] = text.split(' ');
+    if (SHA_RE.test(sha) && name) refs.set(name, sha);
+  }
+  return { refs, capabilities };
+}
+
+// Branch, tag or advertised commit sha (default HEAD) -> commit sha, taking
+// the peeled value of annotated tags. Servers only hand out advertised tips.
+function resolveRemoteRef(refs, ref = 'HEAD') {
+  if (SHA_RE.test(ref)) {
+    if ([...refs.values()].includes(ref)) return ref;
+  } else {
+    const name = [ref, `refs/heads/${ref}`, `refs/tags/${ref}`].find((candidate) => refs.has(candidate));
+    if (name) return refs.get(`${name}^{}`) || refs.get(name);
+  }
+  throw new ApiError(404, 'REF_NOT_FOUND', `No branch or tag named ${ref}`);
+}
+
+async function request(url, options = {}) {
+  try {
+    return await fetch(url, { ...options, redirect: 'manual', signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  } catch (error) {
+    if (error.name === 'TimeoutError') throw new ApiError(504, 'REMOTE_TIMEOUT', 'The git server took too long to answer');
+    throw remoteError('Could not reach the git server');
+  }
+}
+
+function checkStatus(response) {
+  if ([401, 403, 404].includes(response.status)) {
+    throw new ApiError(404, 'REPOSITORY_NOT_FOUND', 'No public repository at that URL');
+  }
+  if (!response.ok) throw remoteError(`The git server answered ${response.status}`);
+}
+
+async function readBody(response) {
+  const chunks = [];
+  let length = 0;
+  for await (const chunk of response.body) {
+    length += chunk.length;
+    if (length > MAX_PACK_BYTES) {
+      throw new ApiError(413, 'REPOSITORY_TOO_LARGE', 'The repository history is too large to import');
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Fetches the ref advertisement, following redirects the way git does by
+// default (http.followRedirects=initial): only here, and only to https on
+// the same host. Later requests go to wherever this ended up.
+async function discoverRefs(url) {
+  const { host } = new URL(url);
+  let location = `${url}/info/refs?service=git-upload-pack`;
+  for (let redirects = 0; ; redirects += 1) {
+    const response = await request(location);
+    if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+      const target = new URL(response.headers.get('location'), location);
+      if (redirects >= MAX_REDIRECTS || target.protocol !== 'https:' || target.host !== host) {
+        throw remoteError('The git server redirected somewhere else');
+      }
+      location = target.href;
+      continue;
+    }
+    checkStatus(response);
+    if (!(response.headers.get('content-type') || '').startsWith(ADVERTISEMENT_TYPE)) {
+      throw remoteError('Not a git repository, or the server does not speak smart HTTP');
+    }
+    const base = location.replace(/\/info\/refs(\?.*)?$/, '');
+    return { base, ...parseAdvertisement(await readBody(response)) };
+  }
+}
+
+// A whole pack as sent over the wire -> readObject(sha). Unlike local packs
+// there is no index, so objects are inflated in order as they come.
+function readPackObjects(pack, spend) {
+  if (pack.length < 32 || pack.toString('latin1', 0, 4) !== 'PACK' || ![2, 3].includes(pack.readUInt32BE(4))) {
+    throw remoteError('The git server sent an invalid pack');
+  }
+  const trailer = pack.length - 20;
+  const checksum = createHash('sha1').update(pack.subarray(0, trailer)).digest();
+  if (!checksum.equals(pack.subarray(trailer))) throw remoteError('The git server sent a corrupt pack');
+
+  const byOffset = new Map();
+  const bySha = new Map();
+  let position = 12;
+  for (let count = pack.readUInt32BE(8); count > 0; count -= 1) {
+    const start = position;
+    let byte = pack[position++];
+    const kind = (byte >> 4) & 7;
+    let size = byte & 15;
+    for (let shift = 4; byte & 0x80; shift += 7) {
+      byte = pack[position++];
+      size += (byte & 0x7f) * 2 ** shift;
+    }
+    checkObjectSize(size);
+
+    let base = null;
+    if (kind === OFS_DELTA) {
+      byte = pack[position++];
+      let distance = byte & 0x7f;
+      while (byte & 0x80) {
+        byte = pack[position++];
+        distance = (distance + 1) * 128 + (byte & 0x7f);
+      }
+      base = byOffset.get(start - distance);
+    } else if (kind === REF_DELTA) {
+      base = bySha.get(pack.toString('hex', position, position + 20));
+      position += 20;
+    }
+    if (position >= trailer) throw remoteError('The git server sent a truncated pack');
+
+    const { buffer: body, engine } = inflate(pack.subarray(position, trailer), { info: true });
+    position += engine.bytesWritten;
+    spend(body);
+    let object;
+    if (kind === OFS_DELTA || kind === REF_DELTA) {
+      if (!base) throw remoteError('The git server sent a delta without its base');
+      object = { type: base.type, data: spend(applyDelta(base.data, body)) };
+    } else {
+      if (!OBJECT_TYPES[kind]) throw invalid(`Unknown object type ${kind}`);
+      object = { type: OBJECT_TYPES[kind], data: body };
+    }
+    const sha = createHash('sha1').update(`${object.type} ${object.data.length}\0`).update(object.data).digest('hex');
+    byOffset.set(start, object);
+    bySha.set(sha, object);
+  }
+
+  return (sha) => {
+    const object = bySha.get(sha);
+    if (!object) throw invalid(`Missing object ${sha}`);
+    return object;
+  };
+}
+
+// The history of `ref` in the repository at `url` (https, no trailing
+// slash), as walkHistory returns it. Asks for a shallow pack of just the
+// commits needed when the server allows it.
+export async function fetchGitHistory(url, { ref, maxCommits = 50 } = {}) {
+  const { base, refs, capabilities } = await discoverRefs(url);
+  const head = resolveRemoteRef(refs, ref || 'HEAD');
+  const wanted = ['ofs-delta', 'no-progress', 'shallow'].filter((name) => capabilities.has(name));
+  const body = [
+    pktLine(`want ${head} ${wanted.join(' ')}\n`),
+    capabilities.has('shallow') ? pktLine(`deepen ${maxCommits}\n`) : '',
+    '0000',
+    pktLine('done\n')
+  ].join('');
+
+  const response = await request(`${base}/git-upload-pack`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-git-upload-pack-request', accept: 'application/x-git-upload-pack-result' },
+    body
+  });
+  if (response.status >= 300 && response.status < 400) throw remoteError('The git server redirected somewhere else');
+  checkStatus(response);
+  const result = await readBody(response);
+
+  // shallow lines and a flush, then NAK, then the pack itself
+  let position = 0;
+  for (;;) {
+    if (result.toString('latin1', position, position + 4) === 'PACK') break;
+    const { line, next } = readPktLine(result, position);
+    position = next;
+    const text = line ? line.toString('utf8') : '';
+    if (text.startsWith('ERR ')) throw remoteError(`The git server said: ${text.slice(4).trim()}`);
+    if (text.trim() === 'NAK') break;
+  }
+  const readObject = readPackObjects(result.subarray(position), readBudget());
+  if (readObject(head).type !== 'commit') throw invalid(`${ref || 'HEAD'} is not a commit`);
+  return walkHistory(historyReader(readObject), head, maxCommits);
+}
@@ -0,0 +1,105 @@
+import { resolveSession } from './_sessions.js';
+
+// Shared request/response helpers for the serverless handlers in api/.
+// Files prefixed with an underscore are not exposed as routes.
+
+export class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export function sendError(res, error) {
+  if (error instanceof ApiError) {
+    return res.status(error.status).json({
+      error: { code: error.code, message: error.message, ...(error.details ? { details: error.details } : {}) }
+    });
+  }
+  console.error(error);
+  return res.status(500).json({ error: { code: 'INTERNAL_ERROR', message: 'Unexpected server error' } });
+}
+
+// Runs the handler for `req.method` from a { GET, POST, ... } map, with the
+// session cookie resolved to `req.user` (null for guests). Pass
+// `{ session: false }` for handlers that must answer even when the session
+// lookup itself would fail; they call resolveSession() themselves.
+export function route(handlers, { session = true } = {}) {
+  return async function handler(req, res) {
+    const fn = handlers[req.method];
+    if (!fn) {
+      res.setHeader('Allow', Object.keys(handlers).join(', '));
+      return sendError(res, new ApiError(405, 'METHOD_NOT_ALLOWED', `${req.method} not allowed`));
+    }
+    try {
+      req.user = session ? await resolveSession(req) : null;
+      return await fn(req, res);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  };
+}
+
+export function getBody(req) {
+  if (!req.body) return {};
+  if (typeof req.body === 'string') {
+    try {
+      return JSON.parse(req.body);
+    } catch {
+      throw new ApiError(400, 'INVALID_JSON', 'Request body is not valid JSON');
+    }
+  }
+  return req.body;
+}
+
+export function getUserId(req) {
+  return req.user ? req.user.id : null;
+}
+
+export function requireUser(req) {
+  const userId = getUserId(req);
+  if (!userId) throw new ApiError(401, 'UNAUTHENTICATED', 'Sign in required');
+  return userId;
+}
+
+export function isAdmin(userId) {
+  const admins = (process.env.VIRTUALMARK_ADMINS || '').split(',').map((s) => s.trim()).filter(Boolean);
+  return admins.includes(userId);
+}
+
+export function requireAdmin(req) {
+  const userId = requireUser(req);
+  if (!isAdmin(userId)) throw new ApiError(403, 'FORBIDDEN', 'Admin privileges required');
+  return userId;
+}
+
+// Row ids are Postgres uuids. Anything else can't match a row, and PostgREST
+// fails the whole query on it rather than returning nothing.
+export function isUuid(value) {
+  return typeof value === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+}
+
+export function requireIdempotencyKey(req, body = getBody(req)) {
+  const key = req.headers['idempotency-key'] || body.idempotencyKey;
+  if (typeof key !== 'string' || !key.trim() || key.length > 200) {
+    throw new ApiError(400, 'IDEMPOTENCY_KEY_REQUIRED', 'Writes require an Idempotency-Key header');
+  }
+  return key.trim();
+}
+
+export function parseAmount(value, field = 'amount') {
+  const amount = typeof value === 'string' ? Number(value) : value;
+  if (!Number.isSafeInteger(amount) || amount <= 0) {
+    throw new ApiError(400, 'INVALID_AMOUNT', `${field} must be a positive whole number of credits`);
+  }
+  return amount;
+}
+
+export function parsePagination(queryParams, { defaultLimit = 20, maxLimit = 100 } = {}) {
+  const limit = Math.min(Math.max(parseInt(queryParams.limit, 10) || defaultLimit, 1), maxLimit);
+  const offset = Math.max(parseInt(queryParams.offset, 10) || 0, 0);
+  return { limit, offset };
+}
@@ -0,0 +1,55 @@
+import nodemailer from 'nodemailer';
+import { ApiError } from './_http.js';
+
+// Outgoing mail. SMTP_URL points at the real relay in production and at a
+// local sink (e.g. smtp://localhost:1025 for Mailpit) in development; without
+// it messages are rendered to JSON and only their subject and recipient are
+// logged, never the body with its one-time links.
+
+const MAIL_FROM = process.env.MAIL_FROM || 'VirtualMark <no-reply@virtual-mark.local>';
+
+let transport = null;
+
+export function getTransport() {
+  if (!transport) {
+    transport = process.env.SMTP_URL
+      ? nodemailer.createTransport(process.env.SMTP_URL)
+      : nodemailer.createTransport({ jsonTransport: true });
+  }
+  return transport;
+}
+
+// Swap the transport, e.g. a stub that records messages in tests
+export function setTransport(nextTransport) {
+  transport = nextTransport;
+}
+
+export async function sendMail({ to, subject, text, html }) {
+  const info = await getTransport().sendMail({ from: MAIL_FROM, to, subject, text, html });
+  if (!process.env.SMTP_URL) console.info(`[mail] ${subject} -> ${to}`);
+  return info;
+}
+
+// Checks the SMTP relay accepts connections (and our credentials). The log
+// transport used without SMTP_URL has nothing to check and always passes.
+export async function verifyTransport() {
+  if (!process.env.SMTP_URL) return { ok: true, transport: 'log' };
+  try {
+    await getTransport().verify();
+    return { ok: true, transport: 'smtp' };
+  } catch (error) {
+    return { ok: false, transport: 'smtp', error: error.message };
+  }
+}
+
+// Absolute base URL for links in mails. Request headers are whatever the
+// client sent, so a deployment must name its own URL in APP_URL; only local
+// dev falls back to the Host header.
+export function appUrl(req) {
+  if (process.env.APP_URL) return process.env.APP_URL.replace(/\/$/, '');
+  if (process.env.NODE_ENV === 'production') {
+    throw new ApiError(500, 'APP_URL_MISSING', 'APP_URL must be set in production');
+  }
+  const proto = req.headers['x-forwarded-proto'] || 'http';
+  return `${proto}://${req.headers['x-forwarded-host'] || req.headers.host}`;
+}
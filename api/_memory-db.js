@@ -0,0 +1,370 @@
+import { randomUUID } from 'crypto';
+
+// In-memory stand-in for the Supabase client, used when no SUPABASE_URL is
+// configured (local dev, offline tests). It implements the subset of the
+// supabase-js query builder the API modules use and resolves to the same
+// `{ data, error, count }` shape, including Postgres unique-violation errors.
+
+// Mirrors the unique constraints in supabase/migrations so the stand-in
+// rejects the same duplicate writes Postgres would.
+const SCHEMA = {
+  ledger_accounts: { unique: [['id']] },
+  ledger_transactions: { unique: [['id'], ['idempotency_key']] },
+  ledger_entries: { unique: [['id']] },
+  items: { unique: [['id'], ['slug']] },
+  inventory_items: { unique: [['id']] },
+  listings: { unique: [['id'], ['idempotency_key']] },
+  offers: { unique: [['id'], ['idempotency_key']] },
+  trades: { unique: [['id'], ['listing_id']] },
+  projects: { unique: [['id']] },
+  project_versions: { unique: [['id'], ['project_id', 'version']] },
+  project_shares: { unique: [['id'], ['slug']] },
+  project_collaborators: { unique: [['id'], ['project_id', 'user_id']] },
+  games: { unique: [['id'], ['project_id']] },
+  game_sessions: { unique: [['id']] },
+  game_scores: { unique: [['id'], ['session_id']] },
+  game_leaderboard: { unique: [['id'], ['game_id', 'user_id']] },
+  users: { unique: [['id'], ['email'], ['username']] },
+  user_sessions: { unique: [['id'], ['token_hash']] },
+  auth_tokens: { unique: [['id'], ['token_hash']] },
+  presence: { unique: [['client_id']] }
+};
+
+const clone = (value) => (value === undefined ? value : structuredClone(value));
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return a < b ? -1 : 1;
+}
+
+function withDefaults(values) {
+  return { id: randomUUID(), created_at: new Date().toISOString(), ...clone(values) };
+}
+
+// A plpgsql `raise exception`, as PostgREST reports it
+function raise(message, details) {
+  const err = new Error(message);
+  err.code = 'P0001';
+  err.details = details === undefined ? null : JSON.stringify(details);
+  throw err;
+}
+
+// Mirrors of the Postgres functions in supabase/migrations. Each checks
+// everything before it writes and runs synchronously, so like the original
+// it either applies in full or not at all.
+const FUNCTIONS = {
+  post_ledger_transaction(table, args) {
+    const transactions = table('ledger_transactions');
+    const entries = table('ledger_entries');
+    const accounts = table('ledger_accounts');
+    if (args.p_entries.reduce((sum, entry) => sum + entry.amount, 0) !== 0) raise('UNBALANCED_TRANSACTION');
+
+    const previous = transactions.find((row) => row.idempotency_key === args.p_idempotency_key);
+    if (previous) {
+      if (previous.request_hash !== args.p_request_hash) raise('IDEMPOTENCY_KEY_REUSED');
+      return {
+        transaction: clone(previous),
+        entries: entries.filter((row) => row.transaction_id === previous.id).map(clone),
+        replayed: true
+      };
+    }
+
+    const running = new Map();
+    for (const { id, type } of args.p_accounts) {
+      const balance = accounts.find((row) => row.id === id)?.balance ?? 0;
+      const delta = args.p_entries.filter((entry) => entry.account_id === id).reduce((sum, entry) => sum + entry.amount, 0);
+      if (type !== 'system' && balance + delta < 0) {
+        raise('INSUFFICIENT_FUNDS', { accountId: id, balance, required: -delta });
+      }
+      running.set(id, balance);
+    }
+
+    const transaction = withDefaults({
+      type: args.p_type,
+      idempotency_key: args.p_idempotency_key,
+      request_hash: args.p_request_hash,
+      memo: args.p_memo,
+      metadata: args.p_metadata || {},
+      created_by: args.p_created_by
+    });
+    transactions.push(transaction);
+    for (const { id, type, owner_id: ownerId } of args.p_accounts) {
+      if (!accounts.some((row) => row.id === id)) accounts.push(withDefaults({ id, type, owner_id: ownerId, balance: 0 }));
+    }
+    const written = args.p_entries.map(({ account_id: accountId, amount }) => {
+      running.set(accountId, running.get(accountId) + amount);
+      return withDefaults({ transaction_id: transaction.id, account_id: accountId, amount, balance_after: running.get(accountId) });
+    });
+    entries.push(...written);
+    accounts.forEach((row) => {
+      if (running.has(row.id)) row.balance = running.get(row.id);
+    });
+    return { transaction: clone(transaction), entries: written.map(clone), replayed: false };
+  },
+
+  increment_item_sold_count(table, { p_item_id: itemId, p_quantity: quantity }) {
+    const item = table('items').find((row) => row.id === itemId);
+    if (!item) raise('OUT_OF_STOCK');
+    if (item.stock_limit !== null && item.sold_count + quantity > item.stock_limit) {
+      raise('OUT_OF_STOCK', { remaining: item.stock_limit - item.sold_count });
+    }
+    item.sold_count += quantity;
+    return clone(item);
+  }
+};
+
+function likeToRegExp(pattern) {
+  const escaped = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+class MemoryQuery {
+  constructor(name, rows, schema) {
+    this.name = name;
+    this.rows = rows;
+    this.schema = schema;
+    this.op = 'select';
+    this.filters = [];
+    this.orders = [];
+    this.window = null;
+    this.payload = null;
+    this.conflictColumns = null;
+    this.returning = false;
+    this.countMode = null;
+    this.head = false;
+    this.singleMode = null;
+  }
+
+  select(_columns = '*', { count, head } = {}) {
+    if (this.op === 'select') {
+      this.countMode = count || null;
+      this.head = Boolean(head);
+    } else {
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(values) {
+    this.op = 'insert';
+    this.payload = values;
+    return this;
+  }
+
+  upsert(values, { onConflict } = {}) {
+    this.op = 'upsert';
+    this.payload = values;
+    this.conflictColumns = onConflict ? onConflict.split(',').map((c) => c.trim()) : ['id'];
+    return this;
+  }
+
+  update(patch) {
+    this.op = 'update';
+    this.payload = patch;
+    return this;
+  }
+
+  delete() {
+    this.op = 'delete';
+    return this;
+  }
+
+  filter(predicate) {
+    this.filters.push(predicate);
+    return this;
+  }
+
+  eq(column, value) { return this.filter((row) => row[column] === value); }
+  neq(column, value) { return this.filter((row) => row[column] !== value); }
+  gt(column, value) { return this.filter((row) => compare(row[column], value) > 0); }
+  gte(column, value) { return this.filter((row) => compare(row[column], value) >= 0); }
+  lt(column, value) { return this.filter((row) => compare(row[column], value) < 0); }
+  lte(column, value) { return this.filter((row) => compare(row[column], value) <= 0); }
+  in(column, values) { return this.filter((row) => values.includes(row[column])); }
+  is(column, value) { return this.filter((row) => (row[column] ?? null) === value); }
+
+  // PostgREST logic tree, e.g. or('seller_id.eq.a,buyer_id.eq.a')
+  or(expression) {
+    const operators = {
+      eq: (a, b) => String(a) === b,
+      neq: (a, b) => String(a) !== b,
+      gt: (a, b) => compare(a, b) > 0,
+      gte: (a, b) => compare(a, b) >= 0,
+      lt: (a, b) => compare(a, b) < 0,
+      lte: (a, b) => compare(a, b) <= 0,
+      ilike: (a, b) => typeof a === 'string' && likeToRegExp(b.replace(/\*/g, '%')).test(a)
+    };
+    const clauses = expression.split(',').map((clause) => {
+      const [column, op, ...rest] = clause.split('.');
+      if (!operators[op]) throw new Error(`Unsupported operator ${op} in or()`);
+      return { column, test: operators[op], value: rest.join('.') };
+    });
+    return this.filter((row) => clauses.some(({ column, test, value }) => test(row[column], value)));
+  }
+
+  ilike(column, pattern) {
+    const re = likeToRegExp(pattern);
+    return this.filter((row) => typeof row[column] === 'string' && re.test(row[column]));
+  }
+
+  contains(column, values) {
+    return this.filter((row) => Array.isArray(row[column]) && values.every((v) => row[column].includes(v)));
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    const from = this.window ? this.window.from : 0;
+    this.window = { from, to: from + count - 1 };
+    return this;
+  }
+
+  range(from, to) {
+    this.window = { from, to };
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+
+  matching() {
+    return this.rows.filter((row) => this.filters.every((predicate) => predicate(row)));
+  }
+
+  uniqueViolation(candidate, ignore) {
+    for (const columns of this.schema.unique || []) {
+      if (columns.some((c) => candidate[c] === undefined || candidate[c] === null)) continue;
+      const clash = this.rows.find((row) => row !== ignore && columns.every((c) => row[c] === candidate[c]));
+      if (clash) {
+        return {
+          code: '23505',
+          message: `duplicate key value violates unique constraint "${this.name}_${columns.join('_')}_key"`,
+          details: `Key (${columns.join(', ')}) already exists.`
+        };
+      }
+    }
+    return null;
+  }
+
+  shape(rows, count) {
+    let data = rows.map(clone);
+    if (this.singleMode) {
+      if (data.length > 1 || (data.length === 0 && this.singleMode === 'single')) {
+        return {
+          data: null,
+          count: null,
+          error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' }
+        };
+      }
+      data = data[0] ?? null;
+    }
+    return { data, error: null, count: count ?? null };
+  }
+
+  execute() {
+    switch (this.op) {
+      case 'insert': {
+        const values = Array.isArray(this.payload) ? this.payload : [this.payload];
+        const inserted = [];
+        for (const value of values) {
+          const row = withDefaults(value);
+          const error = this.uniqueViolation(row);
+          if (error) {
+            inserted.forEach((r) => this.rows.splice(this.rows.indexOf(r), 1));
+            return { data: null, error, count: null };
+          }
+          this.rows.push(row);
+          inserted.push(row);
+        }
+        return this.returning ? this.shape(inserted) : { data: null, error: null, count: null };
+      }
+
+      case 'upsert': {
+        const values = Array.isArray(this.payload) ? this.payload : [this.payload];
+        const written = [];
+        for (const value of values) {
+          const existing = this.rows.find((row) => this.conflictColumns.every((c) => row[c] === value[c]));
+          if (existing) {
+            Object.assign(existing, clone(value));
+            written.push(existing);
+          } else {
+            const row = withDefaults(value);
+            const error = this.uniqueViolation(row);
+            if (error) return { data: null, error, count: null };
+            this.rows.push(row);
+            written.push(row);
+          }
+        }
+        return this.returning ? this.shape(written) : { data: null, error: null, count: null };
+      }
+
+      case 'update': {
+        const targets = this.matching();
+        for (const row of targets) {
+          const error = this.uniqueViolation({ ...row, ...this.payload }, row);
+          if (error) return { data: null, error, count: null };
+        }
+        targets.forEach((row) => Object.assign(row, clone(this.payload)));
+        return this.returning ? this.shape(targets) : { data: null, error: null, count: null };
+      }
+
+      case 'delete': {
+        const targets = this.matching();
+        targets.forEach((row) => this.rows.splice(this.rows.indexOf(row), 1));
+        return this.returning ? this.shape(targets) : { data: null, error: null, count: null };
+      }
+
+      default: {
+        let rows = this.matching();
+        for (const { column, ascending } of [...this.orders].reverse()) {
+          rows = [...rows].sort((a, b) => compare(a[column], b[column]) * (ascending ? 1 : -1));
+        }
+        const count = this.countMode ? rows.length : null;
+        if (this.head) return { data: null, error: null, count };
+        if (this.window) rows = rows.slice(this.window.from, this.window.to + 1);
+        return this.shape(rows, count);
+      }
+    }
+  }
+}
+
+export function createMemoryClient() {
+  const tables = new Map();
+  const table = (name) => {
+    if (!tables.has(name)) tables.set(name, []);
+    return tables.get(name);
+  };
+
+  return {
+    isMemory: true,
+    from: (name) => new MemoryQuery(name, table(name), SCHEMA[name] || {}),
+    rpc: async (fn, args = {}) => {
+      if (!FUNCTIONS[fn]) {
+        return { data: null, error: { code: 'PGRST202', message: `Function ${fn} is not available in the in-memory database` } };
+      }
+      try {
+        return { data: FUNCTIONS[fn](table, clone(args)), error: null };
+      } catch (err) {
+        if (err.code !== 'P0001') throw err;
+        return { data: null, error: { code: err.code, message: err.message, details: err.details } };
+      }
+    },
+    reset: () => tables.clear()
+  };
+}
@@ -0,0 +1,327 @@
+import { createHash } from 'crypto';
+import { readdirSync, readFileSync, realpathSync, statSync } from 'fs';
+import { basename, isAbsolute, join, relative, sep } from 'path';
+import { fileURLToPath } from 'url';
+import { ApiError } from './_http.js';
+import { createZip, readZip } from './_zip.js';
+import { fetchGitHistory, readGitHistory } from './_git.js';
+
+// Project export and import sources. An export zip holds the current tree
+// under files/, a virtualmark.json manifest with the project metadata and
+// version history, and every distinct file content of that history once
+// under history/objects/<sha1>. Imports read such zips, plain zips, git
+// repositories on allowed https hosts, and directories or git repositories on
+// the server's own disk. Each source comes
+// back as { name, description, origin, versions, skipped }: versions oldest
+// first, the last being the current tree, and skipped lists binary or
+// oversized files that projects can't hold.
+
+const FORMAT = 'virtualmark-project';
+const FORMAT_VERSION = 1;
+const MANIFEST = 'virtualmark.json';
+const FILES_DIR = 'files/';
+const OBJECTS_DIR = 'history/objects/';
+const MAX_IMPORT_VERSIONS = 100;
+const MAX_GIT_COMMITS = 50;
+const MAX_DIRECTORY_ENTRIES = 5000;
+// Per-file limit as in projects.js, and the most a directory import reads
+const MAX_FILE_BYTES = 512 * 1024;
+const MAX_IMPORT_BYTES = 50 * 1024 * 1024;
+// Never project content, wherever they turn up
+const IGNORED = new Set(['.git', 'node_modules', '__MACOSX', '.DS_Store', 'Thumbs.db']);
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+function invalid(message) {
+  return new ApiError(400, 'INVALID_ARCHIVE', message);
+}
+
+function sha1(content) {
+  return createHash('sha1').update(content, 'utf8').digest('hex');
+}
+
+function validDate(value) {
+  const date = new Date(value);
+  return value && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+// Buffer -> string, or null for binary content (NUL bytes or invalid UTF-8)
+function decodeText(buffer) {
+  if (buffer.includes(0)) return null;
+  try {
+    return utf8.decode(buffer);
+  } catch {
+    return null;
+  }
+}
+
+function isIgnored(path) {
+  return path.split('/').some((part) => IGNORED.has(part));
+}
+
+// [[path, Buffer]] -> { files: { path: text }, skipped: [path] }
+function textFiles(entries) {
+  const files = {};
+  const skipped = [];
+  for (const [path, data] of entries) {
+    if (isIgnored(path)) continue;
+    const text = data.length > MAX_FILE_BYTES ? null : decodeText(data);
+    if (text === null) skipped.push(path);
+    else files[path] = text;
+  }
+  return { files, skipped };
+}
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'project';
+}
+
+export function archiveFilename(project) {
+  return `${slugify(project.name)}-v${project.version}.zip`;
+}
+
+// `project` and `versions` as the API returns them, versions with files
+export function exportProjectArchive(project, versions) {
+  const objects = new Map();
+  const manifest = {
+    format: FORMAT,
+    formatVersion: FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    project: {
+      name: project.name,
+      description: project.description,
+      version: project.version,
+      createdAt: project.createdAt,
+      updatedAt: project.updatedAt
+    },
+    versions: versions.map(({ files, ...version }) => ({
+      ...version,
+      files: Object.fromEntries(Object.entries(files).map(([path, content]) => {
+        const sha = sha1(content);
+        objects.set(sha, content);
+        return [path, sha];
+      }))
+    }))
+  };
+  const modified = new Date(project.updatedAt);
+  return createZip([
+    { path: MANIFEST, data: JSON.stringify(manifest, null, 2), date: modified },
+    ...Object.entries(project.files).map(([path, content]) => ({ path: `${FILES_DIR}${path}`, data: content, date: modified })),
+    ...[...objects].map(([sha, content]) => ({ path: `${OBJECTS_DIR}${sha}`, data: content }))
+  ]);
+}
+
+function fromManifest(entries) {
+  let manifest;
+  try {
+    manifest = JSON.parse(entries.get(MANIFEST).toString('utf8'));
+  } catch {
+    throw invalid(`${MANIFEST} is not valid JSON`);
+  }
+  if (!manifest || manifest.format !== FORMAT) throw invalid(`${MANIFEST} is not a VirtualMark project manifest`);
+  if (manifest.formatVersion > FORMAT_VERSION) throw invalid('This archive was made by a newer version of VirtualMark');
+  const project = manifest.project || {};
+
+  const blob = (sha) => {
+    const data = entries.get(`${OBJECTS_DIR}${sha}`);
+    if (!data) throw invalid(`History object ${sha} is missing`);
+    return data.toString('utf8');
+  };
+  const versions = (Array.isArray(manifest.versions) ? manifest.versions : [])
+    .filter((version) => version && version.files && typeof version.files === 'object')
+    .sort((a, b) => a.version - b.version)
+    .slice(-MAX_IMPORT_VERSIONS)
+    .map((version) => ({
+      name: typeof version.name === 'string' ? version.name : undefined,
+      description: typeof version.description === 'string' ? version.description : undefined,
+      message: typeof version.message === 'string' ? version.message : null,
+      createdAt: validDate(version.createdAt),
+      files: Object.fromEntries(Object.entries(version.files).map(([path, sha]) => [path, blob(sha)]))
+    }));
+
+  const { files, skipped } = textFiles([...entries]
+    .filter(([path]) => path.startsWith(FILES_DIR))
+    .map(([path, data]) => [path.slice(FILES_DIR.length), data]));
+  // files/ is what gets imported; if it was edited after export, that edit
+  // becomes the newest version
+  const latest = versions[versions.length - 1];
+  if (!latest || JSON.stringify(latest.files) !== JSON.stringify(files)) {
+    versions.push({ message: 'Imported from zip', createdAt: null, files });
+  }
+  return {
+    name: typeof project.name === 'string' ? project.name : null,
+    description: typeof project.description === 'string' ? project.description : '',
+    origin: 'zip',
+    versions,
+    skipped
+  };
+}
+
+// Any other zip is taken as a plain file tree. Zips of a folder (and
+// GitHub's source downloads) wrap everything in one top-level directory,
+// which is dropped.
+function fromPlainZip(entries, filename) {
+  const paths = [...entries.keys()].filter((path) => !isIgnored(path));
+  const tops = new Set(paths.map((path) => path.split('/')[0]));
+  const wrapped = tops.size === 1 && paths.every((path) => path.includes('/'));
+  const { files, skipped } = textFiles(paths.map((path) => [wrapped ? path.slice(path.indexOf('/') + 1) : path, entries.get(path)]));
+  const name = wrapped ? [...tops][0] : filename ? filename.replace(/\.zip$/i, '') : null;
+  return { name, description: '', origin: 'zip', versions: [{ message: 'Imported from zip', createdAt: null, files }], skipped };
+}
+
+export function readProjectArchive(buffer, { filename } = {}) {
+  const entries = new Map(readZip(buffer).map(({ path, data }) => [path, data]));
+  return entries.has(MANIFEST) ? fromManifest(entries) : fromPlainZip(entries, filename);
+}
+
+// Server-side paths are only readable under the comma-separated absolute
+// directories in VIRTUALMARK_IMPORT_ROOTS; without it, path imports are off.
+// Remote repositories go through resolveImportUrl instead.
+export function resolveImportPath(value) {
+  const roots = (process.env.VIRTUALMARK_IMPORT_ROOTS || '').split(',').map((s) => s.trim()).filter(Boolean);
+  if (!roots.length) throw new ApiError(403, 'IMPORT_DISABLED', 'Importing from server paths is not enabled');
+  if (typeof value !== 'string' || !value.trim()) throw new ApiError(400, 'PATH_REQUIRED', 'path is required');
+
+  let path = value.trim();
+  if (/^[a-z][a-z0-9+.-]*:/i.test(path)) {
+    if (!/^file:/i.test(path)) throw new ApiError(400, 'UNSUPPORTED_URL', 'Only local paths and file:// URLs can be imported');
+    try {
+      path = fileURLToPath(path);
+    } catch {
+      throw new ApiError(400, 'INVALID_PATH', `Invalid file URL ${value}`);
+    }
+  }
+  if (!isAbsolute(path)) throw new ApiError(400, 'INVALID_PATH', 'Import paths must be absolute');
+
+  let real;
+  try {
+    real = realpathSync(path);
+  } catch {
+    throw new ApiError(404, 'PATH_NOT_FOUND', `${path} does not exist`);
+  }
+  const allowed = roots.some((root) => {
+    let base;
+    try {
+      base = realpathSync(root);
+    } catch {
+      return false;
+    }
+    const inside = relative(base, real);
+    return !isAbsolute(inside) && inside.split(sep)[0] !== '..';
+  });
+  if (!allowed) throw new ApiError(403, 'PATH_NOT_ALLOWED', `${path} is outside the import directories`);
+  return real;
+}
+
+// Remote repositories are fetched from the comma-separated hostnames in
+// VIRTUALMARK_IMPORT_HOSTS only (e.g. github.com,gitlab.com), over https on
+// the default port; without it, URL imports are off. Returns the URL without
+// query, fragment or trailing slashes.
+export function resolveImportUrl(value) {
+  const hosts = (process.env.VIRTUALMARK_IMPORT_HOSTS || '').split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+  if (!hosts.length) throw new ApiError(403, 'IMPORT_DISABLED', 'Importing from remote repositories is not enabled');
+  if (typeof value !== 'string' || !value.trim()) throw new ApiError(400, 'URL_REQUIRED', 'url is required');
+
+  let url;
+  try {
+    url = new URL(value.trim());
+  } catch {
+    throw new ApiError(400, 'INVALID_URL', `Invalid URL ${value}`);
+  }
+  if (url.protocol !== 'https:') throw new ApiError(400, 'UNSUPPORTED_URL', 'Only https:// repository URLs can be imported');
+  if (url.username || url.password) throw new ApiError(400, 'INVALID_URL', 'Repository URLs can\'t carry credentials');
+  if (url.port || !hosts.includes(url.hostname)) {
+    throw new ApiError(403, 'HOST_NOT_ALLOWED', `Importing from ${url.host} is not allowed`);
+  }
+  url.search = '';
+  url.hash = '';
+  return url.href.replace(/\/+$/, '');
+}
+
+// Regular files only: symlinks are not followed, so a tree can't reach
+// outside itself. Sizes are checked before reading, and oversized files are
+// skipped unread.
+export function readDirectoryTree(dir) {
+  const entries = [];
+  const oversized = [];
+  let total = 0;
+  const walk = (current, prefix) => {
+    let items;
+    try {
+      items = readdirSync(current, { withFileTypes: true });
+    } catch {
+      throw new ApiError(400, 'NOT_A_DIRECTORY', `${current} is not a readable directory`);
+    }
+    for (const item of items) {
+      if (IGNORED.has(item.name)) continue;
+      if (entries.length + oversized.length >= MAX_DIRECTORY_ENTRIES) {
+        throw new ApiError(413, 'TOO_MANY_FILES', `Directories are limited to ${MAX_DIRECTORY_ENTRIES} files`);
+      }
+      if (item.isDirectory()) walk(join(current, item.name), `${prefix}${item.name}/`);
+      else if (item.isFile()) {
+        const path = join(current, item.name);
+        const { size } = statSync(path);
+        if (size > MAX_FILE_BYTES) {
+          oversized.push(`${prefix}${item.name}`);
+          continue;
+        }
+        total += size;
+        if (total > MAX_IMPORT_BYTES) {
+          throw new ApiError(413, 'IMPORT_TOO_LARGE', `Imports are limited to ${MAX_IMPORT_BYTES / 1024 / 1024} MB`);
+        }
+        entries.push([`${prefix}${item.name}`, readFileSync(path)]);
+      }
+    }
+  };
+  walk(dir, '');
+  const { files, skipped } = textFiles(entries);
+  return {
+    name: basename(dir),
+    description: '',
+    origin: 'directory',
+    versions: [{ message: 'Imported from directory', createdAt: null, files }],
+    skipped: [...skipped, ...oversized]
+  };
+}
+
+// One version per commit along the first-parent line, keeping the commit's
+// subject and date
+function fromGitHistory(name, commits) {
+  const skipped = new Set();
+  const versions = commits.map((commit) => {
+    const { files, skipped: binary } = textFiles(Object.entries(commit.files));
+    binary.forEach((path) => skipped.add(path));
+    const subject = commit.message.split('\n')[0];
+    return { message: subject ? `${subject} (${commit.sha.slice(0, 7)})` : commit.sha.slice(0, 7), createdAt: commit.date, files };
+  });
+  return { name: name.replace(/\.git$/, ''), description: '', origin: 'git repository', versions, skipped: [...skipped] };
+}
+
+export function readGitRepository(dir, { ref } = {}) {
+  return fromGitHistory(basename(dir), readGitHistory(dir, { ref, maxCommits: MAX_GIT_COMMITS }));
+}
+
+// `url` as resolveImportUrl returns it
+export async function readRemoteGitRepository(url, { ref } = {}) {
+  const name = new URL(url).pathname.split('/').filter(Boolean).pop() || new URL(url).hostname;
+  return fromGitHistory(decodeURIComponent(name), await fetchGitHistory(url, { ref, maxCommits: MAX_GIT_COMMITS }));
+}
+
+// POST body -> import source. A git source is fetched from `url`, or read
+// from `path` on the server's disk.
+export async function readImportSource(body) {
+  switch (body.source) {
+    case 'zip':
+      if (typeof body.data !== 'string' || !body.data) throw new ApiError(400, 'ARCHIVE_REQUIRED', 'data must be the base64 zip');
+      return readProjectArchive(Buffer.from(body.data, 'base64'), { filename: typeof body.filename === 'string' ? body.filename : null });
+    case 'directory':
+      return readDirectoryTree(resolveImportPath(body.path));
+    case 'git': {
+      const ref = typeof body.ref === 'string' && body.ref.trim() ? body.ref.trim() : undefined;
+      if (body.url) return readRemoteGitRepository(resolveImportUrl(body.url), { ref });
+      return readGitRepository(resolveImportPath(body.path), { ref });
+    }
+    default:
+      throw new ApiError(400, 'UNKNOWN_SOURCE', 'source must be zip, directory or git');
+  }
+}
@@ -0,0 +1,57 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+// Tickets for the realtime presence server (server/realtime.js). The API
+// issues one against the session cookie; the WebSocket server checks it with
+// the shared REALTIME_SECRET, so it never needs the database or the cookie.
+
+export const TICKET_TTL_MS = 60 * 1000;
+// A ticket only admits a socket once, so room sockets don't outlive access
+// for long: the server closes them with ROOM_EXPIRED_CODE after
+// ROOM_ACCESS_MS and the client reconnects with a fresh ticket, which a
+// collaborator who has since been removed no longer gets.
+export const ROOM_ACCESS_MS = 5 * 60 * 1000;
+export const ROOM_EXPIRED_CODE = 4408;
+
+// Both set -> browsers connect to REALTIME_URL; otherwise they fall back to
+// the same-browser stand-in in src/lib/realtime.js
+export function getRealtimeConfig() {
+  const url = process.env.REALTIME_URL || null;
+  const secret = process.env.REALTIME_SECRET || null;
+  return url && secret ? { url, secret } : null;
+}
+
+function sign(encoded, secret) {
+  return createHmac('sha256', secret).update(encoded).digest('base64url');
+}
+
+// `user` is null for guests, who may watch but not broadcast. A `room`
+// (e.g. 'project:<id>') admits the socket to that collaboration room instead
+// of the presence channel; the API checks access before issuing one.
+export function issueTicket(user, secret, { room = null } = {}) {
+  const encoded = Buffer.from(JSON.stringify({
+    uid: user ? user.id : null,
+    name: user ? user.username : null,
+    room,
+    exp: Date.now() + TICKET_TTL_MS
+  })).toString('base64url');
+  return `${encoded}.${sign(encoded, secret)}`;
+}
+
+// Returns { userId, username, room } or null for a forged, malformed or stale ticket
+export function verifyTicket(ticket, secret) {
+  if (typeof ticket !== 'string') return null;
+  const [encoded, signature] = ticket.split('.');
+  if (!encoded || !signature) return null;
+  const expected = Buffer.from(sign(encoded, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (!payload.exp || payload.exp < Date.now()) return null;
+  return { userId: payload.uid, username: payload.name, room: payload.room || null };
+}
@@ -0,0 +1,81 @@
+import { createHash, randomBytes } from 'crypto';
+import { getSupabase, query } from './supabase-config.js';
+
+// Server-side sessions behind an HTTP-only cookie. The cookie carries a random
+// token; only its SHA-256 is stored, so a leaked sessions table can't be
+// replayed as cookies.
+
+export const SESSION_COOKIE = 'vm_session';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+export function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+export function newToken() {
+  return randomBytes(32).toString('base64url');
+}
+
+export function parseCookies(req) {
+  const header = req.headers.cookie;
+  if (!header) return {};
+  return Object.fromEntries(
+    header.split(';').map((pair) => {
+      const index = pair.indexOf('=');
+      if (index < 0) return [pair.trim(), ''];
+      const value = pair.slice(index + 1).trim();
+      try {
+        return [pair.slice(0, index).trim(), decodeURIComponent(value)];
+      } catch {
+        return [pair.slice(0, index).trim(), value];
+      }
+    })
+  );
+}
+
+function serializeCookie(value, maxAgeSeconds) {
+  const parts = [`${SESSION_COOKIE}=${value}`, 'Path=/', 'HttpOnly', 'SameSite=Lax', `Max-Age=${maxAgeSeconds}`];
+  if (process.env.NODE_ENV === 'production') parts.push('Secure');
+  return parts.join('; ');
+}
+
+export function setSessionCookie(res, token) {
+  res.setHeader('Set-Cookie', serializeCookie(token, Math.floor(SESSION_TTL_MS / 1000)));
+}
+
+export function clearSessionCookie(res) {
+  res.setHeader('Set-Cookie', serializeCookie('', 0));
+}
+
+export async function createSession(userId, req) {
+  const token = newToken();
+  await query(
+    getSupabase().from('user_sessions').insert({
+      user_id: userId,
+      token_hash: hashToken(token),
+      user_agent: String(req.headers['user-agent'] || '').slice(0, 300),
+      expires_at: new Date(Date.now() + SESSION_TTL_MS).toISOString()
+    })
+  );
+  return token;
+}
+
+// Returns the signed-in user row, or null for guests and stale cookies
+export async function resolveSession(req) {
+  const token = parseCookies(req)[SESSION_COOKIE];
+  if (!token) return null;
+  const db = getSupabase();
+  const session = await query(db.from('user_sessions').select('*').eq('token_hash', hashToken(token)).maybeSingle());
+  if (!session || new Date(session.expires_at) <= new Date()) return null;
+  return query(db.from('users').select('*').eq('id', session.user_id).maybeSingle());
+}
+
+export async function destroySession(req) {
+  const token = parseCookies(req)[SESSION_COOKIE];
+  if (token) await query(getSupabase().from('user_sessions').delete().eq('token_hash', hashToken(token)));
+}
+
+// Signs the user out everywhere, e.g. after a password reset
+export async function destroyUserSessions(userId) {
+  await query(getSupabase().from('user_sessions').delete().eq('user_id', userId));
+}
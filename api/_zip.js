@@ -0,0 +1,152 @@
+import { deflateRawSync, inflateRawSync } from 'zlib';
+import { ApiError } from './_http.js';
+
+// Minimal zip reader/writer for project archives: stored and deflated
+// entries, UTF-8 names, no encryption or zip64 (projects are capped well
+// below 4 GB anyway).
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_DIRECTORY = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const STORED = 0;
+const DEFLATED = 8;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i += 1) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// entries: [{ path, data: Buffer | string, date? }] -> zip Buffer
+export function createZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.path, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8');
+    const deflated = deflateRawSync(data);
+    const method = deflated.length < data.length ? DEFLATED : STORED;
+    const body = method === DEFLATED ? deflated : data;
+    const crc = crc32(data);
+    const { time, date } = dosDateTime(entry.date || new Date());
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+    locals.push(local, name, body);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + body.length;
+  }
+
+  const directorySize = centrals.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directorySize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+function invalid(message) {
+  return new ApiError(400, 'INVALID_ARCHIVE', message);
+}
+
+function findEndOfDirectory(buffer) {
+  // The record is 22 bytes plus a comment of up to 64 KB
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i -= 1) {
+    if (buffer.readUInt32LE(i) === END_OF_DIRECTORY) return i;
+  }
+  throw invalid('Not a zip archive');
+}
+
+// zip Buffer -> [{ path, data: Buffer }] for the file entries (folders are
+// implied by paths). Declared sizes are checked against `maxBytes` before
+// anything is inflated, so a zip bomb fails fast.
+export function readZip(buffer, { maxEntries = 5000, maxBytes = 50 * 1024 * 1024 } = {}) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 22) throw invalid('Not a zip archive');
+  const end = findEndOfDirectory(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  let position = buffer.readUInt32LE(end + 16);
+  if (count > maxEntries) throw new ApiError(413, 'ARCHIVE_TOO_LARGE', `Archives are limited to ${maxEntries} entries`);
+
+  const headers = [];
+  let declared = 0;
+  for (let i = 0; i < count; i += 1) {
+    if (position + 46 > buffer.length || buffer.readUInt32LE(position) !== CENTRAL_HEADER) throw invalid('Corrupt zip directory');
+    const flags = buffer.readUInt16LE(position + 8);
+    const method = buffer.readUInt16LE(position + 10);
+    const crc = buffer.readUInt32LE(position + 16);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const size = buffer.readUInt32LE(position + 24);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const offset = buffer.readUInt32LE(position + 42);
+    const path = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith('/')) continue;
+    if (flags & 1) throw invalid(`${path} is encrypted`);
+    if (method !== STORED && method !== DEFLATED) throw invalid(`${path} uses an unsupported compression method`);
+    if (size === 0xffffffff || compressedSize === 0xffffffff) throw invalid('zip64 archives are not supported');
+    declared += size;
+    if (declared > maxBytes) throw new ApiError(413, 'ARCHIVE_TOO_LARGE', 'Archive contents exceed the size limit');
+    headers.push({ path, method, crc, compressedSize, size, offset });
+  }
+
+  return headers.map(({ path, method, crc, compressedSize, size, offset }) => {
+    if (offset + 30 > buffer.length || buffer.readUInt32LE(offset) !== LOCAL_HEADER) throw invalid(`Corrupt entry ${path}`);
+    const start = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+    const body = buffer.subarray(start, start + compressedSize);
+    let data;
+    try {
+      data = method === STORED ? body : inflateRawSync(body, { maxOutputLength: Math.max(size, 1) });
+    } catch {
+      throw invalid(`Corrupt entry ${path}`);
+    }
+    if (data.length !== size || crc32(data) !== crc) throw invalid(`Checksum mismatch in ${path}`);
+    return { path, data };
+  });
+}
@@ -0,0 +1,325 @@
+import bcrypt from 'bcrypt';
+import { getSupabase, query, withLock } from './supabase-config.js';
+import { ApiError, route, getBody, requireUser } from './_http.js';
+import {
+  hashToken,
+  newToken,
+  createSession,
+  destroySession,
+  destroyUserSessions,
+  setSessionCookie,
+  clearSessionCookie
+} from './_sessions.js';
+import { sendMail, appUrl } from './_mailer.js';
+
+// Accounts: sign-up, login/logout, email verification and password reset.
+// Verification and reset links carry single-use tokens that, like session
+// tokens, are stored only as hashes.
+
+const BCRYPT_ROUNDS = Number(process.env.BCRYPT_ROUNDS) || 12;
+const MIN_PASSWORD_LENGTH = 8;
+// bcrypt silently ignores everything past 72 bytes
+const MAX_PASSWORD_BYTES = 72;
+const USERNAME_RE = /^[a-z0-9_-]{3,24}$/;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Display themes the client ships; null means the client's default
+const THEMES = ['cyberpunk', 'daylight'];
+const SEARCH_LIMIT = 8;
+
+const TOKEN_TTL_MS = {
+  verify: 24 * 60 * 60 * 1000,
+  reset: 60 * 60 * 1000
+};
+
+export function toUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    email: row.email,
+    emailVerified: Boolean(row.email_verified_at),
+    theme: row.theme || null,
+    createdAt: row.created_at
+  };
+}
+
+function parseEmail(value) {
+  const email = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (!EMAIL_RE.test(email) || email.length > 254) throw new ApiError(400, 'INVALID_EMAIL', 'Enter a valid email address');
+  return email;
+}
+
+function parseUsername(value) {
+  const username = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (!USERNAME_RE.test(username)) {
+    throw new ApiError(400, 'INVALID_USERNAME', 'Usernames are 3-24 letters, digits, _ or -');
+  }
+  return username;
+}
+
+function parsePassword(value) {
+  if (typeof value !== 'string' || value.length < MIN_PASSWORD_LENGTH) {
+    throw new ApiError(400, 'WEAK_PASSWORD', `Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (Buffer.byteLength(value, 'utf8') > MAX_PASSWORD_BYTES) {
+    throw new ApiError(400, 'PASSWORD_TOO_LONG', `Passwords are limited to ${MAX_PASSWORD_BYTES} bytes`);
+  }
+  return value;
+}
+
+// Compared against when the login name is unknown so both paths cost a bcrypt round
+let dummyHash = null;
+async function getDummyHash() {
+  if (!dummyHash) dummyHash = await bcrypt.hash('virtualmark-no-such-user', BCRYPT_ROUNDS);
+  return dummyHash;
+}
+
+async function findUserByLogin(login) {
+  const value = typeof login === 'string' ? login.trim().toLowerCase() : '';
+  if (!value) return null;
+  const column = value.includes('@') ? 'email' : 'username';
+  return query(getSupabase().from('users').select('*').eq(column, value).maybeSingle());
+}
+
+// ---- Single-use mail tokens -------------------------------------------------
+
+async function issueMailToken(userId, purpose) {
+  const db = getSupabase();
+  const now = new Date();
+  // Only the newest link of each kind works
+  await query(
+    db.from('auth_tokens')
+      .update({ used_at: now.toISOString() })
+      .eq('user_id', userId)
+      .eq('purpose', purpose)
+      .is('used_at', null)
+  );
+  const token = newToken();
+  await query(
+    db.from('auth_tokens').insert({
+      user_id: userId,
+      purpose,
+      token_hash: hashToken(token),
+      expires_at: new Date(now.getTime() + TOKEN_TTL_MS[purpose]).toISOString(),
+      used_at: null
+    })
+  );
+  return token;
+}
+
+async function consumeMailToken(token, purpose) {
+  const invalid = new ApiError(400, 'INVALID_TOKEN', 'This link is invalid or has expired');
+  if (typeof token !== 'string' || !token) throw invalid;
+  const db = getSupabase();
+  const row = await query(db.from('auth_tokens').select('*').eq('token_hash', hashToken(token)).maybeSingle());
+  if (!row || row.purpose !== purpose || row.used_at || new Date(row.expires_at) <= new Date()) throw invalid;
+
+  const claimed = await query(
+    db.from('auth_tokens').update({ used_at: new Date().toISOString() }).eq('id', row.id).is('used_at', null).select()
+  );
+  if (!claimed.length) throw invalid;
+  return row.user_id;
+}
+
+async function sendVerificationMail(user, baseUrl) {
+  const token = await issueMailToken(user.id, 'verify');
+  const link = `${baseUrl}/api/auth?action=verify&token=${encodeURIComponent(token)}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your VirtualMark email',
+    text: `Hi ${user.username},\n\nConfirm your email address by opening this link within 24 hours:\n\n${link}\n\nIf you didn't sign up, ignore this message.`,
+    html: `<p>Hi ${user.username},</p><p>Confirm your email address by opening this link within 24 hours:</p><p><a href="${link}">${link}</a></p><p>If you didn't sign up, ignore this message.</p>`
+  });
+}
+
+async function sendResetMail(user, baseUrl) {
+  const token = await issueMailToken(user.id, 'reset');
+  const link = `${baseUrl}/?reset=${encodeURIComponent(token)}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your VirtualMark password',
+    text: `Hi ${user.username},\n\nReset your password by opening this link within an hour:\n\n${link}\n\nIf you didn't ask for this, ignore this message; your password is unchanged.`,
+    html: `<p>Hi ${user.username},</p><p>Reset your password by opening this link within an hour:</p><p><a href="${link}">${link}</a></p><p>If you didn't ask for this, ignore this message; your password is unchanged.</p>`
+  });
+}
+
+// ---- Accounts ---------------------------------------------------------------
+
+export async function signUp({ email, username, password, baseUrl }) {
+  const fields = { email: parseEmail(email), username: parseUsername(username) };
+  const passwordHash = await bcrypt.hash(parsePassword(password), BCRYPT_ROUNDS);
+
+  const user = await withLock('signup', async () => {
+    const db = getSupabase();
+    if (await findUserByLogin(fields.email)) {
+      throw new ApiError(409, 'EMAIL_TAKEN', 'An account with this email already exists');
+    }
+    if (await findUserByLogin(fields.username)) throw new ApiError(409, 'USERNAME_TAKEN', 'That username is taken');
+
+    try {
+      return await query(
+        db.from('users')
+          .insert({ ...fields, password_hash: passwordHash, email_verified_at: null, updated_at: new Date().toISOString() })
+          .select()
+          .single()
+      );
+    } catch (error) {
+      // Lost a race with another instance
+      if (error.code === '23505') throw new ApiError(409, 'ACCOUNT_EXISTS', 'That email or username is taken');
+      throw error;
+    }
+  });
+
+  // The account stands even if the mail relay is down; the user can resend
+  await sendVerificationMail(user, baseUrl).catch((error) => console.error('Verification mail failed:', error));
+  return user;
+}
+
+export async function logIn({ login, password }) {
+  const user = await findUserByLogin(login);
+  const valid = await bcrypt.compare(String(password || ''), user ? user.password_hash : await getDummyHash());
+  if (!user || !valid) throw new ApiError(401, 'INVALID_CREDENTIALS', 'Wrong username, email or password');
+  return user;
+}
+
+export async function verifyEmail(token) {
+  const userId = await consumeMailToken(token, 'verify');
+  return query(
+    getSupabase().from('users')
+      .update({ email_verified_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq('id', userId)
+      .select()
+      .single()
+  );
+}
+
+export async function resendVerification(user, baseUrl) {
+  if (user.email_verified_at) throw new ApiError(409, 'ALREADY_VERIFIED', 'This email is already verified');
+  await sendVerificationMail(user, baseUrl);
+}
+
+// Always succeeds so the endpoint can't be used to probe for accounts
+export async function requestPasswordReset({ email, baseUrl }) {
+  const user = await findUserByLogin(parseEmail(email));
+  if (user) await sendResetMail(user, baseUrl);
+}
+
+export async function resetPassword({ token, password }) {
+  const passwordHash = await bcrypt.hash(parsePassword(password), BCRYPT_ROUNDS);
+  const userId = await consumeMailToken(token, 'reset');
+  const db = getSupabase();
+  const now = new Date().toISOString();
+  const user = await query(db.from('users').select('*').eq('id', userId).single());
+  // Following the mailed link proves control of the inbox as well
+  const updated = await query(
+    db.from('users')
+      .update({ password_hash: passwordHash, email_verified_at: user.email_verified_at || now, updated_at: now })
+      .eq('id', userId)
+      .select()
+      .single()
+  );
+  await destroyUserSessions(userId);
+  return updated;
+}
+
+export async function updatePreferences(userId, { theme }) {
+  if (!THEMES.includes(theme)) throw new ApiError(400, 'INVALID_THEME', `theme must be one of ${THEMES.join(', ')}`);
+  return query(
+    getSupabase().from('users')
+      .update({ theme, updated_at: new Date().toISOString() })
+      .eq('id', userId)
+      .select()
+      .single()
+  );
+}
+
+// Other users whose username starts with `prefix`, for recipient pickers.
+// `_` is a LIKE wildcard, so matches are re-checked here.
+export async function searchUsers(prefix, { excludeId } = {}) {
+  const needle = typeof prefix === 'string' ? prefix.trim().toLowerCase() : '';
+  if (!/^[a-z0-9_-]{1,24}$/.test(needle)) return [];
+  const rows = await query(
+    getSupabase().from('users')
+      .select('id, username')
+      .ilike('username', `${needle}%`)
+      .order('username')
+      .limit(SEARCH_LIMIT * 2)
+  );
+  return rows
+    .filter((row) => row.id !== excludeId && row.username.startsWith(needle))
+    .slice(0, SEARCH_LIMIT)
+    .map((row) => ({ id: row.id, username: row.username }));
+}
+
+async function startSession(req, res, user) {
+  setSessionCookie(res, await createSession(user.id, req));
+}
+
+export default route({
+  // GET /api/auth                              -> { user } (null when signed out)
+  // GET /api/auth?action=verify&token=         -> mailed verification link, redirects home
+  // GET /api/auth?action=search&q=             -> { users: [{ id, username }] } (signed in)
+  async GET(req, res) {
+    if (req.query.action === 'verify') {
+      let verified = true;
+      try {
+        await verifyEmail(req.query.token);
+      } catch (error) {
+        if (!(error instanceof ApiError)) throw error;
+        verified = false;
+      }
+      res.setHeader('Location', `/?verified=${verified ? 1 : 0}`);
+      return res.status(302).end();
+    }
+    if (req.query.action === 'search') {
+      const userId = requireUser(req);
+      return res.status(200).json({ users: await searchUsers(req.query.q, { excludeId: userId }) });
+    }
+    return res.status(200).json({ user: req.user ? toUser(req.user) : null });
+  },
+
+  // POST /api/auth { action: 'signup', email, username, password }
+  //              | { action: 'login', login, password }        (login is email or username)
+  //              | { action: 'logout' }
+  //              | { action: 'verify-email', token }
+  //              | { action: 'resend-verification' }
+  //              | { action: 'forgot-password', email }
+  //              | { action: 'reset-password', token, password }
+  //              | { action: 'preferences', theme }
+  async POST(req, res) {
+    const body = getBody(req);
+    switch (body.action || req.query.action) {
+      case 'signup': {
+        const user = await signUp({ ...body, baseUrl: appUrl(req) });
+        await startSession(req, res, user);
+        return res.status(201).json({ user: toUser(user) });
+      }
+      case 'login': {
+        const user = await logIn(body);
+        await startSession(req, res, user);
+        return res.status(200).json({ user: toUser(user) });
+      }
+      case 'logout':
+        await destroySession(req);
+        clearSessionCookie(res);
+        return res.status(200).json({ user: null });
+      case 'verify-email':
+        return res.status(200).json({ user: toUser(await verifyEmail(body.token)) });
+      case 'resend-verification':
+        requireUser(req);
+        await resendVerification(req.user, appUrl(req));
+        return res.status(200).json({ sent: true });
+      case 'forgot-password':
+        await requestPasswordReset({ email: body.email, baseUrl: appUrl(req) });
+        return res.status(200).json({ sent: true });
+      case 'reset-password': {
+        const user = await resetPassword(body);
+        await startSession(req, res, user);
+        return res.status(200).json({ user: toUser(user) });
+      }
+      case 'preferences':
+        return res.status(200).json({ user: toUser(await updatePreferences(requireUser(req), body)) });
+      default:
+        throw new ApiError(400, 'UNKNOWN_ACTION', `Unknown action ${body.action}`);
+    }
+  }
+});
@@ -1 +1,265 @@
+import { createHash } from 'crypto';
+import { getSupabase, query, queryWithCount } from './supabase-config.js';
+import {
+  ApiError,
+  route,
+  getBody,
+  requireUser,
+  requireAdmin,
+  isAdmin,
+  isUuid,
+  requireIdempotencyKey,
+  parseAmount,
+  parsePagination
+} from './_http.js';
 
+// Double-entry ledger for VirtualMark credits (VMC). Every write is a
+// transaction whose entries sum to zero; balances on ledger_accounts are a
+// cache of the entry log, which is append-only.
+
+export const CURRENCY_CODE = 'VMC';
+export const ISSUANCE_ACCOUNT = 'system:issuance';
+
+export const userAccountId = (userId) => `user:${userId}`;
+
+// Account kind is encoded in the id prefix: user:<id>, system:<name>, escrow:<id>
+function describeAccount(accountId) {
+  const [type, ...rest] = accountId.split(':');
+  if (!rest.length || !['user', 'system', 'escrow'].includes(type)) {
+    throw new ApiError(400, 'INVALID_ACCOUNT', `Unknown ledger account ${accountId}`);
+  }
+  return { type, ownerId: type === 'user' ? rest.join(':') : null };
+}
+
+function hashRequest(payload) {
+  return createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+}
+
+// Errors post_ledger_transaction raises, by the message it raises them with
+const POSTING_ERRORS = {
+  IDEMPOTENCY_KEY_REUSED: [409, 'Idempotency key was already used for a different request'],
+  INSUFFICIENT_FUNDS: [422, `Insufficient ${CURRENCY_CODE} balance`],
+  UNBALANCED_TRANSACTION: [500, 'Ledger entries must sum to zero']
+};
+
+// Posts a balanced set of entries. Replaying the same idempotency key with the
+// same payload returns the original transaction instead of posting twice.
+// The posting itself is one database function call (see
+// supabase/migrations/20261018000110_ledger_posting.sql), so balances move
+// relative to their current value in a single transaction.
+export async function postTransaction({ type, entries, idempotencyKey, actorId, memo = null, metadata = {} }) {
+  if (!idempotencyKey) throw new ApiError(400, 'IDEMPOTENCY_KEY_REQUIRED', 'Ledger writes require an idempotency key');
+  if (!entries.length || entries.reduce((sum, entry) => sum + entry.amount, 0) !== 0) {
+    throw new ApiError(500, 'UNBALANCED_TRANSACTION', 'Ledger entries must sum to zero');
+  }
+
+  const accountIds = [...new Set(entries.map((entry) => entry.accountId))];
+  const posting = getSupabase().rpc('post_ledger_transaction', {
+    p_type: type,
+    p_idempotency_key: `${actorId}:${idempotencyKey}`,
+    p_request_hash: hashRequest({ type, entries, memo, metadata }),
+    p_memo: memo,
+    p_metadata: metadata,
+    p_created_by: actorId,
+    p_accounts: accountIds.map((id) => {
+      const { type: accountType, ownerId } = describeAccount(id);
+      return { id, type: accountType, owner_id: ownerId };
+    }),
+    p_entries: entries.map(({ accountId, amount }) => ({ account_id: accountId, amount }))
+  });
+  try {
+    return await query(posting);
+  } catch (err) {
+    const known = POSTING_ERRORS[err.message];
+    if (!known) throw err;
+    throw new ApiError(known[0], err.message, known[1], err.details ? JSON.parse(err.details) : undefined);
+  }
+}
+
+// Looks up a transaction by the key its actor posted it with
+export async function findTransactionByKey(actorId, idempotencyKey) {
+  return query(
+    getSupabase().from('ledger_transactions').select('*').eq('idempotency_key', `${actorId}:${idempotencyKey}`).maybeSingle()
+  );
+}
+
+export async function getTransaction(transactionId) {
+  const db = getSupabase();
+  const transaction = await query(db.from('ledger_transactions').select('*').eq('id', transactionId).maybeSingle());
+  if (!transaction) throw new ApiError(404, 'TRANSACTION_NOT_FOUND', 'Transaction not found');
+  const entries = await query(db.from('ledger_entries').select('*').eq('transaction_id', transactionId));
+  return { transaction, entries };
+}
+
+export async function getBalance(accountId) {
+  const db = getSupabase();
+  const account = await query(db.from('ledger_accounts').select('*').eq('id', accountId).maybeSingle());
+  return account ? account.balance : 0;
+}
+
+// Newest-first entries for one account, each with its transaction and the
+// accounts on the other side of it
+export async function getAccountHistory(accountId, { limit = 20, offset = 0 } = {}) {
+  const db = getSupabase();
+  const { rows, count } = await queryWithCount(
+    db.from('ledger_entries')
+      .select('*', { count: 'exact' })
+      .eq('account_id', accountId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1)
+  );
+  if (!rows.length) return { entries: [], total: count };
+
+  const transactionIds = [...new Set(rows.map((row) => row.transaction_id))];
+  const transactions = await query(db.from('ledger_transactions').select('*').in('id', transactionIds));
+  const siblings = await query(db.from('ledger_entries').select('*').in('transaction_id', transactionIds));
+  const byId = new Map(transactions.map((tx) => [tx.id, tx]));
+
+  const entries = rows.map((row) => {
+    const tx = byId.get(row.transaction_id);
+    return {
+      id: row.id,
+      transactionId: row.transaction_id,
+      type: tx.type,
+      direction: row.amount >= 0 ? 'in' : 'out',
+      amount: row.amount,
+      balanceAfter: row.balance_after,
+      memo: tx.memo,
+      metadata: tx.metadata,
+      counterparties: siblings
+        .filter((s) => s.transaction_id === row.transaction_id && s.account_id !== accountId)
+        .map((s) => s.account_id),
+      createdAt: row.created_at
+    };
+  });
+  return { entries, total: count };
+}
+
+export function transfer({ fromUserId, toUserId, amount, idempotencyKey, memo = null }) {
+  if (fromUserId === toUserId) throw new ApiError(400, 'INVALID_RECIPIENT', 'Cannot transfer to yourself');
+  return postTransaction({
+    type: 'transfer',
+    actorId: fromUserId,
+    idempotencyKey,
+    memo,
+    entries: [
+      { accountId: userAccountId(fromUserId), amount: -amount },
+      { accountId: userAccountId(toUserId), amount }
+    ]
+  });
+}
+
+export function mint({ adminId, toUserId, amount, idempotencyKey, memo = null }) {
+  return postTransaction({
+    type: 'mint',
+    actorId: adminId,
+    idempotencyKey,
+    memo,
+    entries: [
+      { accountId: ISSUANCE_ACCOUNT, amount: -amount },
+      { accountId: userAccountId(toUserId), amount }
+    ]
+  });
+}
+
+export function burn({ adminId, fromUserId, amount, idempotencyKey, memo = null }) {
+  return postTransaction({
+    type: 'burn',
+    actorId: adminId,
+    idempotencyKey,
+    memo,
+    entries: [
+      { accountId: userAccountId(fromUserId), amount: -amount },
+      { accountId: ISSUANCE_ACCOUNT, amount }
+    ]
+  });
+}
+
+function requireTarget(value, field) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new ApiError(400, 'INVALID_RECIPIENT', `${field} is required`);
+  }
+  return value.trim();
+}
+
+// Ledger accounts are only opened for users that exist
+async function requireUserId(value, field) {
+  const id = requireTarget(value, field);
+  const user = isUuid(id) ? await query(getSupabase().from('users').select('id').eq('id', id).maybeSingle()) : null;
+  if (!user) throw new ApiError(404, 'USER_NOT_FOUND', `No user with id ${id}`);
+  return user.id;
+}
+
+// Transfers name their recipient by user id (`to`) or by username (`toUsername`)
+async function resolveRecipient(body) {
+  if (body.toUsername === undefined) return requireUserId(body.to, 'to');
+  const name = requireTarget(body.toUsername, 'toUsername').toLowerCase();
+  const user = await query(getSupabase().from('users').select('id').eq('username', name).maybeSingle());
+  if (!user) throw new ApiError(404, 'USER_NOT_FOUND', `No user named ${name}`);
+  return user.id;
+}
+
+// userId -> username for the users on the other side of history entries
+async function counterpartyNames(entries) {
+  const ids = [...new Set(entries.flatMap((entry) => entry.counterparties)
+    .filter((accountId) => accountId.startsWith('user:'))
+    .map((accountId) => describeAccount(accountId).ownerId))];
+  if (!ids.length) return {};
+  const rows = await query(getSupabase().from('users').select('id, username').in('id', ids));
+  return Object.fromEntries(rows.map((row) => [row.id, row.username]));
+}
+
+function sendPosted(res, result) {
+  return res.status(result.replayed ? 200 : 201).json(result);
+}
+
+export default route({
+  // GET /api/currency?action=balance|history[&userId=][&limit=&offset=]
+  async GET(req, res) {
+    const userId = requireUser(req);
+    const subject = req.query.userId && isAdmin(userId) ? req.query.userId : userId;
+    const accountId = userAccountId(subject);
+
+    switch (req.query.action || 'balance') {
+      case 'balance':
+        return res.status(200).json({ accountId, balance: await getBalance(accountId), currency: CURRENCY_CODE });
+      case 'history': {
+        const { limit, offset } = parsePagination(req.query);
+        const { entries, total } = await getAccountHistory(accountId, { limit, offset });
+        const usernames = await counterpartyNames(entries);
+        return res.status(200).json({ accountId, entries, usernames, total, limit, offset });
+      }
+      default:
+        throw new ApiError(400, 'UNKNOWN_ACTION', `Unknown action ${req.query.action}`);
+    }
+  },
+
+  // POST /api/currency { action: 'transfer' | 'mint' | 'burn', ... } with an Idempotency-Key header
+  async POST(req, res) {
+    const body = getBody(req);
+    const action = body.action || req.query.action;
+    const idempotencyKey = requireIdempotencyKey(req, body);
+    const amount = parseAmount(body.amount);
+    const memo = typeof body.memo === 'string' ? body.memo.slice(0, 280) : null;
+
+    switch (action) {
+      case 'transfer': {
+        const fromUserId = requireUser(req);
+        const toUserId = await resolveRecipient(body);
+        return sendPosted(res, await transfer({ fromUserId, toUserId, amount, idempotencyKey, memo }));
+      }
+      case 'mint': {
+        const adminId = requireAdmin(req);
+        const toUserId = await requireUserId(body.to, 'to');
+        return sendPosted(res, await mint({ adminId, toUserId, amount, idempotencyKey, memo }));
+      }
+      case 'burn': {
+        const adminId = requireAdmin(req);
+        const fromUserId = await requireUserId(body.from, 'from');
+        return sendPosted(res, await burn({ adminId, fromUserId, amount, idempotencyKey, memo }));
+      }
+      default:
+        throw new ApiError(400, 'UNKNOWN_ACTION', `Unknown action ${action}`);
+    }
+  }
+});
@@ -1 +1,419 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { getSupabase, query, queryWithCount, withLock } from './supabase-config.js';
+import { getOwnedProject, getVersion } from './projects.js';
+import { ApiError, route, getBody, getUserId, requireUser, parsePagination } from './_http.js';
 
+// User-made games. Publishing pins a project version so later edits don't
+// break the live game; republishing moves the pin. Each play gets a session
+// whose HMAC-signed token must accompany the score, which binds the score to
+// one run of one game by one player and rejects replays and instant finishes.
+
+export const SCORE_ORDERS = ['desc', 'asc'];
+export const GAME_STATUSES = ['published', 'unlisted'];
+
+const PLAY_PATH = '/play/';
+const MAX_PLAYERS = 16;
+const SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+const MIN_SESSION_MS = 3000;
+const MAX_CONTROLS = 20;
+
+const SORTS = {
+  popular: ['play_count', false],
+  newest: ['published_at', false],
+  title: ['title', true]
+};
+
+// Without GAMES_SESSION_SECRET tokens only verify on the instance that issued
+// them. That is fine for local dev, so a random per-process secret stands in
+// there; production refuses to issue or check tokens without the real one.
+const DEV_SESSION_SECRET = randomBytes(32).toString('hex');
+
+function sessionSecret() {
+  if (process.env.GAMES_SESSION_SECRET) return process.env.GAMES_SESSION_SECRET;
+  if (process.env.NODE_ENV === 'production') {
+    throw new ApiError(500, 'SESSION_SECRET_MISSING', 'GAMES_SESSION_SECRET must be set in production');
+  }
+  return DEV_SESSION_SECRET;
+}
+
+function toGame(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    ownerId: row.owner_id,
+    title: row.title,
+    description: row.description,
+    thumbnailUrl: row.thumbnail_url,
+    controls: row.controls,
+    maxPlayers: row.max_players,
+    scoreOrder: row.score_order,
+    maxScore: row.max_score,
+    status: row.status,
+    version: row.project_version,
+    plays: row.play_count,
+    playUrl: `${PLAY_PATH}${row.id}`,
+    publishedAt: row.published_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function parseControls(value) {
+  if (!Array.isArray(value) || value.length > MAX_CONTROLS) {
+    throw new ApiError(400, 'INVALID_CONTROLS', `controls must be a list of at most ${MAX_CONTROLS} { keys, action } entries`);
+  }
+  return value.map((control) => {
+    if (!control || typeof control.keys !== 'string' || typeof control.action !== 'string') {
+      throw new ApiError(400, 'INVALID_CONTROLS', 'Each control needs keys and action strings');
+    }
+    return { keys: control.keys.slice(0, 40), action: control.action.slice(0, 80) };
+  });
+}
+
+function parseGameFields(body, { partial = false } = {}) {
+  const fields = {};
+  const has = (key) => body[key] !== undefined;
+
+  if (!partial || has('title')) {
+    if (typeof body.title !== 'string' || !body.title.trim()) {
+      throw new ApiError(400, 'INVALID_GAME', 'title is required');
+    }
+    fields.title = body.title.trim().slice(0, 100);
+  }
+  if (has('description')) fields.description = String(body.description).slice(0, 2000);
+  if (has('thumbnailUrl')) {
+    if (body.thumbnailUrl !== null && (typeof body.thumbnailUrl !== 'string' || !/^(https:\/\/|\/)/.test(body.thumbnailUrl))) {
+      throw new ApiError(400, 'INVALID_THUMBNAIL', 'thumbnailUrl must be an https:// or site-relative URL');
+    }
+    fields.thumbnail_url = body.thumbnailUrl;
+  }
+  if (has('controls')) fields.controls = parseControls(body.controls);
+  if (has('maxPlayers')) {
+    const maxPlayers = Number(body.maxPlayers);
+    if (!Number.isInteger(maxPlayers) || maxPlayers < 1 || maxPlayers > MAX_PLAYERS) {
+      throw new ApiError(400, 'INVALID_MAX_PLAYERS', `maxPlayers must be between 1 and ${MAX_PLAYERS}`);
+    }
+    fields.max_players = maxPlayers;
+  }
+  if (has('scoreOrder')) {
+    if (!SCORE_ORDERS.includes(body.scoreOrder)) {
+      throw new ApiError(400, 'INVALID_SCORE_ORDER', `scoreOrder must be one of ${SCORE_ORDERS.join(', ')}`);
+    }
+    fields.score_order = body.scoreOrder;
+  }
+  if (has('maxScore')) {
+    if (body.maxScore !== null && (!Number.isSafeInteger(body.maxScore) || body.maxScore <= 0)) {
+      throw new ApiError(400, 'INVALID_MAX_SCORE', 'maxScore must be a positive whole number or null');
+    }
+    fields.max_score = body.maxScore;
+  }
+  if (has('status')) {
+    if (!GAME_STATUSES.includes(body.status)) {
+      throw new ApiError(400, 'INVALID_STATUS', `status must be one of ${GAME_STATUSES.join(', ')}`);
+    }
+    fields.status = body.status;
+  }
+  return fields;
+}
+
+// ---- Session tokens ---------------------------------------------------------
+
+function sign(encoded) {
+  return createHmac('sha256', sessionSecret()).update(encoded).digest('base64url');
+}
+
+function issueToken(session) {
+  const encoded = Buffer.from(JSON.stringify({
+    sid: session.id,
+    gid: session.game_id,
+    uid: session.user_id,
+    exp: Date.parse(session.expires_at)
+  })).toString('base64url');
+  return `${encoded}.${sign(encoded)}`;
+}
+
+function verifyToken(token) {
+  const invalid = new ApiError(401, 'INVALID_SESSION_TOKEN', 'Game session token is invalid');
+  if (typeof token !== 'string') throw invalid;
+  const [encoded, signature] = token.split('.');
+  if (!encoded || !signature) throw invalid;
+  const expected = Buffer.from(sign(encoded));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) throw invalid;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch {
+    throw invalid;
+  }
+  if (!payload.exp || payload.exp < Date.now()) throw new ApiError(401, 'SESSION_EXPIRED', 'Game session has expired');
+  return payload;
+}
+
+// ---- Games ------------------------------------------------------------------
+
+export async function getGame(gameId) {
+  const row = await query(getSupabase().from('games').select('*').eq('id', gameId).maybeSingle());
+  if (!row) throw new ApiError(404, 'GAME_NOT_FOUND', 'Game not found');
+  return row;
+}
+
+async function getOwnedGame(gameId, userId) {
+  const game = await getGame(gameId);
+  if (game.owner_id !== userId) throw new ApiError(403, 'NOT_OWNER', 'You do not own this game');
+  return game;
+}
+
+// Promotes a project to a game, or re-pins an existing game to the project's
+// current version with any metadata changes
+export async function publishGame({ projectId, userId, fields }) {
+  return withLock(`game-project:${projectId}`, async () => {
+    const project = await getOwnedProject(projectId, userId);
+    const db = getSupabase();
+    const existing = await query(db.from('games').select('*').eq('project_id', project.id).maybeSingle());
+    const now = new Date().toISOString();
+
+    if (existing) {
+      const game = await query(
+        db.from('games')
+          .update({ ...parseGameFields(fields, { partial: true }), project_version: project.current_version, updated_at: now })
+          .eq('id', existing.id)
+          .select()
+          .single()
+      );
+      return { game, created: false };
+    }
+
+    const game = await query(
+      db.from('games')
+        .insert({
+          description: '',
+          thumbnail_url: null,
+          controls: [],
+          max_players: 1,
+          score_order: 'desc',
+          max_score: null,
+          status: 'published',
+          ...parseGameFields({ ...fields, title: fields.title ?? project.name }),
+          project_id: project.id,
+          owner_id: userId,
+          project_version: project.current_version,
+          play_count: 0,
+          published_at: now,
+          updated_at: now
+        })
+        .select()
+        .single()
+    );
+    return { game, created: true };
+  });
+}
+
+export async function updateGame({ gameId, userId, fields }) {
+  await getOwnedGame(gameId, userId);
+  return query(
+    getSupabase().from('games')
+      .update({ ...parseGameFields(fields, { partial: true }), updated_at: new Date().toISOString() })
+      .eq('id', gameId)
+      .select()
+      .single()
+  );
+}
+
+export async function unpublishGame({ gameId, userId }) {
+  await getOwnedGame(gameId, userId);
+  const db = getSupabase();
+  await query(db.from('game_leaderboard').delete().eq('game_id', gameId));
+  await query(db.from('game_scores').delete().eq('game_id', gameId));
+  await query(db.from('game_sessions').delete().eq('game_id', gameId));
+  await query(db.from('games').delete().eq('id', gameId));
+}
+
+export async function listGames({ sort = 'popular', ownerId, limit, offset }) {
+  const [column, ascending] = SORTS[sort] || SORTS.popular;
+  let builder = getSupabase().from('games').select('*', { count: 'exact' });
+  builder = ownerId ? builder.eq('owner_id', ownerId) : builder.eq('status', 'published');
+  const { rows, count } = await queryWithCount(
+    builder.order(column, { ascending }).range(offset, offset + limit - 1)
+  );
+  return { games: rows.map(toGame), total: count };
+}
+
+// Starts a run: returns the pinned files for the viewer runtime and, for
+// signed-in players, a token that authorizes exactly one score submission
+export async function startSession({ gameId, userId }) {
+  // Fails before counting the play when tokens can't be signed
+  if (userId) sessionSecret();
+  const db = getSupabase();
+  const game = await withLock(`game-plays:${gameId}`, async () => {
+    const row = await getGame(gameId);
+    return query(db.from('games').update({ play_count: row.play_count + 1 }).eq('id', gameId).select().single());
+  });
+  const version = await getVersion(game.project_id, game.project_version);
+
+  if (!userId) return { game, files: version.files, session: null };
+
+  const now = Date.now();
+  const session = await query(
+    db.from('game_sessions')
+      .insert({
+        game_id: game.id,
+        user_id: userId,
+        project_version: game.project_version,
+        started_at: new Date(now).toISOString(),
+        expires_at: new Date(now + SESSION_TTL_MS).toISOString(),
+        submitted_at: null
+      })
+      .select()
+      .single()
+  );
+  return { game, files: version.files, session: { id: session.id, token: issueToken(session), expiresAt: session.expires_at } };
+}
+
+function isBetter(game, score, best) {
+  return game.score_order === 'asc' ? score < best : score > best;
+}
+
+async function rankOf(game, bestScore) {
+  const builder = getSupabase().from('game_leaderboard').select('*', { count: 'exact', head: true }).eq('game_id', game.id);
+  const { count } = await queryWithCount(
+    game.score_order === 'asc' ? builder.lt('best_score', bestScore) : builder.gt('best_score', bestScore)
+  );
+  return count + 1;
+}
+
+export async function submitScore({ gameId, userId, token, score }) {
+  const claims = verifyToken(token);
+  if (claims.gid !== gameId || claims.uid !== userId) {
+    throw new ApiError(403, 'SESSION_MISMATCH', 'This session belongs to another game or player');
+  }
+  const game = await getGame(gameId);
+  if (!Number.isSafeInteger(score) || score < 0 || (game.max_score !== null && score > game.max_score)) {
+    throw new ApiError(400, 'INVALID_SCORE', 'score is out of range for this game');
+  }
+
+  const db = getSupabase();
+  const session = await query(db.from('game_sessions').select('*').eq('id', claims.sid).maybeSingle());
+  if (!session) throw new ApiError(401, 'INVALID_SESSION_TOKEN', 'Game session token is invalid');
+  const now = new Date();
+  if (now - new Date(session.started_at) < MIN_SESSION_MS) {
+    throw new ApiError(422, 'SESSION_TOO_SHORT', 'Score submitted too soon after the game started');
+  }
+
+  // Claiming the session is the guard against replaying a token
+  const claimed = await query(
+    db.from('game_sessions')
+      .update({ submitted_at: now.toISOString(), score })
+      .eq('id', session.id)
+      .is('submitted_at', null)
+      .select()
+  );
+  if (!claimed.length) throw new ApiError(409, 'SCORE_ALREADY_SUBMITTED', 'A score was already submitted for this session');
+
+  await query(
+    db.from('game_scores').insert({ game_id: gameId, user_id: userId, session_id: session.id, score })
+  );
+
+  const best = await withLock(`leaderboard:${gameId}:${userId}`, async () => {
+    const entry = await query(
+      db.from('game_leaderboard').select('*').eq('game_id', gameId).eq('user_id', userId).maybeSingle()
+    );
+    if (entry && !isBetter(game, score, entry.best_score)) return { score: entry.best_score, improved: false };
+    await query(
+      db.from('game_leaderboard').upsert(
+        { game_id: gameId, user_id: userId, best_score: score, achieved_at: now.toISOString() },
+        { onConflict: 'game_id,user_id' }
+      )
+    );
+    return { score, improved: true };
+  });
+
+  return { score, best: best.score, improved: best.improved, rank: await rankOf(game, best.score) };
+}
+
+export async function getLeaderboard(gameId, { limit, offset }) {
+  const game = await getGame(gameId);
+  const { rows, count } = await queryWithCount(
+    getSupabase().from('game_leaderboard')
+      .select('*', { count: 'exact' })
+      .eq('game_id', gameId)
+      .order('best_score', { ascending: game.score_order === 'asc' })
+      .order('achieved_at', { ascending: true })
+      .range(offset, offset + limit - 1)
+  );
+  return {
+    entries: rows.map((row, index) => ({
+      rank: offset + index + 1,
+      userId: row.user_id,
+      score: row.best_score,
+      achievedAt: row.achieved_at
+    })),
+    total: count
+  };
+}
+
+function requireId(req, body = {}) {
+  const id = body.id || req.query.id;
+  if (!id) throw new ApiError(400, 'GAME_ID_REQUIRED', 'id is required');
+  return id;
+}
+
+export default route({
+  // GET /api/games?sort=popular|newest|title        -> published games
+  // GET /api/games?mine=1                           -> my games, any status
+  // GET /api/games?id=                              -> one game
+  // GET /api/games?id=&action=leaderboard           -> best score per player
+  async GET(req, res) {
+    const { limit, offset } = parsePagination(req.query);
+    if (!req.query.id) {
+      const ownerId = req.query.mine ? requireUser(req) : undefined;
+      return res.status(200).json({ ...(await listGames({ sort: req.query.sort, ownerId, limit, offset })), limit, offset });
+    }
+    switch (req.query.action || 'game') {
+      case 'game':
+        return res.status(200).json({ game: toGame(await getGame(req.query.id)) });
+      case 'leaderboard':
+        return res.status(200).json({ ...(await getLeaderboard(req.query.id, { limit, offset })), limit, offset });
+      default:
+        throw new ApiError(400, 'UNKNOWN_ACTION', `Unknown action ${req.query.action}`);
+    }
+  },
+
+  // POST /api/games { action: 'publish', projectId, title, ... }
+  //                 | { action: 'play', id }             (guests play without a session)
+  //                 | { action: 'score', id, token, score }
+  async POST(req, res) {
+    const body = getBody(req);
+    switch (body.action || req.query.action) {
+      case 'publish': {
+        const { game, created } = await publishGame({ projectId: body.projectId, userId: requireUser(req), fields: body });
+        return res.status(created ? 201 : 200).json({ game: toGame(game) });
+      }
+      case 'play': {
+        const { game, files, session } = await startSession({ gameId: requireId(req, body), userId: getUserId(req) });
+        return res.status(200).json({ game: toGame(game), files, session });
+      }
+      case 'score': {
+        const result = await submitScore({
+          gameId: requireId(req, body),
+          userId: requireUser(req),
+          token: body.token,
+          score: body.score
+        });
+        return res.status(200).json(result);
+      }
+      default:
+        throw new ApiError(400, 'UNKNOWN_ACTION', `Unknown action ${body.action}`);
+    }
+  },
+
+  async PATCH(req, res) {
+    const game = await updateGame({ gameId: requireId(req), userId: requireUser(req), fields: getBody(req) });
+    return res.status(200).json({ game: toGame(game) });
+  },
+
+  async DELETE(req, res) {
+    await unpublishGame({ gameId: requireId(req), userId: requireUser(req) });
+    return res.status(204).end();
+  }
+});
@@ -1 +1,320 @@
+import { getSupabase, query, queryWithCount, withLock } from './supabase-config.js';
+import { postTransaction, findTransactionByKey, userAccountId } from './currency.js';
+import {
+  ApiError,
+  route,
+  getBody,
+  requireUser,
+  requireAdmin,
+  isUuid,
+  requireIdempotencyKey,
+  parseAmount,
+  parsePagination
+} from './_http.js';
 
+// Catalog of purchasable virtual items and per-user inventories. Every owned
+// copy is its own inventory_items row so it can later be traded on its own.
+
+export const RARITIES = ['common', 'uncommon', 'rare', 'epic', 'legendary'];
+export const TREASURY_ACCOUNT = 'system:treasury';
+
+const CATALOG_LOCK = 'catalog';
+const MAX_PER_PURCHASE = 10;
+
+const SORTS = {
+  newest: ['created_at', false],
+  oldest: ['created_at', true],
+  price: ['price', true],
+  '-price': ['price', false],
+  name: ['name', true],
+  '-name': ['name', false],
+  rarity: ['rarity_rank', true],
+  '-rarity': ['rarity_rank', false]
+};
+
+function toItem(row) {
+  return {
+    id: row.id,
+    slug: row.slug,
+    name: row.name,
+    description: row.description,
+    price: row.price,
+    rarity: row.rarity,
+    assetUrl: row.asset_url,
+    stockLimit: row.stock_limit,
+    sold: row.sold_count,
+    remaining: row.stock_limit === null ? null : row.stock_limit - row.sold_count,
+    active: row.active,
+    createdAt: row.created_at
+  };
+}
+
+function parseItemFields(body, { partial = false } = {}) {
+  const fields = {};
+  const has = (key) => body[key] !== undefined;
+
+  if (!partial || has('name')) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      throw new ApiError(400, 'INVALID_ITEM', 'name is required');
+    }
+    fields.name = body.name.trim().slice(0, 120);
+  }
+  if (has('description')) fields.description = String(body.description).slice(0, 2000);
+  if (!partial || has('price')) fields.price = parseAmount(body.price, 'price');
+  if (!partial || has('rarity')) {
+    if (!RARITIES.includes(body.rarity)) {
+      throw new ApiError(400, 'INVALID_RARITY', `rarity must be one of ${RARITIES.join(', ')}`);
+    }
+    fields.rarity = body.rarity;
+    fields.rarity_rank = RARITIES.indexOf(body.rarity);
+  }
+  if (!partial || has('assetUrl')) {
+    if (typeof body.assetUrl !== 'string' || !/\.(glb|gltf)(\?.*)?$/i.test(body.assetUrl)) {
+      throw new ApiError(400, 'INVALID_ASSET', 'assetUrl must point to a .glb or .gltf file');
+    }
+    fields.asset_url = body.assetUrl;
+  }
+  if (has('stockLimit')) {
+    fields.stock_limit = body.stockLimit === null ? null : parseAmount(body.stockLimit, 'stockLimit');
+  }
+  if (has('active')) fields.active = Boolean(body.active);
+  return fields;
+}
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+export async function getItem(itemId) {
+  const row = isUuid(itemId) ? await query(getSupabase().from('items').select('*').eq('id', itemId).maybeSingle()) : null;
+  if (!row) throw new ApiError(404, 'ITEM_NOT_FOUND', 'Item not found');
+  return row;
+}
+
+export async function createItem(fields) {
+  const db = getSupabase();
+  try {
+    const row = await query(
+      db.from('items')
+        .insert({ description: '', stock_limit: null, ...fields, slug: slugify(fields.name), sold_count: 0, active: true })
+        .select()
+        .single()
+    );
+    return toItem(row);
+  } catch (error) {
+    if (error.code === '23505') throw new ApiError(409, 'ITEM_EXISTS', 'An item with this name already exists');
+    throw error;
+  }
+}
+
+export async function updateItem(itemId, fields) {
+  const current = await getItem(itemId);
+  if (fields.stock_limit !== undefined && fields.stock_limit !== null && fields.stock_limit < current.sold_count) {
+    throw new ApiError(409, 'STOCK_BELOW_SOLD', 'Stock limit cannot be lower than the number already sold');
+  }
+  const row = await query(getSupabase().from('items').update(fields).eq('id', itemId).select().single());
+  return toItem(row);
+}
+
+export async function listCatalog({ rarity, minPrice, maxPrice, search, sort = 'newest', limit, offset }) {
+  const [column, ascending] = SORTS[sort] || SORTS.newest;
+  let builder = getSupabase().from('items').select('*', { count: 'exact' }).eq('active', true);
+  if (rarity && rarity.length) builder = builder.in('rarity', rarity);
+  if (minPrice !== undefined) builder = builder.gte('price', minPrice);
+  if (maxPrice !== undefined) builder = builder.lte('price', maxPrice);
+  if (search) builder = builder.ilike('name', `%${search}%`);
+
+  const { rows, count } = await queryWithCount(
+    builder.order(column, { ascending }).order('id').range(offset, offset + limit - 1)
+  );
+  return { items: rows.map(toItem), total: count };
+}
+
+export async function getInventory(userId) {
+  if (!isUuid(userId)) return [];
+  const db = getSupabase();
+  const owned = await query(
+    db.from('inventory_items').select('*').eq('owner_id', userId).order('acquired_at', { ascending: false })
+  );
+  if (!owned.length) return [];
+  const items = await query(db.from('items').select('*').in('id', [...new Set(owned.map((row) => row.item_id))]));
+  const byId = new Map(items.map((row) => [row.id, toItem(row)]));
+  return owned.map((row) => ({
+    id: row.id,
+    item: byId.get(row.item_id),
+    acquiredVia: row.acquired_via,
+    acquiredAt: row.acquired_at,
+    listingId: row.listing_id ?? null
+  }));
+}
+
+// Sells `quantity` more copies, failing rather than overselling when the
+// stock ran out since it was checked
+async function incrementSoldCount(itemId, quantity) {
+  try {
+    return await query(getSupabase().rpc('increment_item_sold_count', { p_item_id: itemId, p_quantity: quantity }));
+  } catch (error) {
+    if (error.message !== 'OUT_OF_STOCK') throw error;
+    throw new ApiError(409, 'OUT_OF_STOCK', 'Not enough stock left for this purchase', error.details ? JSON.parse(error.details) : undefined);
+  }
+}
+
+// What a refunded purchase failed with, kept on the refund so replaying the
+// purchase's key reports the same failure
+function describeFailure(error) {
+  return error instanceof ApiError
+    ? { status: error.status, code: error.code, message: error.message, details: error.details ?? null }
+    : { status: 500, code: 'PURCHASE_FAILED', message: 'The purchase could not be completed and was refunded', details: null };
+}
+
+// Debits the buyer and grants the copies in one step. Stock is checked up
+// front and sold with a conditional increment, so concurrent buyers cannot
+// oversell a limited item. A failed grant is compensated: the granted copies
+// are removed and the payment refunded, so money and items never diverge.
+export async function purchaseItem({ userId, itemId, quantity = 1, idempotencyKey }) {
+  const db = getSupabase();
+  const paymentKey = `purchase:${idempotencyKey}`;
+
+  return withLock(CATALOG_LOCK, async () => {
+    const previous = await findTransactionByKey(userId, paymentKey);
+    if (previous) {
+      if (previous.metadata.itemId !== itemId || previous.metadata.quantity !== quantity) {
+        throw new ApiError(409, 'IDEMPOTENCY_KEY_REUSED', 'Idempotency key was already used for a different request');
+      }
+      const refund = await findTransactionByKey(userId, `refund:${previous.id}`);
+      if (refund) {
+        const { status, code, message, details } = refund.metadata.failure;
+        throw new ApiError(status, code, message, details ?? undefined);
+      }
+      const granted = await query(db.from('inventory_items').select('*').eq('purchase_transaction_id', previous.id));
+      return { item: toItem(await getItem(itemId)), transaction: previous, granted, replayed: true };
+    }
+
+    const item = await getItem(itemId);
+    if (!item.active) throw new ApiError(409, 'ITEM_UNAVAILABLE', 'Item is not for sale');
+    const remaining = item.stock_limit === null ? Infinity : item.stock_limit - item.sold_count;
+    if (remaining < quantity) {
+      throw new ApiError(409, 'OUT_OF_STOCK', 'Not enough stock left for this purchase', { remaining });
+    }
+
+    const total = item.price * quantity;
+    const { transaction } = await postTransaction({
+      type: 'purchase',
+      actorId: userId,
+      idempotencyKey: paymentKey,
+      memo: `${quantity} × ${item.name}`,
+      metadata: { itemId, quantity, unitPrice: item.price },
+      entries: [
+        { accountId: userAccountId(userId), amount: -total },
+        { accountId: TREASURY_ACCOUNT, amount: total }
+      ]
+    });
+
+    try {
+      const granted = await query(
+        db.from('inventory_items')
+          .insert(
+            Array.from({ length: quantity }, () => ({
+              item_id: itemId,
+              owner_id: userId,
+              acquired_via: 'purchase',
+              acquired_at: new Date().toISOString(),
+              purchase_transaction_id: transaction.id,
+              listing_id: null
+            }))
+          )
+          .select()
+      );
+      const updated = await incrementSoldCount(itemId, quantity);
+      return { item: toItem(updated), transaction, granted, replayed: false };
+    } catch (error) {
+      await query(db.from('inventory_items').delete().eq('purchase_transaction_id', transaction.id));
+      await postTransaction({
+        type: 'refund',
+        actorId: userId,
+        idempotencyKey: `refund:${transaction.id}`,
+        memo: `Refund: ${item.name}`,
+        metadata: { itemId, quantity, refundOf: transaction.id, failure: describeFailure(error) },
+        entries: [
+          { accountId: TREASURY_ACCOUNT, amount: -total },
+          { accountId: userAccountId(userId), amount: total }
+        ]
+      });
+      throw error;
+    }
+  });
+}
+
+function parseList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(',')).map((v) => v.trim()).filter(Boolean);
+}
+
+function parseOptionalPrice(value, field) {
+  return value === undefined || value === '' ? undefined : parseAmount(value, field);
+}
+
+export default route({
+  // GET /api/items?action=catalog|item|inventory
+  async GET(req, res) {
+    switch (req.query.action || 'catalog') {
+      case 'catalog': {
+        const { limit, offset } = parsePagination(req.query);
+        const rarity = parseList(req.query.rarity);
+        const unknown = rarity.find((r) => !RARITIES.includes(r));
+        if (unknown) throw new ApiError(400, 'INVALID_RARITY', `Unknown rarity ${unknown}`);
+        if (req.query.sort && !SORTS[req.query.sort]) {
+          throw new ApiError(400, 'INVALID_SORT', `sort must be one of ${Object.keys(SORTS).join(', ')}`);
+        }
+        const { items, total } = await listCatalog({
+          rarity,
+          minPrice: parseOptionalPrice(req.query.minPrice, 'minPrice'),
+          maxPrice: parseOptionalPrice(req.query.maxPrice, 'maxPrice'),
+          search: req.query.search,
+          sort: req.query.sort,
+          limit,
+          offset
+        });
+        return res.status(200).json({ items, total, limit, offset });
+      }
+      case 'item':
+        return res.status(200).json({ item: toItem(await getItem(req.query.id)) });
+      case 'inventory': {
+        const userId = req.query.userId || requireUser(req);
+        return res.status(200).json({ userId, inventory: await getInventory(userId) });
+      }
+      default:
+        throw new ApiError(400, 'UNKNOWN_ACTION', `Unknown action ${req.query.action}`);
+    }
+  },
+
+  // POST /api/items { action: 'buy', itemId, quantity } | { action: 'create', ...item }
+  async POST(req, res) {
+    const body = getBody(req);
+    switch (body.action || req.query.action) {
+      case 'buy': {
+        const userId = requireUser(req);
+        const idempotencyKey = requireIdempotencyKey(req, body);
+        const quantity = body.quantity === undefined ? 1 : parseAmount(body.quantity, 'quantity');
+        if (quantity > MAX_PER_PURCHASE) {
+          throw new ApiError(400, 'INVALID_QUANTITY', `At most ${MAX_PER_PURCHASE} copies per purchase`);
+        }
+        const result = await purchaseItem({ userId, itemId: body.itemId, quantity, idempotencyKey });
+        return res.status(result.replayed ? 200 : 201).json(result);
+      }
+      case 'create': {
+        requireAdmin(req);
+        return res.status(201).json({ item: await createItem(parseItemFields(body)) });
+      }
+      default:
+        throw new ApiError(400, 'UNKNOWN_ACTION', `Unknown action ${body.action}`);
+    }
+  },
+
+  // PATCH /api/items?id=<itemId> (admin)
+  async PATCH(req, res) {
+    requireAdmin(req);
+    const item = await updateItem(req.query.id, parseItemFields(getBody(req), { partial: true }));
+    return res.status(200).json({ item });
+  }
+});
@@ -0,0 +1,577 @@
+import { randomUUID } from 'crypto';
+import { getSupabase, query, queryWithCount, withLock } from './supabase-config.js';
+import { postTransaction, getBalance, userAccountId } from './currency.js';
+import { getItem } from './items.js';
+import {
+  ApiError,
+  route,
+  getBody,
+  requireUser,
+  isAdmin,
+  getUserId,
+  isUuid,
+  requireIdempotencyKey,
+  parseAmount,
+  parsePagination
+} from './_http.js';
+
+// Peer-to-peer trading of owned inventory copies. A buyer's offer moves their
+// credits into an escrow account (escrow:<root offer id>) that always holds the
+// buyer's latest commitment; settlement releases it to the seller and hands the
+// item over, expiry refunds it.
+//
+// Listing lifecycle: open -> pending -> sold, or open -> cancelled | expired.
+// Offer lifecycle: open -> accepted -> settled, or open -> countered |
+// rejected | withdrawn | expired.
+
+export const LISTING_STATES = ['open', 'pending', 'sold', 'cancelled', 'expired'];
+
+const MARKET_LOCK = 'marketplace';
+const MARKET_ACTOR = 'system:marketplace';
+const HOUR = 60 * 60 * 1000;
+const DEFAULT_LISTING_HOURS = 24 * 7;
+const MAX_LISTING_HOURS = 24 * 30;
+const DEFAULT_OFFER_HOURS = 48;
+
+const LIVE_OFFER_STATES = ['open', 'accepted'];
+
+function toListing(row) {
+  return {
+    id: row.id,
+    sellerId: row.seller_id,
+    itemId: row.item_id,
+    inventoryItemId: row.inventory_item_id,
+    askPrice: row.ask_price,
+    status: row.status,
+    buyerId: row.buyer_id,
+    acceptedOfferId: row.accepted_offer_id,
+    expiresAt: row.expires_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toOffer(row) {
+  return {
+    id: row.id,
+    listingId: row.listing_id,
+    buyerId: row.buyer_id,
+    from: row.from_party,
+    amount: row.amount,
+    status: row.status,
+    parentOfferId: row.parent_offer_id,
+    expiresAt: row.expires_at,
+    createdAt: row.created_at
+  };
+}
+
+function hoursFromNow(hours, now = Date.now()) {
+  return new Date(now + hours * HOUR).toISOString();
+}
+
+// Offers never outlive the listing they were made on
+function offerExpiry(hours, listing) {
+  const expiresAt = hoursFromNow(hours);
+  return expiresAt < listing.expires_at ? expiresAt : listing.expires_at;
+}
+
+function parseHours(value, fallback, max) {
+  if (value === undefined) return fallback;
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > max) {
+    throw new ApiError(400, 'INVALID_DURATION', `Duration must be between 0 and ${max} hours`);
+  }
+  return hours;
+}
+
+async function getListing(listingId) {
+  const row = isUuid(listingId) ? await query(getSupabase().from('listings').select('*').eq('id', listingId).maybeSingle()) : null;
+  if (!row) throw new ApiError(404, 'LISTING_NOT_FOUND', 'Listing not found');
+  return row;
+}
+
+async function getOffer(offerId) {
+  const row = isUuid(offerId) ? await query(getSupabase().from('offers').select('*').eq('id', offerId).maybeSingle()) : null;
+  if (!row) throw new ApiError(404, 'OFFER_NOT_FOUND', 'Offer not found');
+  return row;
+}
+
+async function setListing(listingId, patch) {
+  return query(
+    getSupabase().from('listings')
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq('id', listingId)
+      .select()
+      .single()
+  );
+}
+
+async function setOffer(offerId, status) {
+  return query(getSupabase().from('offers').update({ status }).eq('id', offerId).select().single());
+}
+
+function moveFunds({ type, from, to, amount, key, actorId, metadata }) {
+  return postTransaction({
+    type,
+    actorId,
+    idempotencyKey: key,
+    metadata,
+    entries: [
+      { accountId: from, amount: -amount },
+      { accountId: to, amount }
+    ]
+  });
+}
+
+// Brings a negotiation's escrow to `amount`, topping up from or refunding to the buyer
+async function adjustEscrow(offer, amount) {
+  const held = await getBalance(offer.escrow_account);
+  const delta = amount - held;
+  if (delta === 0) return;
+  const buyerAccount = userAccountId(offer.buyer_id);
+  await moveFunds({
+    type: delta > 0 ? 'escrow_hold' : 'escrow_refund',
+    from: delta > 0 ? buyerAccount : offer.escrow_account,
+    to: delta > 0 ? offer.escrow_account : buyerAccount,
+    amount: Math.abs(delta),
+    key: `escrow-adjust:${offer.id}`,
+    actorId: MARKET_ACTOR,
+    metadata: { offerId: offer.id, listingId: offer.listing_id }
+  });
+}
+
+async function refundEscrow(offer, status) {
+  const held = await getBalance(offer.escrow_account);
+  if (held > 0) {
+    await moveFunds({
+      type: 'escrow_refund',
+      from: offer.escrow_account,
+      to: userAccountId(offer.buyer_id),
+      amount: held,
+      key: `escrow-refund:${offer.escrow_account}`,
+      actorId: MARKET_ACTOR,
+      metadata: { offerId: offer.id, listingId: offer.listing_id }
+    });
+  }
+  return setOffer(offer.id, status);
+}
+
+async function liveOffers(listingId) {
+  return query(getSupabase().from('offers').select('*').eq('listing_id', listingId).in('status', LIVE_OFFER_STATES));
+}
+
+export async function createListing({ sellerId, inventoryItemId, askPrice, hours, idempotencyKey }) {
+  const db = getSupabase();
+  return withLock(MARKET_LOCK, async () => {
+    const scopedKey = `${sellerId}:${idempotencyKey}`;
+    const previous = await query(db.from('listings').select('*').eq('idempotency_key', scopedKey).maybeSingle());
+    if (previous) return { listing: toListing(previous), replayed: true };
+
+    const copy = await query(db.from('inventory_items').select('*').eq('id', inventoryItemId).maybeSingle());
+    if (!copy || copy.owner_id !== sellerId) {
+      throw new ApiError(403, 'NOT_OWNER', 'You can only list items you own');
+    }
+    if (copy.listing_id) throw new ApiError(409, 'ALREADY_LISTED', 'This item is already listed');
+    await getItem(copy.item_id);
+
+    const now = new Date().toISOString();
+    const listing = await query(
+      db.from('listings')
+        .insert({
+          seller_id: sellerId,
+          item_id: copy.item_id,
+          inventory_item_id: inventoryItemId,
+          ask_price: askPrice,
+          status: 'open',
+          buyer_id: null,
+          accepted_offer_id: null,
+          idempotency_key: scopedKey,
+          expires_at: hoursFromNow(hours),
+          updated_at: now
+        })
+        .select()
+        .single()
+    );
+    await query(db.from('inventory_items').update({ listing_id: listing.id }).eq('id', inventoryItemId));
+    return { listing: toListing(listing), replayed: false };
+  });
+}
+
+export async function makeOffer({ buyerId, listingId, amount, hours, idempotencyKey, acceptImmediately = false }) {
+  const db = getSupabase();
+  return withLock(MARKET_LOCK, async () => {
+    const scopedKey = `${buyerId}:${idempotencyKey}`;
+    const previous = await query(db.from('offers').select('*').eq('idempotency_key', scopedKey).maybeSingle());
+    if (previous) return { offer: toOffer(previous), listing: toListing(await getListing(previous.listing_id)), replayed: true };
+
+    const listing = await getListing(listingId);
+    if (listing.status !== 'open' || listing.expires_at <= new Date().toISOString()) {
+      throw new ApiError(409, 'LISTING_CLOSED', 'Listing is no longer open');
+    }
+    if (listing.seller_id === buyerId) throw new ApiError(400, 'OWN_LISTING', 'Cannot make an offer on your own listing');
+    const mine = (await liveOffers(listingId)).filter((o) => o.buyer_id === buyerId);
+    if (mine.length) throw new ApiError(409, 'OFFER_EXISTS', 'You already have an open offer on this listing');
+
+    const offerId = randomUUID();
+    const offer = await query(
+      db.from('offers')
+        .insert({
+          id: offerId,
+          listing_id: listingId,
+          buyer_id: buyerId,
+          from_party: 'buyer',
+          amount,
+          status: 'open',
+          parent_offer_id: null,
+          escrow_account: `escrow:${offerId}`,
+          idempotency_key: scopedKey,
+          expires_at: offerExpiry(hours, listing)
+        })
+        .select()
+        .single()
+    );
+
+    try {
+      await moveFunds({
+        type: 'escrow_hold',
+        from: userAccountId(buyerId),
+        to: offer.escrow_account,
+        amount,
+        key: `escrow-hold:${offer.id}`,
+        actorId: MARKET_ACTOR,
+        metadata: { offerId: offer.id, listingId }
+      });
+    } catch (error) {
+      await query(db.from('offers').delete().eq('id', offer.id));
+      throw error;
+    }
+
+    if (acceptImmediately) {
+      return { ...(await acceptOffer({ userId: listing.seller_id, offer, listing })), replayed: false };
+    }
+    return { offer: toOffer(offer), listing: toListing(listing), replayed: false };
+  });
+}
+
+export async function counterOffer({ userId, offerId, amount }) {
+  const db = getSupabase();
+  return withLock(MARKET_LOCK, async () => {
+    const offer = await getOffer(offerId);
+    const listing = await getListing(offer.listing_id);
+    const counterParty = offer.from_party === 'buyer' ? 'seller' : 'buyer';
+    const expected = counterParty === 'seller' ? listing.seller_id : offer.buyer_id;
+    if (userId !== expected) throw new ApiError(403, 'FORBIDDEN', 'Only the other party can counter this offer');
+    if (offer.status !== 'open' || listing.status !== 'open') {
+      throw new ApiError(409, 'OFFER_CLOSED', 'Offer is no longer open');
+    }
+
+    const counter = await query(
+      db.from('offers')
+        .insert({
+          listing_id: offer.listing_id,
+          buyer_id: offer.buyer_id,
+          from_party: counterParty,
+          amount,
+          status: 'open',
+          parent_offer_id: offer.id,
+          escrow_account: offer.escrow_account,
+          idempotency_key: null,
+          expires_at: offerExpiry(DEFAULT_OFFER_HOURS, listing)
+        })
+        .select()
+        .single()
+    );
+    // A buyer's counter is a new commitment, so escrow follows it right away
+    if (counterParty === 'buyer') {
+      try {
+        await adjustEscrow(counter, amount);
+      } catch (error) {
+        await query(db.from('offers').delete().eq('id', counter.id));
+        throw error;
+      }
+    }
+    await setOffer(offer.id, 'countered');
+    return { offer: toOffer(counter), listing: toListing(listing) };
+  });
+}
+
+// Caller must hold MARKET_LOCK. That only serializes this instance, so the
+// listing is claimed with a conditional update: of two accepts racing on
+// different instances, one moves it from open to pending and the other
+// changes no row.
+async function acceptOffer({ userId, offer, listing }) {
+  const expected = offer.from_party === 'buyer' ? listing.seller_id : offer.buyer_id;
+  if (userId !== expected) throw new ApiError(403, 'FORBIDDEN', 'Only the other party can accept this offer');
+  if (offer.status !== 'open' || listing.status !== 'open') {
+    throw new ApiError(409, 'OFFER_CLOSED', 'Offer is no longer open');
+  }
+  const now = new Date().toISOString();
+  if (offer.expires_at <= now || listing.expires_at <= now) {
+    throw new ApiError(409, 'OFFER_EXPIRED', 'This offer or its listing has expired');
+  }
+
+  const db = getSupabase();
+  const claimed = await query(
+    db.from('listings')
+      .update({ status: 'pending', buyer_id: offer.buyer_id, accepted_offer_id: offer.id, updated_at: now })
+      .eq('id', listing.id)
+      .eq('status', 'open')
+      .is('accepted_offer_id', null)
+      .select()
+  );
+  if (!claimed.length) throw new ApiError(409, 'LISTING_CLOSED', 'Another offer on this listing was accepted first');
+
+  try {
+    await adjustEscrow(offer, offer.amount);
+  } catch (error) {
+    await query(
+      db.from('listings')
+        .update({ status: 'open', buyer_id: null, accepted_offer_id: null, updated_at: new Date().toISOString() })
+        .eq('id', listing.id)
+        .eq('accepted_offer_id', offer.id)
+    );
+    throw error;
+  }
+  await setOffer(offer.id, 'accepted');
+  return settleListing(listing.id);
+}
+
+export async function respondToOffer({ userId, offerId, response }) {
+  return withLock(MARKET_LOCK, async () => {
+    const offer = await getOffer(offerId);
+    const listing = await getListing(offer.listing_id);
+
+    if (response === 'accept') return acceptOffer({ userId, offer, listing });
+
+    if (offer.status !== 'open') throw new ApiError(409, 'OFFER_CLOSED', 'Offer is no longer open');
+    if (response === 'withdraw') {
+      if (userId !== offer.buyer_id || offer.from_party !== 'buyer') {
+        throw new ApiError(403, 'FORBIDDEN', 'Only the buyer can withdraw their offer');
+      }
+      return { offer: toOffer(await refundEscrow(offer, 'withdrawn')), listing: toListing(listing) };
+    }
+    // reject: the party the offer was made to ends the negotiation
+    const expected = offer.from_party === 'buyer' ? listing.seller_id : offer.buyer_id;
+    if (userId !== expected) throw new ApiError(403, 'FORBIDDEN', 'Only the other party can reject this offer');
+    return { offer: toOffer(await refundEscrow(offer, 'rejected')), listing: toListing(listing) };
+  });
+}
+
+export async function cancelListing({ userId, listingId }) {
+  return withLock(MARKET_LOCK, async () => {
+    const listing = await getListing(listingId);
+    if (listing.seller_id !== userId && !isAdmin(userId)) {
+      throw new ApiError(403, 'FORBIDDEN', 'Only the seller can cancel this listing');
+    }
+    if (listing.status !== 'open') throw new ApiError(409, 'LISTING_CLOSED', `Listing is already ${listing.status}`);
+    return { listing: toListing(await closeListing(listing, 'cancelled')) };
+  });
+}
+
+// Refunds every live negotiation and releases the item back to its owner
+async function closeListing(listing, status) {
+  for (const offer of await liveOffers(listing.id)) {
+    await refundEscrow(offer, status === 'expired' ? 'expired' : 'rejected');
+  }
+  await query(
+    getSupabase().from('inventory_items').update({ listing_id: null }).eq('id', listing.inventory_item_id).eq('listing_id', listing.id)
+  );
+  return setListing(listing.id, { status });
+}
+
+// Completes a pending trade. Every step is idempotent so the settlement job
+// can safely retry a listing that failed half way.
+async function settleListing(listingId) {
+  const db = getSupabase();
+  const listing = await getListing(listingId);
+  if (listing.status !== 'pending') return { listing: toListing(listing) };
+  const offer = await getOffer(listing.accepted_offer_id);
+
+  if ((await getBalance(offer.escrow_account)) > 0) {
+    await moveFunds({
+      type: 'escrow_release',
+      from: offer.escrow_account,
+      to: userAccountId(listing.seller_id),
+      amount: offer.amount,
+      key: `escrow-release:${offer.id}`,
+      actorId: MARKET_ACTOR,
+      metadata: { offerId: offer.id, listingId: listing.id }
+    });
+  }
+
+  await query(
+    db.from('inventory_items')
+      .update({ owner_id: listing.buyer_id, acquired_via: 'trade', acquired_at: new Date().toISOString(), listing_id: null })
+      .eq('id', listing.inventory_item_id)
+      .eq('listing_id', listing.id)
+  );
+
+  const { error } = await db.from('trades').insert({
+    listing_id: listing.id,
+    item_id: listing.item_id,
+    inventory_item_id: listing.inventory_item_id,
+    seller_id: listing.seller_id,
+    buyer_id: listing.buyer_id,
+    price: offer.amount,
+    settled_at: new Date().toISOString()
+  });
+  if (error && error.code !== '23505') throw new Error(error.message);
+
+  for (const other of await liveOffers(listing.id)) {
+    if (other.escrow_account !== offer.escrow_account) await refundEscrow(other, 'rejected');
+  }
+  await query(db.from('offers').update({ status: 'settled' }).eq('id', offer.id));
+  return { listing: toListing(await setListing(listing.id, { status: 'sold' })), offer: toOffer({ ...offer, status: 'settled' }) };
+}
+
+// Settlement job: finishes pending trades, expires stale listings and offers
+export async function runSettlement(now = new Date()) {
+  const db = getSupabase();
+  const timestamp = now.toISOString();
+  const summary = { settled: 0, expiredListings: 0, expiredOffers: 0 };
+
+  return withLock(MARKET_LOCK, async () => {
+    for (const listing of await query(db.from('listings').select('*').eq('status', 'pending'))) {
+      await settleListing(listing.id);
+      summary.settled += 1;
+    }
+
+    const stale = await query(db.from('listings').select('*').eq('status', 'open').lte('expires_at', timestamp));
+    for (const listing of stale) {
+      await closeListing(listing, 'expired');
+      summary.expiredListings += 1;
+    }
+
+    const offers = await query(db.from('offers').select('*').eq('status', 'open').lte('expires_at', timestamp));
+    for (const offer of offers) {
+      await refundEscrow(offer, 'expired');
+      summary.expiredOffers += 1;
+    }
+    return summary;
+  });
+}
+
+export async function listListings({ status = 'open', itemId, sellerId, limit, offset }) {
+  let builder = getSupabase().from('listings').select('*', { count: 'exact' }).eq('status', status);
+  if (itemId) builder = builder.eq('item_id', itemId);
+  if (sellerId) builder = builder.eq('seller_id', sellerId);
+  const { rows, count } = await queryWithCount(
+    builder.order('created_at', { ascending: false }).range(offset, offset + limit - 1)
+  );
+  return { listings: rows.map(toListing), total: count };
+}
+
+export async function getTradeHistory({ itemId, userId, limit, offset }) {
+  let builder = getSupabase().from('trades').select('*', { count: 'exact' });
+  if (itemId) builder = builder.eq('item_id', itemId);
+  if (userId) {
+    // The id goes into a PostgREST filter string, so it must be nothing but an id
+    if (!isUuid(userId)) throw new ApiError(400, 'INVALID_USER', 'userId must be a user id');
+    builder = builder.or(`seller_id.eq.${userId},buyer_id.eq.${userId}`);
+  }
+  const { rows, count } = await queryWithCount(
+    builder.order('settled_at', { ascending: false }).range(offset, offset + limit - 1)
+  );
+  const trades = rows.map((row) => ({
+    id: row.id,
+    listingId: row.listing_id,
+    itemId: row.item_id,
+    inventoryItemId: row.inventory_item_id,
+    sellerId: row.seller_id,
+    buyerId: row.buyer_id,
+    price: row.price,
+    settledAt: row.settled_at
+  }));
+  return { trades, total: count };
+}
+
+function isCron(req) {
+  const secret = process.env.CRON_SECRET;
+  return Boolean(secret) && req.headers.authorization === `Bearer ${secret}`;
+}
+
+export default route({
+  // GET /api/marketplace?action=listings|listing|trades|settle
+  async GET(req, res) {
+    switch (req.query.action || 'listings') {
+      case 'listings': {
+        const { limit, offset } = parsePagination(req.query);
+        const status = req.query.status || 'open';
+        if (!LISTING_STATES.includes(status)) {
+          throw new ApiError(400, 'INVALID_STATUS', `status must be one of ${LISTING_STATES.join(', ')}`);
+        }
+        const result = await listListings({ status, itemId: req.query.itemId, sellerId: req.query.sellerId, limit, offset });
+        return res.status(200).json({ ...result, limit, offset });
+      }
+      case 'listing': {
+        const listing = await getListing(req.query.id);
+        const viewer = getUserId(req);
+        const offers = await query(
+          getSupabase().from('offers').select('*').eq('listing_id', listing.id).order('created_at', { ascending: true })
+        );
+        // Negotiations are private to the seller and the buyer involved
+        const visible = offers.filter((o) => viewer && (viewer === listing.seller_id || viewer === o.buyer_id));
+        return res.status(200).json({ listing: toListing(listing), offers: visible.map(toOffer) });
+      }
+      case 'trades': {
+        const { limit, offset } = parsePagination(req.query);
+        const result = await getTradeHistory({ itemId: req.query.itemId, userId: req.query.userId, limit, offset });
+        return res.status(200).json({ ...result, limit, offset });
+      }
+      case 'settle': {
+        if (!isCron(req)) throw new ApiError(403, 'FORBIDDEN', 'Settlement is run by the scheduler');
+        return res.status(200).json(await runSettlement());
+      }
+      default:
+        throw new ApiError(400, 'UNKNOWN_ACTION', `Unknown action ${req.query.action}`);
+    }
+  },
+
+  // POST /api/marketplace { action: 'list' | 'buy' | 'offer' | 'counter' | 'accept' | 'reject' | 'withdraw' | 'cancel' | 'settle' }
+  async POST(req, res) {
+    const body = getBody(req);
+    const action = body.action || req.query.action;
+
+    if (action === 'settle') {
+      if (!isCron(req) && !isAdmin(getUserId(req))) throw new ApiError(403, 'FORBIDDEN', 'Admin privileges required');
+      return res.status(200).json(await runSettlement());
+    }
+
+    const userId = requireUser(req);
+    switch (action) {
+      case 'list': {
+        const result = await createListing({
+          sellerId: userId,
+          inventoryItemId: body.inventoryItemId,
+          askPrice: parseAmount(body.askPrice, 'askPrice'),
+          hours: parseHours(body.durationHours, DEFAULT_LISTING_HOURS, MAX_LISTING_HOURS),
+          idempotencyKey: requireIdempotencyKey(req, body)
+        });
+        return res.status(result.replayed ? 200 : 201).json(result);
+      }
+      case 'buy':
+      case 'offer': {
+        const listing = await getListing(body.listingId);
+        const result = await makeOffer({
+          buyerId: userId,
+          listingId: listing.id,
+          amount: action === 'buy' ? listing.ask_price : parseAmount(body.amount),
+          hours: parseHours(body.durationHours, DEFAULT_OFFER_HOURS, MAX_LISTING_HOURS),
+          idempotencyKey: requireIdempotencyKey(req, body),
+          acceptImmediately: action === 'buy'
+        });
+        return res.status(result.replayed ? 200 : 201).json(result);
+      }
+      case 'counter':
+        return res.status(201).json(await counterOffer({ userId, offerId: body.offerId, amount: parseAmount(body.amount) }));
+      case 'accept':
+      case 'reject':
+      case 'withdraw':
+        return res.status(200).json(await respondToOffer({ userId, offerId: body.offerId, response: action }));
+      case 'cancel':
+        return res.status(200).json(await cancelListing({ userId, listingId: body.listingId }));
+      default:
+        throw new ApiError(400, 'UNKNOWN_ACTION', `Unknown action ${action}`);
+    }
+  }
+});
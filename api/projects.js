@@ -1 +1,648 @@
+import { randomBytes } from 'crypto';
+import { getSupabase, query, queryWithCount, withLock } from './supabase-config.js';
+import { diffFiles } from './_diff.js';
+import { archiveFilename, exportProjectArchive, readImportSource } from './_project-archive.js';
+import { ApiError, route, getBody, requireUser, requireAdmin, isUuid, parsePagination } from './_http.js';
 
+// User projects with multi-file contents. Every save that changes anything
+// writes an immutable row to project_versions; restoring an old version is
+// itself a new save, so history only ever grows. Owners can add collaborators,
+// who may open and save the project but not share, restore or delete it.
+
+const MAX_FILES = 200;
+const MAX_FILE_BYTES = 512 * 1024;
+const MAX_PROJECT_BYTES = 5 * 1024 * 1024;
+const SHARE_PATH = '/p/';
+const MAX_COLLABORATORS = 20;
+const MAX_MESSAGE = 200;
+const IMPORT_CONFLICTS = ['rename', 'overwrite'];
+
+function toProject(row, { withFiles = true } = {}) {
+  return {
+    id: row.id,
+    ownerId: row.owner_id,
+    name: row.name,
+    description: row.description,
+    version: row.current_version,
+    ...(withFiles ? { files: row.files } : { fileCount: Object.keys(row.files).length }),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toVersion(row, { withFiles = false } = {}) {
+  return {
+    version: row.version,
+    message: row.message,
+    authorId: row.author_id,
+    name: row.name,
+    description: row.description,
+    ...(withFiles ? { files: row.files } : { fileCount: Object.keys(row.files).length }),
+    createdAt: row.created_at
+  };
+}
+
+export function normalizePath(path) {
+  if (typeof path !== 'string') throw new ApiError(400, 'INVALID_PATH', 'File paths must be strings');
+  const parts = path.replace(/\\/g, '/').split('/').filter((part) => part && part !== '.');
+  if (!parts.length || parts.some((part) => part === '..') || parts.join('/').length > 255) {
+    throw new ApiError(400, 'INVALID_PATH', `Invalid file path ${path}`);
+  }
+  return parts.join('/');
+}
+
+export function validateFiles(files) {
+  if (!files || typeof files !== 'object' || Array.isArray(files)) {
+    throw new ApiError(400, 'INVALID_FILES', 'files must be an object of path -> content');
+  }
+  const normalized = {};
+  let total = 0;
+  for (const [path, content] of Object.entries(files)) {
+    if (typeof content !== 'string') throw new ApiError(400, 'INVALID_FILES', `Content of ${path} must be a string`);
+    const bytes = Buffer.byteLength(content, 'utf8');
+    if (bytes > MAX_FILE_BYTES) throw new ApiError(413, 'FILE_TOO_LARGE', `${path} exceeds ${MAX_FILE_BYTES} bytes`);
+    total += bytes;
+    const key = normalizePath(path);
+    if (Object.hasOwn(normalized, key)) throw new ApiError(400, 'DUPLICATE_PATH', `${path} is the same file as another path, ${key}`);
+    normalized[key] = content;
+  }
+  if (Object.keys(normalized).length > MAX_FILES) {
+    throw new ApiError(413, 'TOO_MANY_FILES', `Projects are limited to ${MAX_FILES} files`);
+  }
+  if (total > MAX_PROJECT_BYTES) throw new ApiError(413, 'PROJECT_TOO_LARGE', 'Project exceeds the size limit');
+  return normalized;
+}
+
+function parseName(value) {
+  if (typeof value !== 'string' || !value.trim()) throw new ApiError(400, 'INVALID_NAME', 'name is required');
+  return value.trim().slice(0, 100);
+}
+
+// Version numbers arrive as query strings or JSON; Postgres rejects NaN
+function parseVersion(value, field = 'version') {
+  const version = Number(value);
+  if (value === null || value === '' || !Number.isInteger(version) || version < 1) {
+    throw new ApiError(400, 'INVALID_VERSION', `${field} must be a positive integer`);
+  }
+  return version;
+}
+
+async function findProject(projectId) {
+  const row = isUuid(projectId) ? await query(getSupabase().from('projects').select('*').eq('id', projectId).maybeSingle()) : null;
+  if (!row) throw new ApiError(404, 'PROJECT_NOT_FOUND', 'Project not found');
+  return row;
+}
+
+// Loads a project and enforces that `userId` owns it
+export async function getOwnedProject(projectId, userId) {
+  const row = await findProject(projectId);
+  if (row.owner_id !== userId) throw new ApiError(403, 'NOT_OWNER', 'You do not own this project');
+  return row;
+}
+
+// Loads a project that `userId` may edit, as its owner or a collaborator
+export async function getEditableProject(projectId, userId) {
+  const row = await findProject(projectId);
+  if (row.owner_id === userId) return row;
+  const membership = await query(
+    getSupabase().from('project_collaborators').select('id').eq('project_id', projectId).eq('user_id', userId).maybeSingle()
+  );
+  if (!membership) throw new ApiError(403, 'NOT_COLLABORATOR', 'You do not have access to this project');
+  return row;
+}
+
+async function snapshot(project, { authorId, message }) {
+  await query(
+    getSupabase().from('project_versions').insert({
+      project_id: project.id,
+      version: project.current_version,
+      name: project.name,
+      description: project.description,
+      files: project.files,
+      message,
+      author_id: authorId
+    })
+  );
+}
+
+export async function createProject({ ownerId, name, description = '', files = {}, message = 'Initial version' }) {
+  const now = new Date().toISOString();
+  const project = await query(
+    getSupabase().from('projects')
+      .insert({
+        owner_id: ownerId,
+        name: parseName(name),
+        description: String(description).slice(0, 1000),
+        files: validateFiles(files),
+        current_version: 1,
+        updated_at: now
+      })
+      .select()
+      .single()
+  );
+  await snapshot(project, { authorId: ownerId, message });
+  return project;
+}
+
+// Applies a save. `files` replaces the whole tree unless `merge` is set, in
+// which case it is a patch where a null value deletes that path. Passing the
+// `baseVersion` the client edited guards against overwriting someone else's save.
+export async function saveProject({ projectId, userId, name, description, files, merge = false, message, baseVersion }) {
+  return withLock(`project:${projectId}`, async () => {
+    const current = await getEditableProject(projectId, userId);
+    if (baseVersion !== undefined && baseVersion !== null && Number(baseVersion) !== current.current_version) {
+      throw new ApiError(409, 'VERSION_CONFLICT', 'Project was saved elsewhere since you loaded it', {
+        currentVersion: current.current_version
+      });
+    }
+
+    let nextFiles = current.files;
+    if (files !== undefined) {
+      if (merge) {
+        nextFiles = { ...current.files };
+        const patched = new Set();
+        for (const [path, content] of Object.entries(files || {})) {
+          const key = normalizePath(path);
+          if (patched.has(key)) throw new ApiError(400, 'DUPLICATE_PATH', `${path} is the same file as another path, ${key}`);
+          patched.add(key);
+          if (content === null) delete nextFiles[key];
+          else nextFiles[key] = content;
+        }
+      } else {
+        nextFiles = files;
+      }
+      nextFiles = validateFiles(nextFiles);
+    }
+
+    const next = {
+      name: name === undefined ? current.name : parseName(name),
+      description: description === undefined ? current.description : String(description).slice(0, 1000),
+      files: nextFiles
+    };
+    const unchanged = next.name === current.name
+      && next.description === current.description
+      && JSON.stringify(next.files) === JSON.stringify(current.files);
+    if (unchanged) return { project: current, created: false };
+
+    const project = await query(
+      getSupabase().from('projects')
+        .update({ ...next, current_version: current.current_version + 1, updated_at: new Date().toISOString() })
+        .eq('id', projectId)
+        .select()
+        .single()
+    );
+    await snapshot(project, { authorId: userId, message: message || `Version ${project.current_version}` });
+    return { project, created: true };
+  });
+}
+
+export async function getVersion(projectId, version, field) {
+  const row = await query(
+    getSupabase().from('project_versions').select('*').eq('project_id', projectId).eq('version', parseVersion(version, field)).maybeSingle()
+  );
+  if (!row) throw new ApiError(404, 'VERSION_NOT_FOUND', `Version ${version} not found`);
+  return row;
+}
+
+export async function listVersions(projectId, { limit, offset }) {
+  const { rows, count } = await queryWithCount(
+    getSupabase().from('project_versions')
+      .select('*', { count: 'exact' })
+      .eq('project_id', projectId)
+      .order('version', { ascending: false })
+      .range(offset, offset + limit - 1)
+  );
+  return { versions: rows.map((row) => toVersion(row)), total: count };
+}
+
+export async function diffVersions(projectId, from, to) {
+  const [before, after] = await Promise.all([getVersion(projectId, from, 'from'), getVersion(projectId, to, 'to')]);
+  return { from: before.version, to: after.version, files: diffFiles(before.files, after.files) };
+}
+
+export async function restoreVersion({ projectId, userId, version }) {
+  await getOwnedProject(projectId, userId);
+  const old = await getVersion(projectId, version);
+  return saveProject({
+    projectId,
+    userId,
+    name: old.name,
+    description: old.description,
+    files: old.files,
+    message: `Restored version ${old.version}`
+  });
+}
+
+async function allVersions(projectId) {
+  const rows = [];
+  for (let offset = 0; ; offset += 100) {
+    const page = await query(
+      getSupabase().from('project_versions')
+        .select('*')
+        .eq('project_id', projectId)
+        .order('version', { ascending: true })
+        .range(offset, offset + 99)
+    );
+    rows.push(...page);
+    if (page.length < 100) return rows;
+  }
+}
+
+// Zip of the current files plus the whole version history
+export async function exportProject(row) {
+  const project = toProject(row);
+  const versions = (await allVersions(row.id)).map((version) => toVersion(version, { withFiles: true }));
+  return { filename: archiveFilename(project), archive: exportProjectArchive(project, versions) };
+}
+
+// "Name (2)", "Name (3)", ... whichever the owner doesn't have yet
+function freeName(name, taken) {
+  for (let n = 2; ; n += 1) {
+    const suffix = ` (${n})`;
+    const candidate = `${name.slice(0, 100 - suffix.length)}${suffix}`;
+    if (!taken.has(candidate.toLowerCase())) return candidate;
+  }
+}
+
+// Imports a source from _project-archive.js. Its versions become the new
+// project's history, keeping their messages and dates. If the owner already
+// has a project by that name (ignoring case), `onConflict` decides: 'rename'
+// picks a free name, 'overwrite' saves the imported tree over the existing
+// project as one new version; without it the import fails with
+// NAME_CONFLICT and a suggested name.
+export async function importProject({ ownerId, source, name, onConflict }) {
+  if (onConflict !== undefined && onConflict !== null && !IMPORT_CONFLICTS.includes(onConflict)) {
+    throw new ApiError(400, 'INVALID_CONFLICT_MODE', `onConflict must be ${IMPORT_CONFLICTS.join(' or ')}`);
+  }
+  if (!source.versions.length) throw new ApiError(400, 'NOTHING_TO_IMPORT', 'The source has no files');
+  const versions = source.versions.map((version) => ({ ...version, files: validateFiles(version.files) }));
+  const latest = versions[versions.length - 1];
+  const wanted = parseName(name || source.name || latest.name);
+  const description = String(latest.description ?? source.description ?? '').slice(0, 1000);
+  const message = `Imported from ${source.origin}`;
+
+  return withLock(`project-import:${ownerId}`, async () => {
+    const db = getSupabase();
+    const owned = await query(db.from('projects').select('id, name').eq('owner_id', ownerId));
+    const taken = new Map(owned.map((row) => [row.name.toLowerCase(), row]));
+    const existing = taken.get(wanted.toLowerCase());
+
+    if (existing && onConflict === 'overwrite') {
+      const { project } = await saveProject({ projectId: existing.id, userId: ownerId, description, files: latest.files, message });
+      return { project, overwritten: true };
+    }
+    if (existing && onConflict !== 'rename') {
+      throw new ApiError(409, 'NAME_CONFLICT', `You already have a project named ${existing.name}`, {
+        projectId: existing.id,
+        name: existing.name,
+        suggestedName: freeName(wanted, taken)
+      });
+    }
+
+    const projectName = existing ? freeName(wanted, taken) : wanted;
+    const project = await query(
+      db.from('projects')
+        .insert({
+          owner_id: ownerId,
+          name: projectName,
+          description,
+          files: latest.files,
+          current_version: versions.length,
+          updated_at: new Date().toISOString()
+        })
+        .select()
+        .single()
+    );
+    const now = new Date().toISOString();
+    // A renamed import carries the new name back through the versions that
+    // had the old one, so restoring them doesn't bring the clash back
+    const renamed = (version) => (!version.name || version.name === latest.name ? projectName : parseName(version.name));
+    await query(db.from('project_versions').insert(versions.map((version, index) => {
+      const current = index === versions.length - 1;
+      return {
+        project_id: project.id,
+        version: index + 1,
+        name: current ? projectName : renamed(version),
+        description: current ? description : String(version.description ?? description).slice(0, 1000),
+        files: version.files,
+        message: (version.message || message).slice(0, MAX_MESSAGE),
+        author_id: ownerId,
+        created_at: version.createdAt || now
+      };
+    })));
+    return { project, overwritten: false };
+  });
+}
+
+export async function deleteProject({ projectId, userId }) {
+  return withLock(`project:${projectId}`, async () => {
+    await getOwnedProject(projectId, userId);
+    const db = getSupabase();
+    await query(db.from('games').delete().eq('project_id', projectId));
+    await query(db.from('project_shares').delete().eq('project_id', projectId));
+    await query(db.from('project_collaborators').delete().eq('project_id', projectId));
+    await query(db.from('project_versions').delete().eq('project_id', projectId));
+    await query(db.from('projects').delete().eq('id', projectId));
+  });
+}
+
+// Projects the user owns plus those they collaborate on
+export async function listProjects(userId, { limit, offset }) {
+  const db = getSupabase();
+  const memberships = await query(db.from('project_collaborators').select('project_id').eq('user_id', userId));
+  const access = [`owner_id.eq.${userId}`, ...memberships.map((row) => `id.eq.${row.project_id}`)].join(',');
+  const { rows, count } = await queryWithCount(
+    db.from('projects')
+      .select('*', { count: 'exact' })
+      .or(access)
+      .order('updated_at', { ascending: false })
+      .range(offset, offset + limit - 1)
+  );
+  return { projects: rows.map((row) => toProject(row, { withFiles: false })), total: count };
+}
+
+// Collaborators are added by username and listed with it
+
+export async function listCollaborators(projectId) {
+  const db = getSupabase();
+  const rows = await query(
+    db.from('project_collaborators').select('*').eq('project_id', projectId).order('created_at', { ascending: true })
+  );
+  if (!rows.length) return [];
+  const users = await query(db.from('users').select('id, username').in('id', rows.map((row) => row.user_id)));
+  const names = new Map(users.map((user) => [user.id, user.username]));
+  return rows.map((row) => ({ userId: row.user_id, username: names.get(row.user_id) || null, addedAt: row.created_at }));
+}
+
+export async function addCollaborator({ projectId, userId, username }) {
+  return withLock(`collaborators:${projectId}`, async () => {
+    const project = await getOwnedProject(projectId, userId);
+    const name = typeof username === 'string' ? username.trim().toLowerCase() : '';
+    if (!name) throw new ApiError(400, 'USERNAME_REQUIRED', 'username is required');
+    const db = getSupabase();
+    const user = await query(db.from('users').select('id, username').eq('username', name).maybeSingle());
+    if (!user) throw new ApiError(404, 'USER_NOT_FOUND', `No user named ${name}`);
+    if (user.id === project.owner_id) throw new ApiError(400, 'ALREADY_OWNER', 'The owner already has access');
+
+    const { rows, count } = await queryWithCount(
+      db.from('project_collaborators').select('user_id', { count: 'exact' }).eq('project_id', projectId)
+    );
+    if (rows.some((row) => row.user_id === user.id)) return listCollaborators(projectId);
+    if (count >= MAX_COLLABORATORS) {
+      throw new ApiError(409, 'TOO_MANY_COLLABORATORS', `Projects are limited to ${MAX_COLLABORATORS} collaborators`);
+    }
+    const { error } = await db.from('project_collaborators').insert({ project_id: projectId, user_id: user.id, added_by: userId });
+    if (error && error.code !== '23505') throw new Error(error.message);
+    return listCollaborators(projectId);
+  });
+}
+
+// Owners remove anyone; collaborators can remove themselves
+export async function removeCollaborator({ projectId, userId, collaboratorId }) {
+  const project = await findProject(projectId);
+  if (project.owner_id !== userId && collaboratorId !== userId) {
+    throw new ApiError(403, 'NOT_OWNER', 'You do not own this project');
+  }
+  await query(
+    getSupabase().from('project_collaborators').delete().eq('project_id', projectId).eq('user_id', collaboratorId)
+  );
+  return listCollaborators(projectId);
+}
+
+// Public read-only links. Each project has at most one active slug; rotating
+// revokes it and mints a new one, and every link keeps its own view count.
+
+function toShare(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    slug: row.slug,
+    status: row.status,
+    url: `${SHARE_PATH}${row.slug}`,
+    embedUrl: `${SHARE_PATH}${row.slug}?embed=1`,
+    views: row.view_count,
+    createdAt: row.created_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+async function activeShare(projectId) {
+  return query(
+    getSupabase().from('project_shares').select('*').eq('project_id', projectId).eq('status', 'active').maybeSingle()
+  );
+}
+
+async function revokeActiveShare(projectId) {
+  await query(
+    getSupabase().from('project_shares')
+      .update({ status: 'revoked', revoked_at: new Date().toISOString() })
+      .eq('project_id', projectId)
+      .eq('status', 'active')
+  );
+}
+
+async function mintShare(project) {
+  return query(
+    getSupabase().from('project_shares')
+      .insert({
+        project_id: project.id,
+        owner_id: project.owner_id,
+        slug: randomBytes(8).toString('base64url').slice(0, 10),
+        status: 'active',
+        view_count: 0,
+        revoked_at: null
+      })
+      .select()
+      .single()
+  );
+}
+
+export async function shareProject({ projectId, userId, rotate = false }) {
+  return withLock(`share:${projectId}`, async () => {
+    const project = await getOwnedProject(projectId, userId);
+    const existing = await activeShare(projectId);
+    if (existing && !rotate) return existing;
+    if (existing) await revokeActiveShare(projectId);
+    return mintShare(project);
+  });
+}
+
+export async function revokeShare({ projectId, userId }) {
+  return withLock(`share:${projectId}`, async () => {
+    await getOwnedProject(projectId, userId);
+    await revokeActiveShare(projectId);
+  });
+}
+
+export async function listShares(projectId) {
+  return query(
+    getSupabase().from('project_shares').select('*').eq('project_id', projectId).order('created_at', { ascending: false })
+  );
+}
+
+// Resolves a public slug and counts the view. Revoked and unknown slugs look
+// the same from outside.
+export async function openSharedProject(slug) {
+  const db = getSupabase();
+  return withLock(`share-view:${slug}`, async () => {
+    const share = await query(db.from('project_shares').select('*').eq('slug', String(slug)).maybeSingle());
+    if (!share || share.status !== 'active') throw new ApiError(404, 'SHARE_NOT_FOUND', 'This link does not exist or was revoked');
+    const project = await findProject(share.project_id);
+    await query(db.from('project_shares').update({ view_count: share.view_count + 1 }).eq('id', share.id));
+    return { project, views: share.view_count + 1 };
+  });
+}
+
+function requireId(req) {
+  if (!req.query.id) throw new ApiError(400, 'PROJECT_ID_REQUIRED', 'id is required');
+  return req.query.id;
+}
+
+async function update(req, res, { merge }) {
+  const userId = requireUser(req);
+  const body = getBody(req);
+  const { project, created } = await saveProject({
+    projectId: requireId(req),
+    userId,
+    name: body.name,
+    description: body.description,
+    files: body.files,
+    merge,
+    message: typeof body.message === 'string' ? body.message.slice(0, MAX_MESSAGE) : undefined,
+    baseVersion: body.baseVersion
+  });
+  return res.status(200).json({ project: toProject(project), created });
+}
+
+export default route({
+  // GET /api/projects                              -> my projects
+  // GET /api/projects?id=                          -> project with files
+  // GET /api/projects?id=&action=versions          -> version history
+  // GET /api/projects?id=&action=version&version=  -> one snapshot
+  // GET /api/projects?id=&action=diff&from=&to=    -> per-file line diff
+  // GET /api/projects?share=<slug>                -> public read-only project (no auth)
+  // GET /api/projects?id=&action=shares            -> share links with view counts (owner)
+  // GET /api/projects?id=&action=collaborators     -> people who can edit it
+  // GET /api/projects?id=&action=export            -> zip of the files and history
+  async GET(req, res) {
+    if (req.query.share) {
+      const { project, views } = await openSharedProject(req.query.share);
+      return res.status(200).json({
+        project: {
+          name: project.name,
+          description: project.description,
+          version: project.current_version,
+          files: project.files,
+          updatedAt: project.updated_at
+        },
+        views
+      });
+    }
+
+    const userId = requireUser(req);
+    if (!req.query.id) {
+      const { limit, offset } = parsePagination(req.query);
+      return res.status(200).json({ ...(await listProjects(userId, { limit, offset })), limit, offset });
+    }
+
+    const action = req.query.action || 'project';
+    const project = action === 'shares'
+      ? await getOwnedProject(req.query.id, userId)
+      : await getEditableProject(req.query.id, userId);
+    switch (action) {
+      case 'project':
+        return res.status(200).json({ project: toProject(project) });
+      case 'versions': {
+        const { limit, offset } = parsePagination(req.query, { defaultLimit: 50 });
+        return res.status(200).json({ ...(await listVersions(project.id, { limit, offset })), limit, offset });
+      }
+      case 'version':
+        return res.status(200).json({ version: toVersion(await getVersion(project.id, req.query.version), { withFiles: true }) });
+      case 'shares':
+        return res.status(200).json({ shares: (await listShares(project.id)).map(toShare) });
+      case 'collaborators':
+        return res.status(200).json({ collaborators: await listCollaborators(project.id) });
+      case 'diff': {
+        // A project's first version is 1, which diffs against itself
+        const from = req.query.from ?? Math.max(project.current_version - 1, 1);
+        const to = req.query.to ?? project.current_version;
+        return res.status(200).json(await diffVersions(project.id, from, to));
+      }
+      case 'export': {
+        const { filename, archive } = await exportProject(project);
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        return res.status(200).send(archive);
+      }
+      default:
+        throw new ApiError(400, 'UNKNOWN_ACTION', `Unknown action ${req.query.action}`);
+    }
+  },
+
+  // POST /api/projects { name, description, files }
+  //                    | { action: 'restore', id, version }
+  //                    | { action: 'share' | 'rotate-share' | 'revoke-share', id }
+  //                    | { action: 'add-collaborator', id, username }
+  //                    | { action: 'remove-collaborator', id, userId }
+  //                    | { action: 'import', source: 'zip', data (base64), filename?, name?, onConflict? }
+  //                    | { action: 'import', source: 'git', url, ref?, name?, onConflict? }
+  //                    | { action: 'import', source: 'directory' | 'git', path, ref?, name?, onConflict? } (admins)
+  async POST(req, res) {
+    const userId = requireUser(req);
+    const body = getBody(req);
+    const projectId = body.id || req.query.id;
+    const action = body.action || req.query.action;
+    switch (action) {
+      case 'restore': {
+        const { project } = await restoreVersion({ projectId, userId, version: body.version });
+        return res.status(200).json({ project: toProject(project) });
+      }
+      case 'share':
+      case 'rotate-share': {
+        const share = await shareProject({ projectId, userId, rotate: action === 'rotate-share' });
+        return res.status(200).json({ share: toShare(share) });
+      }
+      case 'revoke-share':
+        await revokeShare({ projectId, userId });
+        return res.status(200).json({ revoked: true });
+      case 'add-collaborator':
+        return res.status(200).json({ collaborators: await addCollaborator({ projectId, userId, username: body.username }) });
+      case 'remove-collaborator':
+        return res.status(200).json({
+          collaborators: await removeCollaborator({ projectId, userId, collaboratorId: body.userId })
+        });
+      case 'import': {
+        // Server paths are admin-only; remote URLs are vetted against the allowed hosts
+        if (body.source === 'directory' || (body.source === 'git' && !body.url)) requireAdmin(req);
+        const source = await readImportSource(body);
+        const { project, overwritten } = await importProject({
+          ownerId: userId,
+          source,
+          name: body.name,
+          onConflict: body.onConflict
+        });
+        return res.status(overwritten ? 200 : 201).json({ project: toProject(project), overwritten, skipped: source.skipped });
+      }
+      case undefined:
+        break;
+      default:
+        throw new ApiError(400, 'UNKNOWN_ACTION', `Unknown action ${action}`);
+    }
+    const project = await createProject({
+      ownerId: userId,
+      name: body.name,
+      description: body.description,
+      files: body.files
+    });
+    return res.status(201).json({ project: toProject(project) });
+  },
+
+  // PUT /api/projects?id= replaces the file tree; PATCH merges it (null deletes a path)
+  PUT: (req, res) => update(req, res, { merge: false }),
+  PATCH: (req, res) => update(req, res, { merge: true }),
+
+  async DELETE(req, res) {
+    await deleteProject({ projectId: requireId(req), userId: requireUser(req) });
+    return res.status(204).end();
+  }
+});
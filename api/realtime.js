@@ -0,0 +1,25 @@
+import { route, requireUser } from './_http.js';
+import { getEditableProject } from './projects.js';
+import { getRealtimeConfig, issueTicket, TICKET_TTL_MS } from './_realtime.js';
+
+// GET /api/realtime              -> { url, ticket, expiresIn } for presence
+// GET /api/realtime?projectId=   -> the same for that project's editing room
+// `url` is null when no realtime server is configured; the client then uses
+// its same-browser stand-in and needs no ticket.
+export default route({
+  async GET(req, res) {
+    res.setHeader('Cache-Control', 'no-store');
+    let room = null;
+    if (req.query.projectId) {
+      const project = await getEditableProject(req.query.projectId, requireUser(req));
+      room = `project:${project.id}`;
+    }
+    const config = getRealtimeConfig();
+    if (!config) return res.status(200).json({ url: null, ticket: null, expiresIn: null });
+    return res.status(200).json({
+      url: config.url,
+      ticket: issueTicket(req.user, config.secret, { room }),
+      expiresIn: TICKET_TTL_MS
+    });
+  }
+});
@@ -0,0 +1,124 @@
+import { getSupabase, query } from './supabase-config.js';
+import { resolveSession } from './_sessions.js';
+import { verifyTransport } from './_mailer.js';
+import { ApiError, route, getBody } from './_http.js';
+
+// System status for the site footer: who's online, backend health and the
+// running build. Each open tab POSTs a heartbeat with a random client id and
+// gets the report back, so polling and presence share one request. The
+// session is resolved inside the database check rather than by route(), so
+// an unreachable database is reported instead of failing the request.
+
+export const ONLINE_WINDOW_MS = 90 * 1000;
+const MAIL_CHECK_TTL_MS = 5 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 5 * 60 * 1000;
+const SLOW_DB_MS = 1500;
+// Enough for the footer; past this the member count is a lower bound
+const MAX_PRESENCE_ROWS = 5000;
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+const BUILD = {
+  version: process.env.APP_VERSION || process.env.npm_package_version || 'dev',
+  commit: (process.env.VERCEL_GIT_COMMIT_SHA || '').slice(0, 7) || null,
+  startedAt: new Date().toISOString()
+};
+
+// SMTP verification opens a connection, so it's cached per instance
+let mailCheck = null;
+
+function checkMail() {
+  if (!mailCheck || Date.now() - mailCheck.checkedAt > MAIL_CHECK_TTL_MS) {
+    mailCheck = { checkedAt: Date.now(), result: verifyTransport() };
+  }
+  return mailCheck.result;
+}
+
+function parseClientId(value) {
+  if (typeof value !== 'string' || !CLIENT_ID_PATTERN.test(value)) {
+    throw new ApiError(400, 'INVALID_CLIENT_ID', 'clientId must be 8-64 letters, digits, dashes or underscores');
+  }
+  return value;
+}
+
+// countOnline already ignores stale rows, so deleting them is housekeeping:
+// once per interval per instance rather than on every heartbeat
+let prunedAt = 0;
+
+async function prunePresence(now) {
+  if (now - prunedAt < PRUNE_INTERVAL_MS) return;
+  prunedAt = now;
+  await query(getSupabase().from('presence').delete().lt('last_seen_at', new Date(now - ONLINE_WINDOW_MS).toISOString()));
+}
+
+export async function recordHeartbeat(clientId, userId) {
+  const db = getSupabase();
+  const now = Date.now();
+  await query(
+    db.from('presence').upsert(
+      { client_id: clientId, user_id: userId, last_seen_at: new Date(now).toISOString() },
+      { onConflict: 'client_id' }
+    )
+  );
+  await prunePresence(now);
+}
+
+export async function leave(clientId) {
+  await query(getSupabase().from('presence').delete().eq('client_id', clientId));
+}
+
+// Signed-in users count once however many tabs they have open
+export async function countOnline() {
+  const since = new Date(Date.now() - ONLINE_WINDOW_MS).toISOString();
+  const rows = await query(
+    getSupabase().from('presence').select('user_id').gte('last_seen_at', since).limit(MAX_PRESENCE_ROWS)
+  );
+  const members = new Set(rows.filter((row) => row.user_id).map((row) => row.user_id)).size;
+  const guests = rows.filter((row) => !row.user_id).length;
+  return { total: members + guests, members, guests };
+}
+
+// 'ok', 'degraded' (mail down or a slow database) or 'down' (no database)
+export async function getStatus(req, { clientId } = {}) {
+  const started = Date.now();
+  let database;
+  let online = null;
+  try {
+    const user = await resolveSession(req);
+    if (clientId) await recordHeartbeat(clientId, user ? user.id : null);
+    online = await countOnline();
+    const latencyMs = Date.now() - started;
+    database = { ok: true, latencyMs, slow: latencyMs > SLOW_DB_MS };
+  } catch (error) {
+    console.error(error);
+    database = { ok: false, latencyMs: Date.now() - started, error: 'Database unreachable' };
+  }
+
+  const mailResult = await checkMail();
+  if (!mailResult.ok) console.error(`[status] mail transport check failed: ${mailResult.error}`);
+  // The raw SMTP error can name hosts and accounts, so only the verdict is public
+  const mail = { ok: mailResult.ok, transport: mailResult.transport };
+
+  const status = !database.ok ? 'down' : !mail.ok || database.slow ? 'degraded' : 'ok';
+  return { status, online, checks: { database, mail }, build: BUILD, serverTime: new Date().toISOString() };
+}
+
+export default route({
+  // GET /api/status -> report only, no presence
+  async GET(req, res) {
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json(await getStatus(req));
+  },
+
+  // POST /api/status { clientId }              -> heartbeat + report
+  //                  { clientId, leave: true } -> tab closing (sent as a beacon)
+  async POST(req, res) {
+    const body = getBody(req);
+    const clientId = parseClientId(body.clientId);
+    res.setHeader('Cache-Control', 'no-store');
+    if (body.leave) {
+      await leave(clientId);
+      return res.status(204).end();
+    }
+    return res.status(200).json(await getStatus(req, { clientId }));
+  }
+}, { session: false });
@@ -1 +1,68 @@
+import { createClient } from '@supabase/supabase-js';
+import { createMemoryClient } from './_memory-db.js';
 
+// Server-side Supabase client shared by every API module. Without credentials
+// (local dev, CI, offline tests) we fall back to an in-memory stand-in with the
+// same query-builder surface, so the API code never branches on the backend.
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+
+let client = null;
+
+export function getSupabase() {
+  if (!client) {
+    client = SUPABASE_URL && SUPABASE_KEY
+      ? createClient(SUPABASE_URL, SUPABASE_KEY, { auth: { persistSession: false } })
+      : createMemoryClient();
+  }
+  return client;
+}
+
+// Swap the client, e.g. a fresh createMemoryClient() per test
+export function setSupabase(nextClient) {
+  client = nextClient;
+}
+
+export { createMemoryClient };
+
+function toError(error) {
+  const err = new Error(error.message);
+  err.code = error.code;
+  err.details = error.details;
+  return err;
+}
+
+// Unwraps a supabase-js `{ data, error }` result, throwing on error
+export async function query(builder) {
+  const { data, error } = await builder;
+  if (error) throw toError(error);
+  return data;
+}
+
+// Same as query() for selects made with `{ count: 'exact' }`
+export async function queryWithCount(builder) {
+  const { data, error, count } = await builder;
+  if (error) throw toError(error);
+  return { rows: data || [], count: count ?? 0 };
+}
+
+// Serializes read-check-write sequences within this process. Postgres
+// constraints (unique idempotency keys, balance checks) remain the real guard
+// across instances; this keeps a single instance from racing itself.
+const locks = new Map();
+
+export async function withLock(key, fn) {
+  const previous = locks.get(key) || Promise.resolve();
+  let release;
+  const current = new Promise((resolve) => { release = resolve; });
+  const tail = previous.then(() => current);
+  locks.set(key, tail);
+
+  await previous;
+  try {
+    return await fn();
+  } finally {
+    release();
+    if (locks.get(key) === tail) locks.delete(key);
+  }
+}
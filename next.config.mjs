@@ -0,0 +1,7 @@
+// `next lint` covers the serverless API, the realtime server and the tests
+// as well as the app
+const nextConfig = {
+  eslint: { dirs: ['src', 'api', 'server', 'test'] }
+};
+
+export default nextConfig;
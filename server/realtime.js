@@ -0,0 +1,218 @@
+import { createServer } from 'http';
+import { WebSocketServer } from 'ws';
+import { verifyTicket, ROOM_ACCESS_MS, ROOM_EXPIRED_CODE } from '../api/_realtime.js';
+
+// Presence relay for the 3D scene. Serverless functions can't hold sockets,
+// so this runs as its own long-lived process:
+//
+//   REALTIME_SECRET=... PORT=8787 npm run realtime
+//
+// and the API advertises it via REALTIME_URL (e.g. ws://localhost:8787).
+// Browsers connect with a ticket from /api/realtime. Signed-in users send
+// their current view and cursor; everyone, guests included, receives the
+// others'. State is in memory only: after a restart clients reconnect and
+// announce themselves again.
+//
+// Server -> client messages:
+//   { type: 'snapshot', peers: [peer] }   on connect
+//   { type: 'join', peer }                a user's first tab announced itself
+//   { type: 'update', peer }              view or cursor changed
+//   { type: 'leave', id }                 a user's last tab disconnected
+// where peer = { id, username, view, cursor: { x, y } }, cursor in -1..1.
+// Client -> server: { type: 'state', view, cursor }
+//
+// Sockets whose ticket names a room (one per project, see src/lib/collab.js)
+// skip presence and join that room instead. Room traffic is Yjs sync,
+// update and awareness messages, relayed to the room's other members with
+// the sender's verified identity added as `sender: { id, name }`; the clients
+// hold the documents, so the relay keeps no state for them. Room sockets are
+// closed after ROOM_ACCESS_MS so access is checked again on reconnect.
+
+const PORT = Number(process.env.PORT) || 8787;
+const SECRET = process.env.REALTIME_SECRET;
+// View names come from the client's router (src/lib/router.js); anything
+// shaped like one is relayed so new views need no change here
+const VIEW_RE = /^[a-z][a-z-]{0,23}$/;
+const HEARTBEAT_MS = 30 * 1000;
+const MAX_PRESENCE_BYTES = 1024;
+// A first sync carries a whole project (capped at 5 MB by api/projects.js)
+const MAX_ROOM_MESSAGE_BYTES = 8 * 1024 * 1024;
+const ROOM_MESSAGE_TYPES = ['doc-sync', 'doc-update', 'awareness'];
+// Cursor updates are throttled client-side to ~10/s; this is the hard stop
+const MAX_MESSAGES_PER_SECOND = 30;
+// Typing sends an update per keystroke plus an awareness change
+const MAX_ROOM_MESSAGES_PER_SECOND = 120;
+
+if (!SECRET) {
+  console.error('[realtime] REALTIME_SECRET is required (it must match the API deployment)');
+  process.exit(1);
+}
+
+// userId -> { id, username, view, cursor, sockets }. One avatar per user
+// however many tabs they have open; the latest tab to speak wins.
+const peers = new Map();
+// room -> Set of sockets
+const rooms = new Map();
+
+function toPeer(entry) {
+  return { id: entry.id, username: entry.username, view: entry.view, cursor: entry.cursor };
+}
+
+// Presence goes to presence sockets only, not to editing rooms
+function broadcast(message, except) {
+  const data = JSON.stringify(message);
+  wss.clients.forEach((socket) => {
+    if (socket === except || !socket.identity || socket.identity.room) return;
+    if (socket.readyState === socket.OPEN) socket.send(data);
+  });
+}
+
+function clamp(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(Math.max(number, -1), 1) : 0;
+}
+
+function parseState(message) {
+  return {
+    view: typeof message.view === 'string' && VIEW_RE.test(message.view) ? message.view : 'home',
+    cursor: message.cursor ? { x: clamp(message.cursor.x), y: clamp(message.cursor.y) } : { x: 0, y: 0 }
+  };
+}
+
+function handleState(socket, message) {
+  const { userId, username } = socket.identity;
+  const state = parseState(message);
+  const entry = peers.get(userId);
+  if (entry) {
+    entry.sockets.add(socket);
+    Object.assign(entry, state);
+    broadcast({ type: 'update', peer: toPeer(entry) }, socket);
+  } else {
+    const created = { id: userId, username, ...state, sockets: new Set([socket]) };
+    peers.set(userId, created);
+    broadcast({ type: 'join', peer: toPeer(created) }, socket);
+  }
+}
+
+function handleClose(socket) {
+  const { userId } = socket.identity;
+  const entry = userId && peers.get(userId);
+  if (!entry) return;
+  entry.sockets.delete(socket);
+  if (entry.sockets.size === 0) {
+    peers.delete(userId);
+    broadcast({ type: 'leave', id: userId });
+  }
+}
+
+function joinRoom(socket) {
+  const { room } = socket.identity;
+  if (!rooms.has(room)) rooms.set(room, new Set());
+  rooms.get(room).add(socket);
+}
+
+function leaveRoom(socket) {
+  const { room } = socket.identity;
+  const members = rooms.get(room);
+  if (!members) return;
+  members.delete(socket);
+  if (members.size === 0) rooms.delete(room);
+}
+
+function relayToRoom(socket, message) {
+  const { userId, username } = socket.identity;
+  const data = JSON.stringify({ ...message, sender: { id: userId, name: username } });
+  rooms.get(socket.identity.room).forEach((member) => {
+    if (member !== socket && member.readyState === member.OPEN) member.send(data);
+  });
+}
+
+// True while the socket is within its per-second message budget
+function withinBudget(socket, limit) {
+  const now = Date.now();
+  if (now - socket.budget.windowStart >= 1000) socket.budget = { windowStart: now, count: 0 };
+  return ++socket.budget.count <= limit;
+}
+
+const server = createServer((req, res) => {
+  if (req.url === '/health') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ ok: true, peers: peers.size, rooms: rooms.size, connections: wss.clients.size }));
+  }
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('Upgrade required');
+});
+
+const wss = new WebSocketServer({ server, maxPayload: MAX_ROOM_MESSAGE_BYTES });
+
+wss.on('connection', (socket, req) => {
+  const ticket = new URL(req.url, 'http://localhost').searchParams.get('ticket');
+  const identity = verifyTicket(ticket, SECRET);
+  if (!identity) {
+    socket.close(4401, 'Invalid or expired ticket');
+    return;
+  }
+  socket.identity = identity;
+  socket.isAlive = true;
+  socket.budget = { windowStart: Date.now(), count: 0 };
+
+  socket.on('pong', () => {
+    socket.isAlive = true;
+  });
+
+  if (identity.room) {
+    joinRoom(socket);
+    const expiry = setTimeout(() => socket.close(ROOM_EXPIRED_CODE, 'Room access expired'), ROOM_ACCESS_MS);
+    socket.on('message', (data) => {
+      if (!withinBudget(socket, MAX_ROOM_MESSAGES_PER_SECOND)) return;
+      let message;
+      try {
+        message = JSON.parse(data.toString('utf8'));
+      } catch {
+        return;
+      }
+      if (message && ROOM_MESSAGE_TYPES.includes(message.type)) relayToRoom(socket, message);
+    });
+    socket.on('close', () => {
+      clearTimeout(expiry);
+      leaveRoom(socket);
+    });
+    return;
+  }
+
+  socket.send(JSON.stringify({ type: 'snapshot', peers: [...peers.values()].map(toPeer) }));
+
+  socket.on('message', (data) => {
+    // Guests only watch
+    if (!identity.userId || data.length > MAX_PRESENCE_BYTES) return;
+    if (!withinBudget(socket, MAX_MESSAGES_PER_SECOND)) return;
+
+    let message;
+    try {
+      message = JSON.parse(data.toString('utf8'));
+    } catch {
+      return;
+    }
+    if (message && message.type === 'state') handleState(socket, message);
+  });
+
+  socket.on('close', () => handleClose(socket));
+});
+
+// Drops sockets whose client vanished without a close frame
+const heartbeat = setInterval(() => {
+  wss.clients.forEach((socket) => {
+    if (!socket.isAlive) {
+      socket.terminate();
+      return;
+    }
+    socket.isAlive = false;
+    socket.ping();
+  });
+}, HEARTBEAT_MS);
+
+wss.on('close', () => clearInterval(heartbeat));
+
+server.listen(PORT, () => {
+  console.info(`[realtime] presence relay listening on :${PORT}`);
+});
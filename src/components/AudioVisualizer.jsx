@@ -0,0 +1,211 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { getAudioGraph, useAudioSettings } from '../lib/audio.js';
+import { useTheme, withAlpha } from '../lib/theme.js';
+
+const MODES = ['spectrum', 'waveform'];
+
+const MIC_LABELS = {
+  off: 'MIC',
+  requesting: 'MIC…',
+  on: 'MIC ●',
+  denied: 'MIC ✕',
+  unavailable: 'NO MIC'
+};
+
+const MIC_TITLES = {
+  off: 'Visualize microphone input',
+  requesting: 'Waiting for microphone permission',
+  on: 'Stop microphone input',
+  denied: 'Microphone access was denied; allow it in the browser to retry',
+  unavailable: 'No microphone available'
+};
+
+const controlStyle = (color) => ({
+  background: 'transparent',
+  border: 'none',
+  color,
+  fontFamily: '"Courier New", monospace',
+  fontSize: '0.7rem',
+  fontWeight: 'bold',
+  cursor: 'pointer',
+  padding: 0
+});
+
+function drawSpectrum(ctx, analyser, data, width, height, colors) {
+  analyser.getByteFrequencyData(data);
+  // The top of the range is mostly empty for UI sounds and voice
+  const bins = Math.floor(data.length * 0.6);
+  const bars = 48;
+  const barWidth = width / bars;
+  const gradient = ctx.createLinearGradient(0, height, 0, 0);
+  gradient.addColorStop(0, colors.secondary);
+  gradient.addColorStop(0.6, colors.primary);
+  gradient.addColorStop(1, colors.accent);
+  ctx.fillStyle = gradient;
+  for (let i = 0; i < bars; i++) {
+    const start = Math.floor((i / bars) * bins);
+    const end = Math.max(start + 1, Math.floor(((i + 1) / bars) * bins));
+    let peak = 0;
+    for (let j = start; j < end; j++) peak = Math.max(peak, data[j]);
+    const barHeight = Math.max((peak / 255) * height, 1);
+    ctx.fillRect(i * barWidth + 1, height - barHeight, barWidth - 2, barHeight);
+  }
+}
+
+function drawWaveform(ctx, analyser, data, width, height, colors) {
+  analyser.getByteTimeDomainData(data);
+  ctx.strokeStyle = colors.primary;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  const step = width / (data.length - 1);
+  for (let i = 0; i < data.length; i++) {
+    const y = (data[i] / 255) * height;
+    if (i === 0) ctx.moveTo(0, y);
+    else ctx.lineTo(i * step, y);
+  }
+  ctx.stroke();
+}
+
+function drawIdle(ctx, width, height, colors) {
+  ctx.strokeStyle = withAlpha(colors.primary, 0.4);
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(0, height / 2);
+  ctx.lineTo(width, height / 2);
+  ctx.stroke();
+}
+
+// Spectrum/waveform display of the master bus (plus the microphone when
+// enabled). Clicking the panel switches modes; `paused` freezes it on a flat
+// line for accessibility mode and hidden tabs.
+export default function AudioVisualizer({ paused }) {
+  const audio = useAudioSettings();
+  const canvasRef = useRef();
+  const [mode, setMode] = useState('spectrum');
+  const { theme } = useTheme();
+  const { colors } = theme;
+
+  const cycleMode = () => setMode((current) => MODES[(MODES.indexOf(current) + 1) % MODES.length]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const graph = getAudioGraph();
+    if (!canvas || !graph) return;
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const data = new Uint8Array(mode === 'spectrum' ? graph.analyser.frequencyBinCount : graph.analyser.fftSize);
+
+    if (paused) {
+      ctx.clearRect(0, 0, width, height);
+      drawIdle(ctx, width, height, colors);
+      return;
+    }
+
+    let frame;
+    const render = () => {
+      ctx.clearRect(0, 0, width, height);
+      if (mode === 'spectrum') drawSpectrum(ctx, graph.analyser, data, width, height, colors);
+      else drawWaveform(ctx, graph.analyser, data, width, height, colors);
+      frame = requestAnimationFrame(render);
+    };
+    render();
+    return () => cancelAnimationFrame(frame);
+  }, [mode, paused, audio.unlocked, colors]);
+
+  const toggleMicrophone = (e) => {
+    e.stopPropagation();
+    if (audio.microphone === 'on') audio.stopMicrophone();
+    else audio.startMicrophone();
+  };
+
+  return (
+    <motion.div
+      onClick={cycleMode}
+      title="Click to switch between spectrum and waveform"
+      style={{
+        position: 'absolute',
+        bottom: '30px',
+        right: '30px',
+        width: '250px',
+        height: '80px',
+        background: theme.widget,
+        backdropFilter: 'blur(15px)',
+        borderRadius: '20px',
+        border: `2px solid ${withAlpha(colors.primary, 0.3)}`,
+        padding: '15px',
+        zIndex: 20,
+        overflow: 'hidden',
+        cursor: 'pointer',
+        boxShadow: `0 10px 40px ${withAlpha(colors.primary, 0.2)}`
+      }}
+      initial={{ x: 100, opacity: 0 }}
+      animate={{ x: 0, opacity: 1 }}
+      transition={{ delay: 1, type: 'spring' }}
+    >
+      <canvas
+        ref={canvasRef}
+        width="250"
+        height="80"
+        aria-hidden="true"
+        style={{
+          width: '100%',
+          height: '100%',
+          filter: `drop-shadow(0 0 10px ${withAlpha(colors.primary, 0.5)})`
+        }}
+      />
+      <div style={{
+        position: 'absolute',
+        top: '3px',
+        left: '15px',
+        right: '15px',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '6px'
+      }}>
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            cycleMode();
+          }}
+          aria-label={`Audio processor, showing ${mode}. Switch view`}
+          style={{ ...controlStyle(colors.primary), marginRight: 'auto' }}
+        >
+          AUDIO PROCESSOR · {mode === 'spectrum' ? 'FFT' : 'WAVE'}
+        </button>
+        <button
+          onClick={toggleMicrophone}
+          disabled={audio.microphone === 'requesting' || audio.microphone === 'unavailable'}
+          aria-pressed={audio.microphone === 'on'}
+          title={MIC_TITLES[audio.microphone]}
+          style={controlStyle(audio.microphone === 'on' ? colors.accent : audio.microphone === 'denied' ? colors.highlight : colors.secondary)}
+        >
+          {MIC_LABELS[audio.microphone]}
+        </button>
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.05"
+          value={audio.volume}
+          disabled={audio.muted}
+          onClick={(e) => e.stopPropagation()}
+          onChange={(e) => audio.setVolume(e.target.value)}
+          aria-label="Master volume"
+          style={{ width: '50px', accentColor: colors.primary }}
+        />
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            audio.setMuted(!audio.muted);
+          }}
+          aria-pressed={audio.muted}
+          aria-label={audio.muted ? 'Unmute sound' : 'Mute sound'}
+          style={controlStyle(audio.muted ? colors.accent : colors.primary)}
+        >
+          {audio.muted ? 'MUTED' : 'SND'}
+        </button>
+      </div>
+    </motion.div>
+  );
+}
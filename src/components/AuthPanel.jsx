@@ -0,0 +1,190 @@
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import { motion } from 'framer-motion';
+import { authApi } from '../lib/api.js';
+import { setCurrentUser } from '../lib/auth.js';
+import { playSound } from '../lib/audio.js';
+
+const TITLES = {
+  login: 'SIGN IN',
+  signup: 'CREATE ACCOUNT',
+  forgot: 'RESET PASSWORD',
+  reset: 'CHOOSE A NEW PASSWORD'
+};
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  background: 'var(--vm-input)',
+  border: '1px solid rgba(var(--vm-secondary-rgb), 0.4)',
+  borderRadius: '6px',
+  color: 'var(--vm-primary)',
+  padding: '10px 12px',
+  fontFamily: 'inherit',
+  fontSize: '0.9rem',
+  marginBottom: '0.75rem'
+};
+
+const linkStyle = { background: 'none', border: 'none', color: 'var(--vm-secondary)', cursor: 'pointer', fontFamily: 'inherit', padding: 0 };
+
+function Field({ label, ...props }) {
+  return (
+    <label style={{ display: 'block' }}>
+      <div style={{ color: 'var(--vm-muted)', fontSize: '0.7rem', marginBottom: '4px', letterSpacing: '1px' }}>{label}</div>
+      <input required style={inputStyle} {...props} />
+    </label>
+  );
+}
+
+// Login / sign-up / password reset dialog. Portalled like SharePanel so the
+// overlay's parallax transform doesn't trap the fixed backdrop.
+export default function AuthPanel({ initialMode = 'login', resetToken, onClose }) {
+  const [mode, setMode] = useState(initialMode);
+  const [form, setForm] = useState({ login: '', email: '', username: '', password: '', confirm: '' });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const bind = (key) => ({ value: form[key], onChange: (e) => setForm((f) => ({ ...f, [key]: e.target.value })) });
+
+  const switchMode = (next) => {
+    setMode(next);
+    setError(null);
+    setNotice(null);
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    // currentTarget is gone once the request has been awaited
+    const formElement = e.currentTarget;
+    if ((mode === 'signup' || mode === 'reset') && form.password !== form.confirm) {
+      setError('Passwords do not match');
+      playSound('error', { element: formElement });
+      return;
+    }
+    setBusy(true);
+    setError(null);
+    try {
+      if (mode === 'login') {
+        setCurrentUser(await authApi.login(form.login, form.password));
+        onClose();
+      } else if (mode === 'signup') {
+        setCurrentUser(await authApi.signup({ email: form.email, username: form.username, password: form.password }));
+        onClose();
+      } else if (mode === 'forgot') {
+        await authApi.forgotPassword(form.email);
+        setNotice('If an account uses that address, a reset link is on its way.');
+      } else {
+        setCurrentUser(await authApi.resetPassword(resetToken, form.password));
+        onClose();
+      }
+    } catch (err) {
+      setError(err.message);
+      playSound('error', { element: formElement });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return createPortal(
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(0, 0, 0, 0.7)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000
+      }}
+    >
+      <motion.form
+        initial={{ scale: 0.9, y: 20 }}
+        animate={{ scale: 1, y: 0 }}
+        exit={{ scale: 0.9, y: 20 }}
+        onClick={(e) => e.stopPropagation()}
+        onSubmit={submit}
+        role="dialog"
+        aria-label={TITLES[mode]}
+        style={{
+          width: 'min(400px, 90vw)',
+          background: 'var(--vm-surface)',
+          border: '2px solid rgba(var(--vm-primary-rgb), 0.3)',
+          borderRadius: '16px',
+          boxShadow: '0 0 40px rgba(var(--vm-primary-rgb), 0.2)',
+          padding: '1.5rem',
+          color: 'var(--vm-text)',
+          fontFamily: '"Share Tech Mono", monospace'
+        }}
+      >
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.25rem' }}>
+          <span style={{ fontFamily: '"Orbitron", sans-serif', color: 'var(--vm-primary)', letterSpacing: '2px' }}>{TITLES[mode]}</span>
+          <button type="button" onClick={onClose} style={{ background: 'none', border: 'none', color: 'var(--vm-muted)', cursor: 'pointer', fontSize: '1.2rem' }}>
+            ×
+          </button>
+        </div>
+
+        {mode === 'login' && (
+          <>
+            <Field label="EMAIL OR USERNAME" autoComplete="username" autoFocus {...bind('login')} />
+            <Field label="PASSWORD" type="password" autoComplete="current-password" {...bind('password')} />
+          </>
+        )}
+        {mode === 'signup' && (
+          <>
+            <Field label="EMAIL" type="email" autoComplete="email" autoFocus {...bind('email')} />
+            <Field label="USERNAME" autoComplete="username" pattern="[A-Za-z0-9_\-]{3,24}" {...bind('username')} />
+            <Field label="PASSWORD" type="password" autoComplete="new-password" minLength={8} {...bind('password')} />
+            <Field label="CONFIRM PASSWORD" type="password" autoComplete="new-password" {...bind('confirm')} />
+          </>
+        )}
+        {mode === 'forgot' && <Field label="EMAIL" type="email" autoComplete="email" autoFocus {...bind('email')} />}
+        {mode === 'reset' && (
+          <>
+            <Field label="NEW PASSWORD" type="password" autoComplete="new-password" minLength={8} autoFocus {...bind('password')} />
+            <Field label="CONFIRM PASSWORD" type="password" autoComplete="new-password" {...bind('confirm')} />
+          </>
+        )}
+
+        {error && <div style={{ color: 'var(--vm-danger)', marginBottom: '0.75rem', fontSize: '0.8rem' }}>{error}</div>}
+        {notice && <div style={{ color: 'var(--vm-primary)', marginBottom: '0.75rem', fontSize: '0.8rem' }}>{notice}</div>}
+
+        <button
+          type="submit"
+          disabled={busy}
+          style={{
+            width: '100%',
+            background: 'linear-gradient(45deg, var(--vm-primary), var(--vm-secondary))',
+            border: 'none',
+            borderRadius: '25px',
+            padding: '10px',
+            color: 'var(--vm-on-primary)',
+            fontFamily: '"Orbitron", sans-serif',
+            fontWeight: 'bold',
+            letterSpacing: '1px',
+            cursor: busy ? 'wait' : 'pointer',
+            opacity: busy ? 0.6 : 1
+          }}
+        >
+          {busy ? '…' : TITLES[mode]}
+        </button>
+
+        <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '1rem', fontSize: '0.8rem' }}>
+          {mode === 'login' ? (
+            <>
+              <button type="button" onClick={() => switchMode('signup')} style={linkStyle}>create account</button>
+              <button type="button" onClick={() => switchMode('forgot')} style={linkStyle}>forgot password?</button>
+            </>
+          ) : (
+            <button type="button" onClick={() => switchMode('login')} style={linkStyle}>‹ back to sign in</button>
+          )}
+        </div>
+      </motion.form>
+    </motion.div>,
+    document.body
+  );
+}
@@ -0,0 +1,139 @@
+import React, { useMemo, useState } from 'react';
+
+const WIDTH = 600;
+const HEIGHT = 160;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RANGES = [
+  { id: '7d', label: '7D', days: 7 },
+  { id: '30d', label: '30D', days: 30 },
+  { id: '90d', label: '90D', days: 90 },
+  { id: 'all', label: 'ALL', days: null }
+];
+
+function formatDay(time) {
+  return new Date(time).toLocaleDateString([], { month: 'short', day: 'numeric' });
+}
+
+// Balance over time as a step line. `entries` is ledger history, newest
+// first; each carries the balance right after it, so the line starts from the
+// balance before the oldest entry in range and steps at every entry.
+export default function BalanceChart({ entries, balance, currency }) {
+  const [range, setRange] = useState('30d');
+  const [hover, setHover] = useState(null);
+
+  const series = useMemo(() => {
+    const now = Date.now();
+    const { days } = RANGES.find((option) => option.id === range);
+    const points = entries
+      .map((entry) => ({ time: new Date(entry.createdAt).getTime(), balance: entry.balanceAfter }))
+      .reverse();
+    const oldest = entries[entries.length - 1];
+    const start = days ? now - days * DAY_MS : oldest ? new Date(oldest.createdAt).getTime() : now - DAY_MS;
+    const before = points.filter((point) => point.time < start);
+    const inRange = points.filter((point) => point.time >= start);
+    // Balance going into the range: the last one before it, or what the
+    // oldest entry started from
+    const opening = before.length
+      ? before[before.length - 1].balance
+      : oldest ? oldest.balanceAfter - oldest.amount : balance;
+    return { start, end: now, points: [{ time: start, balance: opening }, ...inRange, { time: now, balance }] };
+  }, [entries, balance, range]);
+
+  const { start, end, points } = series;
+  const values = points.map((point) => point.balance);
+  const low = Math.min(...values);
+  const high = Math.max(...values);
+  const x = (time) => ((time - start) / Math.max(end - start, 1)) * WIDTH;
+  const y = (value) => (high === low ? HEIGHT / 2 : HEIGHT - 6 - ((value - low) / (high - low)) * (HEIGHT - 12));
+
+  const path = points.map((point, index) => (index === 0
+    ? `M ${x(point.time)} ${y(point.balance)}`
+    : `H ${x(point.time)} V ${y(point.balance)}`)).join(' ');
+
+  const handleMove = (e) => {
+    const bounds = e.currentTarget.getBoundingClientRect();
+    const time = start + ((e.clientX - bounds.left) / bounds.width) * (end - start);
+    const point = points.filter((candidate) => candidate.time <= time).pop() || points[0];
+    setHover({ left: e.clientX - bounds.left, time, balance: point.balance });
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
+        <span style={{ color: 'var(--vm-secondary)', letterSpacing: '2px', fontSize: '0.8rem' }}>BALANCE HISTORY</span>
+        <div role="group" aria-label="Chart range" style={{ display: 'flex', gap: '4px' }}>
+          {RANGES.map((option) => (
+            <button
+              key={option.id}
+              type="button"
+              aria-pressed={range === option.id}
+              onClick={() => setRange(option.id)}
+              style={{
+                background: range === option.id ? 'rgba(var(--vm-primary-rgb), 0.15)' : 'none',
+                border: '1px solid rgba(var(--vm-primary-rgb), 0.3)',
+                borderRadius: '4px',
+                color: range === option.id ? 'var(--vm-primary)' : 'var(--vm-muted)',
+                cursor: 'pointer',
+                fontFamily: 'inherit',
+                fontSize: '0.7rem',
+                padding: '2px 8px'
+              }}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div style={{ position: 'relative' }} onMouseMove={handleMove} onMouseLeave={() => setHover(null)}>
+        <svg
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          preserveAspectRatio="none"
+          width="100%"
+          height={HEIGHT}
+          role="img"
+          aria-label={`Balance from ${values[0].toLocaleString()} to ${balance.toLocaleString()} ${currency} since ${formatDay(start)}, between ${low.toLocaleString()} and ${high.toLocaleString()}`}
+          style={{ display: 'block' }}
+        >
+          <defs>
+            <linearGradient id="vm-balance-fill" x1="0" y1="0" x2="0" y2="1">
+              <stop offset="0%" stopColor="var(--vm-primary)" stopOpacity="0.35" />
+              <stop offset="100%" stopColor="var(--vm-primary)" stopOpacity="0" />
+            </linearGradient>
+          </defs>
+          <path d={`${path} V ${HEIGHT} H 0 Z`} fill="url(#vm-balance-fill)" />
+          <path d={path} fill="none" stroke="var(--vm-primary)" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+          {hover && <line x1={x(hover.time)} x2={x(hover.time)} y1="0" y2={HEIGHT} stroke="var(--vm-muted)" strokeDasharray="3 3" vectorEffect="non-scaling-stroke" />}
+        </svg>
+        {hover && (
+          <div
+            aria-hidden="true"
+            style={{
+              position: 'absolute',
+              top: 0,
+              left: hover.left,
+              transform: `translateX(${hover.left > 120 ? '-105%' : '5%'})`,
+              background: 'var(--vm-surface)',
+              border: '1px solid rgba(var(--vm-primary-rgb), 0.3)',
+              borderRadius: '6px',
+              padding: '4px 8px',
+              fontSize: '0.75rem',
+              whiteSpace: 'nowrap',
+              pointerEvents: 'none'
+            }}
+          >
+            <div style={{ color: 'var(--vm-primary)' }}>{hover.balance.toLocaleString()} {currency}</div>
+            <div style={{ color: 'var(--vm-muted)' }}>{formatDay(hover.time)}</div>
+          </div>
+        )}
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', color: 'var(--vm-muted)', fontSize: '0.7rem', marginTop: '4px' }}>
+        <span>{formatDay(start)}</span>
+        <span>LOW {low.toLocaleString()} · HIGH {high.toLocaleString()}</span>
+        <span>TODAY</span>
+      </div>
+    </div>
+  );
+}
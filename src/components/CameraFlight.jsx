@@ -0,0 +1,61 @@
+import { useEffect, useMemo, useRef } from 'react';
+import * as THREE from 'three';
+import { useFrame, useThree } from '@react-three/fiber';
+
+const FLIGHT_SECONDS = 1.2;
+// Stop this far short of the target so it fills the view without clipping
+const ARRIVAL_DISTANCE = 2;
+
+function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2;
+}
+
+// Flies the camera from wherever it is to `target` ([x, y, z] in world space),
+// turning to face it on the way, then calls onArrive. The orbit controls
+// (registered with makeDefault) follow along and should be disabled while a
+// flight runs. Clearing `target` puts the camera back where it started.
+export default function CameraFlight({ target, onArrive }) {
+  const camera = useThree((state) => state.camera);
+  const controls = useThree((state) => state.controls);
+  const flightRef = useRef(null);
+  const look = useMemo(() => new THREE.Vector3(), []);
+  const arriveRef = useRef(onArrive);
+  arriveRef.current = onArrive;
+
+  useEffect(() => {
+    if (!target) return undefined;
+    const from = camera.position.clone();
+    const lookFrom = controls ? controls.target.clone() : new THREE.Vector3();
+    const focus = new THREE.Vector3(...target);
+    const to = from.clone().sub(focus).setLength(ARRIVAL_DISTANCE).add(focus);
+    flightRef.current = { from, to, lookFrom, focus, elapsed: 0 };
+
+    return () => {
+      flightRef.current = null;
+      camera.position.copy(from);
+      if (controls) {
+        controls.target.copy(lookFrom);
+        controls.update();
+      } else {
+        camera.lookAt(lookFrom);
+      }
+    };
+  }, [target, camera, controls]);
+
+  useFrame((state, delta) => {
+    const flight = flightRef.current;
+    if (!flight || flight.done) return;
+    flight.elapsed = Math.min(flight.elapsed + delta, FLIGHT_SECONDS);
+    const t = easeInOutCubic(flight.elapsed / FLIGHT_SECONDS);
+    camera.position.lerpVectors(flight.from, flight.to, t);
+    look.lerpVectors(flight.lookFrom, flight.focus, t);
+    if (controls) controls.target.copy(look);
+    camera.lookAt(look);
+    if (flight.elapsed >= FLIGHT_SECONDS) {
+      flight.done = true;
+      arriveRef.current();
+    }
+  });
+
+  return null;
+}
@@ -0,0 +1,250 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { motion } from 'framer-motion';
+import ShortcutSettings from './ShortcutSettings.jsx';
+import { projectsApi, itemsApi } from '../lib/api.js';
+import { VIEWS, buildPath } from '../lib/router.js';
+import { THEMES, THEME_NAMES } from '../lib/theme.js';
+import { QUALITY_MODES } from '../lib/quality.js';
+import { playSound } from '../lib/audio.js';
+import { fuzzyFilter } from '../lib/fuzzy.js';
+import { useShortcutBindings, formatCombo } from '../lib/shortcuts.js';
+
+const MAX_RESULTS = 50;
+const LIST_ID = 'vm-palette-results';
+
+// Renders `text` with the characters at `indices` picked out
+function Highlighted({ text, indices }) {
+  if (!indices.length) return text;
+  const marked = new Set(indices);
+  return [...text].map((char, index) => (marked.has(index)
+    ? <span key={index} style={{ color: 'var(--vm-primary)', textShadow: '0 0 6px rgba(var(--vm-primary-rgb), 0.6)' }}>{char}</span>
+    : char));
+}
+
+// Fetches what the palette searches besides the static entries: the user's
+// projects, the files of the project in the URL and the item catalog
+function usePaletteData(user, projectId) {
+  const [data, setData] = useState({ projects: [], files: [], items: [] });
+  const userId = user ? user.id : null;
+
+  useEffect(() => {
+    let cancelled = false;
+    const safe = (promise, fallback) => promise.catch(() => fallback);
+    Promise.all([
+      userId ? safe(projectsApi.list({ limit: 100 }).then((r) => r.projects), []) : [],
+      userId && projectId ? safe(projectsApi.get(projectId), null) : null,
+      safe(itemsApi.catalog({ limit: 100 }).then((r) => r.items), [])
+    ]).then(([projects, project, items]) => {
+      if (cancelled) return;
+      const files = project ? Object.keys(project.files).sort().map((path) => ({ project, path })) : [];
+      setData({ projects, files, items });
+    });
+    return () => { cancelled = true; };
+  }, [userId, projectId]);
+
+  return data;
+}
+
+// Ctrl/Cmd+K palette: fuzzy search over views, projects, files, items and
+// settings. `context` carries the app state and setters the entries act on;
+// `page` is 'commands' or 'shortcuts' (the binding editor).
+export default function CommandPalette({ page, onPageChange, onClose, context }) {
+  const { user, route, navigate, themeName, setTheme, vrMode, toggleVrMode, audio, quality, a11y } = context;
+  const [query, setQuery] = useState('');
+  const [selected, setSelected] = useState(0);
+  const { bindings } = useShortcutBindings();
+  const listRef = useRef();
+  const { projects, files, items } = usePaletteData(user, route.params.projectId);
+  // Entries act through the latest setters, so the list is only rebuilt when
+  // something it shows changes
+  const actionsRef = useRef();
+  actionsRef.current = { navigate, setTheme, toggleVrMode, audio, quality, a11y, onPageChange };
+
+  const entries = useMemo(() => {
+    const actions = () => actionsRef.current;
+    const go = (path) => () => actions().navigate(path);
+    const hint = (actionId) => formatCombo(bindings[actionId]);
+    return [
+      ...VIEWS.map((view) => ({
+        id: `view:${view}`,
+        group: 'VIEW',
+        label: `Go to ${view}`,
+        hint: hint(`view.${view}`),
+        run: go(buildPath(view))
+      })),
+      ...projects.map((project) => ({
+        id: `project:${project.id}`,
+        group: 'PROJECT',
+        label: project.name,
+        hint: `${project.fileCount} files`,
+        run: go(buildPath('editor', { projectId: project.id }))
+      })),
+      ...files.map(({ project, path }) => ({
+        id: `file:${path}`,
+        group: 'FILE',
+        label: path,
+        hint: project.name,
+        run: go(buildPath('editor', { projectId: project.id, filePath: path }))
+      })),
+      ...items.map((item) => ({
+        id: `item:${item.id}`,
+        group: 'ITEM',
+        label: item.name,
+        hint: `${item.price.toLocaleString()} VMC · ${item.rarity}`,
+        run: go(buildPath('currency'))
+      })),
+      ...THEME_NAMES.map((name) => ({
+        id: `theme:${name}`,
+        group: 'SETTING',
+        label: `Theme: ${THEMES[name].label.toLowerCase()}`,
+        hint: name === themeName ? 'current' : '',
+        run: () => actions().setTheme(name)
+      })),
+      ...QUALITY_MODES.map((mode) => ({
+        id: `quality:${mode}`,
+        group: 'SETTING',
+        label: `Graphics quality: ${mode}`,
+        hint: mode === quality.mode ? 'current' : '',
+        run: () => actions().quality.setMode(mode)
+      })),
+      { id: 'vr', group: 'SETTING', label: vrMode ? 'Exit VR mode' : 'Enter VR mode', hint: hint('vr.toggle'), run: () => actions().toggleVrMode() },
+      { id: 'sound', group: 'SETTING', label: audio.muted ? 'Unmute sound' : 'Mute sound', hint: hint('sound.toggle'), run: () => actions().audio.setMuted(!audio.muted) },
+      { id: 'a11y', group: 'SETTING', label: a11y.enabled ? 'Accessibility mode: off' : 'Accessibility mode: on', hint: '', run: () => actions().a11y.toggle() },
+      { id: 'shortcuts', group: 'SETTING', label: 'Keyboard shortcuts…', hint: '', run: () => actions().onPageChange('shortcuts'), keepOpen: true }
+    ];
+  }, [projects, files, items, bindings, themeName, vrMode, audio.muted, quality.mode, a11y.enabled]);
+
+  const results = useMemo(() => fuzzyFilter(entries, query, (entry) => entry.label).slice(0, MAX_RESULTS), [entries, query]);
+
+  useEffect(() => setSelected(0), [query]);
+
+  useEffect(() => {
+    const option = listRef.current && listRef.current.children[selected];
+    if (option) option.scrollIntoView({ block: 'nearest' });
+  }, [selected]);
+
+  const runEntry = (entry, element) => {
+    playSound('click', { element });
+    if (!entry.keepOpen) onClose();
+    entry.run();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!results.length) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setSelected((index) => (index + step + results.length) % results.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      const result = results[selected];
+      if (result) runEntry(result.item, e.currentTarget);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return createPortal(
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(0, 0, 0, 0.7)',
+        display: 'flex',
+        alignItems: 'flex-start',
+        justifyContent: 'center',
+        paddingTop: '12vh',
+        zIndex: 1000
+      }}
+    >
+      <motion.div
+        initial={{ scale: 0.95, y: -20 }}
+        animate={{ scale: 1, y: 0 }}
+        exit={{ scale: 0.95, y: -20 }}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-label={page === 'shortcuts' ? 'Keyboard shortcuts' : 'Command palette'}
+        style={{
+          width: 'min(640px, 92vw)',
+          maxHeight: '70vh',
+          display: 'flex',
+          flexDirection: 'column',
+          background: 'var(--vm-surface)',
+          border: '2px solid rgba(var(--vm-primary-rgb), 0.3)',
+          borderRadius: '16px',
+          boxShadow: '0 0 40px rgba(var(--vm-primary-rgb), 0.2)',
+          color: 'var(--vm-text)',
+          fontFamily: '"Share Tech Mono", monospace',
+          overflow: 'hidden'
+        }}
+      >
+        {page === 'shortcuts' ? (
+          <ShortcutSettings onBack={() => onPageChange('commands')} onClose={onClose} />
+        ) : (
+          <>
+            <input
+              autoFocus
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              onKeyDown={handleKeyDown}
+              placeholder="Search views, projects, files, items, settings…"
+              role="combobox"
+              aria-expanded="true"
+              aria-controls={LIST_ID}
+              aria-activedescendant={results.length ? `vm-palette-option-${selected}` : undefined}
+              spellCheck={false}
+              autoComplete="off"
+              style={{
+                background: 'transparent',
+                border: 'none',
+                borderBottom: '1px solid rgba(var(--vm-secondary-rgb), 0.4)',
+                color: 'var(--vm-primary)',
+                padding: '1rem 1.25rem',
+                fontFamily: 'inherit',
+                fontSize: '1rem'
+              }}
+            />
+            <div ref={listRef} id={LIST_ID} role="listbox" aria-label="Results" style={{ overflowY: 'auto', padding: '0.5rem' }}>
+              {results.map(({ item: entry, indices }, index) => (
+                <div
+                  key={entry.id}
+                  id={`vm-palette-option-${index}`}
+                  role="option"
+                  aria-selected={index === selected}
+                  onMouseMove={() => setSelected(index)}
+                  onClick={(e) => runEntry(entry, e.currentTarget)}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '0.75rem',
+                    padding: '8px 12px',
+                    borderRadius: '8px',
+                    cursor: 'pointer',
+                    background: index === selected ? 'rgba(var(--vm-primary-rgb), 0.12)' : 'transparent'
+                  }}
+                >
+                  <span style={{ width: '70px', flexShrink: 0, fontSize: '0.65rem', letterSpacing: '1px', color: 'var(--vm-accent)' }}>{entry.group}</span>
+                  <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    <Highlighted text={entry.label} indices={indices} />
+                  </span>
+                  {entry.hint && <span style={{ color: 'var(--vm-muted)', fontSize: '0.75rem', whiteSpace: 'nowrap' }}>{entry.hint}</span>}
+                </div>
+              ))}
+              {!results.length && (
+                <div style={{ padding: '1rem', color: 'var(--vm-muted)', textAlign: 'center' }}>No matches</div>
+              )}
+            </div>
+          </>
+        )}
+      </motion.div>
+    </motion.div>,
+    document.body
+  );
+}
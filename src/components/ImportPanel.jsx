@@ -0,0 +1,289 @@
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import { motion } from 'framer-motion';
+import { projectsApi } from '../lib/api.js';
+
+// Uploads travel base64-encoded in a JSON body, which serverless hosts cap
+// at a few MB
+const MAX_ZIP_BYTES = 3 * 1024 * 1024;
+
+// 'url' is a git source fetched by URL; the server ones read the host's disk
+const SOURCES = [
+  { id: 'zip', label: 'ZIP FILE' },
+  { id: 'url', label: 'GIT URL' },
+  { id: 'directory', label: 'SERVER FOLDER' },
+  { id: 'git', label: 'SERVER REPO' }
+];
+
+const buttonStyle = (color) => ({
+  background: 'none',
+  border: `1px solid ${color}`,
+  color,
+  cursor: 'pointer',
+  borderRadius: '6px',
+  padding: '4px 10px',
+  fontFamily: 'inherit'
+});
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  background: 'var(--vm-input)',
+  border: '1px solid rgba(var(--vm-secondary-rgb), 0.4)',
+  borderRadius: '6px',
+  color: 'var(--vm-primary)',
+  padding: '6px 8px',
+  fontFamily: 'inherit',
+  fontSize: '0.8rem'
+};
+
+const labelStyle = { display: 'block', color: 'var(--vm-muted)', fontSize: '0.7rem', margin: '0.75rem 0 4px', letterSpacing: '1px' };
+
+function readBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).slice(String(reader.result).indexOf(',') + 1));
+    reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+    reader.readAsDataURL(file);
+  });
+}
+
+// Imports a project from an exported (or any) zip, a git repository URL, or
+// a folder or git repository on the server. A name clash asks whether to rename the import
+// or overwrite the existing project. Portalled like SharePanel.
+export default function ImportPanel({ onImported, onClose }) {
+  const [source, setSource] = useState('zip');
+  const [file, setFile] = useState(null);
+  const [path, setPath] = useState('');
+  const [url, setUrl] = useState('');
+  const [ref, setRef] = useState('');
+  const [name, setName] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  // { name, suggestedName } after a NAME_CONFLICT
+  const [conflict, setConflict] = useState(null);
+  const [rename, setRename] = useState('');
+  // { project, skipped } when binary or oversized files were left out
+  const [result, setResult] = useState(null);
+
+  const chooseSource = (id) => {
+    setSource(id);
+    setConflict(null);
+    setError(null);
+  };
+
+  const run = async (options = {}) => {
+    setBusy(true);
+    setError(null);
+    try {
+      let request;
+      if (source === 'zip') {
+        if (!file) throw new Error('Choose a zip file');
+        if (file.size > MAX_ZIP_BYTES) throw new Error(`Zip files are limited to ${MAX_ZIP_BYTES / 1024 / 1024} MB`);
+        request = { source, data: await readBase64(file), filename: file.name };
+      } else if (source === 'url') {
+        if (!url.trim()) throw new Error('Enter the repository URL');
+        request = { source: 'git', url: url.trim(), ref: ref.trim() || undefined };
+      } else {
+        if (!path.trim()) throw new Error('Enter the path on the server');
+        request = { source, path: path.trim(), ref: source === 'git' ? ref.trim() || undefined : undefined };
+      }
+      const response = await projectsApi.import({ ...request, name: name.trim() || undefined, ...options });
+      if (response.skipped.length) setResult(response);
+      else onImported(response.project);
+    } catch (err) {
+      if (err.code === 'NAME_CONFLICT') {
+        setConflict(err.details);
+        setRename(err.details.suggestedName);
+      } else {
+        setError(err.message);
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    setConflict(null);
+    run();
+  };
+
+  const overwrite = () => {
+    if (!window.confirm(`Replace the files of ${conflict.name}? Its history is kept; the import becomes a new version.`)) return;
+    run({ name: conflict.name, onConflict: 'overwrite' });
+  };
+
+  return createPortal(
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(0, 0, 0, 0.7)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000
+      }}
+    >
+      <motion.div
+        initial={{ scale: 0.9, y: 20 }}
+        animate={{ scale: 1, y: 0 }}
+        exit={{ scale: 0.9, y: 20 }}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Import project"
+        style={{
+          width: 'min(520px, 90vw)',
+          background: 'var(--vm-surface)',
+          border: '2px solid rgba(var(--vm-primary-rgb), 0.3)',
+          borderRadius: '16px',
+          boxShadow: '0 0 40px rgba(var(--vm-primary-rgb), 0.2)',
+          padding: '1.5rem',
+          color: 'var(--vm-text)',
+          fontFamily: '"Share Tech Mono", monospace'
+        }}
+      >
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+          <span style={{ fontFamily: '"Orbitron", sans-serif', color: 'var(--vm-primary)', letterSpacing: '2px' }}>IMPORT PROJECT</span>
+          <button onClick={onClose} aria-label="Close" style={{ background: 'none', border: 'none', color: 'var(--vm-muted)', cursor: 'pointer', fontSize: '1.2rem' }}>
+            ×
+          </button>
+        </div>
+
+        {result ? (
+          <>
+            <p style={{ marginTop: 0 }}>
+              Imported <span style={{ color: 'var(--vm-primary)' }}>{result.project.name}</span>. These binary or oversized files were left out:
+            </p>
+            <ul style={{ maxHeight: '160px', overflowY: 'auto', color: 'var(--vm-muted)', fontSize: '0.8rem' }}>
+              {result.skipped.map((skipped) => <li key={skipped}>{skipped}</li>)}
+            </ul>
+            <button onClick={() => onImported(result.project)} style={buttonStyle('var(--vm-primary)')}>OPEN PROJECT</button>
+          </>
+        ) : (
+          <form onSubmit={submit}>
+            <div role="group" aria-label="Import from" style={{ display: 'flex', gap: '4px' }}>
+              {SOURCES.map((option) => (
+                <button
+                  key={option.id}
+                  type="button"
+                  aria-pressed={source === option.id}
+                  onClick={() => chooseSource(option.id)}
+                  style={{
+                    ...buttonStyle(source === option.id ? 'var(--vm-primary)' : 'var(--vm-muted)'),
+                    background: source === option.id ? 'rgba(var(--vm-primary-rgb), 0.15)' : 'none',
+                    fontSize: '0.75rem'
+                  }}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+
+            {source === 'zip' ? (
+              <>
+                <label htmlFor="vm-import-file" style={labelStyle}>ZIP (A VIRTUALMARK EXPORT KEEPS ITS HISTORY)</label>
+                <input
+                  id="vm-import-file"
+                  type="file"
+                  accept=".zip,application/zip"
+                  onChange={(e) => {
+                    setFile(e.target.files[0] || null);
+                    setConflict(null);
+                  }}
+                  style={{ ...inputStyle, color: 'var(--vm-text-dim)' }}
+                />
+              </>
+            ) : source === 'url' ? (
+              <>
+                <label htmlFor="vm-import-url" style={labelStyle}>REPOSITORY URL</label>
+                <input
+                  id="vm-import-url"
+                  type="url"
+                  value={url}
+                  onChange={(e) => setUrl(e.target.value)}
+                  placeholder="https://github.com/team/game.git"
+                  spellCheck={false}
+                  style={inputStyle}
+                />
+                <label htmlFor="vm-import-ref" style={labelStyle}>BRANCH OR TAG (OPTIONAL)</label>
+                <input id="vm-import-ref" value={ref} onChange={(e) => setRef(e.target.value)} placeholder="HEAD" spellCheck={false} style={inputStyle} />
+                <p style={{ color: 'var(--vm-muted)', fontSize: '0.7rem', margin: '4px 0 0' }}>
+                  Public https repositories on the hosts the server allows, up to the last 50 commits.
+                </p>
+              </>
+            ) : (
+              <>
+                <label htmlFor="vm-import-path" style={labelStyle}>
+                  {source === 'git' ? 'REPOSITORY PATH OR FILE:// URL' : 'FOLDER PATH'}
+                </label>
+                <input
+                  id="vm-import-path"
+                  value={path}
+                  onChange={(e) => setPath(e.target.value)}
+                  placeholder={source === 'git' ? '/srv/repos/game.git' : '/srv/projects/game'}
+                  spellCheck={false}
+                  style={inputStyle}
+                />
+                {source === 'git' && (
+                  <>
+                    <label htmlFor="vm-import-ref" style={labelStyle}>BRANCH, TAG OR COMMIT (OPTIONAL)</label>
+                    <input id="vm-import-ref" value={ref} onChange={(e) => setRef(e.target.value)} placeholder="HEAD" spellCheck={false} style={inputStyle} />
+                  </>
+                )}
+                <p style={{ color: 'var(--vm-muted)', fontSize: '0.7rem', margin: '4px 0 0' }}>
+                  Admins only, and only folders the server allows for imports can be read.
+                </p>
+              </>
+            )}
+
+            <label htmlFor="vm-import-name" style={labelStyle}>PROJECT NAME (OPTIONAL)</label>
+            <input id="vm-import-name" value={name} onChange={(e) => setName(e.target.value)} placeholder="From the source" style={inputStyle} />
+
+            {conflict ? (
+              <div
+                role="alert"
+                style={{ marginTop: '1rem', padding: '0.75rem', border: '1px solid rgba(var(--vm-secondary-rgb), 0.4)', borderRadius: '8px' }}
+              >
+                <div style={{ color: 'var(--vm-highlight)', fontSize: '0.85rem', marginBottom: '0.5rem' }}>
+                  You already have a project named {conflict.name}.
+                </div>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                  <input
+                    value={rename}
+                    onChange={(e) => setRename(e.target.value)}
+                    aria-label="Import as"
+                    style={{ ...inputStyle, flex: 1, width: 'auto', minWidth: 0 }}
+                  />
+                  <button
+                    type="button"
+                    disabled={busy || !rename.trim()}
+                    onClick={() => run({ name: rename.trim(), onConflict: 'rename' })}
+                    style={buttonStyle('var(--vm-primary)')}
+                  >
+                    RENAME
+                  </button>
+                  <button type="button" disabled={busy} onClick={overwrite} style={buttonStyle('var(--vm-accent)')}>
+                    OVERWRITE
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <button type="submit" disabled={busy} style={{ ...buttonStyle('var(--vm-primary)'), marginTop: '1rem', opacity: busy ? 0.5 : 1 }}>
+                {busy ? 'IMPORTING…' : 'IMPORT'}
+              </button>
+            )}
+          </form>
+        )}
+
+        {error && <div role="alert" style={{ color: 'var(--vm-danger)', marginTop: '0.75rem', fontSize: '0.8rem' }}>{error}</div>}
+      </motion.div>
+    </motion.div>,
+    document.body
+  );
+}
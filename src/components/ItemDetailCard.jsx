@@ -0,0 +1,89 @@
+import React from 'react';
+import HolographicCard from './HolographicCard.jsx';
+import { RARITY_COLORS } from '../lib/theme.js';
+
+const CHART_WIDTH = 260;
+const CHART_HEIGHT = 70;
+
+const ACQUIRED_LABELS = {
+  purchase: 'bought from the catalog',
+  trade: 'bought on the marketplace'
+};
+
+function formatDate(value) {
+  return new Date(value).toLocaleDateString([], { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+// Resale prices oldest to newest, with the catalog price as a dashed baseline
+function PriceChart({ trades, listPrice, color }) {
+  const prices = trades.map((trade) => trade.price);
+  const low = Math.min(listPrice, ...prices);
+  const high = Math.max(listPrice, ...prices);
+  const y = (price) => (high === low ? CHART_HEIGHT / 2 : CHART_HEIGHT - 4 - ((price - low) / (high - low)) * (CHART_HEIGHT - 8));
+  const x = (index) => (prices.length === 1 ? CHART_WIDTH / 2 : (index / (prices.length - 1)) * CHART_WIDTH);
+  const points = prices.map((price, index) => `${x(index)},${y(price)}`).join(' ');
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      width="100%"
+      height={CHART_HEIGHT}
+      role="img"
+      aria-label={`Resale prices from ${prices[0].toLocaleString()} to ${prices[prices.length - 1].toLocaleString()} VMC over ${prices.length} sales`}
+    >
+      <line x1="0" x2={CHART_WIDTH} y1={y(listPrice)} y2={y(listPrice)} stroke="var(--vm-muted)" strokeDasharray="4 4" />
+      <polyline points={points} fill="none" stroke={color} strokeWidth="2" />
+      {prices.map((price, index) => <circle key={index} cx={x(index)} cy={y(price)} r="3" fill={color} />)}
+    </svg>
+  );
+}
+
+// Rarity, price history and ownership of the item selected in the showroom.
+// `trades` is null while its sales are loading.
+export default function ItemDetailCard({ item, copies, owner, trades }) {
+  const color = `var(--vm-${RARITY_COLORS[item.rarity] || 'primary'})`;
+  const history = trades ? [...trades].reverse() : [];
+  const listed = copies.filter((copy) => copy.listingId).length;
+  const firstCopy = copies[copies.length - 1];
+  const lastSale = history[history.length - 1];
+
+  return (
+    <HolographicCard>
+      <div style={{ fontFamily: '"Share Tech Mono", monospace', color: 'var(--vm-text)', display: 'flex', flexDirection: 'column', gap: '0.9rem' }}>
+        <div>
+          <div style={{ fontSize: '0.75rem', letterSpacing: '3px', textTransform: 'uppercase', color }}>{item.rarity}</div>
+          <h2 style={{ margin: '0.25rem 0 0', fontFamily: '"Orbitron", sans-serif', color: 'var(--vm-primary)', letterSpacing: '2px' }}>{item.name}</h2>
+          {item.description && <p style={{ margin: '0.5rem 0 0', color: 'var(--vm-text-dim)' }}>{item.description}</p>}
+        </div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: '4px 1rem', fontSize: '0.85rem' }}>
+          <span style={{ color: 'var(--vm-muted)' }}>OWNER</span>
+          <span>{owner}{copies.length > 1 ? ` · ${copies.length} copies` : ''}</span>
+          <span style={{ color: 'var(--vm-muted)' }}>ACQUIRED</span>
+          <span>{formatDate(firstCopy.acquiredAt)}, {ACQUIRED_LABELS[firstCopy.acquiredVia] || firstCopy.acquiredVia}</span>
+          <span style={{ color: 'var(--vm-muted)' }}>LIST PRICE</span>
+          <span>{item.price.toLocaleString()} VMC</span>
+          {lastSale && (
+            <>
+              <span style={{ color: 'var(--vm-muted)' }}>LAST SALE</span>
+              <span>{lastSale.price.toLocaleString()} VMC on {formatDate(lastSale.settledAt)}</span>
+            </>
+          )}
+          {listed > 0 && (
+            <>
+              <span style={{ color: 'var(--vm-muted)' }}>LISTED</span>
+              <span style={{ color: 'var(--vm-warning)' }}>{listed === copies.length ? 'on the marketplace' : `${listed} of ${copies.length} on the marketplace`}</span>
+            </>
+          )}
+        </div>
+
+        <div>
+          <div style={{ fontSize: '0.75rem', letterSpacing: '2px', color: 'var(--vm-secondary)', marginBottom: '0.4rem' }}>PRICE HISTORY</div>
+          {trades === null && <div style={{ color: 'var(--vm-muted)' }}>Loading sales…</div>}
+          {trades && !history.length && <div style={{ color: 'var(--vm-muted)' }}>No resales yet</div>}
+          {history.length > 0 && <PriceChart trades={history} listPrice={item.price} color={color} />}
+        </div>
+      </div>
+    </HolographicCard>
+  );
+}
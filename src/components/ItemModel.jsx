@@ -0,0 +1,119 @@
+import React, { Component, Suspense, useEffect, useMemo, useRef } from 'react';
+import * as THREE from 'three';
+import { useFrame } from '@react-three/fiber';
+import { useGLTF } from '@react-three/drei';
+import { clone as cloneScene } from 'three/examples/jsm/utils/SkeletonUtils.js';
+
+// Models are scaled to fit a cube this size, resting on the origin
+const FIT_SIZE = 1.5;
+
+// useGLTF caches one scene per URL and every copy on display clones it, so
+// the shared geometry, materials and textures are freed when the last model
+// using a URL unmounts. Freeing waits a tick so a remount (StrictMode, a
+// quick back-and-forth) picks the cached scene up again instead.
+const users = new Map();
+
+function disposeMaterial(material) {
+  Object.values(material).forEach((value) => {
+    if (value && value.isTexture) value.dispose();
+  });
+  material.dispose();
+}
+
+function disposeScene(scene) {
+  scene.traverse((object) => {
+    if (!object.isMesh) return;
+    object.geometry.dispose();
+    (Array.isArray(object.material) ? object.material : [object.material]).forEach(disposeMaterial);
+  });
+}
+
+function retain(url) {
+  users.set(url, (users.get(url) || 0) + 1);
+}
+
+function release(url, scene) {
+  const count = users.get(url) - 1;
+  if (count > 0) {
+    users.set(url, count);
+    return;
+  }
+  users.delete(url);
+  setTimeout(() => {
+    if (users.has(url)) return;
+    disposeScene(scene);
+    useGLTF.clear(url);
+  }, 0);
+}
+
+// Stand-in while a model is waiting to load, loading, or failed to load
+function Placeholder({ color, failed, reduceMotion }) {
+  const meshRef = useRef();
+
+  useFrame((state, delta) => {
+    if (meshRef.current && !failed && !reduceMotion) meshRef.current.rotation.y += delta;
+  });
+
+  return (
+    <mesh ref={meshRef} position={[0, FIT_SIZE / 2, 0]}>
+      <icosahedronGeometry args={[FIT_SIZE / 2, 1]} />
+      <meshStandardMaterial color={color} emissive={color} emissiveIntensity={0.4} wireframe transparent opacity={failed ? 0.15 : 0.5} />
+    </mesh>
+  );
+}
+
+function GltfModel({ url }) {
+  const { scene } = useGLTF(url);
+
+  // SkeletonUtils' clone keeps skinned meshes bound to their own bones
+  const { model, scale, offset } = useMemo(() => {
+    const copy = cloneScene(scene);
+    const box = new THREE.Box3().setFromObject(copy);
+    const size = box.getSize(new THREE.Vector3());
+    const center = box.getCenter(new THREE.Vector3());
+    const fit = FIT_SIZE / Math.max(size.x, size.y, size.z, 0.001);
+    return { model: copy, scale: fit, offset: [-center.x * fit, -box.min.y * fit, -center.z * fit] };
+  }, [scene]);
+
+  useEffect(() => {
+    retain(url);
+    return () => release(url, scene);
+  }, [url, scene]);
+
+  return (
+    <group position={offset} scale={scale}>
+      <primitive object={model} />
+    </group>
+  );
+}
+
+// A broken or missing asset shows the placeholder rather than taking the
+// whole canvas down
+class AssetBoundary extends Component {
+  constructor(props) {
+    super(props);
+    this.state = { failed: false };
+  }
+
+  static getDerivedStateFromError() {
+    return { failed: true };
+  }
+
+  render() {
+    return this.state.failed ? this.props.fallback : this.props.children;
+  }
+}
+
+// An item's glTF/GLB asset, fetched only once `load` is set
+export default function ItemModel({ url, load, color, reduceMotion }) {
+  const placeholder = <Placeholder color={color} reduceMotion={reduceMotion} />;
+  if (!load || !url) return placeholder;
+
+  return (
+    <AssetBoundary key={url} fallback={<Placeholder color={color} failed />}>
+      <Suspense fallback={placeholder}>
+        <GltfModel url={url} />
+      </Suspense>
+    </AssetBoundary>
+  );
+}
@@ -0,0 +1,179 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Canvas, useFrame, useThree } from '@react-three/fiber';
+import { Billboard, Float, OrbitControls, Sparkles, Text, useCursor } from '@react-three/drei';
+import ItemModel from './ItemModel.jsx';
+import { playSound } from '../lib/audio.js';
+import { RARITY_COLORS, useTheme } from '../lib/theme.js';
+import { soundPositionOf } from './VirtualMarkLogo.jsx';
+
+const RARITIES = Object.keys(RARITY_COLORS);
+// Pedestals either side of the selected one whose models load ahead of time
+const PRELOAD_RANGE = 2;
+// Arc length between neighbouring pedestals
+const PEDESTAL_SPACING = 3.2;
+const MIN_RADIUS = 4;
+// Orbit target: the middle of a model standing on the front pedestal
+const TARGET_HEIGHT = 0.75;
+
+// Steps around the ring between two pedestals, whichever way is shorter
+function ringDistance(a, b, count) {
+  const distance = Math.abs(a - b) % count;
+  return Math.min(distance, count - distance);
+}
+
+// Turns the ring so the selected pedestal ends up in front of the camera
+function Ring({ radius, angle, reduceMotion, children }) {
+  const groupRef = useRef();
+  const invalidate = useThree((state) => state.invalidate);
+
+  useEffect(() => invalidate(), [angle, invalidate]);
+
+  useFrame((state, delta) => {
+    const group = groupRef.current;
+    if (!group) return;
+    if (reduceMotion) {
+      group.rotation.y = angle;
+      return;
+    }
+    const offset = Math.atan2(Math.sin(angle - group.rotation.y), Math.cos(angle - group.rotation.y));
+    group.rotation.y += offset * Math.min(1, delta * 4);
+  });
+
+  return (
+    <group ref={groupRef} position={[0, 0, -radius]}>
+      {children}
+    </group>
+  );
+}
+
+function Spinner({ reduceMotion, children }) {
+  const groupRef = useRef();
+
+  useFrame((state, delta) => {
+    if (groupRef.current && !reduceMotion) groupRef.current.rotation.y += delta * 0.5;
+  });
+
+  return <group ref={groupRef}>{children}</group>;
+}
+
+function Pedestal({ entry, index, angle, radius, selected, load, color, textColor, reduceMotion, onSelect }) {
+  const [hovered, setHovered] = useState(false);
+  useCursor(hovered);
+  const rank = RARITIES.indexOf(entry.item.rarity);
+
+  const handleClick = (event) => {
+    event.stopPropagation();
+    if (selected) return;
+    playSound('navigate', { position: soundPositionOf(event.object, event.camera), pitch: index * 2 });
+    onSelect(index);
+  };
+
+  return (
+    <group position={[Math.sin(angle) * radius, 0, Math.cos(angle) * radius]} rotation={[0, angle, 0]}>
+      <mesh
+        position={[0, -0.2, 0]}
+        onPointerOver={(event) => {
+          event.stopPropagation();
+          setHovered(true);
+        }}
+        onPointerOut={() => setHovered(false)}
+        onClick={handleClick}
+      >
+        <cylinderGeometry args={[0.8, 0.95, 0.4, 48]} />
+        <meshStandardMaterial color="#10101c" metalness={0.8} roughness={0.3} />
+      </mesh>
+      <mesh position={[0, 0.01, 0]} rotation={[-Math.PI / 2, 0, 0]}>
+        <ringGeometry args={[0.72, 0.8, 48]} />
+        <meshBasicMaterial color={color} transparent opacity={selected || hovered ? 1 : 0.5} />
+      </mesh>
+
+      <Float speed={reduceMotion ? 0 : 1.5} rotationIntensity={0} floatIntensity={reduceMotion ? 0 : 0.4}>
+        <Spinner reduceMotion={reduceMotion}>
+          <group onClick={handleClick}>
+            <ItemModel url={entry.item.assetUrl} load={load} color={color} reduceMotion={reduceMotion} />
+          </group>
+        </Spinner>
+      </Float>
+
+      {/* Rare and up sparkle, more so the rarer they are */}
+      {rank >= 2 && !reduceMotion && (
+        <Sparkles count={20 * (rank - 1)} scale={[2, 2.5, 2]} position={[0, 1.2, 0]} size={2} speed={0.4} color={color} />
+      )}
+
+      <Billboard position={[0, -0.75, 0]}>
+        <Text fontSize={0.22} color={selected ? color : textColor} anchorX="center" anchorY="middle" maxWidth={2.4}>
+          {entry.copies.length > 1 ? `${entry.item.name} ×${entry.copies.length}` : entry.item.name}
+        </Text>
+      </Billboard>
+    </group>
+  );
+}
+
+// Owned items on a ring of pedestals. The selected one turns to the front,
+// where the orbit controls inspect it; only models within PRELOAD_RANGE of
+// it are fetched, and they stay loaded until the showroom unmounts.
+export default function ItemShowroom({ entries, selected, onSelect, reduceMotion, dpr }) {
+  const { theme } = useTheme();
+  const { colors } = theme;
+  const [loaded, setLoaded] = useState(() => new Set());
+  const count = entries.length;
+  const step = (Math.PI * 2) / Math.max(count, 1);
+  const radius = Math.max(MIN_RADIUS, (count * PEDESTAL_SPACING) / (Math.PI * 2));
+
+  useEffect(() => {
+    setLoaded((current) => {
+      const wanted = entries
+        .filter((entry, index) => ringDistance(index, selected, count) <= PRELOAD_RANGE)
+        .map((entry) => entry.item.id)
+        .filter((id) => !current.has(id));
+      return wanted.length ? new Set([...current, ...wanted]) : current;
+    });
+  }, [entries, selected, count]);
+
+  return (
+    <Canvas
+      camera={{ position: [0, 1.6, 4.5], fov: 50 }}
+      dpr={dpr}
+      frameloop={reduceMotion ? 'demand' : 'always'}
+      style={{ width: '100%', height: '100%' }}
+    >
+      <color attach="background" args={[colors.background]} />
+      <fog attach="fog" args={[colors.background, 6, radius * 2 + 6]} />
+      <hemisphereLight intensity={0.6} color={colors.ambient} groundColor={colors.background} />
+      <spotLight position={[0, 6, 2]} angle={0.5} penumbra={0.6} intensity={40} color={colors.text} />
+      <pointLight position={[-4, 2, 2]} intensity={8} color={colors.primary} />
+      <pointLight position={[4, 2, 2]} intensity={8} color={colors.secondary} />
+
+      <Ring radius={radius} angle={-selected * step} reduceMotion={reduceMotion}>
+        {entries.map((entry, index) => {
+          const color = colors[RARITY_COLORS[entry.item.rarity]] || colors.primary;
+          return (
+            <Pedestal
+              key={entry.item.id}
+              entry={entry}
+              index={index}
+              angle={index * step}
+              radius={radius}
+              selected={index === selected}
+              load={loaded.has(entry.item.id)}
+              color={color}
+              textColor={colors.textDim}
+              reduceMotion={reduceMotion}
+              onSelect={onSelect}
+            />
+          );
+        })}
+      </Ring>
+
+      <OrbitControls
+        makeDefault
+        target={[0, TARGET_HEIGHT, 0]}
+        enablePan={false}
+        enableDamping={!reduceMotion}
+        minDistance={2}
+        maxDistance={radius + 6}
+        maxPolarAngle={Math.PI / 2 - 0.05}
+      />
+    </Canvas>
+  );
+}
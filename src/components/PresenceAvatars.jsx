@@ -0,0 +1,111 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import * as THREE from 'three';
+import { useFrame } from '@react-three/fiber';
+import { Text } from '@react-three/drei';
+import { peerColor } from '../lib/realtime.js';
+import { paletteOf, useTheme } from '../lib/theme.js';
+
+// How long a departing avatar takes to shrink away
+const LEAVE_MS = 600;
+const ORBIT_RADIUS = 4.5;
+// How far a peer's cursor pushes their avatar off its orbit slot
+const CURSOR_REACH = 0.8;
+
+function slotPosition(index, total) {
+  const angle = (index / Math.max(total, 1)) * Math.PI * 2 + Math.PI / 2;
+  return [Math.cos(angle) * ORBIT_RADIUS, Math.sin(angle) * ORBIT_RADIUS * 0.55, Math.sin(angle * 2) * 0.5];
+}
+
+function Avatar({ peer, slot, leaving, reduceMotion, theme }) {
+  const groupRef = useRef();
+  const coreRef = useRef();
+  const color = useMemo(() => peerColor(peer.id, paletteOf(theme)), [peer.id, theme]);
+  const target = useMemo(() => new THREE.Vector3(), []);
+
+  useFrame((state, delta) => {
+    const group = groupRef.current;
+    if (!group) return;
+    target.set(slot[0] + peer.cursor.x * CURSOR_REACH, slot[1] + peer.cursor.y * CURSOR_REACH, slot[2]);
+    if (!reduceMotion) target.y += Math.sin(state.clock.elapsedTime * 1.5 + slot[0]) * 0.15;
+    // Frame-rate independent easing towards the slot and the join/leave scale
+    const ease = 1 - Math.exp(-delta * 6);
+    group.position.lerp(target, reduceMotion ? 1 : ease);
+    const scale = THREE.MathUtils.lerp(group.scale.x, leaving ? 0 : 1, reduceMotion ? 1 : ease);
+    group.scale.setScalar(Math.max(scale, 0.0001));
+    if (coreRef.current && !reduceMotion) coreRef.current.rotation.y += delta * 0.8;
+  });
+
+  return (
+    <group ref={groupRef} position={slot} scale={0.0001}>
+      <mesh ref={coreRef}>
+        <icosahedronGeometry args={[0.28, 0]} />
+        <meshStandardMaterial color={color} emissive={color} emissiveIntensity={0.9} wireframe />
+      </mesh>
+      <mesh>
+        <sphereGeometry args={[0.12, 16, 16]} />
+        <meshBasicMaterial color={color} />
+      </mesh>
+      <Text position={[0, -0.5, 0]} fontSize={0.2} color={theme.colors.text} anchorX="center" anchorY="middle" outlineWidth={0.01} outlineColor={color}>
+        {peer.username}
+      </Text>
+      <Text position={[0, -0.75, 0]} fontSize={0.12} color={color} anchorX="center" anchorY="middle">
+        {peer.view.toUpperCase()}
+      </Text>
+    </group>
+  );
+}
+
+// Other online users orbiting the logo. At most `max` are drawn, preferring
+// people on the same view as us; joins grow in and leaves shrink out.
+export default function PresenceAvatars({ peers, currentView, max, reduceMotion }) {
+  const [departing, setDeparting] = useState([]);
+  const previousRef = useRef([]);
+  const timersRef = useRef(new Set());
+  const { theme } = useTheme();
+
+  useEffect(() => () => timersRef.current.forEach(clearTimeout), []);
+
+  const visible = useMemo(() => {
+    const sorted = [...peers].sort((a, b) => (
+      (b.view === currentView) - (a.view === currentView) || a.username.localeCompare(b.username)
+    ));
+    return sorted.slice(0, max);
+  }, [peers, currentView, max]);
+
+  // Keep avatars that just dropped out of `visible` around long enough to animate out
+  useEffect(() => {
+    const ids = new Set(visible.map((peer) => peer.id));
+    const gone = previousRef.current.filter((peer) => !ids.has(peer.id));
+    previousRef.current = visible;
+    if (!gone.length) return;
+    setDeparting((current) => [...current.filter((peer) => !ids.has(peer.id)), ...gone]);
+    const timer = setTimeout(() => {
+      timersRef.current.delete(timer);
+      setDeparting((current) => current.filter((peer) => !gone.includes(peer)));
+    }, LEAVE_MS);
+    timersRef.current.add(timer);
+  }, [visible]);
+
+  const rendered = [...visible, ...departing.filter((peer) => !visible.some((p) => p.id === peer.id))];
+  const overflow = peers.length - visible.length;
+
+  return (
+    <group>
+      {rendered.map((peer, index) => (
+        <Avatar
+          key={peer.id}
+          peer={peer}
+          slot={slotPosition(index, rendered.length)}
+          leaving={index >= visible.length}
+          reduceMotion={reduceMotion}
+          theme={theme}
+        />
+      ))}
+      {overflow > 0 && (
+        <Text position={[0, -ORBIT_RADIUS * 0.55 - 1, 0]} fontSize={0.25} color={theme.colors.muted} anchorX="center" anchorY="middle">
+          +{overflow} MORE ONLINE
+        </Text>
+      )}
+    </group>
+  );
+}
@@ -0,0 +1,98 @@
+import React, { useRef, useState } from 'react';
+import * as THREE from 'three';
+import { useFrame } from '@react-three/fiber';
+import { Billboard, Text, useCursor } from '@react-three/drei';
+import { playSound } from '../lib/audio.js';
+import { paletteOf, useTheme } from '../lib/theme.js';
+import { soundPositionOf } from './VirtualMarkLogo.jsx';
+
+// Icosahedra in the layer, and so how many recent projects the app fetches
+export const SHORTCUT_SLOTS = 5;
+
+function slotPosition(index, time) {
+  return [Math.sin(time * 0.1 + index) * 30, Math.cos(time * 0.1 + index) * 20, -index * 5];
+}
+
+function Shortcut({ index, project, color, textColor, onSelect }) {
+  const groupRef = useRef();
+  const [hovered, setHovered] = useState(false);
+  useCursor(hovered);
+
+  useFrame((state) => {
+    if (groupRef.current) groupRef.current.position.set(...slotPosition(index, state.clock.elapsedTime));
+  });
+
+  const handleOver = (event) => {
+    if (!project) return;
+    event.stopPropagation();
+    setHovered(true);
+    playSound('hover', { position: soundPositionOf(event.object, event.camera), pitch: index * 2 });
+  };
+
+  const handleClick = (event) => {
+    if (!project) return;
+    event.stopPropagation();
+    playSound('navigate', { position: soundPositionOf(event.object, event.camera), pitch: index * 2 });
+    onSelect(project, event.object.getWorldPosition(new THREE.Vector3()));
+  };
+
+  return (
+    <group ref={groupRef} position={slotPosition(index, 0)}>
+      <mesh
+        scale={hovered ? 1.4 : 1}
+        onPointerOver={handleOver}
+        onPointerOut={() => setHovered(false)}
+        onClick={handleClick}
+      >
+        <icosahedronGeometry args={[1, 0]} />
+        <meshStandardMaterial
+          color={color}
+          emissive={color}
+          emissiveIntensity={hovered ? 1 : 0.3}
+          transparent
+          opacity={project ? (hovered ? 0.8 : 0.45) : 0.2}
+          wireframe={true}
+        />
+      </mesh>
+      {project && (
+        <Billboard position={[0, -1.8, 0]}>
+          <Text
+            fontSize={hovered ? 0.7 : 0.5}
+            maxWidth={8}
+            color={textColor}
+            anchorX="center"
+            anchorY="middle"
+            outlineWidth={0.02}
+            outlineColor={color}
+            fillOpacity={hovered ? 1 : 0.6}
+          >
+            {project.name}
+          </Text>
+        </Billboard>
+      )}
+    </group>
+  );
+}
+
+// The drifting icosahedra in the scene's depth layer. Each of the first few
+// stands for one of the user's most recently edited projects and opens it on
+// click via onSelect(project, worldPosition); the rest are decoration.
+export default function ProjectShortcuts({ projects, onSelect }) {
+  const { theme } = useTheme();
+  const palette = paletteOf(theme);
+
+  return (
+    <group>
+      {[...Array(SHORTCUT_SLOTS)].map((_, i) => (
+        <Shortcut
+          key={i}
+          index={i}
+          project={projects[i] || null}
+          color={palette[i % 3]}
+          textColor={theme.colors.text}
+          onSelect={onSelect}
+        />
+      ))}
+    </group>
+  );
+}
@@ -0,0 +1,43 @@
+import React from 'react';
+import { QUALITY_MODES } from '../lib/quality.js';
+import { useTheme } from '../lib/theme.js';
+
+const LABELS = { auto: 'AUTO', off: 'OFF', low: 'LOW', medium: 'MEDIUM', high: 'HIGH' };
+
+// Graphics quality picker; in auto mode it also shows the tier currently in use
+export default function QualitySelector({ mode, level, onChange, onMouseEnter }) {
+  const { colors } = useTheme().theme;
+
+  return (
+    <label
+      onMouseEnter={onMouseEnter}
+      style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px',
+        background: colors.glass,
+        border: `2px solid ${colors.glassBorder}`,
+        color: colors.text,
+        padding: '8px 16px',
+        borderRadius: '25px',
+        fontFamily: '"Orbitron", sans-serif',
+        fontSize: '0.75rem',
+        letterSpacing: '1px',
+        backdropFilter: 'blur(10px)'
+      }}
+    >
+      <span style={{ color: colors.primary }}>GFX</span>
+      <select
+        value={mode}
+        onChange={(e) => onChange(e.target.value)}
+        style={{ background: 'transparent', border: 'none', color: colors.text, fontFamily: 'inherit', fontSize: 'inherit', cursor: 'pointer' }}
+      >
+        {QUALITY_MODES.map((option) => (
+          <option key={option} value={option} style={{ background: colors.background, color: colors.text }}>
+            {option === 'auto' && mode === 'auto' ? `AUTO · ${LABELS[level]}` : LABELS[option]}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
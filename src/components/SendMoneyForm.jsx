@@ -0,0 +1,286 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { authApi, currencyApi, newIdempotencyKey } from '../lib/api.js';
+import { playSound } from '../lib/audio.js';
+
+// Pause after typing before usernames are looked up
+const SEARCH_DELAY = 200;
+const MAX_SUGGESTIONS = 8;
+const MAX_MEMO = 280;
+const USERNAME_RE = /^[a-z0-9_-]{3,24}$/;
+const LIST_ID = 'vm-recipient-suggestions';
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  background: 'var(--vm-input)',
+  border: '1px solid rgba(var(--vm-secondary-rgb), 0.3)',
+  borderRadius: '6px',
+  color: 'var(--vm-text)',
+  fontFamily: 'inherit',
+  padding: '8px 10px'
+};
+
+const buttonStyle = {
+  background: 'rgba(var(--vm-primary-rgb), 0.15)',
+  border: '1px solid var(--vm-primary)',
+  borderRadius: '6px',
+  color: 'var(--vm-primary)',
+  cursor: 'pointer',
+  fontFamily: '"Orbitron", sans-serif',
+  letterSpacing: '1px',
+  padding: '8px 16px'
+};
+
+const labelStyle = { display: 'block', color: 'var(--vm-muted)', fontSize: '0.75rem', marginBottom: '4px' };
+
+function normalizeUsername(value) {
+  return value.trim().replace(/^@/, '').toLowerCase();
+}
+
+// Recipient suggestions: people the user has traded credits with first, then
+// anyone else whose username starts with what's typed
+function useRecipientSuggestions(query, recent) {
+  const [found, setFound] = useState([]);
+  const prefix = normalizeUsername(query);
+
+  useEffect(() => {
+    if (!prefix) {
+      setFound([]);
+      return undefined;
+    }
+    let cancelled = false;
+    const timeout = setTimeout(() => {
+      authApi.search(prefix)
+        .then((users) => { if (!cancelled) setFound(users.map((user) => user.username)); })
+        .catch(() => { if (!cancelled) setFound([]); });
+    }, SEARCH_DELAY);
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [prefix]);
+
+  const known = recent.filter((name) => name.startsWith(prefix));
+  return [...new Set([...known, ...found])].filter((name) => name !== prefix).slice(0, MAX_SUGGESTIONS);
+}
+
+// Two-step transfer: fill in and review, then confirm. The idempotency key is
+// minted at review time, so a retried or double-clicked confirm can't send twice.
+export default function SendMoneyForm({ balance, currency, recentRecipients, onSent }) {
+  const [recipient, setRecipient] = useState('');
+  const [amount, setAmount] = useState('');
+  const [memo, setMemo] = useState('');
+  const [review, setReview] = useState(null);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [listOpen, setListOpen] = useState(false);
+  const [active, setActive] = useState(-1);
+  const confirmRef = useRef();
+  const suggestions = useRecipientSuggestions(recipient, recentRecipients);
+  const showList = listOpen && suggestions.length > 0;
+
+  useEffect(() => {
+    if (review && confirmRef.current) confirmRef.current.focus();
+  }, [review]);
+
+  const pick = (name) => {
+    setRecipient(name);
+    setListOpen(false);
+    setActive(-1);
+  };
+
+  const handleRecipientKeyDown = (e) => {
+    if (!showList) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActive((index) => (index + step + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' && active >= 0) {
+      e.preventDefault();
+      pick(suggestions[active]);
+    } else if (e.key === 'Escape') {
+      setListOpen(false);
+    }
+  };
+
+  const startReview = (e) => {
+    e.preventDefault();
+    setNotice(null);
+    const username = normalizeUsername(recipient);
+    const credits = Number(amount);
+    if (!USERNAME_RE.test(username)) {
+      setError('Enter the username of the person to pay');
+    } else if (!Number.isSafeInteger(credits) || credits <= 0) {
+      setError('Amount must be a whole number of credits above zero');
+    } else if (credits > balance) {
+      setError(`You have ${balance.toLocaleString()} ${currency}`);
+    } else {
+      setError(null);
+      setReview({ username, amount: credits, memo: memo.trim(), idempotencyKey: newIdempotencyKey() });
+      playSound('click', { element: e.currentTarget });
+      return;
+    }
+    playSound('error', { element: e.currentTarget });
+  };
+
+  const confirm = async (e) => {
+    const element = e.currentTarget;
+    setSending(true);
+    try {
+      await currencyApi.transfer({ username: review.username }, review.amount, {
+        memo: review.memo || undefined,
+        idempotencyKey: review.idempotencyKey
+      });
+      playSound('purchase', { element });
+      setNotice(`Sent ${review.amount.toLocaleString()} ${currency} to @${review.username}`);
+      setRecipient('');
+      setAmount('');
+      setMemo('');
+      setReview(null);
+      onSent();
+    } catch (err) {
+      playSound('error', { element });
+      setError(err.code === 'USER_NOT_FOUND' ? `There's no user called @${review.username}` : err.message);
+      setReview(null);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <div style={{ color: 'var(--vm-secondary)', letterSpacing: '2px', fontSize: '0.8rem', marginBottom: '0.75rem' }}>SEND CREDITS</div>
+      <AnimatePresence mode="wait" initial={false}>
+        {review ? (
+          <motion.div key="review" initial={{ opacity: 0, x: 20 }} animate={{ opacity: 1, x: 0 }} exit={{ opacity: 0, x: -20 }}>
+            <p style={{ margin: '0 0 0.5rem' }}>
+              Send <strong style={{ color: 'var(--vm-primary)' }}>{review.amount.toLocaleString()} {currency}</strong> to{' '}
+              <strong style={{ color: 'var(--vm-secondary)' }}>@{review.username}</strong>?
+            </p>
+            {review.memo && <p style={{ margin: '0 0 0.5rem', color: 'var(--vm-text-dim)' }}>“{review.memo}”</p>}
+            <p style={{ margin: '0 0 1rem', color: 'var(--vm-muted)', fontSize: '0.8rem' }}>
+              Your balance afterwards: {(balance - review.amount).toLocaleString()} {currency}. Transfers can&apos;t be undone.
+            </p>
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+              <button ref={confirmRef} type="button" onClick={confirm} disabled={sending} style={{ ...buttonStyle, opacity: sending ? 0.5 : 1 }}>
+                {sending ? 'SENDING…' : 'CONFIRM'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setReview(null)}
+                disabled={sending}
+                style={{ ...buttonStyle, background: 'none', borderColor: 'rgba(var(--vm-secondary-rgb), 0.4)', color: 'var(--vm-secondary)' }}
+              >
+                BACK
+              </button>
+            </div>
+          </motion.div>
+        ) : (
+          <motion.form
+            key="edit"
+            onSubmit={startReview}
+            initial={{ opacity: 0, x: -20 }}
+            animate={{ opacity: 1, x: 0 }}
+            exit={{ opacity: 0, x: 20 }}
+            style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}
+          >
+            <div style={{ position: 'relative' }}>
+              <label htmlFor="vm-send-recipient" style={labelStyle}>RECIPIENT</label>
+              <input
+                id="vm-send-recipient"
+                value={recipient}
+                onChange={(e) => {
+                  setRecipient(e.target.value);
+                  setListOpen(true);
+                  setActive(-1);
+                }}
+                onKeyDown={handleRecipientKeyDown}
+                onFocus={() => setListOpen(true)}
+                onBlur={() => setListOpen(false)}
+                placeholder="@username"
+                role="combobox"
+                aria-expanded={showList}
+                aria-controls={LIST_ID}
+                aria-autocomplete="list"
+                aria-activedescendant={showList && active >= 0 ? `vm-recipient-${active}` : undefined}
+                autoComplete="off"
+                spellCheck={false}
+                style={inputStyle}
+              />
+              {showList && (
+                <div
+                  id={LIST_ID}
+                  role="listbox"
+                  aria-label="Suggested recipients"
+                  style={{
+                    position: 'absolute',
+                    top: '100%',
+                    left: 0,
+                    right: 0,
+                    zIndex: 10,
+                    marginTop: '2px',
+                    background: 'var(--vm-surface)',
+                    border: '1px solid rgba(var(--vm-secondary-rgb), 0.4)',
+                    borderRadius: '6px',
+                    overflow: 'hidden'
+                  }}
+                >
+                  {suggestions.map((name, index) => (
+                    <div
+                      key={name}
+                      id={`vm-recipient-${index}`}
+                      role="option"
+                      aria-selected={index === active}
+                      // mousedown so the pick lands before the input's blur closes the list
+                      onMouseDown={(e) => {
+                        e.preventDefault();
+                        pick(name);
+                      }}
+                      onMouseMove={() => setActive(index)}
+                      style={{
+                        padding: '6px 10px',
+                        cursor: 'pointer',
+                        background: index === active ? 'rgba(var(--vm-secondary-rgb), 0.15)' : 'transparent'
+                      }}
+                    >
+                      @{name}
+                      {recentRecipients.includes(name) && <span style={{ color: 'var(--vm-muted)', fontSize: '0.7rem' }}> · recent</span>}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+            <div>
+              <label htmlFor="vm-send-amount" style={labelStyle}>AMOUNT ({currency})</label>
+              <input
+                id="vm-send-amount"
+                type="number"
+                min="1"
+                step="1"
+                inputMode="numeric"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                style={inputStyle}
+              />
+            </div>
+            <div>
+              <label htmlFor="vm-send-memo" style={labelStyle}>MEMO (OPTIONAL)</label>
+              <input
+                id="vm-send-memo"
+                value={memo}
+                maxLength={MAX_MEMO}
+                onChange={(e) => setMemo(e.target.value)}
+                style={inputStyle}
+              />
+            </div>
+            <button type="submit" style={buttonStyle}>REVIEW</button>
+          </motion.form>
+        )}
+      </AnimatePresence>
+      {error && <p role="alert" style={{ color: 'var(--vm-danger)', margin: '0.75rem 0 0', fontSize: '0.85rem' }}>{error}</p>}
+      {notice && <p role="status" style={{ color: 'var(--vm-primary)', margin: '0.75rem 0 0', fontSize: '0.85rem' }}>{notice}</p>}
+    </div>
+  );
+}
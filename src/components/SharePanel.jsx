@@ -0,0 +1,257 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { motion } from 'framer-motion';
+import { projectsApi } from '../lib/api.js';
+
+const buttonStyle = (color) => ({
+  background: 'none',
+  border: `1px solid ${color}`,
+  color,
+  cursor: 'pointer',
+  borderRadius: '6px',
+  padding: '4px 10px',
+  fontFamily: 'inherit'
+});
+
+function absolute(path) {
+  return `${window.location.origin}${path}`;
+}
+
+function CopyField({ label, value }) {
+  const [copied, setCopied] = useState(false);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(value);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      setCopied(false);
+    }
+  };
+
+  return (
+    <div style={{ marginBottom: '0.75rem' }}>
+      <div style={{ color: 'var(--vm-muted)', fontSize: '0.7rem', marginBottom: '4px', letterSpacing: '1px' }}>{label}</div>
+      <div style={{ display: 'flex', gap: '0.5rem' }}>
+        <input
+          readOnly
+          value={value}
+          onFocus={(e) => e.target.select()}
+          style={{
+            flex: 1,
+            minWidth: 0,
+            background: 'var(--vm-input)',
+            border: '1px solid rgba(var(--vm-secondary-rgb), 0.4)',
+            borderRadius: '6px',
+            color: 'var(--vm-primary)',
+            padding: '6px 8px',
+            fontFamily: 'inherit',
+            fontSize: '0.8rem'
+          }}
+        />
+        <button onClick={copy} style={buttonStyle(copied ? 'var(--vm-primary)' : 'var(--vm-secondary)')}>
+          {copied ? '✓ COPIED' : 'COPY'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// People the owner lets edit the project alongside them, added by username
+function Collaborators({ projectId }) {
+  const [collaborators, setCollaborators] = useState([]);
+  const [username, setUsername] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    projectsApi.collaborators(projectId).then(setCollaborators).catch((err) => setError(err.message));
+  }, [projectId]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      setCollaborators(await action());
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const add = async (e) => {
+    e.preventDefault();
+    if (!username.trim()) return;
+    if (await run(() => projectsApi.addCollaborator(projectId, username.trim()))) setUsername('');
+  };
+
+  return (
+    <div style={{ marginTop: '1.25rem', borderTop: '1px solid rgba(var(--vm-secondary-rgb), 0.2)', paddingTop: '0.75rem' }}>
+      <div style={{ color: 'var(--vm-secondary)', fontSize: '0.75rem', marginBottom: '0.5rem', letterSpacing: '1px' }}>COLLABORATORS</div>
+      <form onSubmit={add} style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.5rem' }}>
+        <input
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder="username"
+          aria-label="Collaborator username"
+          style={{
+            flex: 1,
+            minWidth: 0,
+            background: 'var(--vm-input)',
+            border: '1px solid rgba(var(--vm-secondary-rgb), 0.4)',
+            borderRadius: '6px',
+            color: 'var(--vm-primary)',
+            padding: '6px 8px',
+            fontFamily: 'inherit',
+            fontSize: '0.8rem'
+          }}
+        />
+        <button type="submit" disabled={busy} style={buttonStyle('var(--vm-primary)')}>
+          + ADD
+        </button>
+      </form>
+      {collaborators.length === 0 && <div style={{ color: 'var(--vm-muted)', fontSize: '0.75rem' }}>Only you can edit this project.</div>}
+      {collaborators.map((collaborator) => (
+        <div key={collaborator.userId} style={{ display: 'flex', alignItems: 'center', gap: '1rem', fontSize: '0.8rem', padding: '2px 0' }}>
+          <span style={{ flex: 1, color: 'var(--vm-primary)' }}>{collaborator.username || collaborator.userId}</span>
+          <button
+            disabled={busy}
+            onClick={() => run(() => projectsApi.removeCollaborator(projectId, collaborator.userId))}
+            style={{ ...buttonStyle('var(--vm-accent)'), padding: '0 8px', fontSize: '0.7rem' }}
+          >
+            REMOVE
+          </button>
+        </div>
+      ))}
+      {error && <div style={{ color: 'var(--vm-danger)', marginTop: '0.5rem', fontSize: '0.8rem' }}>{error}</div>}
+    </div>
+  );
+}
+
+// Manages a project's public read-only link: create, copy, rotate, revoke,
+// and who else may edit it.
+// Portalled to <body> because the editor's parallax transform would otherwise
+// become the containing block for the fixed backdrop.
+export default function SharePanel({ projectId, onClose }) {
+  const [shares, setShares] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const active = shares.find((share) => share.status === 'active');
+  const totalViews = shares.reduce((sum, share) => sum + share.views, 0);
+
+  const refresh = useCallback(() => projectsApi.shares(projectId).then(setShares), [projectId]);
+
+  useEffect(() => {
+    refresh().catch((err) => setError(err.message));
+  }, [refresh]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action(projectId);
+      await refresh();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const embedSnippet = active
+    ? `<iframe src="${absolute(active.embedUrl)}" width="800" height="600" style="border:0" sandbox="allow-scripts" loading="lazy"></iframe>`
+    : '';
+
+  return createPortal(
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(0, 0, 0, 0.7)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000
+      }}
+    >
+      <motion.div
+        initial={{ scale: 0.9, y: 20 }}
+        animate={{ scale: 1, y: 0 }}
+        exit={{ scale: 0.9, y: 20 }}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Share project"
+        style={{
+          width: 'min(560px, 90vw)',
+          background: 'var(--vm-surface)',
+          border: '2px solid rgba(var(--vm-primary-rgb), 0.3)',
+          borderRadius: '16px',
+          boxShadow: '0 0 40px rgba(var(--vm-primary-rgb), 0.2)',
+          padding: '1.5rem',
+          color: 'var(--vm-text)',
+          fontFamily: '"Share Tech Mono", monospace'
+        }}
+      >
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+          <span style={{ fontFamily: '"Orbitron", sans-serif', color: 'var(--vm-primary)', letterSpacing: '2px' }}>SHARE PROJECT</span>
+          <button onClick={onClose} style={{ background: 'none', border: 'none', color: 'var(--vm-muted)', cursor: 'pointer', fontSize: '1.2rem' }}>
+            ×
+          </button>
+        </div>
+
+        {active ? (
+          <>
+            <CopyField label="PUBLIC LINK" value={absolute(active.url)} />
+            <CopyField label="EMBED URL" value={absolute(active.embedUrl)} />
+            <CopyField label="EMBED SNIPPET" value={embedSnippet} />
+            <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'center', marginTop: '1rem' }}>
+              <button disabled={busy} onClick={() => run(projectsApi.rotateShare)} style={buttonStyle('var(--vm-highlight)')}>
+                ↻ ROTATE LINK
+              </button>
+              <button disabled={busy} onClick={() => run(projectsApi.revokeShare)} style={buttonStyle('var(--vm-accent)')}>
+                REVOKE
+              </button>
+              <span style={{ marginLeft: 'auto', color: 'var(--vm-muted)', fontSize: '0.8rem' }}>
+                VIEWS <span style={{ color: 'var(--vm-accent)' }}>{active.views}</span>
+              </span>
+            </div>
+          </>
+        ) : (
+          <div style={{ textAlign: 'center', padding: '1rem 0' }}>
+            <p style={{ color: 'var(--vm-muted)', marginTop: 0 }}>Anyone with the link can view and run this project. They cannot edit it.</p>
+            <button disabled={busy} onClick={() => run(projectsApi.share)} style={buttonStyle('var(--vm-primary)')}>
+              CREATE PUBLIC LINK
+            </button>
+          </div>
+        )}
+
+        {shares.length > 1 && (
+          <div style={{ marginTop: '1.25rem', borderTop: '1px solid rgba(var(--vm-secondary-rgb), 0.2)', paddingTop: '0.75rem', fontSize: '0.75rem' }}>
+            <div style={{ color: 'var(--vm-secondary)', marginBottom: '0.5rem' }}>LINK HISTORY · {totalViews} TOTAL VIEWS</div>
+            {shares.map((share) => (
+              <div key={share.id} style={{ display: 'flex', gap: '1rem', color: share.status === 'active' ? 'var(--vm-primary)' : 'var(--vm-muted)', padding: '2px 0' }}>
+                <span style={{ flex: 1 }}>{share.url}</span>
+                <span>{share.status.toUpperCase()}</span>
+                <span>{share.views} views</span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {error && <div style={{ color: 'var(--vm-danger)', marginTop: '0.75rem', fontSize: '0.8rem' }}>{error}</div>}
+
+        <Collaborators projectId={projectId} />
+      </motion.div>
+    </motion.div>,
+    document.body
+  );
+}
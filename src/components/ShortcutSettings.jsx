@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import {
+  SHORTCUT_ACTIONS,
+  useShortcutBindings,
+  comboFromEvent,
+  formatCombo,
+  findConflicts,
+  editorConflict
+} from '../lib/shortcuts.js';
+import { playSound } from '../lib/audio.js';
+
+const buttonStyle = {
+  background: 'none',
+  border: '1px solid rgba(var(--vm-secondary-rgb), 0.4)',
+  borderRadius: '6px',
+  color: 'var(--vm-secondary)',
+  cursor: 'pointer',
+  fontFamily: 'inherit',
+  fontSize: '0.75rem',
+  padding: '4px 10px'
+};
+
+const labelOf = (id) => SHORTCUT_ACTIONS.find((action) => action.id === id).label;
+
+// Binding editor shown inside the command palette. Clicking a binding records
+// the next key combo; Escape cancels and Backspace unbinds. Clashes with
+// another action or with a Monaco keybinding are flagged on the row.
+export default function ShortcutSettings({ onBack, onClose }) {
+  const { bindings, setBinding, resetBindings } = useShortcutBindings();
+  const [recording, setRecording] = useState(null);
+  const conflicts = findConflicts(bindings);
+
+  const handleRecordKeyDown = (e, id) => {
+    // Keep the combo from also triggering the shortcut it's being bound to
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.key === 'Escape') {
+      setRecording(null);
+      return;
+    }
+    if (e.key === 'Backspace' || e.key === 'Delete') {
+      setBinding(id, null);
+      setRecording(null);
+      return;
+    }
+    const combo = comboFromEvent(e);
+    if (!combo) return;
+    setBinding(id, combo);
+    setRecording(null);
+    playSound('click', { element: e.currentTarget });
+  };
+
+  return (
+    <div
+      onKeyDown={(e) => {
+        if (e.key === 'Escape' && !recording) onClose();
+      }}
+      style={{ display: 'flex', flexDirection: 'column', minHeight: 0 }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', padding: '1rem 1.25rem', borderBottom: '1px solid rgba(var(--vm-secondary-rgb), 0.4)' }}>
+        <button type="button" onClick={onBack} style={{ ...buttonStyle, border: 'none', padding: 0 }}>
+          ← BACK
+        </button>
+        <span style={{ fontFamily: '"Orbitron", sans-serif', color: 'var(--vm-primary)', letterSpacing: '2px' }}>KEYBOARD SHORTCUTS</span>
+        <button type="button" onClick={resetBindings} style={buttonStyle}>
+          RESET
+        </button>
+      </div>
+
+      <div style={{ overflowY: 'auto', padding: '0.5rem 1.25rem 1rem' }}>
+        {SHORTCUT_ACTIONS.map(({ id, label }) => {
+          const combo = bindings[id];
+          const clash = conflicts[id];
+          const editorClash = combo && editorConflict(combo);
+          return (
+            <div key={id} style={{ padding: '8px 0', borderBottom: '1px solid rgba(var(--vm-secondary-rgb), 0.15)' }}>
+              <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '1rem' }}>
+                <span>{label}</span>
+                <button
+                  type="button"
+                  autoFocus={recording === id}
+                  onClick={() => setRecording(recording === id ? null : id)}
+                  onKeyDown={recording === id ? (e) => handleRecordKeyDown(e, id) : undefined}
+                  onBlur={() => setRecording((current) => (current === id ? null : current))}
+                  aria-label={`${label}: ${combo ? formatCombo(combo) : 'unbound'}. Activate to change`}
+                  style={{
+                    ...buttonStyle,
+                    minWidth: '110px',
+                    color: recording === id ? 'var(--vm-highlight)' : combo ? 'var(--vm-primary)' : 'var(--vm-muted)',
+                    borderColor: recording === id ? 'var(--vm-highlight)' : 'rgba(var(--vm-secondary-rgb), 0.4)'
+                  }}
+                >
+                  {recording === id ? 'PRESS KEYS…' : combo ? formatCombo(combo) : 'UNBOUND'}
+                </button>
+              </div>
+              {clash && (
+                <div style={{ color: 'var(--vm-danger)', fontSize: '0.75rem', marginTop: '4px' }}>
+                  Also bound to: {clash.map(labelOf).join(', ')}
+                </div>
+              )}
+              {editorClash && (
+                <div style={{ color: 'var(--vm-warning)', fontSize: '0.75rem', marginTop: '4px' }}>
+                  In the editor this is {editorClash}; it goes to the editor while the editor has focus
+                </div>
+              )}
+            </div>
+          );
+        })}
+        <div style={{ color: 'var(--vm-muted)', fontSize: '0.75rem', marginTop: '0.75rem' }}>
+          While recording, Escape cancels and Backspace removes the binding.
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,190 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import TypewriterText from './TypewriterText.jsx';
+import { runCommandLine, completeCommandLine, loadHistory, appendHistory } from '../lib/terminal.js';
+import { playSound } from '../lib/audio.js';
+
+// Scrollback kept in the output panel
+const MAX_LINES = 200;
+
+const TONE_COLORS = {
+  command: 'var(--vm-secondary)',
+  info: 'var(--vm-text-dim)',
+  success: 'var(--vm-primary)',
+  error: 'var(--vm-danger)',
+  muted: 'var(--vm-muted)'
+};
+
+let nextLineId = 0;
+
+// The footer prompt as a command console (commands live in src/lib/terminal.js).
+// Output types itself out in a panel that rises above the footer, so the
+// footer's nearest positioned ancestor must not clip it. Until the console is
+// focused the input shows the `idleTexts` ticker instead.
+export default function TerminalConsole({ context, idleTexts, reduceMotion }) {
+  const [value, setValue] = useState('');
+  const [lines, setLines] = useState([]);
+  const [focused, setFocused] = useState(false);
+  const [running, setRunning] = useState(false);
+  const historyRef = useRef(loadHistory());
+  // Position while browsing history; the line being typed is kept as `draft`
+  const browseRef = useRef({ index: -1, draft: '' });
+  const inputRef = useRef();
+  const outputRef = useRef();
+  const contextRef = useRef(context);
+  contextRef.current = context;
+
+  useEffect(() => {
+    if (outputRef.current) outputRef.current.scrollTop = outputRef.current.scrollHeight;
+  }, [lines]);
+
+  const print = (text, tone = 'info') => {
+    setLines((current) => [...current, { id: nextLineId++, text: String(text), tone }].slice(-MAX_LINES));
+  };
+
+  const clear = () => setLines([]);
+
+  const commandContext = () => ({ ...contextRef.current, print, clear });
+
+  const submit = async () => {
+    const line = value.trim();
+    setValue('');
+    browseRef.current = { index: -1, draft: '' };
+    if (!line) return;
+    historyRef.current = appendHistory(historyRef.current, line);
+    print(`$ ${line}`, 'command');
+    playSound('click', { element: inputRef.current });
+    setRunning(true);
+    try {
+      await runCommandLine(line, commandContext());
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const browseHistory = (step) => {
+    const history = historyRef.current;
+    const browse = browseRef.current;
+    if (!history.length) return;
+    if (browse.index === -1) {
+      if (step > 0) return;
+      browse.draft = value;
+      browse.index = history.length;
+    }
+    const index = browse.index + step;
+    if (index < 0) return;
+    if (index >= history.length) {
+      browseRef.current = { index: -1, draft: '' };
+      setValue(browse.draft);
+      return;
+    }
+    browse.index = index;
+    setValue(history[index]);
+  };
+
+  const complete = async () => {
+    const { line, candidates } = await completeCommandLine(value, commandContext());
+    setValue(line);
+    if (candidates.length) print(candidates.join('  '), 'muted');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      if (!running) submit();
+    } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+      e.preventDefault();
+      browseHistory(e.key === 'ArrowUp' ? -1 : 1);
+    } else if (e.key === 'Tab' && value) {
+      // Tab on an empty line still moves focus on, so keyboard users aren't trapped
+      e.preventDefault();
+      complete();
+    } else if (e.key === 'l' && e.ctrlKey) {
+      e.preventDefault();
+      clear();
+    } else if (e.key === 'Escape') {
+      inputRef.current.blur();
+    }
+  };
+
+  const idle = !focused && !value && idleTexts;
+
+  return (
+    <>
+      <AnimatePresence>
+        {lines.length > 0 && (
+          <motion.div
+            ref={outputRef}
+            role="log"
+            aria-live="polite"
+            aria-label="Console output"
+            initial={reduceMotion ? { opacity: 0 } : { opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={reduceMotion ? { opacity: 0 } : { opacity: 0, y: 20 }}
+            style={{
+              position: 'absolute',
+              bottom: '100%',
+              left: 0,
+              right: 0,
+              maxHeight: '40vh',
+              overflowY: 'auto',
+              padding: '0.75rem 2rem',
+              background: 'var(--vm-surface)',
+              borderTop: '1px solid rgba(var(--vm-primary-rgb), 0.3)',
+              backdropFilter: 'blur(10px)',
+              whiteSpace: 'pre-wrap'
+            }}
+          >
+            {lines.map((line) => (
+              <div key={line.id} style={{ color: TONE_COLORS[line.tone] || TONE_COLORS.info, minHeight: '1.3em' }}>
+                {line.tone === 'command' ? line.text : (
+                  <TypewriterText
+                    texts={[line.text]}
+                    speed={8}
+                    loop={false}
+                    glitch={line.tone === 'error'}
+                    cursor={false}
+                    reducedMotion={reduceMotion}
+                    style={{ minWidth: 0 }}
+                  />
+                )}
+              </div>
+            ))}
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      <span style={{ position: 'relative', display: 'inline-flex', alignItems: 'center', minWidth: '500px' }}>
+        <input
+          ref={inputRef}
+          value={value}
+          onChange={(e) => {
+            setValue(e.target.value);
+            browseRef.current = { index: -1, draft: '' };
+          }}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setFocused(true)}
+          onBlur={() => setFocused(false)}
+          aria-label="Console command (type help for a list)"
+          spellCheck={false}
+          autoComplete="off"
+          autoCapitalize="off"
+          style={{
+            width: '100%',
+            background: 'transparent',
+            border: 'none',
+            color: running ? 'var(--vm-muted)' : 'var(--vm-primary)',
+            caretColor: 'var(--vm-primary)',
+            font: 'inherit',
+            padding: 0
+          }}
+        />
+        {idle && (
+          <span aria-hidden="true" style={{ position: 'absolute', left: 0, top: 0, pointerEvents: 'none', whiteSpace: 'nowrap' }}>
+            <TypewriterText texts={idleTexts} speed={30} loop={true} glitch={true} reducedMotion={reduceMotion} />
+          </span>
+        )}
+      </span>
+    </>
+  );
+}
@@ -0,0 +1,41 @@
+import React from 'react';
+import { THEMES, THEME_NAMES, useTheme } from '../lib/theme.js';
+
+// Colour theme picker, styled to sit next to the graphics quality one
+export default function ThemeSelector({ value, onChange, onMouseEnter }) {
+  const { theme } = useTheme();
+  const { colors } = theme;
+
+  return (
+    <label
+      onMouseEnter={onMouseEnter}
+      style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px',
+        background: colors.glass,
+        border: `2px solid ${colors.glassBorder}`,
+        color: colors.text,
+        padding: '8px 16px',
+        borderRadius: '25px',
+        fontFamily: '"Orbitron", sans-serif',
+        fontSize: '0.75rem',
+        letterSpacing: '1px',
+        backdropFilter: 'blur(10px)'
+      }}
+    >
+      <span style={{ color: colors.accent }}>THEME</span>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        style={{ background: 'transparent', border: 'none', color: colors.text, fontFamily: 'inherit', fontSize: 'inherit', cursor: 'pointer' }}
+      >
+        {THEME_NAMES.map((name) => (
+          <option key={name} value={name} style={{ background: colors.background, color: colors.text }}>
+            {THEMES[name].label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
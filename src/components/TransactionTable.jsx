@@ -0,0 +1,110 @@
+import React, { useMemo, useState } from 'react';
+import { LEDGER_FILTERS, typeLabel, counterpartyLabel } from '../lib/ledger.js';
+
+const cellStyle = {
+  padding: '6px 8px',
+  borderBottom: '1px solid rgba(var(--vm-secondary-rgb), 0.15)',
+  textAlign: 'left',
+  whiteSpace: 'nowrap'
+};
+
+function formatTime(value) {
+  return new Date(value).toLocaleString([], { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false });
+}
+
+// Ledger entries with type chips and a text search over memo and counterparty
+export default function TransactionTable({ entries, usernames, total }) {
+  const [filter, setFilter] = useState('all');
+  const [search, setSearch] = useState('');
+
+  const rows = useMemo(() => {
+    const needle = search.trim().toLowerCase();
+    return entries.filter((entry) => LEDGER_FILTERS[filter].test(entry) && (!needle
+      || (entry.memo || '').toLowerCase().includes(needle)
+      || counterpartyLabel(entry, usernames).toLowerCase().includes(needle)));
+  }, [entries, usernames, filter, search]);
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', minHeight: 0 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap' }}>
+        <div role="group" aria-label="Filter transactions" style={{ display: 'flex', gap: '4px', flexWrap: 'wrap' }}>
+          {Object.entries(LEDGER_FILTERS).map(([id, { label }]) => (
+            <button
+              key={id}
+              type="button"
+              aria-pressed={filter === id}
+              onClick={() => setFilter(id)}
+              style={{
+                background: filter === id ? 'rgba(var(--vm-secondary-rgb), 0.2)' : 'none',
+                border: '1px solid rgba(var(--vm-secondary-rgb), 0.4)',
+                borderRadius: '4px',
+                color: filter === id ? 'var(--vm-secondary)' : 'var(--vm-muted)',
+                cursor: 'pointer',
+                fontFamily: 'inherit',
+                fontSize: '0.7rem',
+                padding: '2px 8px'
+              }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search memo or counterparty"
+          aria-label="Search transactions"
+          style={{
+            flex: 1,
+            minWidth: '160px',
+            background: 'var(--vm-input)',
+            border: '1px solid rgba(var(--vm-secondary-rgb), 0.3)',
+            borderRadius: '4px',
+            color: 'var(--vm-text)',
+            fontFamily: 'inherit',
+            padding: '4px 8px'
+          }}
+        />
+        <span style={{ color: 'var(--vm-muted)', fontSize: '0.75rem' }}>
+          {rows.length} of {entries.length}
+        </span>
+      </div>
+
+      <div style={{ overflow: 'auto', maxHeight: '320px' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.8rem' }}>
+          <thead>
+            <tr style={{ color: 'var(--vm-muted)' }}>
+              <th scope="col" style={cellStyle}>DATE</th>
+              <th scope="col" style={cellStyle}>TYPE</th>
+              <th scope="col" style={cellStyle}>COUNTERPARTY</th>
+              <th scope="col" style={cellStyle}>MEMO</th>
+              <th scope="col" style={{ ...cellStyle, textAlign: 'right' }}>AMOUNT</th>
+              <th scope="col" style={{ ...cellStyle, textAlign: 'right' }}>BALANCE</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((entry) => (
+              <tr key={entry.id}>
+                <td style={{ ...cellStyle, color: 'var(--vm-text-dim)' }}>{formatTime(entry.createdAt)}</td>
+                <td style={cellStyle}>{typeLabel(entry.type)}</td>
+                <td style={{ ...cellStyle, color: 'var(--vm-secondary)' }}>{counterpartyLabel(entry, usernames)}</td>
+                <td style={{ ...cellStyle, whiteSpace: 'normal', color: 'var(--vm-text-dim)' }}>{entry.memo}</td>
+                <td style={{ ...cellStyle, textAlign: 'right', color: entry.direction === 'in' ? 'var(--vm-primary)' : 'var(--vm-danger)' }}>
+                  {entry.amount > 0 ? '+' : ''}{entry.amount.toLocaleString()}
+                </td>
+                <td style={{ ...cellStyle, textAlign: 'right' }}>{entry.balanceAfter.toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!rows.length && <p style={{ color: 'var(--vm-muted)', textAlign: 'center' }}>No matching transactions</p>}
+        {entries.length < total && (
+          <p style={{ color: 'var(--vm-muted)', fontSize: '0.75rem', textAlign: 'center' }}>
+            Showing the latest {entries.length.toLocaleString()}; export for the full history
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { srOnly } from '../lib/accessibility.js';
+
+// Enhanced Typewriter with Glitch Effects. Screen readers get the whole
+// current line; with reducedMotion the lines swap without typing or glitches.
+// With loop off the last line stays once typed; `cursor` hides the block cursor.
+export default function TypewriterText({ texts, speed = 30, loop = true, glitch = false, reducedMotion = false, cursor = true, style }) {
+  const [displayText, setDisplayText] = useState('');
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [charIndex, setCharIndex] = useState(0);
+  const [glitchActive, setGlitchActive] = useState(false);
+  
+  // Glitch effect
+  useEffect(() => {
+    if (glitch && !reducedMotion) {
+      const interval = setInterval(() => {
+        if (Math.random() > 0.7) {
+          setGlitchActive(true);
+          setTimeout(() => setGlitchActive(false), 100);
+        }
+      }, 1000);
+      return () => clearInterval(interval);
+    }
+  }, [glitch, reducedMotion]);
+
+  // Static rotation for accessibility mode
+  useEffect(() => {
+    if (!reducedMotion || !loop) return;
+    const interval = setInterval(() => setCurrentIndex((index) => (index + 1) % texts.length), 4000);
+    return () => clearInterval(interval);
+  }, [reducedMotion, loop, texts.length]);
+
+  // Typewriter effect
+  useEffect(() => {
+    if (reducedMotion) return;
+    if (charIndex <= texts[currentIndex].length) {
+      const timeout = setTimeout(() => {
+        setDisplayText(texts[currentIndex].substring(0, charIndex));
+        setCharIndex(charIndex + 1);
+      }, speed);
+      
+      return () => clearTimeout(timeout);
+    } else if (loop) {
+      const timeout = setTimeout(() => {
+        setCurrentIndex((currentIndex + 1) % texts.length);
+        setCharIndex(0);
+        setDisplayText('');
+      }, 2000);
+      
+      return () => clearTimeout(timeout);
+    }
+  }, [charIndex, currentIndex, texts, speed, loop, reducedMotion]);
+
+  return (
+    <span style={{ 
+      display: 'inline-block', 
+      minWidth: '500px',
+      position: 'relative',
+      filter: glitchActive ? 'url(#glitchFilter)' : 'none',
+      ...style
+    }}>
+      <span style={srOnly}>{texts[currentIndex]}</span>
+      <span aria-hidden="true">{reducedMotion ? texts[currentIndex] : displayText}</span>
+      {cursor && <motion.span
+        aria-hidden="true"
+        animate={reducedMotion ? undefined : { opacity: [1, 0, 1] }}
+        transition={{ duration: 0.8, repeat: Infinity }}
+        style={{ 
+          marginLeft: '2px',
+          color: 'var(--vm-primary)',
+          textShadow: '0 0 10px var(--vm-primary)'
+        }}
+      >
+        █
+      </motion.span>}
+      
+      {/* SVG filter for glitch effect */}
+      <svg aria-hidden="true" style={{ position: 'absolute', width: 0, height: 0 }}>
+        <defs>
+          <filter id="glitchFilter" x="0" y="0">
+            <feOffset in="SourceGraphic" dx="2" dy="0" result="offset1">
+              <animate attributeName="dx" values="0;2;0" dur="0.1s" repeatCount="1" />
+            </feOffset>
+            <feOffset in="SourceGraphic" dx="-2" dy="0" result="offset2">
+              <animate attributeName="dx" values="0;-2;0" dur="0.1s" repeatCount="1" />
+            </feOffset>
+            <feBlend in="offset1" in2="offset2" mode="screen" />
+          </filter>
+        </defs>
+      </svg>
+    </span>
+  );
+}
@@ -0,0 +1,159 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import * as THREE from 'three';
+import { useFrame } from '@react-three/fiber';
+import { Float, MeshWobbleMaterial, useCursor } from '@react-three/drei';
+import { getAudioLevel, playSound, screenPosition } from '../lib/audio.js';
+import { useTheme } from '../lib/theme.js';
+
+// Letter outlines, 1.6 wide and 2 tall, centred on the origin
+const GLYPHS = {
+  V: [[-0.8, 1], [-0.4, 1], [0, -0.35], [0.4, 1], [0.8, 1], [0.2, -1], [-0.2, -1]],
+  M: [
+    [-0.8, -1], [-0.8, 1], [-0.4, 1], [0, 0.2], [0.4, 1], [0.8, 1],
+    [0.8, -1], [0.45, -1], [0.45, 0.3], [0, -0.45], [-0.45, 0.3], [-0.45, -1]
+  ]
+};
+
+const EXTRUDE = { depth: 0.5, bevelEnabled: true, bevelThickness: 0.06, bevelSize: 0.04, bevelSegments: 3 };
+
+// Each letter is a way into the app: V opens the projects, M the editor
+const LETTERS = [
+  { glyph: 'V', view: 'projects', position: [-1.5, 0, 0], color: 'primary', speed: 2, pitch: 0 },
+  { glyph: 'M', view: 'editor', position: [1.5, 0, 0], color: 'secondary', speed: 1.5, pitch: 4 }
+];
+
+const ORBITERS = 8;
+const ORBIT_RADIUS = 2.5;
+const HOVER_GLOW = 1.2;
+
+// Where a scene object is for the positional sound engine
+export function soundPositionOf(object, camera) {
+  const point = new THREE.Vector3().setFromMatrixPosition(object.matrixWorld).project(camera);
+  return screenPosition(point);
+}
+
+function Letter({ glyph, view, position, color, speed, pitch, reduceMotion, onSelect }) {
+  const materialRef = useRef();
+  const [hovered, setHovered] = useState(false);
+  useCursor(hovered);
+
+  const geometry = useMemo(() => {
+    const shape = new THREE.Shape(GLYPHS[glyph].map(([x, y]) => new THREE.Vector2(x, y)));
+    const extruded = new THREE.ExtrudeGeometry(shape, EXTRUDE);
+    extruded.center();
+    return extruded;
+  }, [glyph]);
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  // Letters glow brighter with whatever the audio engine is playing
+  useFrame(() => {
+    if (!materialRef.current) return;
+    const level = reduceMotion ? 0 : getAudioLevel() * 2.5;
+    materialRef.current.emissiveIntensity = 0.8 + level + (hovered ? HOVER_GLOW : 0);
+  });
+
+  const handleOver = (event) => {
+    event.stopPropagation();
+    setHovered(true);
+    playSound('hover', { position: soundPositionOf(event.object, event.camera), pitch });
+  };
+
+  const handleClick = (event) => {
+    event.stopPropagation();
+    playSound('navigate', { position: soundPositionOf(event.object, event.camera), pitch });
+    onSelect(view, event.object.getWorldPosition(new THREE.Vector3()));
+  };
+
+  return (
+    <mesh
+      position={position}
+      scale={hovered ? 1.15 : 1}
+      geometry={geometry}
+      onPointerOver={handleOver}
+      onPointerOut={() => setHovered(false)}
+      onClick={handleClick}
+    >
+      <MeshWobbleMaterial
+        ref={materialRef}
+        color={color}
+        emissive={color}
+        emissiveIntensity={0.8}
+        roughness={0.1}
+        metalness={0.9}
+        factor={hovered || reduceMotion ? 0 : 0.5}
+        speed={speed}
+      />
+    </mesh>
+  );
+}
+
+// The V and M logo. Hovering a letter lights it up; clicking one calls
+// onSelect(view, worldPosition) so the camera can fly into that section.
+export default function VirtualMarkLogo({ parallaxOffset, reduceMotion, onSelect }) {
+  const logoRef = useRef();
+  const groupRef = useRef();
+  const orbiterRefs = useRef([]);
+  const { theme } = useTheme();
+  const { colors } = theme;
+
+  useFrame((state) => {
+    const time = state.clock.elapsedTime;
+    if (logoRef.current) {
+      logoRef.current.rotation.y = Math.sin(time * 0.3) * 0.1;
+      logoRef.current.rotation.x = Math.cos(time * 0.2) * 0.05;
+    }
+    if (groupRef.current) {
+      groupRef.current.position.x = parallaxOffset.x * 0.1;
+      groupRef.current.position.y = parallaxOffset.y * 0.1;
+    }
+    orbiterRefs.current.forEach((orbiter, i) => {
+      if (!orbiter) return;
+      const angle = (i / ORBITERS) * Math.PI * 2 + Math.PI / 4;
+      orbiter.position.set(
+        Math.cos(angle + time) * ORBIT_RADIUS,
+        Math.sin(angle + time * 2) * ORBIT_RADIUS * 0.5,
+        0
+      );
+    });
+  });
+
+  return (
+    <group ref={groupRef} position={[0, 0, -5]}>
+      <Float speed={2} rotationIntensity={0.5} floatIntensity={1}>
+        <group ref={logoRef}>
+          {LETTERS.map((letter) => (
+            <Letter
+              key={letter.glyph}
+              {...letter}
+              color={colors[letter.color]}
+              reduceMotion={reduceMotion}
+              onSelect={onSelect}
+            />
+          ))}
+
+          {/* Connecting particle beam */}
+          <mesh position={[0, 0.5, 0]}>
+            <cylinderGeometry args={[0.05, 0.05, 3, 8]} />
+            <meshBasicMaterial color={colors.beam} transparent opacity={0.7} />
+          </mesh>
+
+          {/* Orbiting particles */}
+          {[...Array(ORBITERS)].map((_, i) => {
+            const angle = (i / ORBITERS) * Math.PI * 2 + Math.PI / 4;
+            return (
+              <mesh
+                key={i}
+                ref={(mesh) => { orbiterRefs.current[i] = mesh; }}
+                position={[Math.cos(angle) * ORBIT_RADIUS, Math.sin(angle) * ORBIT_RADIUS * 0.5, 0]}
+              >
+                <sphereGeometry args={[0.1, 16, 16]} />
+                <meshBasicMaterial color={i % 2 === 0 ? colors.primary : colors.secondary} />
+              </mesh>
+            );
+          })}
+        </group>
+      </Float>
+    </group>
+  );
+}
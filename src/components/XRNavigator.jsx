@@ -0,0 +1,197 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import * as THREE from 'three';
+import { useFrame, useThree } from '@react-three/fiber';
+import { Text } from '@react-three/drei';
+import { paletteOf, useTheme } from '../lib/theme.js';
+
+// How long the head-gaze reticle has to rest on a panel before it selects
+const GAZE_DWELL_MS = 1500;
+const DWELL_SEGMENTS = 32;
+
+// In-headset navigation: the nav destinations float on an arc in front of the
+// user and can be picked with a controller trigger or by gazing at them.
+export default function XRNavigator({ items, activeView, onSelect, onHover }) {
+  const { gl, scene } = useThree();
+  const groupRef = useRef();
+  const panelRefs = useRef([]);
+  const reticleRef = useRef();
+  const placedRef = useRef(false);
+  const dwellRef = useRef();
+  const gazeRef = useRef({ index: -1, since: 0, selected: false });
+  const controllerHitsRef = useRef(new Map());
+  const [hovered, setHovered] = useState(-1);
+  const { theme } = useTheme();
+  const { colors } = theme;
+  const panelColors = paletteOf(theme);
+
+  const raycaster = useMemo(() => new THREE.Raycaster(), []);
+  const tempMatrix = useMemo(() => new THREE.Matrix4(), []);
+  // Reused every frame so the render loop doesn't allocate
+  const scratch = useMemo(() => ({
+    head: new THREE.Vector3(),
+    origin: new THREE.Vector3(),
+    direction: new THREE.Vector3(),
+    gaze: new THREE.Vector3()
+  }), []);
+  const rayMaterial = useMemo(() => new THREE.LineBasicMaterial({ transparent: true, opacity: 0.6 }), []);
+
+  useEffect(() => {
+    rayMaterial.color.set(colors.primary);
+  }, [rayMaterial, colors.primary]);
+
+  // Latest callbacks for the controller listeners registered once below
+  const selectRef = useRef(onSelect);
+  selectRef.current = onSelect;
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+
+  // Controllers live in the scene so three keeps their target-ray pose current
+  useEffect(() => {
+    const controllers = [0, 1].map((i) => gl.xr.getController(i));
+    const rayGeometry = new THREE.BufferGeometry().setFromPoints([
+      new THREE.Vector3(0, 0, 0),
+      new THREE.Vector3(0, 0, -5)
+    ]);
+
+    const handleSelect = (event) => {
+      const index = controllerHitsRef.current.get(event.target);
+      if (index !== undefined && index >= 0) {
+        selectRef.current(itemsRef.current[index]);
+      }
+    };
+
+    controllers.forEach((controller) => {
+      controller.add(new THREE.Line(rayGeometry, rayMaterial));
+      controller.addEventListener('select', handleSelect);
+      scene.add(controller);
+    });
+
+    return () => {
+      controllers.forEach((controller) => {
+        controller.removeEventListener('select', handleSelect);
+        controller.clear();
+        scene.remove(controller);
+      });
+      rayGeometry.dispose();
+    };
+  }, [gl, scene, rayMaterial]);
+
+  useEffect(() => () => rayMaterial.dispose(), [rayMaterial]);
+
+  const intersect = (origin, direction) => {
+    raycaster.set(origin, direction);
+    const panels = panelRefs.current.filter(Boolean);
+    const hit = raycaster.intersectObjects(panels, false)[0];
+    return hit ? panels.indexOf(hit.object) : -1;
+  };
+
+  // Dwell progress goes straight to the ring's draw range (6 indices per
+  // segment) rather than through state, which would re-render every frame
+  const showDwell = (progress) => {
+    const ring = dwellRef.current;
+    if (!ring) return;
+    ring.visible = progress > 0;
+    ring.geometry.setDrawRange(0, Math.round(progress * DWELL_SEGMENTS) * 6);
+  };
+
+  useFrame(() => {
+    if (!gl.xr.isPresenting || !groupRef.current) return;
+    const xrCamera = gl.xr.getCamera();
+    const headPosition = scratch.head.setFromMatrixPosition(xrCamera.matrixWorld);
+
+    // Anchor the menu at eye height the first time we have a head pose,
+    // whichever reference space the UA granted
+    if (!placedRef.current) {
+      groupRef.current.position.set(headPosition.x, headPosition.y, headPosition.z - 3);
+      placedRef.current = true;
+    }
+
+    // Controller rays
+    let controllerIndex = -1;
+    for (let i = 0; i < 2; i++) {
+      const controller = gl.xr.getController(i);
+      tempMatrix.identity().extractRotation(controller.matrixWorld);
+      const origin = scratch.origin.setFromMatrixPosition(controller.matrixWorld);
+      const direction = scratch.direction.set(0, 0, -1).applyMatrix4(tempMatrix);
+      const index = controller.visible ? intersect(origin, direction) : -1;
+      controllerHitsRef.current.set(controller, index);
+      if (index >= 0) controllerIndex = index;
+    }
+
+    // Head gaze with dwell, for headsets without controllers. A panel selects
+    // once per gaze; looking away and back selects it again.
+    const gazeDirection = xrCamera.getWorldDirection(scratch.gaze);
+    const gazeIndex = intersect(headPosition, gazeDirection);
+    const gaze = gazeRef.current;
+    if (gazeIndex !== gaze.index) {
+      gaze.index = gazeIndex;
+      gaze.since = performance.now();
+      gaze.selected = false;
+      showDwell(0);
+    } else if (gazeIndex >= 0 && !gaze.selected) {
+      const progress = Math.min((performance.now() - gaze.since) / GAZE_DWELL_MS, 1);
+      showDwell(progress);
+      if (progress >= 1) {
+        gaze.selected = true;
+        showDwell(0);
+        onSelect(items[gazeIndex]);
+      }
+    }
+
+    if (reticleRef.current) {
+      reticleRef.current.position.copy(headPosition).addScaledVector(gazeDirection, 2);
+      reticleRef.current.lookAt(headPosition);
+    }
+
+    const next = controllerIndex >= 0 ? controllerIndex : gazeIndex;
+    if (next !== hovered) {
+      setHovered(next);
+      if (next >= 0 && onHover) onHover(items[next], next);
+    }
+  });
+
+  return (
+    <>
+      <group ref={groupRef}>
+        {items.map((item, i) => {
+          const angle = ((i - (items.length - 1) / 2) * Math.PI) / 8;
+          const color = panelColors[i % panelColors.length];
+          const isActive = activeView === item;
+          const isHovered = hovered === i;
+          return (
+            <group
+              key={item}
+              position={[Math.sin(angle) * 3, 0, 3 - Math.cos(angle) * 3]}
+              rotation={[0, -angle, 0]}
+            >
+              <mesh ref={(el) => { panelRefs.current[i] = el; }} scale={isHovered ? 1.1 : 1}>
+                <planeGeometry args={[1, 0.4]} />
+                <meshBasicMaterial
+                  color={color}
+                  transparent
+                  opacity={isActive ? 0.5 : isHovered ? 0.35 : 0.15}
+                  side={THREE.DoubleSide}
+                />
+              </mesh>
+              <Text position={[0, 0, 0.01]} fontSize={0.12} color={colors.text} anchorX="center" anchorY="middle">
+                {item.toUpperCase()}
+              </Text>
+            </group>
+          );
+        })}
+      </group>
+
+      {/* Gaze reticle with dwell progress ring */}
+      <group ref={reticleRef}>
+        <mesh>
+          <ringGeometry args={[0.015, 0.02, 32]} />
+          <meshBasicMaterial color={colors.primary} depthTest={false} />
+        </mesh>
+        <mesh ref={dwellRef} visible={false}>
+          <ringGeometry args={[0.022, 0.03, DWELL_SEGMENTS]} />
+          <meshBasicMaterial color={colors.secondary} depthTest={false} />
+        </mesh>
+      </group>
+    </>
+  );
+}
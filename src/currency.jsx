@@ -1 +1,175 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import BalanceChart from './components/BalanceChart.jsx';
+import TransactionTable from './components/TransactionTable.jsx';
+import SendMoneyForm from './components/SendMoneyForm.jsx';
+import { currencyApi } from './lib/api.js';
+import { useCurrentUser } from './lib/auth.js';
+import { fetchLedgerHistory, recentCounterparties, ledgerToCsv, ledgerToJson } from './lib/ledger.js';
+import { downloadFile } from './lib/download.js';
+import { playSound } from './lib/audio.js';
 
+// Entries the dashboard loads; exports fetch the rest
+const HISTORY_LIMIT = 1000;
+
+const panelStyle = {
+  background: 'var(--vm-panel)',
+  border: '1px solid rgba(var(--vm-primary-rgb), 0.2)',
+  borderRadius: '12px',
+  padding: '1rem 1.25rem'
+};
+
+const exportButtonStyle = {
+  background: 'none',
+  border: '1px solid rgba(var(--vm-secondary-rgb), 0.4)',
+  borderRadius: '6px',
+  color: 'var(--vm-secondary)',
+  cursor: 'pointer',
+  fontFamily: 'inherit',
+  fontSize: '0.75rem',
+  padding: '4px 10px'
+};
+
+const EXPORT_FORMATS = {
+  csv: { type: 'text/csv', serialize: ledgerToCsv },
+  json: { type: 'application/json', serialize: ledgerToJson }
+};
+
+// Wallet dashboard over the ledger API: balance, balance history, the
+// transaction log, sending credits and exporting the history
+export default function CurrencyView() {
+  const user = useCurrentUser();
+  const userId = user ? user.id : null;
+  const [wallet, setWallet] = useState(null);
+  const [ledger, setLedger] = useState(null);
+  const [error, setError] = useState(null);
+  const [exporting, setExporting] = useState(null);
+  // Only the latest load lands, so a slow one can't overwrite a newer one
+  const loadRef = useRef(0);
+
+  const load = useCallback(async () => {
+    const request = ++loadRef.current;
+    try {
+      const [balance, history] = await Promise.all([currencyApi.balance(), fetchLedgerHistory({ max: HISTORY_LIMIT })]);
+      if (request !== loadRef.current) return;
+      setWallet(balance);
+      setLedger(history);
+      setError(null);
+    } catch (err) {
+      if (request === loadRef.current) setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRef.current += 1;
+    setWallet(null);
+    setLedger(null);
+    setError(null);
+    if (userId) load();
+  }, [userId, load]);
+
+  const exportHistory = async (format, element) => {
+    playSound('click', { element });
+    setExporting(format);
+    try {
+      const history = ledger.entries.length < ledger.total ? await fetchLedgerHistory() : ledger;
+      const { type, serialize } = EXPORT_FORMATS[format];
+      const day = new Date().toISOString().slice(0, 10);
+      downloadFile(
+        serialize(history.entries, history.usernames, { username: user.username, currency: wallet.currency }),
+        `virtualmark-${user.username}-transactions-${day}.${format}`,
+        type
+      );
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const heading = (
+    <h2 style={{ margin: 0, fontFamily: '"Orbitron", sans-serif', color: 'var(--vm-primary)', letterSpacing: '2px' }}>WALLET</h2>
+  );
+
+  if (user === null || (!wallet && error)) {
+    return (
+      <div style={{ color: 'var(--vm-text)', fontFamily: '"Share Tech Mono", monospace' }}>
+        {heading}
+        <p style={{ color: error ? 'var(--vm-danger)' : 'var(--vm-muted)' }}>{error || 'Sign in to see your balance and send credits.'}</p>
+      </div>
+    );
+  }
+  if (!wallet || !ledger) {
+    return (
+      <div style={{ color: 'var(--vm-text)', fontFamily: '"Share Tech Mono", monospace' }}>
+        {heading}
+        <p style={{ color: 'var(--vm-muted)' }}>Loading ledger…</p>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      style={{
+        display: 'grid',
+        gridTemplateColumns: 'minmax(0, 2fr) minmax(260px, 1fr)',
+        gap: '1rem',
+        height: '100%',
+        overflowY: 'auto',
+        color: 'var(--vm-text)',
+        fontFamily: '"Share Tech Mono", monospace'
+      }}
+    >
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem', minWidth: 0 }}>
+        <div style={{ ...panelStyle, display: 'flex', alignItems: 'flex-end', justifyContent: 'space-between' }}>
+          <div>
+            {heading}
+            <motion.div
+              key={wallet.balance}
+              initial={{ opacity: 0.4, scale: 0.98 }}
+              animate={{ opacity: 1, scale: 1 }}
+              aria-live="polite"
+              style={{ fontFamily: '"Orbitron", sans-serif', fontSize: '2.5rem', color: 'var(--vm-text)', textShadow: '0 0 12px rgba(var(--vm-primary-rgb), 0.5)' }}
+            >
+              {wallet.balance.toLocaleString()} <span style={{ fontSize: '1rem', color: 'var(--vm-primary)' }}>{wallet.currency}</span>
+            </motion.div>
+          </div>
+          {error && <span role="alert" style={{ color: 'var(--vm-danger)', fontSize: '0.8rem' }}>{error}</span>}
+        </div>
+
+        <div style={panelStyle}>
+          <BalanceChart entries={ledger.entries} balance={wallet.balance} currency={wallet.currency} />
+        </div>
+
+        <div style={panelStyle}>
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
+            <span style={{ color: 'var(--vm-secondary)', letterSpacing: '2px', fontSize: '0.8rem' }}>TRANSACTIONS</span>
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+              {Object.keys(EXPORT_FORMATS).map((format) => (
+                <button
+                  key={format}
+                  type="button"
+                  disabled={Boolean(exporting) || !ledger.total}
+                  onClick={(e) => exportHistory(format, e.currentTarget)}
+                  style={{ ...exportButtonStyle, opacity: exporting || !ledger.total ? 0.5 : 1 }}
+                >
+                  {exporting === format ? 'EXPORTING…' : `EXPORT ${format.toUpperCase()}`}
+                </button>
+              ))}
+            </div>
+          </div>
+          <TransactionTable entries={ledger.entries} usernames={ledger.usernames} total={ledger.total} />
+        </div>
+      </div>
+
+      <div style={{ ...panelStyle, alignSelf: 'start' }}>
+        <SendMoneyForm
+          balance={wallet.balance}
+          currency={wallet.currency}
+          recentRecipients={recentCounterparties(ledger.entries, ledger.usernames)}
+          onSent={load}
+        />
+      </div>
+    </div>
+  );
+}
@@ -1 +1,869 @@
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import Editor from '@monaco-editor/react';
+import { projectsApi } from './lib/api.js';
+import { useCurrentUser } from './lib/auth.js';
+import { createCollabSession } from './lib/collab.js';
+import { peerColor } from './lib/realtime.js';
+import { THEMES, useTheme } from './lib/theme.js';
+import { detectLanguage, buildFileTree, entryFile } from './lib/projectFiles.js';
+import { downloadFile } from './lib/download.js';
+import SharePanel from './components/SharePanel.jsx';
+import ImportPanel from './components/ImportPanel.jsx';
 
+const AUTOSAVE_DELAY = 1500;
+const LAST_PROJECT_KEY = 'virtualmark.editor.lastProject';
+// Same factor the content overlay in index.jsx applies to parallaxOffset
+const OVERLAY_PARALLAX = 0.5;
+
+const STARTER_FILES = {
+  'index.html': '<!DOCTYPE html>\n<html>\n  <head>\n    <link rel="stylesheet" href="style.css" />\n  </head>\n  <body>\n    <h1>Hello, VirtualMark</h1>\n    <script src="main.js"></script>\n  </body>\n</html>\n',
+  'style.css': 'body {\n  background: var(--vm-on-primary);\n  color: var(--vm-primary);\n  font-family: monospace;\n}\n',
+  'main.js': "console.log('Hello from VirtualMark');\n"
+};
+
+const SHORTCUTS = [
+  ['Ctrl/⌘+S', 'save'],
+  ['Alt+W', 'close tab'],
+  ['Alt+[ / ]', 'switch tab'],
+  ['Alt+N', 'new file']
+];
+
+const MAX_CONSOLE_ENTRIES = 200;
+const CONSOLE_COLORS = { log: 'var(--vm-text-dim)', debug: 'var(--vm-muted)', info: 'var(--vm-secondary)', warn: 'var(--vm-highlight)', error: 'var(--vm-danger)' };
+
+const SAVE_LABELS = {
+  idle: { text: 'READY', color: 'var(--vm-muted)' },
+  dirty: { text: 'UNSAVED', color: 'var(--vm-highlight)' },
+  saving: { text: 'SAVING…', color: 'var(--vm-secondary)' },
+  saved: { text: 'SAVED', color: 'var(--vm-primary)' },
+  error: { text: 'SAVE FAILED', color: 'var(--vm-danger)' },
+  conflict: { text: 'CONFLICT', color: 'var(--vm-accent)' }
+};
+
+// The collaboration room's connection, shown next to the save state
+const ROOM_LABELS = {
+  connecting: { text: 'CONNECTING', color: 'var(--vm-muted)' },
+  online: { text: 'LIVE', color: 'var(--vm-primary)' },
+  offline: { text: 'OFFLINE · EDITS KEPT LOCALLY', color: 'var(--vm-highlight)' },
+  denied: { text: 'NO ACCESS', color: 'var(--vm-danger)' }
+};
+
+function readLastProject() {
+  try {
+    return window.localStorage.getItem(LAST_PROJECT_KEY);
+  } catch {
+    return null;
+  }
+}
+
+function rememberProject(id) {
+  try {
+    if (id) window.localStorage.setItem(LAST_PROJECT_KEY, id);
+    else window.localStorage.removeItem(LAST_PROJECT_KEY);
+  } catch {
+    // Storage unavailable (private mode)
+  }
+}
+
+// Paths whose buffer differs from the last saved content; null marks a deletion
+function pendingChanges(saved, buffers) {
+  const changes = {};
+  Object.entries(buffers).forEach(([path, content]) => {
+    if (saved[path] !== content) changes[path] = content;
+  });
+  Object.keys(saved).forEach((path) => {
+    if (!(path in buffers)) changes[path] = null;
+  });
+  return changes;
+}
+
+function applyFilePatch(buffers, patch) {
+  const next = { ...buffers };
+  Object.entries(patch).forEach(([path, content]) => {
+    if (content === null) delete next[path];
+    else next[path] = content;
+  });
+  return next;
+}
+
+// One Monaco theme per app theme, built from its palette
+function defineEditorThemes(monaco) {
+  Object.values(THEMES).forEach(({ dark, colors, monaco: editorTheme }) => {
+    monaco.editor.defineTheme(editorTheme.name, {
+      base: dark ? 'vs-dark' : 'vs',
+      inherit: true,
+      rules: [
+        { token: 'comment', foreground: editorTheme.comment.slice(1), fontStyle: 'italic' },
+        { token: 'keyword', foreground: colors.accent.slice(1) },
+        { token: 'string', foreground: colors.primary.slice(1) },
+        { token: 'number', foreground: colors.highlight.slice(1) }
+      ],
+      colors: {
+        'editor.background': editorTheme.background,
+        'editor.lineHighlightBackground': `${colors.primary}10`,
+        'editorCursor.foreground': colors.primary,
+        'editor.selectionBackground': `${colors.secondary}40`
+      }
+    });
+  });
+}
+
+// Popped-out viewer windows listen on a per-project channel and hot-reload
+function broadcastSave(project) {
+  if (typeof BroadcastChannel === 'undefined') return;
+  const channel = new BroadcastChannel(`virtualmark:project:${project.id}`);
+  channel.postMessage({ type: 'saved', files: project.files, version: project.version, name: project.name });
+  channel.close();
+}
+
+export default function EditorView({
+  parallaxOffset = { x: 0, y: 0 },
+  projectId: requestedProjectId,
+  filePath: requestedFilePath,
+  onProjectChange,
+  onFileChange
+}) {
+  const [projectId, setProjectId] = useState(requestedProjectId || null);
+  const [projects, setProjects] = useState(null);
+  const [project, setProject] = useState(null);
+  const [saved, setSaved] = useState({});
+  const [buffers, setBuffers] = useState({});
+  const [openTabs, setOpenTabs] = useState([]);
+  const [activePath, setActivePath] = useState(null);
+  const [collapsed, setCollapsed] = useState({});
+  const [saveState, setSaveState] = useState('idle');
+  const [error, setError] = useState(null);
+  const [editorFocused, setEditorFocused] = useState(false);
+  const [showPreview, setShowPreview] = useState(false);
+  const [previewReady, setPreviewReady] = useState(false);
+  const [consoleEntries, setConsoleEntries] = useState([]);
+  const [showConsole, setShowConsole] = useState(true);
+  const [showShare, setShowShare] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  // { session, ready } while collaborative editing is on for this project
+  const [collab, setCollab] = useState(null);
+  const [roomStatus, setRoomStatus] = useState(null);
+  const [peers, setPeers] = useState([]);
+  const [editorMounted, setEditorMounted] = useState(false);
+  const user = useCurrentUser();
+  const userId = user ? user.id : null;
+  const { theme } = useTheme();
+
+  const versionRef = useRef(null);
+  const savedRef = useRef(saved);
+  const buffersRef = useRef(buffers);
+  const savingRef = useRef(false);
+  const resaveRef = useRef(false);
+  const handlersRef = useRef({});
+  const anchorRef = useRef(parallaxOffset);
+  const saveStateRef = useRef(saveState);
+  const previewRef = useRef();
+  const mountedRef = useRef(false);
+  const restoredRef = useRef(false);
+  const requestedFileRef = useRef(requestedFilePath);
+  const editorRef = useRef(null);
+  const sessionRef = useRef(null);
+  requestedFileRef.current = requestedFilePath;
+  savedRef.current = saved;
+  buffersRef.current = buffers;
+  saveStateRef.current = saveState;
+  const session = collab && collab.ready ? collab.session : null;
+  sessionRef.current = session;
+
+  const changes = useMemo(() => pendingChanges(saved, buffers), [saved, buffers]);
+  const isDirty = Object.keys(changes).length > 0;
+  const tree = useMemo(() => buildFileTree(Object.keys(buffers)), [buffers]);
+  // Effects that only care which project is open key on its id
+  const openProjectId = project ? project.id : null;
+
+  // Resolve which project to open: the prop (i.e. the route), else on first
+  // mount the last one edited here. Clearing the prop later returns to the picker.
+  useEffect(() => {
+    if (requestedProjectId) {
+      setProjectId(requestedProjectId);
+    } else if (!mountedRef.current) {
+      const last = readLastProject();
+      restoredRef.current = Boolean(last);
+      if (last) setProjectId(last);
+    } else {
+      setProjectId(null);
+    }
+    mountedRef.current = true;
+  }, [requestedProjectId]);
+
+  const loadProject = useCallback(async (id) => {
+    setError(null);
+    try {
+      const loaded = await projectsApi.get(id);
+      versionRef.current = loaded.version;
+      setProject(loaded);
+      setSaved(loaded.files);
+      setBuffers(loaded.files);
+      const paths = Object.keys(loaded.files);
+      const first = paths.includes(requestedFileRef.current) ? requestedFileRef.current : entryFile(paths);
+      setOpenTabs(first ? [first] : []);
+      setActivePath(first);
+      setSaveState('idle');
+      rememberProject(id);
+    } catch (err) {
+      if (err.status === 404 || err.status === 403) {
+        rememberProject(null);
+        setProjectId(null);
+      }
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    // A restored project replaces the history entry instead of adding one
+    const { onProjectChange: notify } = handlersRef.current;
+    if (notify) notify(projectId, { restored: restoredRef.current });
+    restoredRef.current = false;
+    if (projectId) {
+      loadProject(projectId);
+    } else {
+      setProject(null);
+      projectsApi.list({ limit: 50 }).then((r) => setProjects(r.projects)).catch((err) => setError(err.message));
+    }
+  }, [projectId, loadProject]);
+
+  // Collaborative editing: the shared document replaces `buffers` as the
+  // source of truth once it has synced, and Monaco is read-only until then
+  const startCollab = () => createCollabSession({
+    project,
+    user,
+    onFiles: (patch) => setBuffers((prev) => applyFilePatch(prev, patch)),
+    onStatus: setRoomStatus,
+    onPeers: setPeers,
+    onRemoteSave: () => handlersRef.current.refreshSaved()
+  });
+
+  useEffect(() => {
+    if (!openProjectId || !userId) return undefined;
+    const created = handlersRef.current.startCollab();
+    setCollab({ session: created, ready: false });
+    created.ready
+      .then((files) => {
+        if (!files) return;
+        setBuffers(files);
+        setCollab((current) => (current && current.session === created ? { session: created, ready: true } : current));
+      })
+      .catch(() => {
+        // No shared document (e.g. storage errors); carry on with plain saves
+        created.destroy();
+        setCollab((current) => (current && current.session === created ? null : current));
+      });
+    return () => {
+      created.destroy();
+      setCollab(null);
+      setRoomStatus(null);
+      setPeers([]);
+    };
+  }, [openProjectId, userId]);
+
+  // Tabs for files a collaborator deleted
+  useEffect(() => {
+    if (openTabs.every((path) => path in buffers)) return;
+    const remaining = openTabs.filter((path) => path in buffers);
+    setOpenTabs(remaining);
+    if (!(activePath in buffers)) setActivePath(remaining[0] || null);
+  }, [buffers, openTabs, activePath]);
+
+  const save = useCallback(async ({ force = false } = {}) => {
+    if (!project) return;
+    if (savingRef.current) {
+      resaveRef.current = true;
+      return;
+    }
+    const shared = sessionRef.current;
+    const edits = shared ? shared.localEdits() : 0;
+    const pending = pendingChanges(savedRef.current, buffersRef.current);
+    if (!Object.keys(pending).length) {
+      if (shared) shared.markSaved(versionRef.current, edits);
+      setSaveState('saved');
+      return;
+    }
+
+    savingRef.current = true;
+    setSaveState('saving');
+    try {
+      // Collaborators' edits are already merged into the document, so a
+      // shared save never conflicts
+      const { project: next } = await projectsApi.patch(project.id, {
+        files: pending,
+        baseVersion: force || shared ? undefined : versionRef.current
+      });
+      if (shared) shared.markSaved(next.version, edits);
+      versionRef.current = next.version;
+      setProject((prev) => ({ ...prev, version: next.version, updatedAt: next.updatedAt }));
+      setSaved(next.files);
+      broadcastSave(next);
+      setError(null);
+      const stillDirty = Object.keys(pendingChanges(next.files, buffersRef.current)).length > 0;
+      setSaveState(stillDirty ? 'dirty' : 'saved');
+    } catch (err) {
+      setSaveState(err.code === 'VERSION_CONFLICT' ? 'conflict' : 'error');
+      setError(err.message);
+    } finally {
+      savingRef.current = false;
+      if (resaveRef.current) {
+        resaveRef.current = false;
+        handlersRef.current.save();
+      }
+    }
+  }, [project]);
+
+  // A collaborator saved the shared document: pick up the new version
+  const refreshSaved = async () => {
+    if (!project || !session) return;
+    const edits = session.localEdits();
+    try {
+      const latest = await projectsApi.get(project.id);
+      versionRef.current = latest.version;
+      setProject((prev) => (prev && prev.id === latest.id ? { ...prev, version: latest.version, updatedAt: latest.updatedAt } : prev));
+      setSaved(latest.files);
+      broadcastSave(latest);
+      if (!Object.keys(pendingChanges(latest.files, buffersRef.current)).length) {
+        session.markSaved(latest.version, edits);
+        setSaveState('saved');
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Edits made while the room was down are saved once it is back
+  useEffect(() => {
+    if (roomStatus === 'online' && session && session.hasLocalEdits()) handlersRef.current.save();
+  }, [roomStatus, session]);
+
+  // Monaco follows the active file's shared text
+  useEffect(() => {
+    if (!session || !editorMounted || !activePath || !editorRef.current) return undefined;
+    return session.bindEditor(editorRef.current, activePath);
+  }, [session, editorMounted, activePath]);
+
+  // Console output and runtime errors relayed by public/viewer.html
+  useEffect(() => {
+    const handleMessage = (event) => {
+      if (!previewRef.current || event.source !== previewRef.current.contentWindow) return;
+      if (event.origin !== window.location.origin) return;
+      const data = event.data || {};
+      const push = (entry) => setConsoleEntries((prev) => [...prev.slice(-(MAX_CONSOLE_ENTRIES - 1)), entry]);
+
+      if (data.type === 'virtualmark:ready') setPreviewReady(true);
+      else if (data.type === 'virtualmark:reloaded') push({ level: 'info', text: '↻ preview reloaded', timestamp: Date.now() });
+      else if (data.type === 'virtualmark:console') push({ level: data.level, text: data.args.join(' '), timestamp: data.timestamp });
+      else if (data.type === 'virtualmark:error') {
+        push({ level: 'error', text: data.message + (data.line ? ` (line ${data.line})` : ''), timestamp: data.timestamp });
+      } else if (data.type === 'virtualmark:bundle-error') push({ level: 'error', text: `Bundle error: ${data.message}`, timestamp: Date.now() });
+    };
+    window.addEventListener('message', handleMessage);
+    return () => window.removeEventListener('message', handleMessage);
+  }, []);
+
+  // Hot reload: every successful save pushes the saved tree to the preview
+  useEffect(() => {
+    if (!showPreview || !previewReady || !openProjectId || !previewRef.current) return;
+    previewRef.current.contentWindow.postMessage(
+      { type: 'virtualmark:load', files: saved, projectId: openProjectId },
+      window.location.origin
+    );
+  }, [saved, showPreview, previewReady, openProjectId]);
+
+  useEffect(() => {
+    if (!showPreview) setPreviewReady(false);
+  }, [showPreview]);
+
+  // Autosave once typing pauses. Keyed on edits only: the save state, the
+  // shared session and the latest save() are read through refs so a finished
+  // save doesn't restart the timer. Changes that came from collaborators are
+  // theirs to save.
+  useEffect(() => {
+    if (!isDirty || saveStateRef.current === 'conflict') return undefined;
+    const shared = sessionRef.current;
+    if (shared && !shared.hasLocalEdits()) return undefined;
+    if (saveStateRef.current !== 'saving') setSaveState('dirty');
+    const timeout = setTimeout(() => handlersRef.current.save(), AUTOSAVE_DELAY);
+    return () => clearTimeout(timeout);
+  }, [buffers, isDirty]);
+
+  useEffect(() => {
+    const warn = (event) => {
+      // Shared edits are kept in IndexedDB until they are saved
+      if (!isDirty || session) return;
+      event.preventDefault();
+      event.returnValue = '';
+    };
+    window.addEventListener('beforeunload', warn);
+    return () => window.removeEventListener('beforeunload', warn);
+  }, [isDirty, session]);
+
+  const openFile = (path) => {
+    setOpenTabs((tabs) => (tabs.includes(path) ? tabs : [...tabs, path]));
+    setActivePath(path);
+  };
+
+  const followRoute = (path) => {
+    if (path && path !== activePath && path in buffers) openFile(path);
+  };
+
+  // Follow the route's file path (deep links, back/forward) and report tab switches
+  useEffect(() => {
+    handlersRef.current.followRoute(requestedFilePath);
+  }, [requestedFilePath]);
+
+  useEffect(() => {
+    const { onFileChange: notify } = handlersRef.current;
+    if (openProjectId && notify) notify(activePath);
+  }, [activePath, openProjectId]);
+
+  const closeTab = (path = activePath) => {
+    if (!path) return;
+    const index = openTabs.indexOf(path);
+    const remaining = openTabs.filter((tab) => tab !== path);
+    setOpenTabs(remaining);
+    if (path === activePath) setActivePath(remaining[Math.min(index, remaining.length - 1)] || null);
+  };
+
+  const switchTab = (step) => {
+    if (!openTabs.length) return;
+    const index = openTabs.indexOf(activePath);
+    setActivePath(openTabs[(index + step + openTabs.length) % openTabs.length]);
+  };
+
+  const createFile = () => {
+    const folder = activePath && activePath.includes('/') ? `${activePath.slice(0, activePath.lastIndexOf('/'))}/` : '';
+    const path = window.prompt('New file path', folder);
+    if (!path || !path.trim()) return;
+    const clean = path.trim().replace(/^\/+/, '');
+    if (!(clean in buffersRef.current)) {
+      if (session) session.setFile(clean, '');
+      else setBuffers((prev) => ({ ...prev, [clean]: '' }));
+    }
+    openFile(clean);
+  };
+
+  const deleteFile = (path) => {
+    if (!window.confirm(`Delete ${path}?`)) return;
+    if (session) {
+      session.deleteFile(path);
+    } else {
+      setBuffers((prev) => {
+        const next = { ...prev };
+        delete next[path];
+        return next;
+      });
+    }
+    closeTab(path);
+  };
+
+  const createProject = async () => {
+    const name = window.prompt('Project name', 'Untitled Project');
+    if (!name || !name.trim()) return;
+    try {
+      const created = await projectsApi.create({ name: name.trim(), files: STARTER_FILES });
+      setProjectId(created.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const openImported = (imported) => {
+    setShowImport(false);
+    setProjectId(imported.id);
+  };
+
+  // Unsaved edits go in first so the zip matches what's on screen
+  const exportProject = async () => {
+    setExporting(true);
+    try {
+      if (isDirty) await save();
+      const { blob, filename } = await projectsApi.exportArchive(project.id);
+      downloadFile(blob, filename);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const resolveConflict = async (keepMine) => {
+    if (keepMine) {
+      await save({ force: true });
+    } else if (project) {
+      await loadProject(project.id);
+    }
+  };
+
+  handlersRef.current = { save, closeTab, switchTab, createFile, refreshSaved, startCollab, followRoute, onProjectChange, onFileChange };
+
+  // Monaco swallows keystrokes, so the shortcuts are registered as editor commands too
+  const handleMount = (editor, monaco) => {
+    const { KeyMod, KeyCode } = monaco;
+    editor.addCommand(KeyMod.CtrlCmd | KeyCode.KeyS, () => handlersRef.current.save());
+    editor.addCommand(KeyMod.Alt | KeyCode.KeyW, () => handlersRef.current.closeTab());
+    editor.addCommand(KeyMod.Alt | KeyCode.BracketRight, () => handlersRef.current.switchTab(1));
+    editor.addCommand(KeyMod.Alt | KeyCode.BracketLeft, () => handlersRef.current.switchTab(-1));
+    editor.addCommand(KeyMod.Alt | KeyCode.KeyN, () => handlersRef.current.createFile());
+    editor.onDidFocusEditorText(() => setEditorFocused(true));
+    editor.onDidBlurEditorText(() => setEditorFocused(false));
+    editor.onDidDispose(() => {
+      editorRef.current = null;
+      setEditorMounted(false);
+    });
+    editorRef.current = editor;
+    setEditorMounted(true);
+  };
+
+  // Shortcuts while focus is on the tree or tabs rather than inside Monaco
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.target.closest && e.target.closest('.monaco-editor')) return;
+      const mod = e.ctrlKey || e.metaKey;
+      if (mod && e.key.toLowerCase() === 's') {
+        e.preventDefault();
+        handlersRef.current.save();
+      } else if (e.altKey && e.code === 'KeyW') {
+        e.preventDefault();
+        handlersRef.current.closeTab();
+      } else if (e.altKey && e.code === 'BracketRight') {
+        e.preventDefault();
+        handlersRef.current.switchTab(1);
+      } else if (e.altKey && e.code === 'BracketLeft') {
+        e.preventDefault();
+        handlersRef.current.switchTab(-1);
+      } else if (e.altKey && e.code === 'KeyN') {
+        e.preventDefault();
+        handlersRef.current.createFile();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // While the editor has focus, cancel out the overlay's parallax drift so the
+  // text stays put; whole pixels keep glyphs from blurring
+  if (!editorFocused) anchorRef.current = parallaxOffset;
+  const hold = editorFocused
+    ? {
+        x: Math.round((anchorRef.current.x - parallaxOffset.x) * OVERLAY_PARALLAX),
+        y: Math.round((anchorRef.current.y - parallaxOffset.y) * OVERLAY_PARALLAX)
+      }
+    : { x: 0, y: 0 };
+
+  const panelStyle = {
+    background: 'var(--vm-panel)',
+    border: '1px solid rgba(var(--vm-primary-rgb), 0.2)',
+    borderRadius: '12px',
+    overflow: 'hidden'
+  };
+
+  if (!project) {
+    return (
+      <div style={{ color: 'var(--vm-text)', fontFamily: '"Share Tech Mono", monospace' }}>
+        <h2 style={{ fontFamily: '"Orbitron", sans-serif', color: 'var(--vm-primary)', letterSpacing: '2px' }}>OPEN A PROJECT</h2>
+        {error && <p style={{ color: 'var(--vm-danger)' }}>{error}</p>}
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: '1rem' }}>
+          <motion.button
+            whileHover={{ scale: 1.03 }}
+            onClick={createProject}
+            style={{ ...panelStyle, padding: '1.5rem', color: 'var(--vm-primary)', cursor: 'pointer', fontFamily: 'inherit', fontSize: '1rem' }}
+          >
+            + NEW PROJECT
+          </motion.button>
+          <motion.button
+            whileHover={{ scale: 1.03 }}
+            onClick={() => setShowImport(true)}
+            style={{ ...panelStyle, padding: '1.5rem', color: 'var(--vm-secondary)', cursor: 'pointer', fontFamily: 'inherit', fontSize: '1rem' }}
+          >
+            ⇩ IMPORT
+          </motion.button>
+          {(projects || []).map((p) => (
+            <motion.button
+              key={p.id}
+              whileHover={{ scale: 1.03 }}
+              onClick={() => setProjectId(p.id)}
+              style={{ ...panelStyle, padding: '1.5rem', color: 'var(--vm-text)', cursor: 'pointer', textAlign: 'left', fontFamily: 'inherit' }}
+            >
+              <div style={{ color: 'var(--vm-secondary)', fontWeight: 'bold' }}>{p.name}</div>
+              <div style={{ opacity: 0.6, fontSize: '0.8rem' }}>{p.fileCount} files · v{p.version}</div>
+            </motion.button>
+          ))}
+        </div>
+        {projects === null && !error && <p style={{ opacity: 0.6 }}>Loading projects…</p>}
+        {showImport && <ImportPanel onImported={openImported} onClose={() => setShowImport(false)} />}
+      </div>
+    );
+  }
+
+  const status = SAVE_LABELS[saveState];
+  const room = collab && roomStatus ? ROOM_LABELS[roomStatus] : null;
+  const isOwner = Boolean(user) && user.id === project.ownerId;
+  // One chip per collaborator, however many tabs they have open
+  const collaborators = peers.filter((peer, index) => peer.id !== userId && peers.findIndex((p) => p.id === peer.id) === index);
+
+  const renderNode = (node, depth = 0) => {
+    if (node.type === 'folder') {
+      const isCollapsed = collapsed[node.path];
+      return (
+        <div key={`d:${node.path}`}>
+          <div
+            role="button"
+            tabIndex={0}
+            onClick={() => setCollapsed((prev) => ({ ...prev, [node.path]: !isCollapsed }))}
+            onKeyDown={(e) => e.key === 'Enter' && setCollapsed((prev) => ({ ...prev, [node.path]: !isCollapsed }))}
+            style={{ paddingLeft: `${depth * 12 + 8}px`, cursor: 'pointer', color: 'var(--vm-secondary)', lineHeight: '1.8' }}
+          >
+            {isCollapsed ? '▸' : '▾'} {node.name}
+          </div>
+          {!isCollapsed && node.children.map((child) => renderNode(child, depth + 1))}
+        </div>
+      );
+    }
+    const isActive = node.path === activePath;
+    return (
+      <div
+        key={`f:${node.path}`}
+        role="button"
+        tabIndex={0}
+        onClick={() => openFile(node.path)}
+        onKeyDown={(e) => e.key === 'Enter' && openFile(node.path)}
+        style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          paddingLeft: `${depth * 12 + 20}px`,
+          paddingRight: '8px',
+          cursor: 'pointer',
+          lineHeight: '1.8',
+          color: isActive ? 'var(--vm-primary)' : 'var(--vm-text-dim)',
+          background: isActive ? 'rgba(var(--vm-primary-rgb), 0.08)' : 'transparent'
+        }}
+      >
+        <span>
+          {node.name}
+          {node.path in changes && <span style={{ color: 'var(--vm-highlight)' }}> ●</span>}
+        </span>
+        <span
+          role="button"
+          aria-label={`Delete ${node.path}`}
+          onClick={(e) => {
+            e.stopPropagation();
+            deleteFile(node.path);
+          }}
+          style={{ opacity: 0.4 }}
+        >
+          ×
+        </span>
+      </div>
+    );
+  };
+
+  return (
+    <div
+      style={{
+        display: 'flex',
+        flexDirection: 'column',
+        height: '100%',
+        gap: '0.75rem',
+        fontFamily: '"Share Tech Mono", monospace',
+        transform: `translate3d(${hold.x}px, ${hold.y}px, 0)`
+      }}
+    >
+      {/* Header */}
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', color: 'var(--vm-text)' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+          <button
+            onClick={() => setProjectId(null)}
+            style={{ background: 'none', border: 'none', color: 'var(--vm-secondary)', cursor: 'pointer', fontFamily: 'inherit' }}
+          >
+            ‹ PROJECTS
+          </button>
+          <span style={{ fontFamily: '"Orbitron", sans-serif', color: 'var(--vm-primary)', letterSpacing: '2px' }}>{project.name}</span>
+          <span style={{ opacity: 0.5 }}>v{project.version}</span>
+          {collaborators.map((peer) => (
+            <span
+              key={peer.id}
+              title={`${peer.name} is editing`}
+              style={{ border: `1px solid ${peerColor(peer.id)}`, color: peerColor(peer.id), borderRadius: '10px', padding: '0 8px', fontSize: '0.75rem' }}
+            >
+              {peer.name}
+            </span>
+          ))}
+        </div>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', fontSize: '0.8rem' }}>
+          <button
+            onClick={() => setShowPreview((v) => !v)}
+            style={{ background: showPreview ? 'rgba(var(--vm-primary-rgb), 0.15)' : 'none', border: '1px solid var(--vm-primary)', color: 'var(--vm-primary)', cursor: 'pointer', borderRadius: '6px', fontFamily: 'inherit' }}
+          >
+            {showPreview ? '■ HIDE PREVIEW' : '▶ PREVIEW'}
+          </button>
+          <button
+            onClick={() => window.open(`/viewer.html?project=${encodeURIComponent(project.id)}`, '_blank')}
+            style={{ background: 'none', border: '1px solid var(--vm-secondary)', color: 'var(--vm-secondary)', cursor: 'pointer', borderRadius: '6px', fontFamily: 'inherit' }}
+          >
+            ⇱ POP OUT
+          </button>
+          <button
+            onClick={exportProject}
+            disabled={exporting}
+            style={{ background: 'none', border: '1px solid var(--vm-secondary)', color: 'var(--vm-secondary)', cursor: 'pointer', borderRadius: '6px', fontFamily: 'inherit', opacity: exporting ? 0.5 : 1 }}
+          >
+            {exporting ? 'EXPORTING…' : '⇩ EXPORT'}
+          </button>
+          {isOwner && (
+            <button
+              onClick={() => setShowShare(true)}
+              style={{ background: 'none', border: '1px solid var(--vm-accent)', color: 'var(--vm-accent)', cursor: 'pointer', borderRadius: '6px', fontFamily: 'inherit' }}
+            >
+              ⇪ SHARE
+            </button>
+          )}
+          {saveState === 'conflict' && (
+            <>
+              <button onClick={() => resolveConflict(false)} style={{ background: 'none', border: '1px solid var(--vm-secondary)', color: 'var(--vm-secondary)', cursor: 'pointer', borderRadius: '6px', fontFamily: 'inherit' }}>
+                RELOAD THEIRS
+              </button>
+              <button onClick={() => resolveConflict(true)} style={{ background: 'none', border: '1px solid var(--vm-accent)', color: 'var(--vm-accent)', cursor: 'pointer', borderRadius: '6px', fontFamily: 'inherit' }}>
+                KEEP MINE
+              </button>
+            </>
+          )}
+          {room && <span style={{ color: room.color }}>◆ {room.text}</span>}
+          <span title={error || undefined} style={{ color: status.color }}>● {status.text}</span>
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', flex: 1, gap: '0.75rem', minHeight: 0 }}>
+        {/* File tree */}
+        <div style={{ ...panelStyle, width: '220px', overflowY: 'auto', fontSize: '0.85rem' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', padding: '8px', color: 'var(--vm-accent)', borderBottom: '1px solid rgba(var(--vm-primary-rgb), 0.1)' }}>
+            <span>FILES</span>
+            <span role="button" tabIndex={0} onClick={createFile} style={{ cursor: 'pointer', color: 'var(--vm-primary)' }}>+ NEW</span>
+          </div>
+          {tree.map((node) => renderNode(node))}
+        </div>
+
+        {/* Tabs + Monaco */}
+        <div style={{ ...panelStyle, flex: 1, display: 'flex', flexDirection: 'column', minWidth: 0 }}>
+          <div role="tablist" style={{ display: 'flex', overflowX: 'auto', borderBottom: '1px solid rgba(var(--vm-primary-rgb), 0.1)' }}>
+            <AnimatePresence initial={false}>
+              {openTabs.map((path) => (
+                <motion.div
+                  key={path}
+                  role="tab"
+                  aria-selected={path === activePath}
+                  tabIndex={0}
+                  initial={{ opacity: 0, y: -6 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  exit={{ opacity: 0, width: 0 }}
+                  onClick={() => setActivePath(path)}
+                  onAuxClick={(e) => e.button === 1 && closeTab(path)}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '8px',
+                    padding: '6px 12px',
+                    cursor: 'pointer',
+                    whiteSpace: 'nowrap',
+                    fontSize: '0.8rem',
+                    color: path === activePath ? 'var(--vm-primary)' : 'var(--vm-muted)',
+                    borderBottom: path === activePath ? '2px solid var(--vm-primary)' : '2px solid transparent'
+                  }}
+                >
+                  {path.split('/').pop()}
+                  <span
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      closeTab(path);
+                    }}
+                    style={{ color: path in changes ? 'var(--vm-highlight)' : 'var(--vm-muted)' }}
+                  >
+                    {path in changes ? '●' : '×'}
+                  </span>
+                </motion.div>
+              ))}
+            </AnimatePresence>
+          </div>
+
+          <div style={{ flex: 1, minHeight: 0 }}>
+            {activePath ? (
+              <Editor
+                path={activePath}
+                language={detectLanguage(activePath)}
+                // Shared files are written by the binding in src/lib/collab.js
+                {...(collab
+                  ? { defaultValue: buffers[activePath] ?? '' }
+                  : {
+                      value: buffers[activePath] ?? '',
+                      onChange: (value) => setBuffers((prev) => ({ ...prev, [activePath]: value ?? '' }))
+                    })}
+                theme={theme.monaco.name}
+                beforeMount={defineEditorThemes}
+                onMount={handleMount}
+                options={{
+                  readOnly: Boolean(collab) && (!collab.ready || roomStatus === 'denied'),
+                  fontFamily: '"Share Tech Mono", monospace',
+                  fontSize: 14,
+                  minimap: { enabled: false },
+                  smoothScrolling: true,
+                  automaticLayout: true,
+                  scrollBeyondLastLine: false
+                }}
+              />
+            ) : (
+              <div style={{ padding: '2rem', color: 'var(--vm-muted)' }}>Select a file from the tree</div>
+            )}
+          </div>
+
+          <div style={{ display: 'flex', gap: '1.5rem', padding: '4px 12px', fontSize: '0.7rem', color: 'var(--vm-muted)', borderTop: '1px solid rgba(var(--vm-primary-rgb), 0.1)' }}>
+            {SHORTCUTS.map(([keys, label]) => (
+              <span key={keys}><span style={{ color: 'var(--vm-secondary)' }}>{keys}</span> {label}</span>
+            ))}
+            {activePath && <span style={{ marginLeft: 'auto' }}>{detectLanguage(activePath)}</span>}
+          </div>
+        </div>
+
+        {/* Live preview + console */}
+        {showPreview && (
+          <div style={{ ...panelStyle, flex: 1, display: 'flex', flexDirection: 'column', minWidth: 0 }}>
+            <iframe
+              ref={previewRef}
+              title="Project preview"
+              src={`/viewer.html?mode=editor&project=${encodeURIComponent(project.id)}`}
+              style={{ flex: 1, border: 0, background: 'white', minHeight: 0 }}
+            />
+            <div style={{ borderTop: '1px solid rgba(var(--vm-secondary-rgb), 0.3)', fontSize: '0.75rem' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', padding: '4px 12px', color: 'var(--vm-secondary)' }}>
+                <span role="button" tabIndex={0} onClick={() => setShowConsole((v) => !v)} style={{ cursor: 'pointer' }}>
+                  {showConsole ? '▾' : '▸'} CONSOLE ({consoleEntries.length})
+                </span>
+                <span role="button" tabIndex={0} onClick={() => setConsoleEntries([])} style={{ cursor: 'pointer', opacity: 0.7 }}>
+                  CLEAR
+                </span>
+              </div>
+              {showConsole && (
+                <div style={{ maxHeight: '140px', overflowY: 'auto' }}>
+                  {consoleEntries.map((entry, i) => (
+                    <div
+                      key={`${entry.timestamp}-${i}`}
+                      style={{ padding: '2px 12px', color: CONSOLE_COLORS[entry.level] || 'var(--vm-text-dim)', whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}
+                    >
+                      {entry.text}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+
+      <AnimatePresence>
+        {showShare && isOwner && <SharePanel projectId={project.id} onClose={() => setShowShare(false)} />}
+      </AnimatePresence>
+    </div>
+  );
+}
@@ -2,31 +2,198 @@ import React, { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Particles } from '@tsparticles/react';
 import { loadFull } from 'tsparticles';
-import * as THREE from 'three';
-import { Canvas, useFrame } from '@react-three/fiber';
-import { Text, Float, OrbitControls, Sky, Stars, Sparkles, MeshWobbleMaterial } from '@react-three/drei';
+import { Canvas, useFrame, events as createPointerEvents } from '@react-three/fiber';
+import { Text, OrbitControls, Sky, Stars, Sparkles, PerformanceMonitor } from '@react-three/drei';
 import { EffectComposer, Bloom, Glitch, Noise, Vignette, ChromaticAberration } from '@react-three/postprocessing';
-import { BlendFunction, KernelSize } from 'postprocessing';
+import { BlendFunction, KernelSize, GlitchMode } from 'postprocessing';
 
 // Import all 4 view components
 import HomeView from './home.jsx';
 import ProjectsView from './projects.jsx';
 import EditorView from './editor.jsx';
 import CurrencyView from './currency.jsx';
+import InventoryView from './inventory.jsx';
 
 // Import custom UI components (we'll create these as separate files in src/)
 import NeonButton from './components/NeonButton.jsx';
 import HolographicCard from './components/HolographicCard.jsx';
 import CodeEditor3D from './components/CodeEditor3D.jsx';
+import XRNavigator from './components/XRNavigator.jsx';
+import AuthPanel from './components/AuthPanel.jsx';
+import QualitySelector from './components/QualitySelector.jsx';
+import AudioVisualizer from './components/AudioVisualizer.jsx';
+import PresenceAvatars from './components/PresenceAvatars.jsx';
+import ThemeSelector from './components/ThemeSelector.jsx';
+import VirtualMarkLogo from './components/VirtualMarkLogo.jsx';
+import ProjectShortcuts, { SHORTCUT_SLOTS } from './components/ProjectShortcuts.jsx';
+import CameraFlight from './components/CameraFlight.jsx';
+import TerminalConsole from './components/TerminalConsole.jsx';
+import CommandPalette from './components/CommandPalette.jsx';
+
+import { isImmersiveVRSupported, startImmersiveSession, endImmersiveSession } from './lib/xr.js';
+import { useCurrentUser, refreshCurrentUser, signOut } from './lib/auth.js';
+import { authApi, projectsApi } from './lib/api.js';
+import { VIEWS, useRouter, buildPath } from './lib/router.js';
+import { useGraphicsQuality, usePageVisible } from './lib/quality.js';
+import { useAccessibilityMode } from './lib/accessibility.js';
+import { useSystemStatus, useClock } from './lib/status.js';
+import { usePresence } from './lib/realtime.js';
+import { installAudioUnlock, playSound, useAudioSettings, getAudioLevel } from './lib/audio.js';
+import { useTheme, useThemePreference, paletteOf } from './lib/theme.js';
+import { useGlobalShortcuts, useShortcutBindings, formatCombo } from './lib/shortcuts.js';
+
+const NAV_ITEMS = VIEWS;
+// Views busy enough (or with a canvas of their own) that the animated
+// background just steals frames from them
+const HEAVY_VIEWS = ['editor', 'inventory'];
+
+// Views slide in from the right going forward and from the left going back
+const VIEW_VARIANTS = {
+  enter: (direction) => ({ opacity: 0, x: direction < 0 ? -100 : 100, rotateY: direction < 0 ? -10 : 10, scale: 0.95 }),
+  center: { opacity: 1, x: 0, rotateY: 0, scale: 1 },
+  exit: (direction) => ({ opacity: 0, x: direction < 0 ? 100 : -100, rotateY: direction < 0 ? 10 : -10, scale: 0.95 })
+};
+
+// Accessibility mode swaps the slide for a plain cross-fade
+const FADE_VARIANTS = {
+  enter: { opacity: 0 },
+  center: { opacity: 1 },
+  exit: { opacity: 0 }
+};
+
+// Focus rings for keyboard users, a skip link, and a CSS backstop that stills
+// any remaining CSS transitions while accessibility mode is on
+const SHELL_STYLES = `
+  .virtual-mark-app :focus-visible {
+    outline: 2px solid var(--vm-primary);
+    outline-offset: 3px;
+    box-shadow: 0 0 0 4px rgba(var(--vm-primary-rgb), 0.35);
+  }
+  .vm-skip-link {
+    position: absolute;
+    top: 8px;
+    left: 8px;
+    z-index: 1000;
+    padding: 8px 16px;
+    background: var(--vm-primary);
+    color: var(--vm-on-primary);
+    font-family: "Orbitron", sans-serif;
+    border-radius: 6px;
+    transform: translateY(-200%);
+  }
+  .vm-skip-link:focus { transform: none; }
+  [data-a11y] .virtual-mark-app * {
+    transition: none !important;
+    animation: none !important;
+  }
+`;
+
+// Shown in the footer console until it's focused
+const IDLE_TEXTS = [
+  "INITIALIZING NEXUS... ∇²Ψ = 0",
+  "QUANTUM STATE: |Ψ⟩ = α|0⟩ + β|1⟩",
+  "METAVERSE CONNECTION: 99.7% STABLE",
+  "NEURAL LINK: PRIMED FOR IMMERSION",
+  "WELCOME TO THE NEXT REALITY"
+];
+
+// Footer status dot colour and label for each system status
+const STATUS_DISPLAY = {
+  connecting: { color: 'var(--vm-muted)', label: 'CONNECTING' },
+  ok: { color: 'var(--vm-primary)', label: 'NOMINAL' },
+  degraded: { color: 'var(--vm-warning)', label: 'DEGRADED' },
+  down: { color: 'var(--vm-danger)', label: 'OFFLINE' },
+  unreachable: { color: 'var(--vm-danger)', label: 'LINK LOST' }
+};
+
+function describeStatus({ report, checkedAt }) {
+  if (!report) return 'Waiting for /api/status';
+  const { database, mail } = report.checks;
+  return [
+    `Database: ${database.ok ? `ok (${database.latencyMs} ms)` : 'unreachable'}`,
+    `Mail: ${mail.ok ? 'ok' : 'failing'} (${mail.transport})`,
+    `Build: ${report.build.version}${report.build.commit ? ` @ ${report.build.commit}` : ''}`,
+    checkedAt ? `Checked ${new Date(checkedAt).toLocaleTimeString([], { hour12: false })}` : null
+  ].filter(Boolean).join('\n');
+}
+
+// Ticks on its own so the rest of the app doesn't re-render every second
+function LiveClock() {
+  const now = useClock();
+  return <time dateTime={now.toISOString()}>{now.toLocaleTimeString([], { hour12: false })}</time>;
+}
+
+// The scene sits behind the glass overlay, so the app root is its event
+// source: pointer events reach the scene through empty glass (elements marked
+// data-scene-through) but not through the content drawn on it, and moving
+// onto content counts as leaving the scene. Canvases inside views (the
+// inventory showroom) count as content.
+function reachesScene(element, sceneCanvas) {
+  return element === sceneCanvas || (element instanceof HTMLElement && element.hasAttribute('data-scene-through'));
+}
+
+function sceneEvents(store) {
+  const manager = createPointerEvents(store);
+  const handlers = Object.fromEntries(Object.entries(manager.handlers).map(([name, handler]) => [
+    name,
+    (event) => {
+      if (reachesScene(event.target, store.getState().gl.domElement)) handler(event);
+      else if (name === 'onPointerMove') manager.handlers.onPointerLeave(event);
+    }
+  ]));
+  return { ...manager, handlers };
+}
+
+// Bloom that swells with the audio level; a static glow when `reactive` is off
+function AudioReactiveBloom({ reactive, ...props }) {
+  const bloomRef = useRef();
+
+  useFrame(() => {
+    if (!bloomRef.current) return;
+    bloomRef.current.intensity = props.intensity + (reactive ? getAudioLevel() * 2 : 0);
+  });
+
+  return <Bloom ref={bloomRef} {...props} />;
+}
 
 export default function VirtualMark() {
-  const [view, setView] = useState('home');
+  const { route, direction, navigate } = useRouter();
+  const view = route.view;
   const [particlesInit, setParticlesInit] = useState(null);
   const [hoverState, setHoverState] = useState({});
-  const [audioContext, setAudioContext] = useState(null);
   const [parallaxOffset, setParallaxOffset] = useState({ x: 0, y: 0 });
   const [vrMode, setVrMode] = useState(false);
-  const canvasRef = useRef();
+  const [xrSupported, setXrSupported] = useState(false);
+  const [xrSession, setXrSession] = useState(null);
+  const [authPanel, setAuthPanel] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [recentProjects, setRecentProjects] = useState([]);
+  const [flight, setFlight] = useState(null);
+  const [canvasElement, setCanvasElement] = useState(null);
+  // null, or the palette page showing: 'commands' | 'shortcuts'
+  const [palette, setPalette] = useState(null);
+  const user = useCurrentUser();
+  const { name: themeName, theme } = useTheme();
+  const setTheme = useThemePreference(user);
+  const { colors } = theme;
+  const quality = useGraphicsQuality();
+  const pageVisible = usePageVisible();
+  const a11y = useAccessibilityMode();
+  const reduceMotion = a11y.enabled;
+  const audio = useAudioSettings();
+  const systemStatus = useSystemStatus();
+  const peers = usePresence(user, view);
+  const statusDisplay = STATUS_DISPLAY[systemStatus.status];
+  const online = systemStatus.report && systemStatus.report.online;
+  const glRef = useRef();
+  const appRef = useRef();
+  const particlesRef = useRef();
+
+  const { preset } = quality;
+  // An immersive session always needs frames; otherwise idle when hidden or behind a heavy view
+  const backgroundPaused = !xrSession && (!pageVisible || HEAVY_VIEWS.includes(view));
+  // Accessibility mode keeps the scene but draws it once instead of animating
+  const backgroundFrozen = backgroundPaused || (reduceMotion && !xrSession);
 
   // Initialize particles with advanced effects
   const initParticles = async (engine) => {
@@ -34,8 +201,19 @@ export default function VirtualMark() {
     setParticlesInit(true);
   };
 
-  // Parallax effect for VR-like immersion
   useEffect(() => {
+    const container = particlesRef.current;
+    if (!container || !preset.particles) return;
+    if (backgroundFrozen) container.pause();
+    else container.play();
+  }, [backgroundFrozen, preset.particles]);
+
+  // Parallax effect for VR-like immersion (frozen in accessibility mode)
+  useEffect(() => {
+    if (reduceMotion) {
+      setParallaxOffset({ x: 0, y: 0 });
+      return;
+    }
     const handleMouseMove = (e) => {
       const x = (e.clientX / window.innerWidth - 0.5) * 20;
       const y = (e.clientY / window.innerHeight - 0.5) * 20;
@@ -44,133 +222,163 @@ export default function VirtualMark() {
     
     window.addEventListener('mousemove', handleMouseMove);
     return () => window.removeEventListener('mousemove', handleMouseMove);
-  }, []);
+  }, [reduceMotion]);
+
+  // Audio can only start after a user gesture; the engine waits for the first one
+  useEffect(() => installAudioUnlock(), []);
 
-  // Initialize Web Audio with spatial audio
+  // Landing from a mailed verification or password-reset link
   useEffect(() => {
-    const initAudio = () => {
-      const AudioContext = window.AudioContext || window.webkitAudioContext;
-      if (AudioContext) {
-        const ctx = new AudioContext();
-        setAudioContext(ctx);
-      }
-    };
-    initAudio();
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('reset')) {
+      setAuthPanel({ mode: 'reset', token: params.get('reset') });
+    } else if (params.has('verified')) {
+      setNotice(params.get('verified') === '1' ? 'EMAIL VERIFIED' : 'VERIFICATION LINK EXPIRED');
+      refreshCurrentUser();
+    } else {
+      return;
+    }
+    params.delete('reset');
+    params.delete('verified');
+    const search = params.toString();
+    window.history.replaceState(window.history.state, '', `${window.location.pathname}${search ? `?${search}` : ''}`);
   }, []);
 
-  // Spatial hover sounds
-  const playHoverSound = (freq = 440, pan = 0) => {
-    if (!audioContext) return;
-    
-    const oscillator = audioContext.createOscillator();
-    const gainNode = audioContext.createGain();
-    const panner = audioContext.createStereoPanner ? audioContext.createStereoPanner() : null;
-    
-    if (panner) {
-      panner.pan.value = pan;
-      oscillator.connect(panner);
-      panner.connect(gainNode);
-    } else {
-      oscillator.connect(gainNode);
+  useEffect(() => {
+    if (!notice) return;
+    const timeout = setTimeout(() => setNotice(null), 4000);
+    return () => clearTimeout(timeout);
+  }, [notice]);
+
+  const resendVerification = async () => {
+    try {
+      await authApi.resendVerification();
+      setNotice(`VERIFICATION SENT TO ${user.email.toUpperCase()}`);
+    } catch (error) {
+      setNotice(error.message.toUpperCase());
     }
-    
-    gainNode.connect(audioContext.destination);
-    
-    oscillator.frequency.setValueAtTime(freq, audioContext.currentTime);
-    oscillator.type = 'sine';
-    
-    // ADSR envelope
-    const now = audioContext.currentTime;
-    gainNode.gain.setValueAtTime(0, now);
-    gainNode.gain.linearRampToValueAtTime(0.15, now + 0.01);
-    gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.3);
-    
-    oscillator.start();
-    oscillator.stop(now + 0.3);
   };
 
-  // Advanced 3D Logo with animations
-  const VirtualMarkLogo = () => {
-    const logoRef = useRef();
-    const groupRef = useRef();
-    
-    useFrame((state) => {
-      if (logoRef.current) {
-        logoRef.current.rotation.y = Math.sin(state.clock.elapsedTime * 0.3) * 0.1;
-        logoRef.current.rotation.x = Math.cos(state.clock.elapsedTime * 0.2) * 0.05;
-      }
-      if (groupRef.current) {
-        groupRef.current.position.x = parallaxOffset.x * 0.1;
-        groupRef.current.position.y = parallaxOffset.y * 0.1;
-      }
+  // Detect a real headset; without one VR mode falls back to the CSS lens overlay
+  useEffect(() => {
+    let cancelled = false;
+    isImmersiveVRSupported().then((supported) => {
+      if (!cancelled) setXrSupported(supported);
     });
+    return () => { cancelled = true; };
+  }, []);
 
-    return (
-      <group ref={groupRef} position={[0, 0, -5]}>
-        <Float speed={2} rotationIntensity={0.5} floatIntensity={1}>
-          <group ref={logoRef}>
-            {/* Main V letter */}
-            <mesh position={[-1.5, 0, 0]}>
-              <boxGeometry args={[0.8, 2, 0.8]} />
-              <MeshWobbleMaterial
-                color="#00ff88"
-                emissive="#00ff88"
-                emissiveIntensity={0.8}
-                roughness={0.1}
-                metalness={0.9}
-                factor={0.5}
-                speed={2}
-              />
-            </mesh>
-            
-            {/* Main M letter */}
-            <mesh position={[1.5, 0, 0]}>
-              <boxGeometry args={[0.8, 2, 0.8]} />
-              <MeshWobbleMaterial
-                color="#0088ff"
-                emissive="#0088ff"
-                emissiveIntensity={0.8}
-                roughness={0.1}
-                metalness={0.9}
-                factor={0.5}
-                speed={1.5}
-              />
-            </mesh>
-            
-            {/* Connecting particle beam */}
-            <mesh position={[0, 0.5, 0]}>
-              <cylinderGeometry args={[0.05, 0.05, 3, 8]} />
-              <meshBasicMaterial color="#ff00ff" transparent opacity={0.7} />
-            </mesh>
-            
-            {/* Orbiting particles */}
-            {[...Array(8)].map((_, i) => {
-              const angle = (i / 8) * Math.PI * 2 + Math.PI / 4;
-              const radius = 2.5;
-              return (
-                <mesh
-                  key={i}
-                  position={[
-                    Math.cos(angle + Date.now() * 0.001) * radius,
-                    Math.sin(angle + Date.now() * 0.002) * radius * 0.5,
-                    0
-                  ]}
-                >
-                  <sphereGeometry args={[0.1, 16, 16]} />
-                  <meshBasicMaterial color={i % 2 === 0 ? "#00ff88" : "#0088ff"} />
-                </mesh>
-              );
-            })}
-          </group>
-        </Float>
-      </group>
-    );
+  // Must run straight from the click so the UA still sees the user gesture
+  const toggleVrMode = async () => {
+    if (vrMode) {
+      if (xrSession) {
+        await endImmersiveSession(xrSession);
+      } else {
+        setVrMode(false);
+      }
+      return;
+    }
+
+    setVrMode(true);
+    if (!xrSupported || !glRef.current) return;
+
+    try {
+      const session = await startImmersiveSession(glRef.current, {
+        onEnd: () => {
+          setXrSession(null);
+          setVrMode(false);
+        }
+      });
+      setXrSession(session);
+    } catch (error) {
+      setNotice(`IMMERSIVE VR UNAVAILABLE (${error.message.toUpperCase()}), USING OVERLAY`);
+    }
+  };
+
+  // Most recently edited projects for the scene's shortcuts, refreshed on
+  // every view change so a visit to the editor reorders them
+  const userId = user ? user.id : null;
+  useEffect(() => {
+    if (!userId) {
+      setRecentProjects([]);
+      return undefined;
+    }
+    let cancelled = false;
+    projectsApi.list({ limit: SHORTCUT_SLOTS })
+      .then(({ projects }) => { if (!cancelled) setRecentProjects(projects); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [userId, view]);
+
+  // Scene shortcuts fly the camera into what was clicked, then navigate.
+  // A frozen scene can't animate the flight, so those navigate at once.
+  const flyTo = (point, path) => {
+    if (flight) return;
+    if (backgroundFrozen || xrSession) {
+      navigate(path);
+      return;
+    }
+    setFlight({ target: point.toArray(), path });
+  };
+
+  const handleFlightArrived = () => {
+    navigate(flight.path);
+    setFlight(null);
+  };
+
+  const setView = (next) => {
+    if (next !== view) navigate(buildPath(next));
+  };
+
+  // Skips the project already open, so repeating it flips between the last two
+  const openRecentProject = () => {
+    const recent = recentProjects.find((project) => project.id !== route.params.projectId);
+    if (recent) navigate(buildPath('editor', { projectId: recent.id }));
+  };
+
+  const { bindings } = useShortcutBindings();
+  useGlobalShortcuts({
+    palette: () => setPalette((current) => (current ? null : 'commands')),
+    ...Object.fromEntries(NAV_ITEMS.map((item) => [`view.${item}`, () => setView(item)])),
+    'vr.toggle': toggleVrMode,
+    'sound.toggle': () => audio.setMuted(!audio.muted),
+    'project.recent': openRecentProject
+  });
+
+  // Arrow keys, Home and End move focus along the main nav
+  const handleNavKeyDown = (e) => {
+    const keys = { ArrowLeft: -1, ArrowRight: 1, Home: 'first', End: 'last' };
+    if (!(e.key in keys)) return;
+    const items = [...e.currentTarget.querySelectorAll('[data-nav-item]')];
+    const current = items.indexOf(document.activeElement);
+    const step = keys[e.key];
+    const next = step === 'first' ? 0 : step === 'last' ? items.length - 1 : (Math.max(current, 0) + step + items.length) % items.length;
+    e.preventDefault();
+    items[next].focus();
+  };
+
+  // The editor reports which project and file it shows so the URL deep-links them
+  const handleEditorProject = (projectId, { restored = false } = {}) => {
+    if ((projectId || undefined) === route.params.projectId) return;
+    navigate(buildPath('editor', { projectId }), { replace: restored || !projectId });
+  };
+
+  const handleEditorFile = (filePath) => {
+    if (!route.params.projectId || (filePath || undefined) === route.params.filePath) return;
+    navigate(buildPath('editor', { projectId: route.params.projectId, filePath }), { replace: true });
+  };
+
+  // The showroom deep-links the item in front
+  const handleInventoryItem = (itemId) => {
+    if (itemId !== route.params.itemId) navigate(buildPath('inventory', { itemId }), { replace: true });
   };
 
   // Advanced particle options
   const particlesOptions = {
-    background: { color: "#000000" },
-    fpsLimit: 144,
+    background: { color: colors.background },
+    fpsLimit: preset.particles ? preset.particles.fpsLimit : 30,
+    pauseOnBlur: true,
+    pauseOnOutsideViewport: true,
     interactivity: {
       events: {
         onHover: {
@@ -200,16 +408,16 @@ export default function VirtualMark() {
     },
     particles: {
       color: {
-        value: ["#00ff88", "#0088ff", "#ff0088", "#ffff00"]
+        value: paletteOf(theme)
       },
       links: {
-        color: "#ffffff",
+        color: colors.particleLinks,
         distance: 150,
         enable: true,
         opacity: 0.4,
         width: 1,
         triangles: {
-          enable: true,
+          enable: Boolean(preset.particles && preset.particles.triangles),
           opacity: 0.1
         }
       },
@@ -223,9 +431,9 @@ export default function VirtualMark() {
         speed: 1,
         straight: false,
         trail: {
-          enable: true,
+          enable: Boolean(preset.particles && preset.particles.trails),
           length: 10,
-          fillColor: "#000000"
+          fillColor: colors.background
         }
       },
       number: {
@@ -233,7 +441,7 @@ export default function VirtualMark() {
           enable: true,
           area: 800
         },
-        value: 120
+        value: preset.particles ? preset.particles.count : 0
       },
       opacity: {
         value: {
@@ -272,16 +480,21 @@ export default function VirtualMark() {
 
   return (
     <div 
+      ref={appRef}
       className="virtual-mark-app" 
       style={{
         width: '100vw',
         height: '100vh',
         overflow: 'hidden',
         position: 'relative',
-        background: 'radial-gradient(ellipse at center, #0a0a2a 0%, #000000 70%, #001122 100%)',
-        cursor: vrMode ? 'none' : 'auto'
+        background: theme.backdrop,
+        // Left unset otherwise so the scene's hover cursor (set on <body>) shows through
+        cursor: vrMode && !xrSession ? 'none' : undefined
       }}
     >
+      <style>{SHELL_STYLES}</style>
+      <a href="#main-content" className="vm-skip-link">Skip to content</a>
+
       {/* Animated Background Particles with Parallax */}
       <div style={{ 
         position: 'absolute', 
@@ -290,12 +503,15 @@ export default function VirtualMark() {
         transform: `translate(${parallaxOffset.x * 0.2}px, ${parallaxOffset.y * 0.2}px)`,
         transition: 'transform 0.1s linear'
       }}>
-        <Particles 
-          id="tsparticles" 
-          init={initParticles} 
-          options={particlesOptions} 
-          style={{ position: 'absolute' }}
-        />
+        {preset.particles && (
+          <Particles 
+            id="tsparticles" 
+            init={initParticles} 
+            particlesLoaded={(container) => { particlesRef.current = container; }}
+            options={particlesOptions} 
+            style={{ position: 'absolute' }}
+          />
+        )}
       </div>
 
       {/* 3D Background Canvas with VR-like Depth */}
@@ -309,114 +525,155 @@ export default function VirtualMark() {
         <Canvas 
           camera={{ 
             position: [0, 0, 15], 
-            fov: vrMode ? 110 : 75,
+            fov: vrMode && !xrSession ? 110 : 75,
             near: 0.1,
             far: 1000 
           }}
           style={{ transform: `translateZ(${vrMode ? '50' : '0'}px)` }}
+          dpr={preset.dpr}
+          frameloop={backgroundPaused ? 'never' : reduceMotion ? 'demand' : preset.frameloop}
+          eventSource={appRef}
+          eventPrefix="client"
+          events={sceneEvents}
+          onCreated={({ gl }) => {
+            glRef.current = gl;
+            setCanvasElement(gl.domElement);
+          }}
         >
-          <color attach="background" args={['#000000']} />
-          <fog attach="fog" args={['#000000', 10, 50]} />
+          {/* Auto quality: step down when frame time climbs, back up when there's headroom */}
+          {quality.mode === 'auto' && !xrSession && (
+            <PerformanceMonitor onDecline={quality.stepDown} onIncline={quality.stepUp} flipflops={3} />
+          )}
+
+          <color attach="background" args={[colors.background]} />
+          <fog attach="fog" args={[colors.background, 10, 50]} />
           
           {/* Ambient lighting with color cycling */}
-          <ambientLight intensity={0.3} color="#ffffff" />
+          <ambientLight intensity={0.3} color={colors.ambient} />
           <pointLight 
             position={[10, 10, 10]} 
             intensity={2} 
-            color="#00ff88" 
+            color={colors.primary}
             distance={100}
             decay={2}
           />
           <pointLight 
             position={[-10, -10, -10]} 
             intensity={1.5} 
-            color="#0088ff" 
+            color={colors.secondary}
             distance={100}
             decay={2}
           />
           <pointLight 
             position={[0, 20, 0]} 
             intensity={0.8} 
-            color="#ff0088" 
+            color={colors.accent}
             distance={50}
             decay={1}
           />
           
           {/* VR Depth Layers */}
           <group position={[0, 0, -20]}>
-            <VirtualMarkLogo />
+            <VirtualMarkLogo
+              parallaxOffset={parallaxOffset}
+              reduceMotion={reduceMotion}
+              onSelect={(item, point) => {
+                if (item !== view) flyTo(point, buildPath(item));
+              }}
+            />
+            {preset.avatars > 0 && (
+              <group position={[0, 0, -5]}>
+                <PresenceAvatars peers={peers} currentView={view} max={preset.avatars} reduceMotion={reduceMotion} />
+              </group>
+            )}
           </group>
           
           <group position={[0, 0, -10]}>
-            {/* Additional depth elements */}
-            {[...Array(5)].map((_, i) => (
-              <mesh 
-                key={i} 
-                position={[
-                  Math.sin(Date.now() * 0.0001 + i) * 30,
-                  Math.cos(Date.now() * 0.0001 + i) * 20,
-                  -i * 5
-                ]}
-              >
-                <icosahedronGeometry args={[1, 0]} />
-                <meshStandardMaterial 
-                  color={i % 3 === 0 ? '#00ff88' : i % 3 === 1 ? '#0088ff' : '#ff0088'}
-                  emissive={i % 3 === 0 ? '#00ff88' : i % 3 === 1 ? '#0088ff' : '#ff0088'}
-                  emissiveIntensity={0.3}
-                  transparent
-                  opacity={0.2}
-                  wireframe={true}
-                />
-              </mesh>
-            ))}
+            <ProjectShortcuts
+              projects={recentProjects}
+              onSelect={(project, point) => flyTo(point, buildPath('editor', { projectId: project.id }))}
+            />
           </group>
           
-          {/* Post-processing Effects Stack */}
-          <EffectComposer multisampling={8}>
-            <Bloom
-              intensity={1.0}
-              kernelSize={KernelSize.LARGE}
-              luminanceThreshold={0.9}
-              luminanceSmoothing={0.025}
-            />
-            <ChromaticAberration
-              blendFunction={BlendFunction.NORMAL}
-              offset={[0.002, 0.002]}
-            />
-            <Noise
-              premultiply
-              blendFunction={BlendFunction.SOFT_LIGHT}
-              opacity={0.05}
-            />
-            <Vignette
-              darkness={0.4}
-              offset={0.3}
-            />
-            <Glitch
-              delay={[1.5, 3.5]}
-              duration={[0.1, 0.3]}
-              strength={[0.1, 0.3]}
-              mode={GlitchMode.SPORADIC}
+          <CameraFlight target={flight && flight.target} onArrive={handleFlightArrived} />
+          
+          {/* In-headset navigation */}
+          {xrSession && (
+            <XRNavigator
+              items={NAV_ITEMS}
+              activeView={view}
+              onSelect={(item) => {
+                setView(item);
+                playSound('navigate', { pitch: NAV_ITEMS.indexOf(item) * 2 });
+              }}
+              onHover={(item, index) => playSound('hover', { pitch: index * 2 })}
             />
-          </EffectComposer>
+          )}
+          
+          {/* Post-processing Effects Stack (screen-space only, skipped while presenting in XR) */}
+          {!xrSession && preset.postprocessing && (
+            <EffectComposer multisampling={preset.postprocessing.multisampling}>
+              {preset.postprocessing.bloom && (
+                <AudioReactiveBloom
+                  reactive={!reduceMotion}
+                  intensity={theme.bloom.intensity}
+                  kernelSize={KernelSize.LARGE}
+                  luminanceThreshold={theme.bloom.threshold}
+                  luminanceSmoothing={0.025}
+                />
+              )}
+              {preset.postprocessing.chromaticAberration && (
+                <ChromaticAberration
+                  blendFunction={BlendFunction.NORMAL}
+                  offset={[0.002, 0.002]}
+                />
+              )}
+              {preset.postprocessing.noise && (
+                <Noise
+                  premultiply
+                  blendFunction={BlendFunction.SOFT_LIGHT}
+                  opacity={0.05}
+                />
+              )}
+              {preset.postprocessing.vignette && (
+                <Vignette
+                  darkness={0.4}
+                  offset={0.3}
+                />
+              )}
+              {preset.postprocessing.glitch && !reduceMotion && (
+                <Glitch
+                  delay={[1.5, 3.5]}
+                  duration={[0.1, 0.3]}
+                  strength={[0.1, 0.3]}
+                  mode={GlitchMode.SPORADIC}
+                />
+              )}
+            </EffectComposer>
+          )}
           
           <OrbitControls 
+            makeDefault
+            domElement={canvasElement || undefined}
+            enabled={!xrSession && !flight}
             enableZoom={!vrMode}
             enablePan={!vrMode}
-            autoRotate={!vrMode}
+            autoRotate={!vrMode && !reduceMotion && !flight}
             autoRotateSpeed={0.5}
             maxPolarAngle={Math.PI}
             minPolarAngle={0}
           />
-          <Stars 
-            radius={300}
-            depth={100}
-            count={10000}
-            factor={6}
-            saturation={0}
-            fade
-            speed={0.5}
-          />
+          {theme.stars && (
+            <Stars 
+              radius={300}
+              depth={100}
+              count={preset.stars}
+              factor={6}
+              saturation={0}
+              fade
+              speed={0.5}
+            />
+          )}
           <Sky 
             distance={450000}
             sunPosition={[100, 20, 100]}
@@ -433,6 +690,7 @@ export default function VirtualMark() {
       {/* Main UI Overlay with Glass Morphism and Parallax */}
       <motion.div 
         className="content-overlay"
+        data-scene-through
         style={{
           position: 'absolute',
           top: '50%',
@@ -441,16 +699,16 @@ export default function VirtualMark() {
           width: '90%',
           maxWidth: '1400px',
           height: '85%',
-          background: 'linear-gradient(135deg, rgba(10, 10, 30, 0.85) 0%, rgba(5, 5, 15, 0.9) 100%)',
+          background: theme.overlay,
           backdropFilter: 'blur(20px) saturate(180%)',
           WebkitBackdropFilter: 'blur(20px) saturate(180%)',
           borderRadius: '32px',
           border: '2px solid',
-          borderImage: 'linear-gradient(45deg, #00ff88, #0088ff, #ff0088) 1',
+          borderImage: 'linear-gradient(45deg, var(--vm-primary), var(--vm-secondary), var(--vm-accent)) 1',
           boxShadow: `
-            0 0 100px rgba(0, 255, 136, 0.15),
-            inset 0 0 40px rgba(0, 136, 255, 0.1),
-            0 0 0 1px rgba(255, 255, 255, 0.05)
+            0 0 100px rgba(var(--vm-primary-rgb), 0.15),
+            inset 0 0 40px rgba(var(--vm-secondary-rgb), 0.1),
+            0 0 0 1px rgba(var(--vm-text-rgb), 0.05)
           `,
           overflow: 'hidden',
           zIndex: 10,
@@ -461,25 +719,78 @@ export default function VirtualMark() {
         transition={{ duration: 1, type: 'spring', bounce: 0.3 }}
         whileHover={{ 
           backdropFilter: 'blur(25px) saturate(200%)',
-          boxShadow: '0 0 120px rgba(0, 255, 136, 0.25), inset 0 0 50px rgba(0, 136, 255, 0.15)'
+          boxShadow: '0 0 120px rgba(var(--vm-primary-rgb), 0.25), inset 0 0 50px rgba(var(--vm-secondary-rgb), 0.15)'
         }}
       >
-        {/* VR Mode Toggle */}
+        {/* Graphics quality + VR Mode Toggle */}
         <div style={{
           position: 'absolute',
           top: '20px',
           right: '20px',
-          zIndex: 100
+          zIndex: 100,
+          display: 'flex',
+          alignItems: 'center',
+          gap: '10px'
         }}>
           <button
-            onClick={() => setVrMode(!vrMode)}
+            onClick={() => setPalette('commands')}
+            title="Command palette"
+            style={{
+              background: 'var(--vm-glass)',
+              border: '2px solid var(--vm-glass-border)',
+              color: 'var(--vm-text)',
+              padding: '8px 14px',
+              borderRadius: '25px',
+              cursor: 'pointer',
+              fontFamily: '"Orbitron", sans-serif',
+              fontSize: '0.75rem',
+              letterSpacing: '1px',
+              backdropFilter: 'blur(10px)'
+            }}
+            onMouseEnter={(e) => playSound('hover', { element: e.currentTarget, pitch: 4 })}
+          >
+            {bindings.palette ? formatCombo(bindings.palette) : 'CMD'}
+          </button>
+          <QualitySelector
+            mode={quality.mode}
+            level={quality.level}
+            onChange={quality.setMode}
+            onMouseEnter={(e) => playSound('hover', { element: e.currentTarget, pitch: 6 })}
+          />
+          <ThemeSelector
+            value={themeName}
+            onChange={setTheme}
+            onMouseEnter={(e) => playSound('hover', { element: e.currentTarget, pitch: 5 })}
+          />
+          <button
+            onClick={a11y.toggle}
+            aria-pressed={reduceMotion}
+            title={a11y.preference === 'auto' ? 'Following your system motion setting' : 'Accessibility mode'}
+            style={{
+              background: reduceMotion ? 'rgba(var(--vm-primary-rgb), 0.2)' : 'var(--vm-glass)',
+              border: '2px solid',
+              borderColor: reduceMotion ? 'var(--vm-primary)' : 'var(--vm-glass-border)',
+              color: 'var(--vm-text)',
+              padding: '8px 16px',
+              borderRadius: '25px',
+              cursor: 'pointer',
+              fontFamily: '"Orbitron", sans-serif',
+              fontSize: '0.75rem',
+              letterSpacing: '1px',
+              backdropFilter: 'blur(10px)'
+            }}
+          >
+            A11Y {reduceMotion ? 'ON' : 'OFF'}
+          </button>
+          <button
+            onClick={toggleVrMode}
             style={{
               background: vrMode 
-                ? 'linear-gradient(45deg, #00ff88, #0088ff)' 
-                : 'rgba(255, 255, 255, 0.1)',
+                ? 'linear-gradient(45deg, var(--vm-primary), var(--vm-secondary))' 
+                : 'var(--vm-glass)',
               border: '2px solid',
-              borderColor: vrMode ? '#00ff88' : 'rgba(255, 255, 255, 0.2)',
-              color: vrMode ? '#000' : '#fff',
+              borderColor: vrMode ? 'var(--vm-primary)' : 'var(--vm-glass-border)',
+              color: vrMode ? 'var(--vm-on-primary)' : 'var(--vm-text)',
               padding: '10px 20px',
               borderRadius: '25px',
               cursor: 'pointer',
@@ -490,7 +801,7 @@ export default function VirtualMark() {
               transition: 'all 0.3s ease',
               backdropFilter: 'blur(10px)'
             }}
-            onMouseEnter={() => playHoverSound(660, 0.5)}
+            onMouseEnter={(e) => playSound('hover', { element: e.currentTarget, pitch: 7 })}
           >
             {vrMode ? '🔓 Exit VR Mode' : '🥽 Enter VR Mode'}
           </button>
@@ -498,14 +809,16 @@ export default function VirtualMark() {
 
         {/* Navigation - Advanced Holographic */}
         <motion.nav 
+          aria-label="Main"
+          onKeyDown={handleNavKeyDown}
           style={{
             display: 'flex',
             justifyContent: 'center',
             alignItems: 'center',
             gap: '3rem',
             padding: '2rem',
-            borderBottom: '2px solid rgba(0, 255, 136, 0.2)',
-            background: 'linear-gradient(90deg, transparent, rgba(0, 255, 136, 0.05), transparent)',
+            borderBottom: '2px solid rgba(var(--vm-primary-rgb), 0.2)',
+            background: 'linear-gradient(90deg, transparent, rgba(var(--vm-primary-rgb), 0.05), transparent)',
             position: 'relative',
             overflow: 'hidden'
           }}
@@ -520,10 +833,10 @@ export default function VirtualMark() {
               bottom: 0,
               left: 0,
               height: '3px',
-              background: 'linear-gradient(90deg, #00ff88, #0088ff)',
+              background: 'linear-gradient(90deg, var(--vm-primary), var(--vm-secondary))',
               width: '100px'
             }}
-            animate={{
+            animate={reduceMotion ? { x: '0%' } : {
               x: ['0%', '100%', '0%']
             }}
             transition={{
@@ -533,34 +846,36 @@ export default function VirtualMark() {
             }}
           />
           
-          {['home', 'projects', 'editor', 'currency'].map((item, index) => (
+          {NAV_ITEMS.map((item, index) => (
             <motion.div
               key={item}
               initial={{ opacity: 0, scale: 0.8 }}
               animate={{ opacity: 1, scale: 1 }}
               transition={{ delay: 0.7 + index * 0.1 }}
-              whileHover={{ 
+              whileHover={reduceMotion ? undefined : { 
                 scale: 1.1,
                 y: -5
               }}
               style={{
                 position: 'relative',
-                filter: view === item ? 'drop-shadow(0 0 15px rgba(0, 255, 136, 0.7))' : 'none'
+                filter: view === item ? 'drop-shadow(0 0 15px rgba(var(--vm-primary-rgb), 0.7))' : 'none'
               }}
             >
               <NeonButton
-                onClick={() => {
+                onClick={(e) => {
                   setView(item);
-                  playHoverSound(550 + index * 100, index % 2 === 0 ? -0.5 : 0.5);
+                  playSound('navigate', { element: e.currentTarget, pitch: index * 2 });
                 }}
-                onMouseEnter={() => {
+                onMouseEnter={(e) => {
                   setHoverState(prev => ({ ...prev, [item]: true }));
-                  playHoverSound(440 + index * 50, index % 2 === 0 ? -0.3 : 0.3);
+                  playSound('hover', { element: e.currentTarget, pitch: index * 2 });
                 }}
                 onMouseLeave={() => setHoverState(prev => ({ ...prev, [item]: false }))}
                 isActive={view === item}
                 isHovered={hoverState[item]}
                 glowIntensity={view === item ? 1 : 0.3}
+                data-nav-item
+                aria-current={view === item ? 'page' : undefined}
               >
                 <span style={{
                   display: 'flex',
@@ -573,7 +888,8 @@ export default function VirtualMark() {
                 }}>
                   {view === item && (
                     <motion.span
-                      animate={{ rotate: 360 }}
+                      aria-hidden="true"
+                      animate={reduceMotion ? { rotate: 0 } : { rotate: 360 }}
                       transition={{ duration: 2, repeat: Infinity, ease: 'linear' }}
                       style={{ display: 'inline-block' }}
                     >
@@ -588,7 +904,7 @@ export default function VirtualMark() {
         </motion.nav>
 
         {/* Main View Area with 3D Depth */}
-        <div style={{ 
+        <main id="main-content" tabIndex={-1} data-scene-through style={{ 
           padding: '3rem', 
           height: 'calc(100% - 100px)', 
           overflow: 'auto',
@@ -606,7 +922,7 @@ export default function VirtualMark() {
                 right: 0,
                 bottom: 0,
                 background: `radial-gradient(circle at ${50 + parallaxOffset.x * 0.1}% ${50 + parallaxOffset.y * 0.1}%, 
-                  rgba(${i === 0 ? '0,255,136' : i === 1 ? '0,136,255' : '255,0,136'}, 0.0${i + 1}) 0%, 
+                  rgba(var(--vm-${['primary', 'secondary', 'accent'][i]}-rgb), 0.0${i + 1}) 0%, 
                   transparent 70%)`,
                 transform: `translateZ(${-i * 10}px)`,
                 zIndex: -i - 1,
@@ -615,27 +931,15 @@ export default function VirtualMark() {
             />
           ))}
           
-          <AnimatePresence mode="wait">
+          <AnimatePresence mode="wait" custom={direction}>
             <motion.div
               key={view}
-              initial={{ 
-                opacity: 0, 
-                x: 100,
-                rotateY: 10,
-                scale: 0.95
-              }}
-              animate={{ 
-                opacity: 1, 
-                x: 0,
-                rotateY: 0,
-                scale: 1
-              }}
-              exit={{ 
-                opacity: 0, 
-                x: -100,
-                rotateY: -10,
-                scale: 0.95
-              }}
+              custom={direction}
+              variants={reduceMotion ? FADE_VARIANTS : VIEW_VARIANTS}
+              initial="enter"
+              animate="center"
+              exit="exit"
+              data-scene-through
               transition={{ 
                 duration: 0.5,
                 type: 'spring',
@@ -649,59 +953,32 @@ export default function VirtualMark() {
               }}
             >
               {view === 'home' && <HomeView parallaxOffset={parallaxOffset} />}
-              {view === 'projects' && <ProjectsView parallaxOffset={parallaxOffset} />}
-              {view === 'editor' && <EditorView parallaxOffset={parallaxOffset} />}
+              {view === 'projects' && <ProjectsView parallaxOffset={parallaxOffset} projectId={route.params.projectId} />}
+              {view === 'editor' && (
+                <EditorView
+                  parallaxOffset={parallaxOffset}
+                  projectId={route.params.projectId}
+                  filePath={route.params.filePath}
+                  onProjectChange={handleEditorProject}
+                  onFileChange={handleEditorFile}
+                />
+              )}
               {view === 'currency' && <CurrencyView parallaxOffset={parallaxOffset} />}
+              {view === 'inventory' && (
+                <InventoryView
+                  itemId={route.params.itemId}
+                  onItemChange={handleInventoryItem}
+                  reduceMotion={reduceMotion}
+                  dpr={preset.dpr}
+                />
+              )}
             </motion.div>
           </AnimatePresence>
-        </div>
+        </main>
       </motion.div>
 
       {/* Advanced Audio Visualizer */}
-      {audioContext && (
-        <motion.div
-          style={{
-            position: 'absolute',
-            bottom: '30px',
-            right: '30px',
-            width: '250px',
-            height: '80px',
-            background: 'linear-gradient(135deg, rgba(0, 20, 40, 0.8), rgba(0, 40, 80, 0.6))',
-            backdropFilter: 'blur(15px)',
-            borderRadius: '20px',
-            border: '2px solid rgba(0, 255, 136, 0.3)',
-            padding: '15px',
-            zIndex: 20,
-            overflow: 'hidden',
-            boxShadow: '0 10px 40px rgba(0, 255, 136, 0.2)'
-          }}
-          initial={{ x: 100, opacity: 0 }}
-          animate={{ x: 0, opacity: 1 }}
-          transition={{ delay: 1, type: 'spring' }}
-        >
-          <canvas 
-            ref={canvasRef} 
-            width="250" 
-            height="80" 
-            style={{ 
-              width: '100%', 
-              height: '100%',
-              filter: 'drop-shadow(0 0 10px rgba(0, 255, 136, 0.5))'
-            }} 
-          />
-          <div style={{
-            position: 'absolute',
-            top: '5px',
-            left: '15px',
-            color: '#00ff88',
-            fontFamily: '"Courier New", monospace',
-            fontSize: '0.7rem',
-            fontWeight: 'bold'
-          }}>
-            AUDIO PROCESSOR
-          </div>
-        </motion.div>
-      )}
+      {audio.unlocked && <AudioVisualizer paused={reduceMotion || !pageVisible} />}
 
       {/* Cyberpunk Terminal Footer */}
       <motion.div 
@@ -710,41 +987,42 @@ export default function VirtualMark() {
           bottom: '0',
           left: '0',
           right: '0',
-          background: 'linear-gradient(180deg, transparent, rgba(0, 20, 40, 0.9))',
+          background: theme.footer,
           borderTop: '2px solid',
-          borderImage: 'linear-gradient(90deg, #00ff88, #0088ff, #ff0088) 1',
+          borderImage: 'linear-gradient(90deg, var(--vm-primary), var(--vm-secondary), var(--vm-accent)) 1',
           padding: '1rem 2rem',
           fontFamily: '"Share Tech Mono", monospace',
           fontSize: '0.9rem',
-          color: '#00ff88',
+          color: 'var(--vm-primary)',
           zIndex: 15,
-          backdropFilter: 'blur(10px)',
-          overflow: 'hidden'
+          backdropFilter: 'blur(10px)'
         }}
         initial={{ y: 100 }}
         animate={{ y: 0 }}
         transition={{ delay: 0.8, type: 'spring' }}
       >
-        {/* Scanning line */}
-        <motion.div
-          style={{
-            position: 'absolute',
-            top: 0,
-            left: 0,
-            right: 0,
-            height: '2px',
-            background: 'linear-gradient(90deg, transparent, #00ff88, transparent)',
-            boxShadow: '0 0 10px #00ff88'
-          }}
-          animate={{
-            y: ['0%', '100%', '0%']
-          }}
-          transition={{
-            duration: 2,
-            repeat: Infinity,
-            ease: 'linear'
-          }}
-        />
+        {/* Scanning line, clipped here so the console output can rise above the footer */}
+        {!reduceMotion && <div style={{ position: 'absolute', inset: 0, overflow: 'hidden', pointerEvents: 'none' }}>
+          <motion.div
+            style={{
+              position: 'absolute',
+              top: 0,
+              left: 0,
+              right: 0,
+              height: '2px',
+              background: 'linear-gradient(90deg, transparent, var(--vm-primary), transparent)',
+              boxShadow: '0 0 10px var(--vm-primary)'
+            }}
+            animate={{
+              y: ['0%', '100%', '0%']
+            }}
+            transition={{
+              duration: 2,
+              repeat: Infinity,
+              ease: 'linear'
+            }}
+          />
+        </div>}
         
         <div style={{ 
           display: 'flex', 
@@ -752,56 +1030,121 @@ export default function VirtualMark() {
           alignItems: 'center'
         }}>
           <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
-            <span style={{ color: '#0088ff' }}>
-              <span style={{ opacity: 0.7 }}>user@virtual-mark</span>:<span style={{ color: '#00ff88' }}>~</span>$
+            <span style={{ color: 'var(--vm-secondary)' }}>
+              <span
+                role="button"
+                tabIndex={0}
+                title={user ? user.email : 'Sign in'}
+                onClick={() => !user && setAuthPanel({ mode: 'login' })}
+                style={{ opacity: 0.7, cursor: user ? 'default' : 'pointer' }}
+              >
+                {user ? user.username : 'guest'}@virtual-mark
+              </span>:<span style={{ color: 'var(--vm-primary)' }}>{view === 'home' ? '~' : `~/${view}`}</span>$
             </span>
-            <TypewriterText 
-              texts={[
-                "INITIALIZING NEXUS... ∇²Ψ = 0",
-                "QUANTUM STATE: |Ψ⟩ = α|0⟩ + β|1⟩",
-                "METAVERSE CONNECTION: 99.7% STABLE",
-                "NEURAL LINK: PRIMED FOR IMMERSION",
-                "WELCOME TO THE NEXT REALITY"
-              ]}
-              speed={30}
-              loop={true}
-              glitch={true}
+            {user === null && (
+              <span role="button" tabIndex={0} onClick={() => setAuthPanel({ mode: 'login' })} style={{ color: 'var(--vm-accent)', cursor: 'pointer' }}>
+                login
+              </span>
+            )}
+            {user && !user.emailVerified && (
+              <span role="button" tabIndex={0} onClick={resendVerification} title="Resend verification email" style={{ color: 'var(--vm-highlight)', cursor: 'pointer' }}>
+                [UNVERIFIED]
+              </span>
+            )}
+            {user && (
+              <span role="button" tabIndex={0} onClick={signOut} style={{ color: 'var(--vm-accent)', cursor: 'pointer', opacity: 0.7 }}>
+                logout
+              </span>
+            )}
+            {notice && <span style={{ color: 'var(--vm-primary)' }}>{notice}</span>}
+            <TerminalConsole
+              context={{
+                user,
+                view,
+                themeName,
+                vrMode,
+                navigate,
+                setTheme,
+                setVrMode: (enabled) => {
+                  if (enabled !== vrMode) toggleVrMode();
+                }
+              }}
+              idleTexts={notice ? null : IDLE_TEXTS}
+              reduceMotion={reduceMotion}
             />
           </div>
           
           <div style={{ display: 'flex', gap: '2rem', alignItems: 'center' }}>
-            <div style={{
-              display: 'flex',
-              alignItems: 'center',
-              gap: '0.5rem'
-            }}>
+            <div
+              title={describeStatus(systemStatus)}
+              role="status"
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.5rem'
+              }}
+            >
               <motion.div
-                animate={{ scale: [1, 1.2, 1] }}
-                transition={{ duration: 2, repeat: Infinity }}
+                animate={reduceMotion ? undefined : { scale: systemStatus.status === 'ok' ? [1, 1.2, 1] : [1, 1.4, 1] }}
+                transition={{ duration: systemStatus.status === 'ok' ? 2 : 0.8, repeat: Infinity }}
                 style={{
                   width: '10px',
                   height: '10px',
                   borderRadius: '50%',
-                  background: '#00ff88',
-                  boxShadow: '0 0 10px #00ff88'
+                  background: statusDisplay.color,
+                  boxShadow: `0 0 10px ${statusDisplay.color}`
                 }}
               />
-              <span style={{ color: '#ff0088' }}>
-                SYSTEM STATUS: <span style={{ color: '#00ff88' }}>NOMINAL</span>
+              <span style={{ color: 'var(--vm-accent)' }}>
+                SYSTEM STATUS: <span style={{ color: statusDisplay.color }}>{statusDisplay.label}</span>
               </span>
             </div>
             
-            <span style={{ color: '#aaa', fontFamily: '"Orbitron", sans-serif' }}>
-              <span style={{ color: '#0088ff' }}>{new Date().toLocaleTimeString([], {hour12: false})}</span> | 
-              USERS ONLINE: <span style={{ color: '#ff0088' }}>1,847</span> | 
-              VR ACTIVE: <span style={{ color: vrMode ? '#00ff88' : '#ff5555' }}>{vrMode ? 'YES' : 'NO'}</span>
+            <span style={{ color: 'var(--vm-text-dim)', fontFamily: '"Orbitron", sans-serif' }}>
+              <span style={{ color: 'var(--vm-secondary)' }}><LiveClock /></span> | 
+              USERS ONLINE: <span
+                title={online ? `${online.members} signed in, ${online.guests} guests` : undefined}
+                style={{ color: 'var(--vm-accent)' }}
+              >
+                {online ? online.total.toLocaleString() : '--'}
+              </span> | 
+              BUILD: <span style={{ color: 'var(--vm-secondary)' }}>{systemStatus.report ? systemStatus.report.build.version : '--'}</span> | 
+              VR ACTIVE: <span style={{ color: vrMode ? 'var(--vm-primary)' : 'var(--vm-danger)' }}>{xrSession ? 'IMMERSIVE' : vrMode ? 'YES' : 'NO'}</span>
             </span>
           </div>
         </div>
       </motion.div>
 
-      {/* VR Headset Overlay Effect */}
-      {vrMode && (
+      <AnimatePresence>
+        {palette && (
+          <CommandPalette
+            page={palette}
+            onPageChange={setPalette}
+            onClose={() => setPalette(null)}
+            context={{
+              user,
+              route,
+              navigate,
+              themeName,
+              setTheme,
+              vrMode,
+              toggleVrMode,
+              audio,
+              quality,
+              a11y
+            }}
+          />
+        )}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {authPanel && (
+          <AuthPanel initialMode={authPanel.mode} resetToken={authPanel.token} onClose={() => setAuthPanel(null)} />
+        )}
+      </AnimatePresence>
+
+      {/* VR Headset Overlay Effect (fallback when no immersive session is running) */}
+      {vrMode && !xrSession && (
         <div style={{
           position: 'absolute',
           top: 0,
@@ -820,9 +1163,9 @@ export default function VirtualMark() {
             left: '10%',
             right: '10%',
             bottom: '10%',
-            border: '3px solid rgba(0, 255, 136, 0.3)',
+            border: '3px solid rgba(var(--vm-primary-rgb), 0.3)',
             borderRadius: '50%',
-            boxShadow: 'inset 0 0 100px rgba(0, 255, 136, 0.1)'
+            boxShadow: 'inset 0 0 100px rgba(var(--vm-primary-rgb), 0.1)'
           }} />
           
           {/* Reticle */}
@@ -835,7 +1178,7 @@ export default function VirtualMark() {
               width: '20px',
               height: '20px'
             }}
-            animate={{
+            animate={reduceMotion ? undefined : {
               scale: [1, 1.1, 1],
               rotate: [0, 180, 360]
             }}
@@ -848,9 +1191,9 @@ export default function VirtualMark() {
             <div style={{
               width: '100%',
               height: '100%',
-              border: '2px solid #00ff88',
+              border: '2px solid var(--vm-primary)',
               borderRadius: '50%',
-              boxShadow: '0 0 20px #00ff88'
+              boxShadow: '0 0 20px var(--vm-primary)'
             }}>
               <div style={{
                 position: 'absolute',
@@ -859,7 +1202,7 @@ export default function VirtualMark() {
                 transform: 'translate(-50%, -50%)',
                 width: '4px',
                 height: '4px',
-                background: '#00ff88',
+                background: 'var(--vm-primary)',
                 borderRadius: '50%'
               }} />
             </div>
@@ -869,81 +1212,3 @@ export default function VirtualMark() {
     </div>
   );
 }
-
-// Enhanced Typewriter with Glitch Effects
-function TypewriterText({ texts, speed = 30, loop = true, glitch = false }) {
-  const [displayText, setDisplayText] = useState('');
-  const [currentIndex, setCurrentIndex] = useState(0);
-  const [charIndex, setCharIndex] = useState(0);
-  const [glitchActive, setGlitchActive] = useState(false);
-  
-  // Glitch effect
-  useEffect(() => {
-    if (glitch) {
-      const interval = setInterval(() => {
-        if (Math.random() > 0.7) {
-          setGlitchActive(true);
-          setTimeout(() => setGlitchActive(false), 100);
-        }
-      }, 1000);
-      return () => clearInterval(interval);
-    }
-  }, [glitch]);
-
-  // Typewriter effect
-  useEffect(() => {
-    if (charIndex <= texts[currentIndex].length) {
-      const timeout = setTimeout(() => {
-        setDisplayText(texts[currentIndex].substring(0, charIndex));
-        setCharIndex(charIndex + 1);
-      }, speed);
-      
-      return () => clearTimeout(timeout);
-    } else if (loop) {
-      const timeout = setTimeout(() => {
-        setCurrentIndex((currentIndex + 1) % texts.length);
-        setCharIndex(0);
-        setDisplayText('');
-      }, 2000);
-      
-      return () => clearTimeout(timeout);
-    }
-  }, [charIndex, currentIndex, texts, speed, loop]);
-
-  return (
-    <span style={{ 
-      display: 'inline-block', 
-      minWidth: '500px',
-      position: 'relative',
-      filter: glitchActive ? 'url(#glitchFilter)' : 'none'
-    }}>
-      {displayText}
-      <motion.span
-        animate={{ opacity: [1, 0, 1] }}
-        transition={{ duration: 0.8, repeat: Infinity }}
-        style={{ 
-          marginLeft: '2px',
-          color: '#00ff88',
-          textShadow: '0 0 10px #00ff88'
-        }}
-      >
-        █
-      </motion.span>
-      
-      {/* SVG filter for glitch effect */}
-      <svg style={{ position: 'absolute', width: 0, height: 0 }}>
-        <defs>
-          <filter id="glitchFilter" x="0" y="0">
-            <feOffset in="SourceGraphic" dx="2" dy="0" result="offset1">
-              <animate attributeName="dx" values="0;2;0" dur="0.1s" repeatCount="1" />
-            </feOffset>
-            <feOffset in="SourceGraphic" dx="-2" dy="0" result="offset2">
-              <animate attributeName="dx" values="0;-2;0" dur="0.1s" repeatCount="1" />
-            </feOffset>
-            <feBlend in="offset1" in2="offset2" mode="screen" />
-          </filter>
-        </defs>
-      </svg>
-    </span>
-  );
-}
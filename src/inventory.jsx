@@ -0,0 +1,147 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { motion } from 'framer-motion';
+import ItemShowroom from './components/ItemShowroom.jsx';
+import ItemDetailCard from './components/ItemDetailCard.jsx';
+import { itemsApi, marketplaceApi } from './lib/api.js';
+import { useCurrentUser } from './lib/auth.js';
+import { RARITY_COLORS } from './lib/theme.js';
+import { playSound } from './lib/audio.js';
+
+// Sales drawn in the detail card's price history
+const HISTORY_LIMIT = 50;
+
+const panelStyle = {
+  background: 'var(--vm-panel)',
+  border: '1px solid rgba(var(--vm-primary-rgb), 0.2)',
+  borderRadius: '12px',
+  overflow: 'hidden'
+};
+
+const buttonStyle = {
+  background: 'none',
+  border: '1px solid rgba(var(--vm-secondary-rgb), 0.4)',
+  borderRadius: '6px',
+  color: 'var(--vm-secondary)',
+  cursor: 'pointer',
+  fontFamily: 'inherit',
+  padding: '4px 12px'
+};
+
+// One showroom entry per catalog item, holding every copy the user owns,
+// most recently acquired first
+function groupByItem(inventory) {
+  const entries = new Map();
+  inventory.forEach((copy) => {
+    if (!copy.item) return;
+    if (!entries.has(copy.item.id)) entries.set(copy.item.id, { item: copy.item, copies: [] });
+    entries.get(copy.item.id).copies.push(copy);
+  });
+  return [...entries.values()];
+}
+
+// The signed-in user's items on showroom pedestals. The selected item is
+// deep-linked as /inventory/<itemId>; onItemChange reports a new selection.
+export default function InventoryView({ itemId, onItemChange, reduceMotion, dpr }) {
+  const user = useCurrentUser();
+  const userId = user ? user.id : null;
+  const [inventory, setInventory] = useState(null);
+  const [error, setError] = useState(null);
+  const [trades, setTrades] = useState(null);
+
+  useEffect(() => {
+    if (!userId) return undefined;
+    let cancelled = false;
+    setInventory(null);
+    setError(null);
+    itemsApi.inventory()
+      .then((result) => { if (!cancelled) setInventory(result); })
+      .catch((err) => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [userId]);
+
+  const entries = useMemo(() => groupByItem(inventory || []), [inventory]);
+  const selected = Math.max(entries.findIndex((entry) => entry.item.id === itemId), 0);
+  const current = entries[selected];
+  const currentId = current ? current.item.id : null;
+
+  useEffect(() => {
+    if (!currentId) return undefined;
+    let cancelled = false;
+    setTrades(null);
+    marketplaceApi.trades({ itemId: currentId, limit: HISTORY_LIMIT })
+      .then((result) => { if (!cancelled) setTrades(result.trades); })
+      .catch(() => { if (!cancelled) setTrades([]); });
+    return () => { cancelled = true; };
+  }, [currentId]);
+
+  const select = (index) => {
+    const entry = entries[(index + entries.length) % entries.length];
+    if (entry) onItemChange(entry.item.id);
+  };
+
+  const step = (e, delta) => {
+    playSound('click', { element: e.currentTarget });
+    select(selected + delta);
+  };
+
+  const message = (text, tone = 'var(--vm-muted)') => (
+    <div style={{ color: 'var(--vm-text)', fontFamily: '"Share Tech Mono", monospace' }}>
+      <h2 style={{ fontFamily: '"Orbitron", sans-serif', color: 'var(--vm-primary)', letterSpacing: '2px' }}>INVENTORY</h2>
+      <p style={{ color: tone }}>{text}</p>
+    </div>
+  );
+
+  if (user === null) return message('Sign in to see the items you own.');
+  if (error) return message(error, 'var(--vm-danger)');
+  if (user === undefined || inventory === null) return message('Loading inventory…');
+  if (!entries.length) return message('Nothing here yet. Items you buy or trade for show up on these pedestals.');
+
+  return (
+    <div style={{ display: 'flex', gap: '1rem', height: '100%', fontFamily: '"Share Tech Mono", monospace', color: 'var(--vm-text)' }}>
+      <div style={{ flex: 1, display: 'flex', flexDirection: 'column', gap: '0.75rem', minWidth: 0 }}>
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+          <span style={{ fontFamily: '"Orbitron", sans-serif', color: 'var(--vm-primary)', letterSpacing: '2px' }}>SHOWROOM</span>
+          <span style={{ color: 'var(--vm-muted)', fontSize: '0.8rem' }}>Drag to orbit · scroll to zoom · click a pedestal to inspect it</span>
+        </div>
+        <div
+          role="img"
+          aria-label={`3D showroom of ${entries.length} items; ${current.item.name} is in front`}
+          style={{ ...panelStyle, flex: 1, minHeight: '320px' }}
+        >
+          <ItemShowroom entries={entries} selected={selected} onSelect={select} reduceMotion={reduceMotion} dpr={dpr} />
+        </div>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <button type="button" onClick={(e) => step(e, -1)} aria-label="Previous item" style={buttonStyle}>‹</button>
+          <div role="listbox" aria-label="Owned items" style={{ display: 'flex', gap: '0.5rem', overflowX: 'auto', flex: 1 }}>
+            {entries.map((entry, index) => (
+              <motion.button
+                key={entry.item.id}
+                type="button"
+                role="option"
+                aria-selected={index === selected}
+                whileHover={reduceMotion ? undefined : { scale: 1.05 }}
+                onClick={(e) => {
+                  playSound('click', { element: e.currentTarget });
+                  select(index);
+                }}
+                style={{
+                  ...buttonStyle,
+                  whiteSpace: 'nowrap',
+                  color: index === selected ? `var(--vm-${RARITY_COLORS[entry.item.rarity] || 'primary'})` : 'var(--vm-text-dim)',
+                  borderColor: index === selected ? 'rgba(var(--vm-primary-rgb), 0.6)' : 'rgba(var(--vm-secondary-rgb), 0.25)'
+                }}
+              >
+                {entry.item.name}{entry.copies.length > 1 ? ` ×${entry.copies.length}` : ''}
+              </motion.button>
+            ))}
+          </div>
+          <button type="button" onClick={(e) => step(e, 1)} aria-label="Next item" style={buttonStyle}>›</button>
+        </div>
+      </div>
+
+      <div style={{ width: '340px', flexShrink: 0, overflowY: 'auto' }}>
+        <ItemDetailCard item={current.item} copies={current.copies} owner={user.username} trades={trades} />
+      </div>
+    </div>
+  );
+}
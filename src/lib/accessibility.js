@@ -0,0 +1,70 @@
+import { useCallback, useEffect, useState } from 'react';
+
+// Accessibility mode: freezes parallax, looping animations and glitch effects.
+// 'auto' follows the OS prefers-reduced-motion setting; 'on'/'off' override it.
+
+export const A11Y_PREFERENCES = ['auto', 'on', 'off'];
+
+const STORAGE_KEY = 'virtualmark.a11y';
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+function readPreference() {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return A11Y_PREFERENCES.includes(stored) ? stored : 'auto';
+  } catch {
+    return 'auto';
+  }
+}
+
+function systemPrefersReducedMotion() {
+  return typeof window !== 'undefined' && Boolean(window.matchMedia) && window.matchMedia(REDUCED_MOTION_QUERY).matches;
+}
+
+export function useAccessibilityMode() {
+  const [preference, setPreferenceState] = useState(readPreference);
+  const [systemReduced, setSystemReduced] = useState(systemPrefersReducedMotion);
+
+  useEffect(() => {
+    if (!window.matchMedia) return;
+    const media = window.matchMedia(REDUCED_MOTION_QUERY);
+    const handleChange = (event) => setSystemReduced(event.matches);
+    media.addEventListener('change', handleChange);
+    return () => media.removeEventListener('change', handleChange);
+  }, []);
+
+  const setPreference = useCallback((next) => {
+    if (!A11Y_PREFERENCES.includes(next)) return;
+    setPreferenceState(next);
+    try {
+      window.localStorage.setItem(STORAGE_KEY, next);
+    } catch {
+      // storage unavailable; the choice lasts for this visit only
+    }
+  }, []);
+
+  const enabled = preference === 'auto' ? systemReduced : preference === 'on';
+
+  // Lets plain CSS (and the focus styles in index.jsx) key off the mode
+  useEffect(() => {
+    document.documentElement.toggleAttribute('data-a11y', enabled);
+  }, [enabled]);
+
+  // A click flips the effective state, pinning it as an explicit override
+  const toggle = useCallback(() => setPreference(enabled ? 'off' : 'on'), [enabled, setPreference]);
+
+  return { enabled, preference, systemReduced, setPreference, toggle };
+}
+
+// Visually hidden but still read by screen readers
+export const srOnly = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  padding: 0,
+  margin: '-1px',
+  overflow: 'hidden',
+  clip: 'rect(0, 0, 0, 0)',
+  whiteSpace: 'nowrap',
+  border: 0
+};
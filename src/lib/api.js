@@ -0,0 +1,156 @@
+// Browser client for the serverless handlers in api/. Errors come back as
+// ApiRequestError carrying the structured { code, message, details } body.
+// Identity rides on the HTTP-only session cookie set by /api/auth.
+
+export class ApiRequestError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiRequestError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export function newIdempotencyKey() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+function toQuery(params = {}) {
+  const search = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') search.set(key, Array.isArray(value) ? value.join(',') : value);
+  });
+  const text = search.toString();
+  return text ? `?${text}` : '';
+}
+
+export async function apiFetch(resource, { method = 'GET', params, body, idempotencyKey, signal } = {}) {
+  const headers = { Accept: 'application/json' };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+
+  const response = await fetch(`/api/${resource}${toQuery(params)}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+    credentials: 'same-origin',
+    signal
+  });
+
+  if (response.status === 204) return null;
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok) throw requestError(response, payload);
+  return payload;
+}
+
+function requestError(response, payload) {
+  const error = payload.error || {};
+  return new ApiRequestError(response.status, error.code || 'HTTP_ERROR', error.message || response.statusText, error.details);
+}
+
+// File downloads: resolves to { blob, filename }; errors still arrive as JSON
+export async function apiDownload(resource, { params, signal } = {}) {
+  const response = await fetch(`/api/${resource}${toQuery(params)}`, { credentials: 'same-origin', signal });
+  if (!response.ok) throw requestError(response, await response.json().catch(() => ({})));
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const match = disposition.match(/filename="([^"]+)"/);
+  return { blob: await response.blob(), filename: match ? match[1] : resource };
+}
+
+export const authApi = {
+  me: () => apiFetch('auth').then((r) => r.user),
+  signup: (fields) => apiFetch('auth', { method: 'POST', body: { action: 'signup', ...fields } }).then((r) => r.user),
+  // `login` is an email address or username
+  login: (login, password) => apiFetch('auth', { method: 'POST', body: { action: 'login', login, password } }).then((r) => r.user),
+  logout: () => apiFetch('auth', { method: 'POST', body: { action: 'logout' } }),
+  resendVerification: () => apiFetch('auth', { method: 'POST', body: { action: 'resend-verification' } }),
+  forgotPassword: (email) => apiFetch('auth', { method: 'POST', body: { action: 'forgot-password', email } }),
+  resetPassword: (token, password) => apiFetch('auth', { method: 'POST', body: { action: 'reset-password', token, password } }).then((r) => r.user),
+  // Other users whose username starts with `q`, for recipient pickers
+  search: (q) => apiFetch('auth', { params: { action: 'search', q } }).then((r) => r.users),
+  // { theme }
+  updatePreferences: (preferences) => apiFetch('auth', { method: 'POST', body: { action: 'preferences', ...preferences } }).then((r) => r.user)
+};
+
+export const projectsApi = {
+  list: (params) => apiFetch('projects', { params }),
+  get: (id) => apiFetch('projects', { params: { id } }).then((r) => r.project),
+  create: (project) => apiFetch('projects', { method: 'POST', body: project }).then((r) => r.project),
+  // Merge-save: `files` maps path -> content, null deletes the path
+  patch: (id, changes) => apiFetch('projects', { method: 'PATCH', params: { id }, body: changes }),
+  remove: (id) => apiFetch('projects', { method: 'DELETE', params: { id } }),
+  versions: (id, params) => apiFetch('projects', { params: { id, action: 'versions', ...params } }),
+  version: (id, version) => apiFetch('projects', { params: { id, action: 'version', version } }).then((r) => r.version),
+  diff: (id, from, to) => apiFetch('projects', { params: { id, action: 'diff', from, to } }),
+  restore: (id, version) => apiFetch('projects', { method: 'POST', body: { action: 'restore', id, version } }).then((r) => r.project),
+  // Public read-only links; `share` returns the active link, minting one if needed
+  shares: (id) => apiFetch('projects', { params: { id, action: 'shares' } }).then((r) => r.shares),
+  share: (id) => apiFetch('projects', { method: 'POST', body: { action: 'share', id } }).then((r) => r.share),
+  rotateShare: (id) => apiFetch('projects', { method: 'POST', body: { action: 'rotate-share', id } }).then((r) => r.share),
+  revokeShare: (id) => apiFetch('projects', { method: 'POST', body: { action: 'revoke-share', id } }),
+  // People besides the owner who can open and save the project
+  collaborators: (id) => apiFetch('projects', { params: { id, action: 'collaborators' } }).then((r) => r.collaborators),
+  addCollaborator: (id, username) => apiFetch('projects', { method: 'POST', body: { action: 'add-collaborator', id, username } }).then((r) => r.collaborators),
+  removeCollaborator: (id, userId) => apiFetch('projects', { method: 'POST', body: { action: 'remove-collaborator', id, userId } }).then((r) => r.collaborators),
+  // Zip of the files, a manifest and the version history
+  exportArchive: (id) => apiDownload('projects', { params: { id, action: 'export' } }),
+  // { source: 'zip', data (base64), filename } | { source: 'git', url, ref }
+  // | { source: 'directory' | 'git', path, ref } (admins),
+  // plus `name` and `onConflict` ('rename' | 'overwrite'). An existing project
+  // with the same name fails with NAME_CONFLICT, details.suggestedName.
+  import: (source) => apiFetch('projects', { method: 'POST', body: { action: 'import', ...source } })
+};
+
+export const currencyApi = {
+  balance: () => apiFetch('currency', { params: { action: 'balance' } }),
+  // Newest-first ledger entries, with `usernames` naming the users on the other side
+  history: (params) => apiFetch('currency', { params: { action: 'history', ...params } }),
+  // `to` is { userId } or { username }
+  transfer: (to, amount, { memo, idempotencyKey = newIdempotencyKey() } = {}) => apiFetch('currency', {
+    method: 'POST',
+    body: { action: 'transfer', to: to.userId, toUsername: to.username, amount, memo },
+    idempotencyKey
+  })
+};
+
+export const itemsApi = {
+  catalog: (params) => apiFetch('items', { params: { action: 'catalog', ...params } }),
+  inventory: (params) => apiFetch('items', { params: { action: 'inventory', ...params } }).then((r) => r.inventory)
+};
+
+export const marketplaceApi = {
+  // Settled sales, newest first; filter by { itemId } or { userId }
+  trades: (params) => apiFetch('marketplace', { params: { action: 'trades', ...params } })
+};
+
+export const gamesApi = {
+  list: (params) => apiFetch('games', { params }),
+  get: (id) => apiFetch('games', { params: { id } }).then((r) => r.game),
+  // Promotes a project (or re-pins its game to the latest version)
+  publish: (projectId, fields) => apiFetch('games', { method: 'POST', body: { action: 'publish', projectId, ...fields } }).then((r) => r.game),
+  update: (id, fields) => apiFetch('games', { method: 'PATCH', params: { id }, body: fields }).then((r) => r.game),
+  unpublish: (id) => apiFetch('games', { method: 'DELETE', params: { id } }),
+  play: (id) => apiFetch('games', { method: 'POST', body: { action: 'play', id } }),
+  submitScore: (id, token, score) => apiFetch('games', { method: 'POST', body: { action: 'score', id, token, score } }),
+  leaderboard: (id, params) => apiFetch('games', { params: { id, action: 'leaderboard', ...params } })
+};
+
+export const statusApi = {
+  get: () => apiFetch('status'),
+  // Marks this tab online and returns the same report as get()
+  heartbeat: (clientId) => apiFetch('status', { method: 'POST', body: { clientId } }),
+  // Fire-and-forget for pagehide, when a normal fetch may be cancelled
+  leave: (clientId) => {
+    const body = JSON.stringify({ clientId, leave: true });
+    if (navigator.sendBeacon && navigator.sendBeacon('/api/status', body)) return;
+    fetch('/api/status', { method: 'POST', body, credentials: 'same-origin', keepalive: true }).catch(() => {});
+  }
+};
+
+export const realtimeApi = {
+  // { url, ticket } for the presence WebSocket, or for a project's editing
+  // room with { projectId }; url is null without a server
+  ticket: (params) => apiFetch('realtime', { params })
+};
@@ -0,0 +1,300 @@
+import { useEffect, useState } from 'react';
+
+// Procedural UI sound engine. One AudioContext, created on the first user
+// gesture (browsers refuse to start audio before one), feeding a master gain.
+// Sounds are named presets of short oscillator tones, placed in 3D with an
+// HRTF PannerNode at the on-screen position of the element that triggered
+// them, and voice-limited so sweeping the mouse can't pile up oscillators.
+// An analyser taps the master bus (and the microphone, when enabled) for the
+// visualizer and the audio-reactive parts of the scene.
+
+const STORAGE_KEY = 'virtualmark.audio';
+const MAX_VOICES = 12;
+// How far (in panner units) the screen edges sit from the listener
+const SCREEN_SPREAD = 3;
+const SCREEN_DEPTH = -2;
+
+// Each tone: oscillator type, start/end frequency, offset and length in
+// seconds, peak gain. `pitch` on playSound() shifts every tone in semitones.
+export const SOUND_PRESETS = {
+  hover: {
+    maxVoices: 3,
+    minInterval: 0.04,
+    tones: [{ type: 'sine', freq: 440, start: 0, duration: 0.25, gain: 0.12 }]
+  },
+  click: {
+    maxVoices: 4,
+    minInterval: 0.02,
+    tones: [
+      { type: 'triangle', freq: 880, to: 660, start: 0, duration: 0.08, gain: 0.2 },
+      { type: 'sine', freq: 1320, start: 0, duration: 0.05, gain: 0.08 }
+    ]
+  },
+  navigate: {
+    maxVoices: 2,
+    minInterval: 0.1,
+    tones: [
+      { type: 'sine', freq: 523.25, start: 0, duration: 0.18, gain: 0.15 },
+      { type: 'sine', freq: 783.99, start: 0.08, duration: 0.25, gain: 0.12 }
+    ]
+  },
+  error: {
+    maxVoices: 1,
+    minInterval: 0.25,
+    tones: [
+      { type: 'square', freq: 220, to: 110, start: 0, duration: 0.2, gain: 0.08 },
+      { type: 'square', freq: 196, to: 98, start: 0.18, duration: 0.25, gain: 0.08 }
+    ]
+  },
+  purchase: {
+    maxVoices: 1,
+    minInterval: 0.3,
+    tones: [
+      { type: 'triangle', freq: 659.25, start: 0, duration: 0.12, gain: 0.14 },
+      { type: 'triangle', freq: 783.99, start: 0.09, duration: 0.12, gain: 0.14 },
+      { type: 'triangle', freq: 1046.5, start: 0.18, duration: 0.35, gain: 0.16 },
+      { type: 'sine', freq: 2093, start: 0.18, duration: 0.4, gain: 0.05 }
+    ]
+  }
+};
+
+let context = null;
+let master = null;
+let analyser = null;
+let levelData = null;
+let level = 0;
+let levelTime = -1;
+let microphone = null;
+let voices = [];
+const lastPlayed = {};
+const listeners = new Set();
+let settings = readSettings();
+// 'off' | 'requesting' | 'on' | 'denied' | 'unavailable'
+let microphoneState = 'off';
+
+function readSettings() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (stored && typeof stored.volume === 'number') return { volume: stored.volume, muted: Boolean(stored.muted) };
+  } catch {
+    // missing or unreadable; fall through to defaults
+  }
+  return { volume: 0.6, muted: false };
+}
+
+function publish(patch) {
+  settings = { ...settings, ...patch };
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ volume: settings.volume, muted: settings.muted }));
+  } catch {
+    // storage unavailable; settings last for this visit only
+  }
+  if (master) master.gain.setTargetAtTime(settings.muted ? 0 : settings.volume, context.currentTime, 0.02);
+  notify();
+}
+
+function notify() {
+  listeners.forEach((listener) => listener(getAudioState()));
+}
+
+export function getAudioState() {
+  return { ...settings, unlocked: Boolean(context) && context.state === 'running', microphone: microphoneState };
+}
+
+// Creates/resumes the context; must run inside a user gesture handler
+export function unlockAudio() {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return null;
+  if (!context) {
+    context = new AudioContextClass();
+    master = context.createGain();
+    master.gain.value = settings.muted ? 0 : settings.volume;
+    master.connect(context.destination);
+    // A tap, not part of the output path, so the microphone never reaches the speakers
+    analyser = context.createAnalyser();
+    analyser.fftSize = 1024;
+    analyser.smoothingTimeConstant = 0.8;
+    levelData = new Uint8Array(analyser.fftSize);
+    master.connect(analyser);
+    context.onstatechange = notify;
+  }
+  if (context.state === 'suspended') context.resume();
+  return context;
+}
+
+// Unlocks on the first pointer or key press anywhere in the page
+export function installAudioUnlock() {
+  const events = ['pointerdown', 'keydown', 'touchstart'];
+  const handler = () => {
+    if (unlockAudio()) events.forEach((event) => window.removeEventListener(event, handler, true));
+  };
+  events.forEach((event) => window.addEventListener(event, handler, true));
+  return () => events.forEach((event) => window.removeEventListener(event, handler, true));
+}
+
+// Context, master bus and analyser (null until unlocked)
+export function getAudioGraph() {
+  return context ? { context, master, analyser } : null;
+}
+
+// Smoothed RMS level of everything the analyser hears, roughly 0..1. Cheap
+// enough to call from every animation frame; repeated calls within one audio
+// render quantum share a reading.
+export function getAudioLevel() {
+  if (!analyser || context.state !== 'running') return 0;
+  if (context.currentTime === levelTime) return level;
+  levelTime = context.currentTime;
+  analyser.getByteTimeDomainData(levelData);
+  let sum = 0;
+  for (let i = 0; i < levelData.length; i++) {
+    const sample = (levelData[i] - 128) / 128;
+    sum += sample * sample;
+  }
+  const rms = Math.min(Math.sqrt(sum / levelData.length) * 4, 1);
+  // Fast attack, slow release
+  level = rms > level ? rms : level * 0.92 + rms * 0.08;
+  return level;
+}
+
+function setMicrophoneState(next) {
+  microphoneState = next;
+  notify();
+}
+
+// Feeds the microphone into the analyser only. Call from a user gesture so
+// the permission prompt (and context unlock) are allowed.
+export async function startMicrophone() {
+  if (microphone || microphoneState === 'requesting') return;
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia || !unlockAudio()) {
+    setMicrophoneState('unavailable');
+    return;
+  }
+  setMicrophoneState('requesting');
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    const source = context.createMediaStreamSource(stream);
+    source.connect(analyser);
+    microphone = { stream, source };
+    // Revoked permission or unplugged device
+    stream.getAudioTracks().forEach((track) => track.addEventListener('ended', stopMicrophone));
+    setMicrophoneState('on');
+  } catch (err) {
+    const denied = err && (err.name === 'NotAllowedError' || err.name === 'SecurityError');
+    setMicrophoneState(denied ? 'denied' : 'unavailable');
+  }
+}
+
+export function stopMicrophone() {
+  if (!microphone) return;
+  microphone.source.disconnect();
+  microphone.stream.getTracks().forEach((track) => track.stop());
+  microphone = null;
+  setMicrophoneState('off');
+}
+
+export function setVolume(volume) {
+  publish({ volume: Math.min(Math.max(Number(volume) || 0, 0), 1) });
+}
+
+export function setMuted(muted) {
+  publish({ muted: Boolean(muted) });
+}
+
+// Panner position for a point in normalized device coordinates (-1..1, y up),
+// e.g. a scene object projected through the camera
+export function screenPosition({ x, y }) {
+  return { x: x * SCREEN_SPREAD, y: y * SCREEN_SPREAD, z: SCREEN_DEPTH };
+}
+
+function positionOf(element) {
+  if (!element || !element.getBoundingClientRect) return { x: 0, y: 0, z: SCREEN_DEPTH };
+  const rect = element.getBoundingClientRect();
+  const cx = (rect.left + rect.width / 2) / window.innerWidth - 0.5;
+  const cy = (rect.top + rect.height / 2) / window.innerHeight - 0.5;
+  return screenPosition({ x: cx * 2, y: -cy * 2 });
+}
+
+function createPanner({ x, y, z }) {
+  const panner = context.createPanner();
+  panner.panningModel = 'HRTF';
+  panner.distanceModel = 'inverse';
+  panner.refDistance = 1;
+  panner.rolloffFactor = 0.5;
+  if (panner.positionX) {
+    panner.positionX.value = x;
+    panner.positionY.value = y;
+    panner.positionZ.value = z;
+  } else {
+    panner.setPosition(x, y, z);
+  }
+  return panner;
+}
+
+function stopVoice(voice, at) {
+  voice.gain.gain.cancelScheduledValues(at);
+  voice.gain.gain.setTargetAtTime(0, at, 0.01);
+  voice.oscillators.forEach((osc) => {
+    try {
+      osc.stop(at + 0.05);
+    } catch {
+      // already stopped
+    }
+  });
+  voice.endsAt = at;
+}
+
+// Plays a preset. Options: element (positions the sound where it sits on
+// screen), position ({ x, y, z } in panner space) and pitch (semitones).
+export function playSound(name, { element, position, pitch = 0 } = {}) {
+  const preset = SOUND_PRESETS[name];
+  if (!preset || !context || context.state !== 'running' || settings.muted) return;
+
+  const now = context.currentTime;
+  if (lastPlayed[name] !== undefined && now - lastPlayed[name] < preset.minInterval) return;
+  lastPlayed[name] = now;
+
+  voices = voices.filter((voice) => voice.endsAt > now);
+  const same = voices.filter((voice) => voice.name === name);
+  if (same.length >= preset.maxVoices) stopVoice(same[0], now);
+  if (voices.length >= MAX_VOICES) stopVoice(voices[0], now);
+  voices = voices.filter((voice) => voice.endsAt > now);
+
+  const gain = context.createGain();
+  gain.gain.value = 1;
+  gain.connect(createPanner(position || positionOf(element))).connect(master);
+
+  const ratio = 2 ** (pitch / 12);
+  let endsAt = now;
+  const oscillators = preset.tones.map((tone) => {
+    const start = now + tone.start;
+    const end = start + tone.duration;
+    const osc = context.createOscillator();
+    const envelope = context.createGain();
+    osc.type = tone.type;
+    osc.frequency.setValueAtTime(tone.freq * ratio, start);
+    if (tone.to) osc.frequency.exponentialRampToValueAtTime(tone.to * ratio, end);
+    // Short attack, exponential decay
+    envelope.gain.setValueAtTime(0, start);
+    envelope.gain.linearRampToValueAtTime(tone.gain, start + 0.01);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+    osc.connect(envelope).connect(gain);
+    osc.start(start);
+    osc.stop(end + 0.02);
+    endsAt = Math.max(endsAt, end);
+    return osc;
+  });
+
+  voices.push({ name, gain, oscillators, endsAt });
+}
+
+export function useAudioSettings() {
+  const [state, setState] = useState(getAudioState);
+
+  useEffect(() => {
+    listeners.add(setState);
+    setState(getAudioState());
+    return () => listeners.delete(setState);
+  }, []);
+
+  return { ...state, setVolume, setMuted, startMicrophone, stopMicrophone };
+}
@@ -0,0 +1,49 @@
+import { useEffect, useState } from 'react';
+import { authApi } from './api.js';
+
+// Signed-in user shared across the app. `undefined` while the first /api/auth
+// lookup is in flight, `null` for guests.
+
+let currentUser;
+let pending = null;
+const listeners = new Set();
+
+function publish(user) {
+  currentUser = user;
+  listeners.forEach((listener) => listener(user));
+}
+
+export function refreshCurrentUser() {
+  if (!pending) {
+    pending = authApi.me()
+      .catch(() => null)
+      .then((user) => {
+        pending = null;
+        publish(user);
+        return user;
+      });
+  }
+  return pending;
+}
+
+export function setCurrentUser(user) {
+  publish(user);
+}
+
+export async function signOut() {
+  await authApi.logout();
+  publish(null);
+}
+
+export function useCurrentUser() {
+  const [user, setUser] = useState(currentUser);
+
+  useEffect(() => {
+    listeners.add(setUser);
+    if (currentUser === undefined) refreshCurrentUser();
+    else setUser(currentUser);
+    return () => listeners.delete(setUser);
+  }, []);
+
+  return user;
+}
@@ -0,0 +1,437 @@
+import * as Y from 'yjs';
+import { IndexeddbPersistence } from 'y-indexeddb';
+import { Awareness, applyAwarenessUpdate, encodeAwarenessUpdate, removeAwarenessStates } from 'y-protocols/awareness';
+import { projectsApi } from './api.js';
+import { openRoom, peerColor } from './realtime.js';
+import { getTheme } from './theme.js';
+
+// Collaborative editing for the editor. Each project is a Yjs document,
+// files: path -> Y.Text plus meta.version (the last saved version it
+// contains), kept in IndexedDB so edits made offline survive a reload and
+// merge when the room reconnects. Peers exchange updates through the
+// project's room (openRoom in ./realtime.js); saving the merged files is
+// still an ordinary projects PATCH, done by whoever made the edits.
+//
+// Room messages, all binary payloads base64:
+//   { type: 'doc-sync', stateVector, reply }   "send me what I'm missing"
+//   { type: 'doc-update', update }             a Yjs update
+//   { type: 'awareness', update }              cursors, selections, names
+// The realtime server adds `sender: { id, name }`, the verified identity of
+// the socket a message came from.
+
+// How long a fresh session waits for peers before deciding it is alone
+const SYNC_WAIT_MS = 800;
+const STARTUP_TIMEOUT_MS = 5000;
+const PERSISTENCE_TIMEOUT_MS = 2000;
+
+// Transaction origins that are not edits made in this tab
+const REMOTE = 'remote';
+const SEED = 'seed';
+const META = 'meta';
+const LOCAL = 'local';
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// The first state of a project built the same way by every client: a fixed
+// client id per project version and paths in sorted order produce identical
+// Yjs items, so clients that seed at the same time merge without duplicates.
+function seedUpdate(project) {
+  let hash = 2166136261;
+  const key = `${project.id}:${project.version}`;
+  for (let i = 0; i < key.length; i++) hash = Math.imul(hash ^ key.charCodeAt(i), 16777619);
+  const seed = new Y.Doc();
+  seed.clientID = hash >>> 0;
+  seed.transact(() => {
+    const files = seed.getMap('files');
+    Object.keys(project.files).sort().forEach((path) => files.set(path, new Y.Text(project.files[path])));
+    seed.getMap('meta').set('version', project.version);
+  });
+  const update = Y.encodeStateAsUpdate(seed);
+  seed.destroy();
+  return update;
+}
+
+// Client ids an awareness update speaks for. lib0 encoding: a count, then
+// per entry the client id, its clock and a length-prefixed JSON state.
+function awarenessClients(bytes) {
+  let position = 0;
+  const varUint = () => {
+    let value = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = bytes[position++];
+      value += (byte & 0x7f) * 2 ** shift;
+      shift += 7;
+    } while (byte & 0x80);
+    return value;
+  };
+  const clients = [];
+  for (let count = varUint(); count > 0 && position < bytes.length; count--) {
+    clients.push(varUint());
+    varUint();
+    position += varUint();
+  }
+  return clients;
+}
+
+// Remote cursor colours and labels live in one stylesheet, since Monaco
+// decorations only take class names. Colours come from the viewer's theme.
+// The label is a peer-supplied name, so it is escaped into the CSS string.
+const remoteStyles = new Map();
+
+function ensureRemoteStyle(clientId, user) {
+  const style = { name: user.name, color: peerColor(user.id), labelColor: getTheme().colors.onPrimary };
+  const current = remoteStyles.get(clientId);
+  if (current && current.name === style.name && current.color === style.color && current.labelColor === style.labelColor) return;
+  remoteStyles.set(clientId, style);
+  let sheet = document.getElementById('vm-remote-cursors');
+  if (!sheet) {
+    sheet = document.createElement('style');
+    sheet.id = 'vm-remote-cursors';
+    document.head.appendChild(sheet);
+  }
+  sheet.textContent = [...remoteStyles.entries()].map(([id, { name, color, labelColor }]) => [
+    `.vm-remote-selection-${id} { background: ${color}33; }`,
+    `.vm-remote-cursor-${id} { position: relative; border-left: 2px solid ${color}; margin-left: -1px; }`,
+    `.vm-remote-cursor-${id}::after { content: "${CSS.escape(String(name))}"; position: absolute; left: -2px; top: -1.3em; padding: 0 4px;`
+      + ` background: ${color}; color: ${labelColor}; font-size: 10px; line-height: 1.3em; white-space: nowrap; pointer-events: none; }`
+  ].join('\n')).join('\n');
+}
+
+// Starts a session for `project` (as loaded from the API) and `user`.
+// Callbacks:
+//   onFiles(patch)        path -> content, null for deleted paths
+//   onStatus(status)      the room's 'connecting' | 'online' | 'offline' | 'denied'
+//   onPeers(peers)        other tabs in the room, [{ clientId, id, name }]
+//   onRemoteSave(version) a collaborator saved the shared state
+// `ready` resolves with the merged files once the document has caught up.
+export function createCollabSession({ project, user, onFiles, onStatus, onPeers, onRemoteSave }) {
+  const doc = new Y.Doc();
+  const files = doc.getMap('files');
+  const meta = doc.getMap('meta');
+  const awareness = new Awareness(doc);
+  awareness.setLocalStateField('user', { id: user.id, name: user.username });
+
+  // Awareness client id -> the relay-verified { id, name } that sent it.
+  // Peers' own states can claim any name; the same-browser fallback has no
+  // relay, and there every tab is this user anyway.
+  const senders = new Map();
+  const peerUser = (clientId, state) => senders.get(clientId) || state.user;
+
+  let persistence = null;
+  let room = null;
+  let destroyed = false;
+  let synced = null;
+  let localEdits = 0;
+  let savedEdits = 0;
+
+  const snapshot = () => {
+    const result = {};
+    files.forEach((text, path) => {
+      result[path] = text.toString();
+    });
+    return result;
+  };
+
+  const replaceText = (path, content) => {
+    const text = files.get(path);
+    if (!text) {
+      files.set(path, new Y.Text(content));
+    } else if (text.toString() !== content) {
+      text.delete(0, text.length);
+      text.insert(0, content);
+    }
+  };
+
+  const sendSync = (reply) => room.send({ type: 'doc-sync', stateVector: toBase64(Y.encodeStateVector(doc)), reply });
+  const sendAwareness = (clients) => room.send({ type: 'awareness', update: toBase64(encodeAwarenessUpdate(awareness, clients)) });
+
+  const handleMessage = (message) => {
+    if (destroyed || !message) return;
+    switch (message.type) {
+      case 'doc-sync':
+        room.send({ type: 'doc-update', update: toBase64(Y.encodeStateAsUpdate(doc, fromBase64(message.stateVector))) });
+        if (!message.reply) sendSync(true);
+        sendAwareness([doc.clientID]);
+        break;
+      case 'doc-update':
+        Y.applyUpdate(doc, fromBase64(message.update), REMOTE);
+        if (synced) synced();
+        break;
+      case 'awareness': {
+        const update = fromBase64(message.update);
+        if (message.sender) awarenessClients(update).forEach((clientId) => senders.set(clientId, message.sender));
+        applyAwarenessUpdate(awareness, update, REMOTE);
+        break;
+      }
+      default:
+        break;
+    }
+  };
+
+  const handleStatus = (status) => {
+    if (destroyed) return;
+    if (status === 'online') {
+      sendSync(false);
+      sendAwareness([doc.clientID]);
+      if (synced) setTimeout(synced, SYNC_WAIT_MS);
+    } else if (status !== 'connecting' && synced) {
+      synced();
+    }
+    onStatus(status);
+  };
+
+  // Saves made outside the room (another editor, a restore) land in the
+  // document three-way: paths untouched here since the last version the
+  // document saw take the server's content, paths edited here keep ours.
+  const catchUp = async (knownVersion) => {
+    let base = {};
+    if (knownVersion) {
+      try {
+        base = (await projectsApi.version(project.id, knownVersion)).files;
+      } catch {
+        // Without the base we can't tell our edits from theirs; keep ours
+        return;
+      }
+    }
+    if (destroyed || (meta.get('version') || 0) >= project.version) return;
+    const mine = snapshot();
+    doc.transact(() => {
+      new Set([...Object.keys(mine), ...Object.keys(project.files)]).forEach((path) => {
+        const theirs = project.files[path] ?? null;
+        const current = mine[path] ?? null;
+        if (current === theirs || current !== (base[path] ?? null)) return;
+        if (theirs === null) files.delete(path);
+        else replaceText(path, theirs);
+      });
+      meta.set('version', project.version);
+    }, META);
+  };
+
+  const start = async () => {
+    if (typeof indexedDB !== 'undefined') {
+      persistence = new IndexeddbPersistence(`virtualmark:project:${project.id}`, doc);
+      await Promise.race([persistence.whenSynced, delay(PERSISTENCE_TIMEOUT_MS)]);
+    }
+    if (destroyed) return null;
+
+    doc.on('update', (update, origin) => {
+      if (origin === REMOTE || origin === persistence) return;
+      if (origin !== SEED && origin !== META) localEdits += 1;
+      room.send({ type: 'doc-update', update: toBase64(update) });
+    });
+    awareness.on('update', ({ added, updated, removed }, origin) => {
+      if (origin !== REMOTE && room) sendAwareness([...added, ...updated, ...removed]);
+    });
+    awareness.on('change', () => {
+      const peers = [];
+      awareness.getStates().forEach((state, clientId) => {
+        if (clientId !== doc.clientID && state.user) peers.push({ clientId, ...peerUser(clientId, state) });
+      });
+      onPeers(peers);
+    });
+
+    const firstSync = new Promise((resolve) => {
+      synced = resolve;
+    });
+    room = openRoom(project.id, handleMessage, handleStatus);
+    await Promise.race([firstSync, delay(STARTUP_TIMEOUT_MS)]);
+    synced = null;
+    if (destroyed) return null;
+
+    if (files.size === 0) {
+      Y.applyUpdate(doc, seedUpdate(project), SEED);
+    } else if ((meta.get('version') || 0) < project.version) {
+      await catchUp(meta.get('version') || 0);
+      if (destroyed) return null;
+    }
+
+    const current = snapshot();
+    // Anything that differs from the loaded project was edited offline here
+    // or by a peer who hasn't saved yet; either way it still needs a save
+    const paths = new Set([...Object.keys(current), ...Object.keys(project.files)]);
+    if ([...paths].some((path) => current[path] !== project.files[path])) localEdits += 1;
+
+    files.observeDeep((events) => {
+      const patch = {};
+      events.forEach((event) => {
+        if (event.target === files) {
+          event.changes.keys.forEach((change, path) => {
+            patch[path] = files.has(path) ? files.get(path).toString() : null;
+          });
+        } else {
+          const path = event.path[0];
+          patch[path] = files.has(path) ? files.get(path).toString() : null;
+        }
+      });
+      onFiles(patch);
+    });
+    meta.observe((event, transaction) => {
+      if (transaction.origin === REMOTE && event.keysChanged.has('version')) onRemoteSave(meta.get('version'));
+    });
+    return current;
+  };
+
+  const ready = start();
+
+  return {
+    ready,
+
+    setFile(path, content) {
+      doc.transact(() => replaceText(path, content), LOCAL);
+    },
+
+    deleteFile(path) {
+      doc.transact(() => files.delete(path), LOCAL);
+    },
+
+    // Edits made in this tab that no save has covered yet
+    hasLocalEdits: () => localEdits > savedEdits,
+    // Pass localEdits() from before the save started, so edits made while
+    // it was in flight still count as unsaved
+    localEdits: () => localEdits,
+    markSaved(version, upTo) {
+      savedEdits = Math.max(savedEdits, upTo);
+      if ((meta.get('version') || 0) < version) doc.transact(() => meta.set('version', version), META);
+    },
+
+    // Two-way binding between a Monaco editor's current model and `path`,
+    // plus remote cursors and selections. Returns the unbind function.
+    bindEditor(editor, path) {
+      const model = editor.getModel();
+      const text = files.get(path);
+      if (!model || !text) return () => {};
+      let applyingRemote = false;
+      let editorDisposed = false;
+      const binding = {};
+      const decorations = editor.createDecorationsCollection();
+
+      const applyRemote = (fn) => {
+        applyingRemote = true;
+        try {
+          fn();
+        } finally {
+          applyingRemote = false;
+        }
+      };
+
+      if (model.getValue() !== text.toString()) applyRemote(() => model.setValue(text.toString()));
+
+      const rangeAt = (start, end = start) => {
+        const from = model.getPositionAt(start);
+        const to = model.getPositionAt(end);
+        return { startLineNumber: from.lineNumber, startColumn: from.column, endLineNumber: to.lineNumber, endColumn: to.column };
+      };
+
+      const renderRemote = () => {
+        if (editorDisposed) return;
+        const next = [];
+        awareness.getStates().forEach((state, clientId) => {
+          const selection = state.selection;
+          if (clientId === doc.clientID || !state.user || !selection || selection.path !== path) return;
+          const anchor = Y.createAbsolutePositionFromRelativePosition(Y.createRelativePositionFromJSON(selection.anchor), doc);
+          const head = Y.createAbsolutePositionFromRelativePosition(Y.createRelativePositionFromJSON(selection.head), doc);
+          if (!anchor || !head || anchor.type !== text || head.type !== text) return;
+          const peer = peerUser(clientId, state);
+          ensureRemoteStyle(clientId, peer);
+          if (anchor.index !== head.index) {
+            next.push({
+              range: rangeAt(Math.min(anchor.index, head.index), Math.max(anchor.index, head.index)),
+              options: { className: `vm-remote-selection-${clientId}` }
+            });
+          }
+          next.push({
+            range: rangeAt(head.index),
+            options: { beforeContentClassName: `vm-remote-cursor-${clientId}`, hoverMessage: { value: peer.name } }
+          });
+        });
+        decorations.set(next);
+      };
+
+      const contentListener = model.onDidChangeContent((event) => {
+        if (applyingRemote) return;
+        doc.transact(() => {
+          // Monaco reports offsets against the old content; applying from the
+          // end backwards keeps the earlier ones valid
+          [...event.changes].sort((a, b) => b.rangeOffset - a.rangeOffset).forEach((change) => {
+            if (change.rangeLength) text.delete(change.rangeOffset, change.rangeLength);
+            if (change.text) text.insert(change.rangeOffset, change.text);
+          });
+        }, binding);
+      });
+
+      const textObserver = (event, transaction) => {
+        if (transaction.origin === binding) return;
+        applyRemote(() => {
+          let index = 0;
+          event.delta.forEach((op) => {
+            if (op.retain !== undefined) {
+              index += op.retain;
+            } else if (op.delete !== undefined) {
+              model.applyEdits([{ range: rangeAt(index, index + op.delete), text: '' }]);
+            } else if (typeof op.insert === 'string') {
+              model.applyEdits([{ range: rangeAt(index), text: op.insert }]);
+              index += op.insert.length;
+            }
+          });
+        });
+        renderRemote();
+      };
+      text.observe(textObserver);
+
+      const publishSelection = () => {
+        const selection = editor.getSelection();
+        if (!selection || editor.getModel() !== model) return;
+        const offset = (lineNumber, column) => model.getOffsetAt({ lineNumber, column });
+        awareness.setLocalStateField('selection', {
+          path,
+          anchor: Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(text, offset(selection.selectionStartLineNumber, selection.selectionStartColumn))),
+          head: Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(text, offset(selection.positionLineNumber, selection.positionColumn)))
+        });
+      };
+      const selectionListener = editor.onDidChangeCursorSelection(publishSelection);
+      const disposeListener = editor.onDidDispose(() => {
+        editorDisposed = true;
+      });
+      awareness.on('change', renderRemote);
+      publishSelection();
+      renderRemote();
+
+      return () => {
+        contentListener.dispose();
+        selectionListener.dispose();
+        disposeListener.dispose();
+        text.unobserve(textObserver);
+        awareness.off('change', renderRemote);
+        if (!editorDisposed) decorations.clear();
+        if (!destroyed) awareness.setLocalStateField('selection', null);
+      };
+    },
+
+    destroy() {
+      if (destroyed) return;
+      if (room) removeAwarenessStates(awareness, [doc.clientID], LOCAL);
+      destroyed = true;
+      if (room) room.close();
+      awareness.destroy();
+      if (persistence) persistence.destroy();
+      doc.destroy();
+    }
+  };
+}
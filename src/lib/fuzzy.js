@@ -0,0 +1,36 @@
+// Subsequence matching for the command palette: every query character must
+// appear in order. Consecutive runs and matches at word starts score higher,
+// so 'ge' ranks 'Go to editor' above 'Gadget'. Returns { score, indices }
+// or null when the text doesn't match.
+export function fuzzyMatch(query, text) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return { score: 0, indices: [] };
+  const haystack = text.toLowerCase();
+  const indices = [];
+  let score = 0;
+  let from = 0;
+
+  for (const char of needle) {
+    if (char === ' ') continue;
+    const index = haystack.indexOf(char, from);
+    if (index === -1) return null;
+    const previous = indices[indices.length - 1];
+    if (previous !== undefined && index === previous + 1) score += 5;
+    if (index === 0 || /[\s/._-]/.test(haystack[index - 1])) score += 8;
+    score -= Math.min(index - from, 10);
+    indices.push(index);
+    from = index + 1;
+  }
+  // Shorter texts win ties
+  return { score: score - text.length * 0.1, indices };
+}
+
+// Items matching `query`, best first. `textOf` picks the searched string.
+export function fuzzyFilter(items, query, textOf) {
+  if (!query.trim()) return items.map((item) => ({ item, indices: [] }));
+  return items
+    .map((item) => ({ item, match: fuzzyMatch(query, textOf(item)) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => b.match.score - a.match.score)
+    .map(({ item, match }) => ({ item, indices: match.indices }));
+}
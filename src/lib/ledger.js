@@ -0,0 +1,118 @@
+import { currencyApi } from './api.js';
+
+// Client side of the ledger history in api/currency.js: paging, labels,
+// filters and CSV/JSON export. Entries are newest first, as the API returns
+// them; `usernames` maps the user ids of counterparties to their usernames.
+
+// The API's largest page
+const PAGE_SIZE = 100;
+
+const TYPE_LABELS = {
+  transfer: 'Transfer',
+  mint: 'Mint',
+  burn: 'Burn',
+  purchase: 'Purchase',
+  refund: 'Refund',
+  escrow_hold: 'Offer escrow',
+  escrow_refund: 'Escrow refund',
+  escrow_release: 'Sale'
+};
+
+const SYSTEM_LABELS = {
+  issuance: 'VirtualMark issuance',
+  treasury: 'Item catalog'
+};
+
+export const LEDGER_FILTERS = {
+  all: { label: 'ALL', test: () => true },
+  incoming: { label: 'INCOMING', test: (entry) => entry.direction === 'in' },
+  outgoing: { label: 'OUTGOING', test: (entry) => entry.direction === 'out' },
+  mint: { label: 'MINT', test: (entry) => entry.type === 'mint' },
+  purchase: { label: 'PURCHASE', test: (entry) => entry.type === 'purchase' || entry.type === 'refund' },
+  market: { label: 'MARKET', test: (entry) => entry.type.startsWith('escrow_') }
+};
+
+// Fetches up to `max` entries, following pages until the history runs out
+export async function fetchLedgerHistory({ max = Infinity } = {}) {
+  const entries = [];
+  const usernames = {};
+  let total = 0;
+  for (;;) {
+    const page = await currencyApi.history({ limit: Math.min(PAGE_SIZE, max - entries.length), offset: entries.length });
+    entries.push(...page.entries);
+    Object.assign(usernames, page.usernames);
+    total = page.total;
+    if (!page.entries.length || entries.length >= total || entries.length >= max) break;
+  }
+  return { entries, usernames, total };
+}
+
+export function typeLabel(type) {
+  return TYPE_LABELS[type] || type;
+}
+
+// 'user:<id>' -> '@name', 'system:treasury' -> 'Item catalog', ...
+export function accountLabel(accountId, usernames = {}) {
+  const [kind, ...rest] = accountId.split(':');
+  const id = rest.join(':');
+  if (kind === 'user') return usernames[id] ? `@${usernames[id]}` : 'unknown user';
+  if (kind === 'system') return SYSTEM_LABELS[id] || id;
+  if (kind === 'escrow') return 'Marketplace escrow';
+  return accountId;
+}
+
+export function counterpartyLabel(entry, usernames) {
+  return entry.counterparties.map((accountId) => accountLabel(accountId, usernames)).join(', ');
+}
+
+// Usernames the user has sent to or received from, most recent first
+export function recentCounterparties(entries, usernames) {
+  const names = entries
+    .filter((entry) => entry.type === 'transfer')
+    .flatMap((entry) => entry.counterparties)
+    .filter((accountId) => accountId.startsWith('user:'))
+    .map((accountId) => usernames[accountId.slice('user:'.length)])
+    .filter(Boolean);
+  return [...new Set(names)];
+}
+
+function exportRows(entries, usernames) {
+  return entries.map((entry) => ({
+    date: entry.createdAt,
+    type: entry.type,
+    direction: entry.direction,
+    amount: entry.amount,
+    balanceAfter: entry.balanceAfter,
+    counterparty: counterpartyLabel(entry, usernames),
+    memo: entry.memo || '',
+    transactionId: entry.transactionId
+  }));
+}
+
+const CSV_COLUMNS = ['date', 'type', 'direction', 'amount', 'balanceAfter', 'counterparty', 'memo', 'transactionId'];
+// Text columns are defused; the rest are numbers, ids and dates
+const CSV_TEXT_COLUMNS = ['type', 'counterparty', 'memo'];
+
+// Quotes fields that need it. Text a spreadsheet would run as a formula is
+// defused first with a leading apostrophe.
+function csvField(value, text = false) {
+  let field = String(value);
+  if (text && /^[=+\-@\t\r]/.test(field)) field = `'${field}`;
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+export function ledgerToCsv(entries, usernames) {
+  const rows = exportRows(entries, usernames).map((row) => CSV_COLUMNS
+    .map((column) => csvField(row[column], CSV_TEXT_COLUMNS.includes(column)))
+    .join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+export function ledgerToJson(entries, usernames, { username, currency }) {
+  return JSON.stringify({
+    account: username,
+    currency,
+    exportedAt: new Date().toISOString(),
+    entries: exportRows(entries, usernames)
+  }, null, 2);
+}
@@ -0,0 +1,70 @@
+// Helpers for working with a project's { path: content } file map
+
+const LANGUAGES = {
+  js: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  jsx: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  json: 'json',
+  html: 'html',
+  htm: 'html',
+  css: 'css',
+  scss: 'scss',
+  less: 'less',
+  md: 'markdown',
+  markdown: 'markdown',
+  py: 'python',
+  glsl: 'cpp',
+  frag: 'cpp',
+  vert: 'cpp',
+  xml: 'xml',
+  svg: 'xml',
+  yml: 'yaml',
+  yaml: 'yaml',
+  sh: 'shell',
+  sql: 'sql',
+  txt: 'plaintext'
+};
+
+export function extensionOf(path) {
+  const name = path.split('/').pop();
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+}
+
+export function detectLanguage(path) {
+  return LANGUAGES[extensionOf(path)] || 'plaintext';
+}
+
+// Turns flat paths into a sorted tree of { name, path, type, children }
+export function buildFileTree(paths) {
+  const root = { name: '', path: '', type: 'folder', children: [] };
+  paths.forEach((path) => {
+    let node = root;
+    const parts = path.split('/');
+    parts.forEach((part, index) => {
+      const isFile = index === parts.length - 1;
+      const childPath = parts.slice(0, index + 1).join('/');
+      let child = node.children.find((c) => c.name === part && c.type === (isFile ? 'file' : 'folder'));
+      if (!child) {
+        child = { name: part, path: childPath, type: isFile ? 'file' : 'folder', children: [] };
+        node.children.push(child);
+      }
+      node = child;
+    });
+  });
+
+  const sort = (node) => {
+    node.children.sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'folder' ? -1 : 1));
+    node.children.forEach(sort);
+    return node;
+  };
+  return sort(root).children;
+}
+
+// Picks the file to open first in a fresh project
+export function entryFile(paths) {
+  return ['index.html', 'src/index.js', 'index.js', 'main.js', 'README.md'].find((p) => paths.includes(p)) || paths[0] || null;
+}
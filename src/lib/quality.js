@@ -0,0 +1,108 @@
+import { useCallback, useEffect, useState } from 'react';
+
+// Graphics quality tiers for the background scene, post-processing stack,
+// particle field and presence avatars. 'auto' starts from a device-based guess
+// and is stepped by the frame-time monitor in index.jsx.
+
+export const QUALITY_LEVELS = ['off', 'low', 'medium', 'high'];
+export const QUALITY_MODES = ['auto', ...QUALITY_LEVELS];
+
+const STORAGE_KEY = 'virtualmark.quality';
+
+export const QUALITY_PRESETS = {
+  // Static backdrop: one frame, no effects, no particles or avatars
+  off: {
+    dpr: 1,
+    frameloop: 'demand',
+    stars: 2000,
+    avatars: 0,
+    postprocessing: null,
+    particles: null
+  },
+  low: {
+    dpr: 1,
+    frameloop: 'always',
+    stars: 2000,
+    avatars: 4,
+    postprocessing: null,
+    particles: { count: 40, fpsLimit: 30, trails: false, triangles: false }
+  },
+  medium: {
+    dpr: [1, 1.5],
+    frameloop: 'always',
+    stars: 5000,
+    avatars: 8,
+    postprocessing: { multisampling: 0, bloom: true, vignette: true, chromaticAberration: false, noise: false, glitch: false },
+    particles: { count: 80, fpsLimit: 60, trails: false, triangles: false }
+  },
+  high: {
+    dpr: [1, 2],
+    frameloop: 'always',
+    stars: 10000,
+    avatars: 16,
+    postprocessing: { multisampling: 8, bloom: true, vignette: true, chromaticAberration: true, noise: true, glitch: true },
+    particles: { count: 120, fpsLimit: 144, trails: true, triangles: true }
+  }
+};
+
+function readMode() {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return QUALITY_MODES.includes(stored) ? stored : 'auto';
+  } catch {
+    return 'auto';
+  }
+}
+
+// Starting tier for auto mode before any frames have been measured
+function guessLevel() {
+  if (typeof navigator === 'undefined') return 'medium';
+  const cores = navigator.hardwareConcurrency || 4;
+  const memory = navigator.deviceMemory || 4;
+  if (cores <= 2 || memory <= 2) return 'low';
+  if (cores >= 8 && memory >= 8) return 'high';
+  return 'medium';
+}
+
+export function useGraphicsQuality() {
+  const [mode, setModeState] = useState(readMode);
+  const [autoLevel, setAutoLevel] = useState(guessLevel);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, mode);
+    } catch {
+      // storage unavailable; the choice lasts for this visit only
+    }
+  }, [mode]);
+
+  const setMode = useCallback((next) => {
+    if (QUALITY_MODES.includes(next)) setModeState(next);
+  }, []);
+
+  // Auto mode never steps below 'low'; 'off' is only ever a manual choice
+  const step = useCallback((delta) => {
+    setAutoLevel((current) => {
+      const index = QUALITY_LEVELS.indexOf(current) + delta;
+      return QUALITY_LEVELS[Math.min(Math.max(index, 1), QUALITY_LEVELS.length - 1)];
+    });
+  }, []);
+  const stepDown = useCallback(() => step(-1), [step]);
+  const stepUp = useCallback(() => step(1), [step]);
+
+  const level = mode === 'auto' ? autoLevel : mode;
+  return { mode, level, preset: QUALITY_PRESETS[level], setMode, stepDown, stepUp };
+}
+
+// Tracks whether the tab is visible so the background can stop rendering
+export function usePageVisible() {
+  const [visible, setVisible] = useState(() => typeof document === 'undefined' || !document.hidden);
+
+  useEffect(() => {
+    const handleChange = () => setVisible(!document.hidden);
+    document.addEventListener('visibilitychange', handleChange);
+    return () => document.removeEventListener('visibilitychange', handleChange);
+  }, []);
+
+  return visible;
+}
@@ -0,0 +1,303 @@
+import { useEffect, useRef, useState } from 'react';
+import { realtimeApi } from './api.js';
+import { getClientId } from './status.js';
+import { getTheme, paletteOf } from './theme.js';
+
+// Realtime presence: other users' current view and cursor, for the avatars in
+// the 3D scene. When /api/realtime advertises a server this talks to
+// server/realtime.js over a WebSocket; otherwise it falls back to a
+// BroadcastChannel between tabs of this browser, keyed per tab, so the
+// avatars can be worked on without running the server.
+//
+// The same server relays the collaborative editor's rooms (openRoom below,
+// used by src/lib/collab.js), with the same fallback.
+
+const CURSOR_THROTTLE_MS = 100;
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30 * 1000;
+// The server closes room sockets with this code when their access lapses
+// (ROOM_EXPIRED_CODE in api/_realtime.js); reconnecting renews it
+const ROOM_EXPIRED_CODE = 4408;
+
+// Stand-in timings: tabs re-announce on an interval and are dropped when
+// they go quiet (a crashed tab never sends its leave)
+const LOCAL_CHANNEL = 'virtualmark-presence';
+const LOCAL_ANNOUNCE_MS = 5 * 1000;
+const LOCAL_STALE_MS = 15 * 1000;
+
+// Stable per-user colour from the active theme's palette, shared by the
+// avatars and the editor's remote cursors
+export function peerColor(id, palette = paletteOf(getTheme())) {
+  const key = String(id);
+  let hash = 0;
+  for (let i = 0; i < key.length; i++) hash = (hash * 31 + key.charCodeAt(i)) | 0;
+  return palette[Math.abs(hash) % palette.length];
+}
+
+function openSocket(url, ticket, onMessage, onClose, onOpen) {
+  const socket = new WebSocket(`${url}${url.includes('?') ? '&' : '?'}ticket=${encodeURIComponent(ticket)}`);
+  socket.onmessage = (event) => {
+    try {
+      onMessage(JSON.parse(event.data));
+    } catch {
+      // ignore malformed frames
+    }
+  };
+  socket.onclose = onClose;
+  if (onOpen) socket.onopen = onOpen;
+  return {
+    selfId: null,
+    send: (message) => {
+      if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+    },
+    close: () => {
+      socket.onclose = null;
+      socket.close();
+    }
+  };
+}
+
+// Speaks the same messages as the server, built from per-tab announcements
+function openLocalChannel(onMessage) {
+  if (typeof BroadcastChannel === 'undefined') return null;
+  const channel = new BroadcastChannel(LOCAL_CHANNEL);
+  const id = getClientId();
+  const seen = new Map();
+  let self = null;
+
+  const announce = () => {
+    if (self) channel.postMessage({ type: 'state', peer: self });
+  };
+
+  channel.onmessage = ({ data }) => {
+    if (data.type === 'hello') {
+      announce();
+    } else if (data.type === 'state') {
+      const known = seen.has(data.peer.id);
+      seen.set(data.peer.id, Date.now());
+      onMessage({ type: known ? 'update' : 'join', peer: data.peer });
+    } else if (data.type === 'leave' && seen.delete(data.id)) {
+      onMessage({ type: 'leave', id: data.id });
+    }
+  };
+
+  const sweep = setInterval(() => {
+    announce();
+    const cutoff = Date.now() - LOCAL_STALE_MS;
+    seen.forEach((lastSeen, peerId) => {
+      if (lastSeen < cutoff) {
+        seen.delete(peerId);
+        onMessage({ type: 'leave', id: peerId });
+      }
+    });
+  }, LOCAL_ANNOUNCE_MS);
+
+  const leave = () => channel.postMessage({ type: 'leave', id });
+  window.addEventListener('pagehide', leave);
+
+  onMessage({ type: 'snapshot', peers: [] });
+  channel.postMessage({ type: 'hello' });
+
+  return {
+    selfId: id,
+    send: ({ type, ...state }) => {
+      if (!state.username) return;
+      self = { id, ...state };
+      announce();
+    },
+    close: () => {
+      leave();
+      clearInterval(sweep);
+      window.removeEventListener('pagehide', leave);
+      channel.close();
+    }
+  };
+}
+
+// Keeps one connection for the lifetime of the hook, reconnecting with
+// backoff. `user` is the signed-in user (guests watch without broadcasting);
+// returns the other peers as [{ id, username, view, cursor }].
+export function usePresence(user, view) {
+  const [peers, setPeers] = useState([]);
+  const transportRef = useRef(null);
+  const stateRef = useRef({ view, cursor: { x: 0, y: 0 } });
+  const userRef = useRef(user);
+  userRef.current = user;
+  const userId = user ? user.id : null;
+  // undefined while the session lookup is still in flight
+  const userKnown = user !== undefined;
+
+  const publish = () => {
+    const current = userRef.current;
+    if (!current || !transportRef.current) return;
+    transportRef.current.send({ type: 'state', username: current.username, ...stateRef.current });
+  };
+
+  // Identity rides on the ticket, so signing in or out reconnects
+  useEffect(() => {
+    if (!userKnown) return;
+    let cancelled = false;
+    let retryTimer = null;
+    let delay = RECONNECT_MIN_MS;
+
+    const handleMessage = (message) => {
+      const selfId = transportRef.current ? transportRef.current.selfId || userId : userId;
+      const others = (list) => list.filter((peer) => peer.id !== selfId);
+      switch (message.type) {
+        case 'snapshot':
+          delay = RECONNECT_MIN_MS;
+          setPeers(others(message.peers));
+          publish();
+          break;
+        case 'join':
+        case 'update':
+          setPeers((current) => others([...current.filter((peer) => peer.id !== message.peer.id), message.peer]));
+          break;
+        case 'leave':
+          setPeers((current) => current.filter((peer) => peer.id !== message.id));
+          break;
+        default:
+          break;
+      }
+    };
+
+    const connect = async () => {
+      let config;
+      try {
+        config = await realtimeApi.ticket();
+      } catch {
+        config = null;
+      }
+      if (cancelled) return;
+      if (config && config.url) {
+        transportRef.current = openSocket(config.url, config.ticket, handleMessage, () => {
+          transportRef.current = null;
+          setPeers([]);
+          if (cancelled) return;
+          retryTimer = setTimeout(connect, delay);
+          delay = Math.min(delay * 2, RECONNECT_MAX_MS);
+        });
+      } else if (config) {
+        transportRef.current = openLocalChannel(handleMessage);
+        publish();
+      } else {
+        // API unreachable; try again later
+        retryTimer = setTimeout(connect, delay);
+        delay = Math.min(delay * 2, RECONNECT_MAX_MS);
+      }
+    };
+
+    connect();
+    return () => {
+      cancelled = true;
+      clearTimeout(retryTimer);
+      if (transportRef.current) transportRef.current.close();
+      transportRef.current = null;
+      setPeers([]);
+    };
+  }, [userId, userKnown]);
+
+  useEffect(() => {
+    stateRef.current = { ...stateRef.current, view };
+    publish();
+  }, [view]);
+
+  // Cursor in -1..1 screen coordinates, y up like the scene
+  useEffect(() => {
+    if (!userId) return;
+    let last = 0;
+    let pending = null;
+    const handleMove = (e) => {
+      stateRef.current = {
+        ...stateRef.current,
+        cursor: { x: (e.clientX / window.innerWidth) * 2 - 1, y: 1 - (e.clientY / window.innerHeight) * 2 }
+      };
+      const wait = CURSOR_THROTTLE_MS - (Date.now() - last);
+      if (wait <= 0) {
+        last = Date.now();
+        publish();
+      } else if (!pending) {
+        pending = setTimeout(() => {
+          pending = null;
+          last = Date.now();
+          publish();
+        }, wait);
+      }
+    };
+    window.addEventListener('mousemove', handleMove);
+    return () => {
+      window.removeEventListener('mousemove', handleMove);
+      clearTimeout(pending);
+    };
+  }, [userId]);
+
+  return peers;
+}
+
+// Joins a project's editing room. `onMessage` gets the other members' room
+// messages; `onStatus` gets 'connecting', 'online', 'offline' or 'denied'
+// (no edit access any more, so no retry). Returns { send, close }; sends
+// while offline are dropped, callers resync when they see 'online'.
+export function openRoom(projectId, onMessage, onStatus) {
+  let transport = null;
+  let closed = false;
+  let retryTimer = null;
+  let delay = RECONNECT_MIN_MS;
+
+  const retry = () => {
+    onStatus('offline');
+    if (closed) return;
+    retryTimer = setTimeout(connect, delay);
+    delay = Math.min(delay * 2, RECONNECT_MAX_MS);
+  };
+
+  const connect = async () => {
+    onStatus('connecting');
+    let config;
+    try {
+      config = await realtimeApi.ticket({ projectId });
+    } catch (err) {
+      if (closed) return;
+      if (err.status === 401 || err.status === 403 || err.status === 404) {
+        onStatus('denied');
+        return;
+      }
+      retry();
+      return;
+    }
+    if (closed) return;
+    if (config.url) {
+      transport = openSocket(config.url, config.ticket, onMessage, (event) => {
+        transport = null;
+        if (event.code === ROOM_EXPIRED_CODE && !closed) connect();
+        else retry();
+      }, () => {
+        delay = RECONNECT_MIN_MS;
+        onStatus('online');
+      });
+    } else if (typeof BroadcastChannel !== 'undefined') {
+      const channel = new BroadcastChannel(`virtualmark-room:${projectId}`);
+      channel.onmessage = ({ data }) => onMessage(data);
+      transport = {
+        send: (message) => channel.postMessage(message),
+        close: () => channel.close()
+      };
+      onStatus('online');
+    } else {
+      onStatus('offline');
+    }
+  };
+
+  connect();
+  return {
+    send: (message) => {
+      if (transport) transport.send(message);
+    },
+    close: () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (transport) transport.close();
+      transport = null;
+    }
+  };
+}
@@ -0,0 +1,78 @@
+import { useCallback, useEffect, useState } from 'react';
+
+// History-API routing for the top-level views. Paths:
+//   /                                   home
+//   /projects[/<projectId>]
+//   /editor[/<projectId>[/<file/path>]]
+//   /currency
+//   /inventory[/<itemId>]
+// Each history entry is stamped with its index so popstate can tell a back
+// navigation from a forward one and views can animate accordingly.
+
+export const VIEWS = ['home', 'projects', 'editor', 'currency', 'inventory'];
+
+let currentIndex = 0;
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+export function parsePath(pathname) {
+  const [view, id, ...file] = pathname.split('/').filter(Boolean).map(decodeSegment);
+  if (!view || !VIEWS.includes(view)) return { view: 'home', params: {} };
+  if (view === 'projects') return { view, params: { projectId: id } };
+  if (view === 'editor') return { view, params: { projectId: id, filePath: file.length ? file.join('/') : undefined } };
+  if (view === 'inventory') return { view, params: { itemId: id } };
+  return { view, params: {} };
+}
+
+export function buildPath(view, { projectId, filePath, itemId } = {}) {
+  if (view === 'home' || !VIEWS.includes(view)) return '/';
+  const segments = [view];
+  if ((view === 'projects' || view === 'editor') && projectId) {
+    segments.push(encodeURIComponent(projectId));
+    if (view === 'editor' && filePath) segments.push(...filePath.split('/').map(encodeURIComponent));
+  }
+  if (view === 'inventory' && itemId) segments.push(encodeURIComponent(itemId));
+  return `/${segments.join('/')}`;
+}
+
+// Returns { route, direction, navigate }; direction is 1 for forward and -1
+// for back navigations
+export function useRouter() {
+  // `window` only exists in the browser, so the real route is read on mount
+  const [state, setState] = useState({ route: parsePath('/'), direction: 1 });
+
+  useEffect(() => {
+    setState({ route: parsePath(window.location.pathname), direction: 1 });
+    const entry = window.history.state;
+    if (entry && typeof entry.index === 'number') currentIndex = entry.index;
+    else window.history.replaceState({ ...entry, index: currentIndex }, '');
+
+    const handlePopState = (event) => {
+      const index = event.state && typeof event.state.index === 'number' ? event.state.index : 0;
+      const direction = index < currentIndex ? -1 : 1;
+      currentIndex = index;
+      setState({ route: parsePath(window.location.pathname), direction });
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const navigate = useCallback((path, { replace = false } = {}) => {
+    if (path === window.location.pathname) return;
+    if (replace) {
+      window.history.replaceState({ index: currentIndex }, '', path);
+    } else {
+      currentIndex += 1;
+      window.history.pushState({ index: currentIndex }, '', path);
+    }
+    setState({ route: parsePath(path), direction: 1 });
+  }, []);
+
+  return { ...state, navigate };
+}
@@ -0,0 +1,220 @@
+import { useEffect, useRef, useState } from 'react';
+import { VIEWS } from './router.js';
+
+// Global keyboard shortcuts. A binding is a combo such as 'Mod+K' or
+// 'Alt+Shift+2', where Mod is Cmd on macOS and Ctrl elsewhere; each action has
+// at most one. Users can rebind them (kept in localStorage). While Monaco has
+// focus, a combo the editor also uses is left to the editor.
+
+const STORAGE_KEY = 'virtualmark.shortcuts';
+
+export const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+
+export const SHORTCUT_ACTIONS = [
+  { id: 'palette', label: 'Open command palette', combo: 'Mod+K' },
+  ...VIEWS.map((view, index) => ({ id: `view.${view}`, label: `Go to ${view}`, combo: `Alt+${index + 1}` })),
+  { id: 'vr.toggle', label: 'Toggle VR mode', combo: 'Alt+V' },
+  { id: 'sound.toggle', label: 'Toggle sound', combo: 'Alt+M' },
+  { id: 'project.recent', label: 'Open most recent project', combo: 'Alt+R' }
+];
+
+const DEFAULT_BINDINGS = Object.fromEntries(SHORTCUT_ACTIONS.map((action) => [action.id, action.combo]));
+
+// Monaco has no public API for listing its keybindings, so these are its
+// defaults that a global shortcut could plausibly collide with, plus the
+// ones src/editor.jsx adds in handleMount
+export const EDITOR_KEYBINDINGS = {
+  'Mod+S': 'Save',
+  'Alt+W': 'Close tab',
+  'Alt+[': 'Previous tab',
+  'Alt+]': 'Next tab',
+  'Alt+N': 'New file',
+  'Mod+K': 'Chord prefix (Mod+K Mod+C comments, Mod+K Mod+0 folds all, ...)',
+  'Mod+F': 'Find',
+  'Mod+H': 'Replace',
+  'Mod+G': 'Go to line',
+  'Mod+D': 'Add next occurrence to selection',
+  'Mod+L': 'Expand line selection',
+  'Mod+U': 'Undo cursor',
+  'Mod+/': 'Toggle line comment',
+  'Mod+[': 'Outdent line',
+  'Mod+]': 'Indent line',
+  'Mod+A': 'Select all',
+  'Mod+C': 'Copy',
+  'Mod+X': 'Cut',
+  'Mod+V': 'Paste',
+  'Mod+Z': 'Undo',
+  'Mod+Y': 'Redo',
+  'Mod+Shift+Z': 'Redo',
+  'Mod+Shift+K': 'Delete line',
+  'Mod+Shift+L': 'Select all occurrences',
+  'Mod+Shift+[': 'Fold',
+  'Mod+Shift+]': 'Unfold',
+  'Mod+Shift+\\': 'Jump to bracket',
+  'Mod+Enter': 'Insert line below',
+  'Mod+Shift+Enter': 'Insert line above',
+  'Mod+Space': 'Trigger suggest',
+  'Mod+I': 'Trigger suggest',
+  'Mod+Shift+Space': 'Parameter hints',
+  'Mod+.': 'Quick fix',
+  'Mod+Alt+Up': 'Add cursor above',
+  'Mod+Alt+Down': 'Add cursor below',
+  'Alt+Up': 'Move line up',
+  'Alt+Down': 'Move line down',
+  'Alt+Shift+Up': 'Copy line up',
+  'Alt+Shift+Down': 'Copy line down',
+  'Alt+Shift+F': 'Format document',
+  'Alt+Shift+I': 'Cursors at line ends',
+  'Alt+F8': 'Next problem',
+  F1: 'Command palette',
+  F2: 'Rename symbol',
+  F8: 'Next problem',
+  F12: 'Go to definition',
+  'Shift+F12': 'Peek references'
+};
+
+const CODE_KEYS = {
+  BracketLeft: '[',
+  BracketRight: ']',
+  Slash: '/',
+  Backslash: '\\',
+  Period: '.',
+  Comma: ',',
+  Semicolon: ';',
+  Quote: "'",
+  Backquote: '`',
+  Minus: '-',
+  Equal: '=',
+  Space: 'Space',
+  ArrowUp: 'Up',
+  ArrowDown: 'Down',
+  ArrowLeft: 'Left',
+  ArrowRight: 'Right'
+};
+
+const MODIFIER_KEYS = ['Control', 'Meta', 'Alt', 'Shift', 'AltGraph', 'CapsLock'];
+
+// Keys come from `code` so Alt+V is 'Alt+V' on a Mac too, not 'Alt+√'
+function keyName(e) {
+  const letterOrDigit = /^(?:Key([A-Z])|Digit(\d)|Numpad(\d))$/.exec(e.code);
+  if (letterOrDigit) return letterOrDigit[1] || letterOrDigit[2] || letterOrDigit[3];
+  if (CODE_KEYS[e.code]) return CODE_KEYS[e.code];
+  return e.key.length === 1 ? e.key.toUpperCase() : e.key;
+}
+
+// 'Mod+Alt+Shift+K' for a keydown, or null for a lone modifier
+export function comboFromEvent(e) {
+  if (MODIFIER_KEYS.includes(e.key)) return null;
+  const parts = [];
+  if (IS_MAC ? e.metaKey : e.ctrlKey) parts.push('Mod');
+  if (IS_MAC && e.ctrlKey) parts.push('Ctrl');
+  if (!IS_MAC && e.metaKey) parts.push('Meta');
+  if (e.altKey) parts.push('Alt');
+  if (e.shiftKey) parts.push('Shift');
+  parts.push(keyName(e));
+  return parts.join('+');
+}
+
+const MAC_SYMBOLS = { Mod: '⌘', Ctrl: '⌃', Alt: '⌥', Shift: '⇧' };
+
+export function formatCombo(combo) {
+  if (!combo) return '';
+  const parts = combo.split('+');
+  return IS_MAC ? parts.map((part) => MAC_SYMBOLS[part] || part).join('') : parts.map((part) => (part === 'Mod' ? 'Ctrl' : part)).join('+');
+}
+
+export function editorConflict(combo) {
+  return EDITOR_KEYBINDINGS[combo] || null;
+}
+
+// True for combos that can't type anything, so they're safe in text fields
+function hasCommandModifier(combo) {
+  return /(^|\+)(Mod|Ctrl|Meta)\+/.test(combo) || /^F\d+$/.test(combo);
+}
+
+function readBindings() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (!stored || typeof stored !== 'object') return { ...DEFAULT_BINDINGS };
+    const known = Object.entries(stored).filter(([id, combo]) => id in DEFAULT_BINDINGS && (combo === null || typeof combo === 'string'));
+    return { ...DEFAULT_BINDINGS, ...Object.fromEntries(known) };
+  } catch {
+    return { ...DEFAULT_BINDINGS };
+  }
+}
+
+let bindings = typeof window === 'undefined' ? { ...DEFAULT_BINDINGS } : readBindings();
+const listeners = new Set();
+
+function publish(next) {
+  bindings = next;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  } catch {
+    // storage unavailable; the bindings last for this visit only
+  }
+  listeners.forEach((listener) => listener(next));
+}
+
+// null unbinds the action
+export function setBinding(id, combo) {
+  if (!(id in DEFAULT_BINDINGS)) return;
+  publish({ ...bindings, [id]: combo });
+}
+
+export function resetBindings() {
+  publish({ ...DEFAULT_BINDINGS });
+}
+
+// Actions sharing a combo: id -> ids of the other actions bound to it
+export function findConflicts(current) {
+  const conflicts = {};
+  Object.entries(current).forEach(([id, combo]) => {
+    if (!combo) return;
+    const others = Object.keys(current).filter((other) => other !== id && current[other] === combo);
+    if (others.length) conflicts[id] = others;
+  });
+  return conflicts;
+}
+
+export function useShortcutBindings() {
+  const [current, setCurrent] = useState(bindings);
+
+  useEffect(() => {
+    listeners.add(setCurrent);
+    setCurrent(bindings);
+    return () => listeners.delete(setCurrent);
+  }, []);
+
+  return { bindings: current, setBinding, resetBindings };
+}
+
+// Runs handlers[actionId] when its combo is pressed anywhere in the page.
+// Plain and Alt combos don't fire while typing in a text field; in Monaco
+// anything it binds itself goes to the editor instead.
+export function useGlobalShortcuts(handlers) {
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || e.repeat) return;
+      const combo = comboFromEvent(e);
+      if (!combo) return;
+      const id = Object.keys(bindings).find((action) => bindings[action] === combo);
+      const handler = id && handlersRef.current[id];
+      if (!handler) return;
+
+      const target = e.target instanceof Element ? e.target : null;
+      if (target && target.closest('.monaco-editor')) {
+        if (editorConflict(combo)) return;
+      } else if (target && target.closest('input, textarea, select, [contenteditable="true"]') && !hasCommandModifier(combo)) {
+        return;
+      }
+      e.preventDefault();
+      handler();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+}
@@ -0,0 +1,79 @@
+import { useEffect, useState } from 'react';
+import { newIdempotencyKey, statusApi } from './api.js';
+
+// Live system status for the footer. Polling /api/status doubles as this
+// tab's presence heartbeat; the server counts a tab online for 90s after its
+// last beat, so the interval leaves room for background-tab timer throttling.
+
+const POLL_MS = 20 * 1000;
+
+// One id per page load; a reload shows up as a new tab and the old one
+// either sends its leave beacon or ages out
+const clientId = newIdempotencyKey();
+
+export function getClientId() {
+  return clientId;
+}
+
+// Returns { status, report, checkedAt }. status is 'connecting' before the
+// first answer, 'unreachable' when the API itself can't be reached, and
+// otherwise the server's 'ok' | 'degraded' | 'down'.
+export function useSystemStatus() {
+  const [state, setState] = useState({ status: 'connecting', report: null, checkedAt: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    let timer = null;
+    let inFlight = false;
+
+    const poll = async () => {
+      if (inFlight) return;
+      inFlight = true;
+      clearTimeout(timer);
+      try {
+        const report = await statusApi.heartbeat(clientId);
+        if (!cancelled) setState({ status: report.status, report, checkedAt: Date.now() });
+      } catch {
+        if (!cancelled) setState((current) => ({ ...current, status: 'unreachable', checkedAt: Date.now() }));
+      }
+      inFlight = false;
+      if (!cancelled) timer = setTimeout(poll, POLL_MS);
+    };
+
+    // Coming back to the tab refreshes right away instead of showing stale numbers
+    const handleVisibility = () => {
+      if (!document.hidden) poll();
+    };
+    const handlePageHide = () => statusApi.leave(clientId);
+
+    poll();
+    document.addEventListener('visibilitychange', handleVisibility);
+    window.addEventListener('pagehide', handlePageHide);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      document.removeEventListener('visibilitychange', handleVisibility);
+      window.removeEventListener('pagehide', handlePageHide);
+    };
+  }, []);
+
+  return state;
+}
+
+// Current time, re-rendering on each wall-clock second
+export function useClock() {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    let timer;
+    const tick = () => {
+      const current = new Date();
+      setNow(current);
+      timer = setTimeout(tick, 1000 - current.getMilliseconds());
+    };
+    timer = setTimeout(tick, 1000 - new Date().getMilliseconds());
+    return () => clearTimeout(timer);
+  }, []);
+
+  return now;
+}
@@ -0,0 +1,259 @@
+import { VIEWS, buildPath } from './router.js';
+import { projectsApi, currencyApi, itemsApi } from './api.js';
+import { THEMES, THEME_NAMES } from './theme.js';
+
+// Command registry for the footer console (src/components/TerminalConsole.jsx).
+// A command is { name, usage, description, requiresUser, complete, run }:
+//   run(args, context)            may be async; prints with context.print(text, tone)
+//   complete(args, context)       candidates for the last argument, may be async
+// where tone is 'info' | 'success' | 'error' | 'muted' and context is
+// { user, view, themeName, vrMode, navigate, setTheme, setVrMode, print, clear }.
+// Anything can add commands with registerCommand(), which returns a remover.
+
+const HISTORY_KEY = 'virtualmark.terminal.history';
+const MAX_HISTORY = 50;
+
+const commands = new Map();
+
+export function registerCommand(command) {
+  commands.set(command.name, command);
+  return () => {
+    if (commands.get(command.name) === command) commands.delete(command.name);
+  };
+}
+
+export function listCommands() {
+  return [...commands.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Splits a command line into words; single or double quotes keep spaces
+export function tokenize(line) {
+  const words = [];
+  const pattern = /"([^"]*)"?|'([^']*)'?|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(line))) words.push(match[1] ?? match[2] ?? match[3]);
+  return words;
+}
+
+function quote(word) {
+  return /\s/.test(word) ? `"${word}"` : word;
+}
+
+export async function runCommandLine(line, context) {
+  const [name, ...args] = tokenize(line);
+  if (!name) return;
+  const command = commands.get(name.toLowerCase());
+  if (!command) {
+    context.print(`command not found: ${name} (try help)`, 'error');
+    return;
+  }
+  if (command.requiresUser && !context.user) {
+    context.print(`${command.name}: log in first`, 'error');
+    return;
+  }
+  try {
+    await command.run(args, context);
+  } catch (error) {
+    context.print(`${command.name}: ${error.message}`, 'error');
+  }
+}
+
+function commonPrefix(words) {
+  return words.reduce((prefix, word) => {
+    let length = 0;
+    while (length < prefix.length && prefix[length].toLowerCase() === (word[length] || '').toLowerCase()) length += 1;
+    return prefix.slice(0, length);
+  });
+}
+
+// Tab completion. Returns { line, candidates }: the line extended as far as
+// the matching candidates agree, and all of them when there's a choice left.
+export async function completeCommandLine(line, context) {
+  const words = tokenize(line);
+  const partial = !line || /\s$/.test(line) ? '' : words.pop();
+  let pool;
+  if (!words.length) {
+    pool = listCommands().map((command) => command.name);
+  } else {
+    const command = commands.get(words[0].toLowerCase());
+    if (!command || !command.complete) return { line, candidates: [] };
+    pool = await Promise.resolve(command.complete(words.slice(1), context)).catch(() => []);
+  }
+
+  const candidates = pool.filter((word) => word.toLowerCase().startsWith(partial.toLowerCase()));
+  if (!candidates.length) return { line, candidates };
+  const head = words.map(quote).join(' ');
+  const shared = candidates.length === 1 ? candidates[0] : commonPrefix(candidates);
+  if (shared.length < partial.length) return { line, candidates };
+  // A shared prefix with a space in it gets an opening quote so it stays one word
+  const completed = candidates.length === 1 ? `${quote(shared)} ` : /\s/.test(shared) ? `"${shared}` : shared;
+  return { line: `${head ? `${head} ` : ''}${completed}`, candidates: candidates.length > 1 ? candidates : [] };
+}
+
+export function loadHistory() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(HISTORY_KEY));
+    return Array.isArray(stored) ? stored.filter((entry) => typeof entry === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+// Newest last; repeats of the previous line are not stored again
+export function appendHistory(history, line) {
+  const next = history[history.length - 1] === line ? history : [...history, line].slice(-MAX_HISTORY);
+  try {
+    window.localStorage.setItem(HISTORY_KEY, JSON.stringify(next));
+  } catch {
+    // storage unavailable; history lasts for this visit only
+  }
+  return next;
+}
+
+// Built-in commands
+
+function findProject(projects, query) {
+  const wanted = query.toLowerCase();
+  return projects.find((project) => project.id === query)
+    || projects.find((project) => project.name.toLowerCase() === wanted)
+    || projects.find((project) => project.name.toLowerCase().startsWith(wanted));
+}
+
+function listProjects() {
+  return projectsApi.list({ limit: 100 }).then((r) => r.projects);
+}
+
+registerCommand({
+  name: 'help',
+  usage: 'help [command]',
+  description: 'List commands, or describe one',
+  complete: () => listCommands().map((command) => command.name),
+  run([name], { print }) {
+    if (name) {
+      const command = commands.get(name.toLowerCase());
+      if (!command) throw new Error(`no command ${name}`);
+      print(`${command.usage} - ${command.description}`);
+      return;
+    }
+    listCommands().forEach((command) => print(`${command.usage.padEnd(24)} ${command.description}`));
+  }
+});
+
+registerCommand({
+  name: 'clear',
+  usage: 'clear',
+  description: 'Clear the console (also Ctrl+L)',
+  run: (args, { clear }) => clear()
+});
+
+registerCommand({
+  name: 'goto',
+  usage: 'goto <view>',
+  description: `Switch view: ${VIEWS.join(', ')}`,
+  complete: () => VIEWS,
+  run([view], { navigate, print }) {
+    if (!VIEWS.includes(view)) throw new Error(`usage: goto <${VIEWS.join('|')}>`);
+    print(`-> ${view}`, 'muted');
+    navigate(buildPath(view));
+  }
+});
+
+registerCommand({
+  name: 'open',
+  usage: 'open <project>',
+  description: 'Open a project in the editor by name or id',
+  requiresUser: true,
+  complete: (args, { user }) => (user ? listProjects().then((projects) => projects.map((project) => project.name)) : []),
+  async run(args, { navigate, print }) {
+    const query = args.join(' ');
+    if (!query) throw new Error('usage: open <project>');
+    const project = findProject(await listProjects(), query);
+    if (!project) throw new Error(`no project matching "${query}"`);
+    print(`opening ${project.name}...`, 'success');
+    navigate(buildPath('editor', { projectId: project.id }));
+  }
+});
+
+registerCommand({
+  name: 'balance',
+  usage: 'balance',
+  description: 'Show your credit balance',
+  requiresUser: true,
+  async run(args, { print }) {
+    const { balance, currency } = await currencyApi.balance();
+    print(`${balance.toLocaleString()} ${currency}`, 'success');
+  }
+});
+
+registerCommand({
+  name: 'send',
+  usage: 'send <user> <amount> [memo]',
+  description: 'Transfer credits to another user',
+  requiresUser: true,
+  async run([username, amountText, ...memo], { user, print }) {
+    const amount = Number(amountText);
+    if (!username || !Number.isSafeInteger(amount) || amount <= 0) {
+      throw new Error('usage: send <user> <whole amount> [memo]');
+    }
+    if (username.toLowerCase() === user.username) throw new Error('cannot send to yourself');
+    print(`transferring ${amount.toLocaleString()} to ${username}...`, 'muted');
+    await currencyApi.transfer({ username }, amount, { memo: memo.join(' ') || undefined });
+    const { balance, currency } = await currencyApi.balance();
+    print(`sent ${amount.toLocaleString()} ${currency} to ${username}; balance ${balance.toLocaleString()} ${currency}`, 'success');
+  }
+});
+
+registerCommand({
+  name: 'inventory',
+  usage: 'inventory',
+  description: 'List the items you own',
+  requiresUser: true,
+  async run(args, { print }) {
+    const inventory = await itemsApi.inventory();
+    if (!inventory.length) {
+      print('inventory empty', 'muted');
+      return;
+    }
+    const counts = new Map();
+    inventory.forEach(({ item }) => {
+      const entry = counts.get(item.id) || { item, count: 0 };
+      entry.count += 1;
+      counts.set(item.id, entry);
+    });
+    counts.forEach(({ item, count }) => print(`${String(count).padStart(3)}x ${item.name} [${item.rarity}]`));
+  }
+});
+
+registerCommand({
+  name: 'theme',
+  usage: 'theme [name]',
+  description: `Show or switch the colour theme: ${THEME_NAMES.join(', ')}`,
+  complete: () => THEME_NAMES,
+  run([name], { themeName, setTheme, print }) {
+    if (!name) {
+      THEME_NAMES.forEach((key) => print(`${key === themeName ? '*' : ' '} ${key}`, key === themeName ? 'success' : 'info'));
+      return;
+    }
+    const key = name.toLowerCase();
+    if (!THEMES[key]) throw new Error(`unknown theme ${name}`);
+    setTheme(key);
+    print(`theme set to ${key}`, 'success');
+  }
+});
+
+registerCommand({
+  name: 'vr',
+  usage: 'vr on|off',
+  description: 'Enter or leave VR mode',
+  complete: () => ['on', 'off'],
+  run([state], { vrMode, setVrMode, print }) {
+    if (state !== 'on' && state !== 'off') throw new Error('usage: vr on|off');
+    const enabled = state === 'on';
+    if (enabled === vrMode) {
+      print(`vr already ${state}`, 'muted');
+      return;
+    }
+    setVrMode(enabled);
+    print(`vr ${state}`, 'success');
+  }
+});
@@ -0,0 +1,185 @@
+import { useCallback, useEffect, useState } from 'react';
+import { authApi } from './api.js';
+
+// Colour themes. The scene (materials, lights, particles) reads the active
+// theme through useTheme(); DOM overlays can also use the CSS custom
+// properties applyTheme() sets on <html>, e.g. `var(--vm-primary)` or
+// `rgba(var(--vm-primary-rgb), 0.2)`, which follow a switch without a re-render.
+// The chosen theme is kept in localStorage and, when signed in, on the account.
+
+const STORAGE_KEY = 'virtualmark.theme';
+export const DEFAULT_THEME = 'cyberpunk';
+
+// api/auth.js keeps its own list of these names to validate saved preferences
+export const THEMES = {
+  cyberpunk: {
+    label: 'CYBERPUNK',
+    dark: true,
+    colors: {
+      primary: '#00ff88',
+      secondary: '#0088ff',
+      accent: '#ff0088',
+      highlight: '#ffff00',
+      beam: '#ff00ff',
+      warning: '#ffaa00',
+      danger: '#ff5555',
+      text: '#ffffff',
+      textDim: '#cccccc',
+      muted: '#888888',
+      onPrimary: '#000000',
+      background: '#000000',
+      particleLinks: '#ffffff',
+      ambient: '#ffffff',
+      surface: 'rgba(5, 5, 15, 0.95)',
+      panel: 'rgba(5, 5, 15, 0.75)',
+      input: 'rgba(0, 0, 0, 0.6)',
+      glass: 'rgba(255, 255, 255, 0.1)',
+      glassBorder: 'rgba(255, 255, 255, 0.2)'
+    },
+    backdrop: 'radial-gradient(ellipse at center, #0a0a2a 0%, #000000 70%, #001122 100%)',
+    overlay: 'linear-gradient(135deg, rgba(10, 10, 30, 0.85) 0%, rgba(5, 5, 15, 0.9) 100%)',
+    footer: 'linear-gradient(180deg, transparent, rgba(0, 20, 40, 0.9))',
+    widget: 'linear-gradient(135deg, rgba(0, 20, 40, 0.8), rgba(0, 40, 80, 0.6))',
+    bloom: { intensity: 1.0, threshold: 0.9 },
+    stars: true,
+    // Monaco needs literal colours; see defineEditorThemes in src/editor.jsx
+    monaco: { name: 'virtualmark-neon', background: '#05050f', comment: '#5c6f7a' }
+  },
+  // Dark text on a pale scene, with the neon hues darkened until they pass
+  // WCAG AA against it
+  daylight: {
+    label: 'DAYLIGHT',
+    dark: false,
+    colors: {
+      primary: '#00703c',
+      secondary: '#0050c8',
+      accent: '#c8006e',
+      highlight: '#8a6200',
+      beam: '#8e00b8',
+      warning: '#a85400',
+      danger: '#c8102e',
+      text: '#0a0a14',
+      textDim: '#24243a',
+      muted: '#4a4a5a',
+      onPrimary: '#ffffff',
+      background: '#eef1f6',
+      particleLinks: '#0a0a14',
+      ambient: '#ffffff',
+      surface: 'rgba(255, 255, 255, 0.97)',
+      panel: 'rgba(255, 255, 255, 0.85)',
+      input: 'rgba(255, 255, 255, 0.9)',
+      glass: 'rgba(0, 0, 0, 0.05)',
+      glassBorder: 'rgba(0, 0, 0, 0.4)'
+    },
+    backdrop: 'radial-gradient(ellipse at center, #ffffff 0%, #eef1f6 70%, #dde4ee 100%)',
+    overlay: 'linear-gradient(135deg, rgba(255, 255, 255, 0.92) 0%, rgba(245, 247, 250, 0.95) 100%)',
+    footer: 'linear-gradient(180deg, transparent, rgba(235, 240, 248, 0.97))',
+    widget: 'linear-gradient(135deg, rgba(255, 255, 255, 0.9), rgba(230, 238, 250, 0.85))',
+    // A pale background is all highlights; only the emissive letters should glow
+    bloom: { intensity: 0.4, threshold: 0.98 },
+    stars: false,
+    monaco: { name: 'virtualmark-daylight', background: '#ffffff', comment: '#5a6470' }
+  }
+};
+
+export const THEME_NAMES = Object.keys(THEMES);
+
+// The four neon hues, for things coloured by index (particles, panels, avatars)
+export function paletteOf(theme) {
+  const { primary, secondary, accent, highlight } = theme.colors;
+  return [primary, secondary, accent, highlight];
+}
+
+// Theme colour each item rarity is drawn in, common to legendary
+export const RARITY_COLORS = {
+  common: 'muted',
+  uncommon: 'primary',
+  rare: 'secondary',
+  epic: 'beam',
+  legendary: 'highlight'
+};
+
+// '#00ff88' -> 'rgba(0, 255, 136, 0.2)'
+export function withAlpha(hex, alpha) {
+  return `rgba(${hexToRgb(hex)}, ${alpha})`;
+}
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return `${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}`;
+}
+
+function kebab(key) {
+  return key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+function readTheme() {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return THEMES[stored] ? stored : DEFAULT_THEME;
+  } catch {
+    return DEFAULT_THEME;
+  }
+}
+
+let currentName = typeof window === 'undefined' ? DEFAULT_THEME : readTheme();
+const listeners = new Set();
+
+function applyTheme(name) {
+  if (typeof document === 'undefined') return;
+  const { colors, dark } = THEMES[name];
+  const root = document.documentElement;
+  Object.entries(colors).forEach(([key, value]) => {
+    root.style.setProperty(`--vm-${kebab(key)}`, value);
+    if (value.startsWith('#')) root.style.setProperty(`--vm-${kebab(key)}-rgb`, hexToRgb(value));
+  });
+  root.style.colorScheme = dark ? 'dark' : 'light';
+  root.setAttribute('data-theme', name);
+}
+
+applyTheme(currentName);
+
+function publish(name) {
+  if (!THEMES[name] || name === currentName) return;
+  currentName = name;
+  applyTheme(name);
+  try {
+    window.localStorage.setItem(STORAGE_KEY, name);
+  } catch {
+    // storage unavailable; the choice lasts for this visit only
+  }
+  listeners.forEach((listener) => listener(name));
+}
+
+export function getTheme() {
+  return THEMES[currentName];
+}
+
+export function useTheme() {
+  const [name, setName] = useState(currentName);
+
+  useEffect(() => {
+    listeners.add(setName);
+    setName(currentName);
+    return () => listeners.delete(setName);
+  }, []);
+
+  return { name, theme: THEMES[name] };
+}
+
+// Adopts the theme saved on the signed-in account and returns the setter the
+// picker uses, which saves the choice back to it. Guests keep theirs locally.
+export function useThemePreference(user) {
+  const userId = user ? user.id : null;
+  const savedTheme = user ? user.theme : null;
+
+  useEffect(() => {
+    if (savedTheme) publish(savedTheme);
+  }, [userId, savedTheme]);
+
+  return useCallback((name) => {
+    if (!THEMES[name]) return;
+    publish(name);
+    if (userId) authApi.updatePreferences({ theme: name }).catch(() => {});
+  }, [userId]);
+}
@@ -0,0 +1,63 @@
+// WebXR session helpers for the "Enter VR Mode" toggle.
+// Every helper takes an optional `xr` object (defaults to navigator.xr) so an
+// emulated device such as IWER or the WebXR polyfill can be injected and the
+// full session lifecycle exercised headless.
+
+export const XR_SESSION_MODE = 'immersive-vr';
+
+const SESSION_INIT = {
+  optionalFeatures: ['local-floor', 'bounded-floor', 'hand-tracking']
+};
+
+export function getXR(xr) {
+  if (xr) return xr;
+  return typeof navigator !== 'undefined' ? navigator.xr : undefined;
+}
+
+export async function isImmersiveVRSupported(xr) {
+  const system = getXR(xr);
+  if (!system || typeof system.isSessionSupported !== 'function') return false;
+  try {
+    return await system.isSessionSupported(XR_SESSION_MODE);
+  } catch {
+    return false;
+  }
+}
+
+// Requests an immersive session and hands it to the three.js renderer behind
+// the <Canvas>. three's WebXRManager takes over the render loop and draws the
+// scene once per eye; `onEnd` fires however the session finishes (exit button,
+// headset removed, system menu).
+export async function startImmersiveSession(renderer, { xr, onEnd } = {}) {
+  const system = getXR(xr);
+  if (!system) throw new Error('WebXR is not available in this browser');
+
+  const session = await system.requestSession(XR_SESSION_MODE, SESSION_INIT);
+  const handleEnd = () => {
+    session.removeEventListener('end', handleEnd);
+    renderer.xr.enabled = false;
+    if (onEnd) onEnd(session);
+  };
+  session.addEventListener('end', handleEnd);
+
+  const features = session.enabledFeatures || [];
+  renderer.xr.enabled = true;
+  renderer.xr.setReferenceSpaceType(features.includes('local-floor') ? 'local-floor' : 'local');
+
+  try {
+    await renderer.xr.setSession(session);
+  } catch (error) {
+    await session.end().catch(() => {});
+    throw error;
+  }
+  return session;
+}
+
+export async function endImmersiveSession(session) {
+  if (!session) return;
+  try {
+    await session.end();
+  } catch {
+    // Already ended by the UA
+  }
+}
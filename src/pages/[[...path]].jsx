@@ -0,0 +1,10 @@
+import dynamic from 'next/dynamic';
+
+// Every app route (/, /projects/…, /editor/…, /currency, /inventory/…) is
+// this one page; src/lib/router.js picks the view from the URL. The app drives
+// WebGL, WebXR and Web Audio, so it only renders in the browser.
+const VirtualMark = dynamic(() => import('../index.jsx'), { ssr: false });
+
+export default function AppPage() {
+  return <VirtualMark />;
+}
@@ -0,0 +1,50 @@
+-- Double-entry ledger backing api/currency.js
+
+create table if not exists ledger_accounts (
+  id text primary key,                       -- user:<id>, system:<name>, escrow:<id>
+  type text not null check (type in ('user', 'system', 'escrow')),
+  owner_id text,
+  balance bigint not null default 0,
+  created_at timestamptz not null default now(),
+  constraint ledger_accounts_non_negative check (type = 'system' or balance >= 0)
+);
+
+create table if not exists ledger_transactions (
+  id uuid primary key default gen_random_uuid(),
+  type text not null,
+  idempotency_key text not null unique,      -- scoped as <actor>:<client key>
+  request_hash text not null,
+  memo text,
+  metadata jsonb not null default '{}'::jsonb,
+  created_by text not null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists ledger_entries (
+  id uuid primary key default gen_random_uuid(),
+  transaction_id uuid not null references ledger_transactions (id),
+  account_id text not null references ledger_accounts (id),
+  amount bigint not null check (amount <> 0),
+  balance_after bigint not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ledger_entries_account_idx on ledger_entries (account_id, created_at desc);
+create index if not exists ledger_entries_transaction_idx on ledger_entries (transaction_id);
+
+-- Transaction history is immutable
+create or replace function ledger_reject_mutation() returns trigger as $$
+begin
+  raise exception 'ledger history is append-only';
+end;
+$$ language plpgsql;
+
+drop trigger if exists ledger_entries_immutable on ledger_entries;
+create trigger ledger_entries_immutable
+  before update or delete on ledger_entries
+  for each row execute function ledger_reject_mutation();
+
+drop trigger if exists ledger_transactions_immutable on ledger_transactions;
+create trigger ledger_transactions_immutable
+  before update or delete on ledger_transactions
+  for each row execute function ledger_reject_mutation();
@@ -0,0 +1,86 @@
+-- Atomic posting for api/currency.js. One call is one database transaction:
+-- the idempotency check, account creation, the overdraft check and relative
+-- balance updates either all happen or none do. Touched accounts are locked
+-- in id order so concurrent posts queue instead of deadlocking.
+--
+-- Failures are raised with the API error code as the message and any JSON
+-- details as DETAIL.
+
+create or replace function post_ledger_transaction(
+  p_type text,
+  p_idempotency_key text,                    -- already scoped as <actor>:<client key>
+  p_request_hash text,
+  p_memo text,
+  p_metadata jsonb,
+  p_created_by text,
+  p_accounts jsonb,                          -- [{ id, type, owner_id }]
+  p_entries jsonb                            -- [{ account_id, amount }] in posting order
+) returns jsonb as $$
+declare
+  v_transaction ledger_transactions;
+  v_account ledger_accounts;
+  v_entry jsonb;
+  v_delta bigint;
+  v_balance bigint;
+  v_running jsonb := '{}'::jsonb;
+begin
+  if (select coalesce(sum((e->>'amount')::bigint), 0) from jsonb_array_elements(p_entries) e) <> 0 then
+    raise exception 'UNBALANCED_TRANSACTION';
+  end if;
+
+  insert into ledger_transactions (type, idempotency_key, request_hash, memo, metadata, created_by)
+  values (p_type, p_idempotency_key, p_request_hash, p_memo, coalesce(p_metadata, '{}'::jsonb), p_created_by)
+  on conflict (idempotency_key) do nothing
+  returning * into v_transaction;
+
+  -- The key was used before: replay that transaction if it was the same request
+  if v_transaction.id is null then
+    select * into v_transaction from ledger_transactions where idempotency_key = p_idempotency_key;
+    if v_transaction.request_hash <> p_request_hash then
+      raise exception 'IDEMPOTENCY_KEY_REUSED';
+    end if;
+    return jsonb_build_object(
+      'transaction', to_jsonb(v_transaction),
+      'entries', (select coalesce(jsonb_agg(to_jsonb(e)), '[]'::jsonb) from ledger_entries e where e.transaction_id = v_transaction.id),
+      'replayed', true
+    );
+  end if;
+
+  insert into ledger_accounts (id, type, owner_id)
+  select a->>'id', a->>'type', a->>'owner_id' from jsonb_array_elements(p_accounts) a
+  on conflict (id) do nothing;
+
+  for v_account in
+    select * from ledger_accounts
+    where id in (select a->>'id' from jsonb_array_elements(p_accounts) a)
+    order by id
+    for update
+  loop
+    select coalesce(sum((e->>'amount')::bigint), 0) into v_delta
+    from jsonb_array_elements(p_entries) e
+    where e->>'account_id' = v_account.id;
+    if v_account.type <> 'system' and v_account.balance + v_delta < 0 then
+      raise exception 'INSUFFICIENT_FUNDS' using detail = jsonb_build_object(
+        'accountId', v_account.id,
+        'balance', v_account.balance,
+        'required', -v_delta
+      )::text;
+    end if;
+    update ledger_accounts set balance = balance + v_delta where id = v_account.id;
+    v_running := v_running || jsonb_build_object(v_account.id, v_account.balance);
+  end loop;
+
+  for v_entry in select value from jsonb_array_elements(p_entries) loop
+    v_balance := (v_running->>(v_entry->>'account_id'))::bigint + (v_entry->>'amount')::bigint;
+    v_running := v_running || jsonb_build_object(v_entry->>'account_id', v_balance);
+    insert into ledger_entries (transaction_id, account_id, amount, balance_after)
+    values (v_transaction.id, v_entry->>'account_id', (v_entry->>'amount')::bigint, v_balance);
+  end loop;
+
+  return jsonb_build_object(
+    'transaction', to_jsonb(v_transaction),
+    'entries', (select jsonb_agg(to_jsonb(e)) from ledger_entries e where e.transaction_id = v_transaction.id),
+    'replayed', false
+  );
+end;
+$$ language plpgsql;
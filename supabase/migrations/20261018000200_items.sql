@@ -0,0 +1,33 @@
+-- Item catalog and per-copy inventories backing api/items.js
+
+create table if not exists items (
+  id uuid primary key default gen_random_uuid(),
+  slug text not null unique,
+  name text not null,
+  description text not null default '',
+  price bigint not null check (price > 0),
+  rarity text not null check (rarity in ('common', 'uncommon', 'rare', 'epic', 'legendary')),
+  rarity_rank smallint not null,
+  asset_url text not null,
+  stock_limit integer check (stock_limit is null or stock_limit > 0),
+  sold_count integer not null default 0,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  constraint items_not_oversold check (stock_limit is null or sold_count <= stock_limit)
+);
+
+create index if not exists items_rarity_idx on items (rarity_rank);
+create index if not exists items_price_idx on items (price);
+
+create table if not exists inventory_items (
+  id uuid primary key default gen_random_uuid(),
+  item_id uuid not null references items (id),
+  owner_id text not null,
+  acquired_via text not null,
+  acquired_at timestamptz not null default now(),
+  purchase_transaction_id uuid references ledger_transactions (id),
+  listing_id uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists inventory_items_owner_idx on inventory_items (owner_id, acquired_at desc);
@@ -0,0 +1,19 @@
+-- Sells stock for api/items.js relative to the current count, so concurrent
+-- purchases can never write back a stale sold_count or oversell a limited
+-- item. Raises OUT_OF_STOCK (with the remaining stock as DETAIL) instead.
+
+create or replace function increment_item_sold_count(p_item_id uuid, p_quantity integer) returns items as $$
+declare
+  v_item items;
+begin
+  update items set sold_count = sold_count + p_quantity
+  where id = p_item_id and (stock_limit is null or sold_count + p_quantity <= stock_limit)
+  returning * into v_item;
+  if v_item.id is null then
+    raise exception 'OUT_OF_STOCK' using detail = (
+      select jsonb_build_object('remaining', stock_limit - sold_count) from items where id = p_item_id
+    )::text;
+  end if;
+  return v_item;
+end;
+$$ language plpgsql;
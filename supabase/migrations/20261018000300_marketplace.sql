@@ -0,0 +1,54 @@
+-- Peer-to-peer listings, offers with escrow, and settled trades (api/marketplace.js)
+
+create table if not exists listings (
+  id uuid primary key default gen_random_uuid(),
+  seller_id text not null,
+  item_id uuid not null references items (id),
+  inventory_item_id uuid not null references inventory_items (id),
+  ask_price bigint not null check (ask_price > 0),
+  status text not null check (status in ('open', 'pending', 'sold', 'cancelled', 'expired')),
+  buyer_id text,
+  accepted_offer_id uuid,
+  idempotency_key text unique,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists listings_status_idx on listings (status, expires_at);
+create index if not exists listings_item_idx on listings (item_id);
+
+-- At most one open or pending listing per inventory copy
+create unique index if not exists listings_active_copy_idx
+  on listings (inventory_item_id) where status in ('open', 'pending');
+
+create table if not exists offers (
+  id uuid primary key default gen_random_uuid(),
+  listing_id uuid not null references listings (id),
+  buyer_id text not null,
+  from_party text not null check (from_party in ('buyer', 'seller')),
+  amount bigint not null check (amount > 0),
+  status text not null check (status in ('open', 'countered', 'accepted', 'settled', 'rejected', 'withdrawn', 'expired')),
+  parent_offer_id uuid references offers (id),
+  escrow_account text not null,
+  idempotency_key text unique,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists offers_listing_idx on offers (listing_id, status);
+create index if not exists offers_expiry_idx on offers (status, expires_at);
+
+create table if not exists trades (
+  id uuid primary key default gen_random_uuid(),
+  listing_id uuid not null unique references listings (id),
+  item_id uuid not null references items (id),
+  inventory_item_id uuid not null references inventory_items (id),
+  seller_id text not null,
+  buyer_id text not null,
+  price bigint not null,
+  settled_at timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists trades_item_idx on trades (item_id, settled_at desc);
@@ -0,0 +1,39 @@
+-- User projects and their immutable version snapshots (api/projects.js)
+
+create table if not exists projects (
+  id uuid primary key default gen_random_uuid(),
+  owner_id text not null,
+  name text not null,
+  description text not null default '',
+  files jsonb not null default '{}'::jsonb,    -- { "path/to/file": "contents" }
+  current_version integer not null default 1,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists projects_owner_idx on projects (owner_id, updated_at desc);
+
+create table if not exists project_versions (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references projects (id) on delete cascade,
+  version integer not null,
+  name text not null,
+  description text not null default '',
+  files jsonb not null,
+  message text,
+  author_id text not null,
+  created_at timestamptz not null default now(),
+  unique (project_id, version)
+);
+
+-- Snapshots are immutable; they only disappear with their project
+create or replace function project_versions_reject_update() returns trigger as $$
+begin
+  raise exception 'project versions are immutable';
+end;
+$$ language plpgsql;
+
+drop trigger if exists project_versions_immutable on project_versions;
+create trigger project_versions_immutable
+  before update on project_versions
+  for each row execute function project_versions_reject_update();
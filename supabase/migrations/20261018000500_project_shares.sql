@@ -0,0 +1,16 @@
+-- Public read-only project links (api/projects.js, served by /p/<slug>)
+
+create table if not exists project_shares (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references projects (id) on delete cascade,
+  owner_id text not null,
+  slug text not null unique,
+  status text not null check (status in ('active', 'revoked')),
+  view_count bigint not null default 0,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+-- One live link per project; rotating revokes the old slug first
+create unique index if not exists project_shares_active_idx
+  on project_shares (project_id) where status = 'active';
@@ -0,0 +1,58 @@
+-- Playable games published from projects, with signed play sessions and
+-- per-game leaderboards (api/games.js, served by /play/<id>)
+
+create table if not exists games (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null unique references projects (id) on delete cascade,
+  owner_id text not null,
+  title text not null,
+  description text not null default '',
+  thumbnail_url text,
+  controls jsonb not null default '[]'::jsonb,    -- [{ "keys": "WASD", "action": "move" }]
+  max_players integer not null default 1 check (max_players between 1 and 16),
+  score_order text not null default 'desc' check (score_order in ('desc', 'asc')),
+  max_score bigint check (max_score > 0),
+  status text not null default 'published' check (status in ('published', 'unlisted')),
+  project_version integer not null,             -- pinned snapshot in project_versions
+  play_count bigint not null default 0,
+  published_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists games_status_plays_idx on games (status, play_count desc);
+create index if not exists games_owner_idx on games (owner_id);
+
+create table if not exists game_sessions (
+  id uuid primary key default gen_random_uuid(),
+  game_id uuid not null references games (id) on delete cascade,
+  user_id text not null,
+  project_version integer not null,
+  started_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  submitted_at timestamptz,
+  score bigint,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists game_scores (
+  id uuid primary key default gen_random_uuid(),
+  game_id uuid not null references games (id) on delete cascade,
+  user_id text not null,
+  session_id uuid not null unique references game_sessions (id) on delete cascade,
+  score bigint not null check (score >= 0),
+  created_at timestamptz not null default now()
+);
+
+-- Best score per player, kept in step by submitScore
+create table if not exists game_leaderboard (
+  id uuid primary key default gen_random_uuid(),
+  game_id uuid not null references games (id) on delete cascade,
+  user_id text not null,
+  best_score bigint not null,
+  achieved_at timestamptz not null,
+  created_at timestamptz not null default now(),
+  unique (game_id, user_id)
+);
+
+create index if not exists game_leaderboard_rank_idx on game_leaderboard (game_id, best_score desc, achieved_at);
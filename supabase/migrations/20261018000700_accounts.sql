@@ -0,0 +1,36 @@
+-- Accounts, cookie sessions and single-use mail tokens (api/auth.js).
+-- Session and mail tokens are stored as SHA-256 hashes only.
+
+create table if not exists users (
+  id uuid primary key default gen_random_uuid(),
+  email text not null unique check (email = lower(email)),
+  username text not null unique check (username ~ '^[a-z0-9_-]{3,24}$'),
+  password_hash text not null,                  -- bcrypt
+  email_verified_at timestamptz,
+  theme text check (theme in ('cyberpunk', 'daylight')),  -- null: client default
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists user_sessions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users (id) on delete cascade,
+  token_hash text not null unique,
+  user_agent text not null default '',
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists user_sessions_user_idx on user_sessions (user_id);
+
+create table if not exists auth_tokens (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users (id) on delete cascade,
+  purpose text not null check (purpose in ('verify', 'reset')),
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists auth_tokens_user_idx on auth_tokens (user_id, purpose) where used_at is null;
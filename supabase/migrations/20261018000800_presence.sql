@@ -0,0 +1,10 @@
+-- Online presence (api/status.js). Each open tab heartbeats its random
+-- client id; rows older than the online window are pruned on the next beat.
+
+create table if not exists presence (
+  client_id text primary key check (char_length(client_id) between 8 and 64),
+  user_id uuid references users (id) on delete cascade,
+  last_seen_at timestamptz not null default now()
+);
+
+create index if not exists presence_last_seen_idx on presence (last_seen_at);
@@ -0,0 +1,13 @@
+-- Teammates allowed to open and edit a project alongside its owner
+-- (api/projects.js). Sharing, restoring and deleting stay owner-only.
+
+create table if not exists project_collaborators (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references projects (id) on delete cascade,
+  user_id uuid not null references users (id) on delete cascade,
+  added_by text not null,
+  created_at timestamptz not null default now(),
+  unique (project_id, user_id)
+);
+
+create index if not exists project_collaborators_user_idx on project_collaborators (user_id);
@@ -0,0 +1,110 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import auth from '../../api/auth.js';
+import { THEME_NAMES } from '../../src/lib/theme.js';
+import { useFreshDatabase, createUser, call } from '../helpers.js';
+
+// Runs before the imports; api/auth.js reads the bcrypt cost once on load
+vi.hoisted(() => {
+  process.env.BCRYPT_ROUNDS = '4';
+});
+
+let db;
+let alice;
+
+beforeEach(async () => {
+  db = useFreshDatabase();
+  alice = await createUser(db, 'alice');
+  vi.stubEnv('APP_URL', 'https://virtualmark.example');
+  vi.spyOn(console, 'info').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+});
+
+const post = (body, user) => call(auth, { method: 'POST', body, user });
+const sessionCookie = (res) => res.headers['Set-Cookie'].split(';')[0];
+
+describe('sessions', () => {
+  it('signs up, stays signed in through the cookie and logs out', async () => {
+    const signup = await post({ action: 'signup', email: 'Bob@Example.com', username: 'Bob', password: 'correct horse' });
+    expect(signup.statusCode).toBe(201);
+    expect(signup.body.user).toMatchObject({ username: 'bob', email: 'bob@example.com', emailVerified: false, theme: null });
+
+    const cookie = sessionCookie(signup);
+    const me = await call(auth, { headers: { cookie } });
+    expect(me.body.user.username).toBe('bob');
+
+    await call(auth, { method: 'POST', body: { action: 'logout' }, headers: { cookie } });
+    expect((await call(auth, { headers: { cookie } })).body.user).toBeNull();
+  });
+
+  it('logs in by username or email and rejects a wrong password', async () => {
+    await post({ action: 'signup', email: 'bob@example.com', username: 'bob', password: 'correct horse' });
+    expect((await post({ action: 'login', login: 'BOB', password: 'correct horse' })).statusCode).toBe(200);
+    expect((await post({ action: 'login', login: 'bob@example.com', password: 'correct horse' })).statusCode).toBe(200);
+
+    const wrong = await post({ action: 'login', login: 'bob', password: 'battery staple' });
+    expect(wrong.statusCode).toBe(401);
+    expect(wrong.body.error.code).toBe('INVALID_CREDENTIALS');
+  });
+
+  it('rejects a taken username', async () => {
+    const res = await post({ action: 'signup', email: 'other@example.com', username: 'alice', password: 'correct horse' });
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error.code).toBe('USERNAME_TAKEN');
+  });
+});
+
+describe('POST /api/auth preferences', () => {
+  it('saves the theme on the account', async () => {
+    const res = await post({ action: 'preferences', theme: 'daylight' }, alice);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.user.theme).toBe('daylight');
+    expect((await call(auth, { user: alice })).body.user.theme).toBe('daylight');
+  });
+
+  it('accepts every theme the client ships', async () => {
+    for (const theme of THEME_NAMES) {
+      expect((await post({ action: 'preferences', theme }, alice)).body.user.theme).toBe(theme);
+    }
+  });
+
+  it('rejects unknown themes', async () => {
+    const res = await post({ action: 'preferences', theme: 'vaporwave' }, alice);
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_THEME');
+  });
+
+  it('requires a session', async () => {
+    expect((await post({ action: 'preferences', theme: 'daylight' })).statusCode).toBe(401);
+  });
+});
+
+describe('GET /api/auth search', () => {
+  beforeEach(async () => {
+    for (const username of ['alicia', 'al_x', 'alxander', 'bob']) await createUser(db, username);
+  });
+
+  const search = (q, user = alice) => call(auth, { user, query: { action: 'search', q } });
+
+  it('matches username prefixes and leaves out the caller', async () => {
+    const res = await search('Al');
+    expect(res.body.users.map((user) => user.username)).toEqual(['al_x', 'alicia', 'alxander']);
+    expect(Object.keys(res.body.users[0])).toEqual(['id', 'username']);
+  });
+
+  it('treats _ as a literal character', async () => {
+    expect((await search('al_')).body.users.map((user) => user.username)).toEqual(['al_x']);
+  });
+
+  it('returns nothing for an empty or malformed prefix', async () => {
+    expect((await search('')).body.users).toEqual([]);
+    expect((await search('a%')).body.users).toEqual([]);
+  });
+
+  it('requires a session', async () => {
+    expect((await call(auth, { query: { action: 'search', q: 'al' } })).statusCode).toBe(401);
+  });
+});
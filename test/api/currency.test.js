@@ -0,0 +1,121 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import currency, { mint, transfer, getBalance, getAccountHistory, userAccountId, ISSUANCE_ACCOUNT } from '../../api/currency.js';
+import { query } from '../../api/supabase-config.js';
+import { useFreshDatabase, createUser, call } from '../helpers.js';
+
+let db;
+let alice;
+let bob;
+
+beforeEach(async () => {
+  db = useFreshDatabase();
+  alice = await createUser(db, 'alice');
+  bob = await createUser(db, 'bob');
+  await mint({ adminId: 'admin', toUserId: alice.id, amount: 100, idempotencyKey: 'seed' });
+});
+
+describe('postTransaction', () => {
+  it('moves credits between accounts with balanced entries', async () => {
+    const { entries, replayed } = await transfer({ fromUserId: alice.id, toUserId: bob.id, amount: 30, idempotencyKey: 'k1' });
+    expect(replayed).toBe(false);
+    expect(entries.reduce((sum, entry) => sum + entry.amount, 0)).toBe(0);
+    expect(await getBalance(userAccountId(alice.id))).toBe(70);
+    expect(await getBalance(userAccountId(bob.id))).toBe(30);
+    expect(await getBalance(ISSUANCE_ACCOUNT)).toBe(-100);
+  });
+
+  it('records the balance after each entry', async () => {
+    await transfer({ fromUserId: alice.id, toUserId: bob.id, amount: 10, idempotencyKey: 'k1' });
+    await transfer({ fromUserId: alice.id, toUserId: bob.id, amount: 15, idempotencyKey: 'k2' });
+    const { entries, total } = await getAccountHistory(userAccountId(alice.id));
+    expect(total).toBe(3);
+    expect(entries.map((entry) => entry.balanceAfter).sort((a, b) => a - b)).toEqual([75, 90, 100]);
+  });
+
+  it('replays an idempotency key instead of posting twice', async () => {
+    const first = await transfer({ fromUserId: alice.id, toUserId: bob.id, amount: 5, idempotencyKey: 'same' });
+    const second = await transfer({ fromUserId: alice.id, toUserId: bob.id, amount: 5, idempotencyKey: 'same' });
+    expect(second.replayed).toBe(true);
+    expect(second.transaction.id).toBe(first.transaction.id);
+    expect(await getBalance(userAccountId(bob.id))).toBe(5);
+  });
+
+  it('rejects a reused key with a different payload', async () => {
+    await transfer({ fromUserId: alice.id, toUserId: bob.id, amount: 5, idempotencyKey: 'same' });
+    await expect(transfer({ fromUserId: alice.id, toUserId: bob.id, amount: 6, idempotencyKey: 'same' }))
+      .rejects.toMatchObject({ status: 409, code: 'IDEMPOTENCY_KEY_REUSED' });
+  });
+
+  it('refuses to overdraw a user account and leaves no trace', async () => {
+    await expect(transfer({ fromUserId: alice.id, toUserId: bob.id, amount: 101, idempotencyKey: 'big' }))
+      .rejects.toMatchObject({ status: 422, code: 'INSUFFICIENT_FUNDS' });
+    expect(await getBalance(userAccountId(alice.id))).toBe(100);
+    expect((await getAccountHistory(userAccountId(alice.id))).total).toBe(1);
+  });
+
+  it('checks each balance against the others posted alongside it', async () => {
+    const results = await Promise.allSettled([
+      transfer({ fromUserId: alice.id, toUserId: bob.id, amount: 60, idempotencyKey: 'a' }),
+      transfer({ fromUserId: alice.id, toUserId: bob.id, amount: 60, idempotencyKey: 'b' })
+    ]);
+    expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(await getBalance(userAccountId(alice.id))).toBe(40);
+    expect(await getBalance(userAccountId(bob.id))).toBe(60);
+  });
+});
+
+describe('POST /api/currency', () => {
+  it('transfers by username', async () => {
+    const res = await call(currency, {
+      method: 'POST',
+      user: alice,
+      body: { action: 'transfer', toUsername: 'bob', amount: 12, idempotencyKey: 'u1' }
+    });
+    expect(res.statusCode).toBe(201);
+    expect(await getBalance(userAccountId(bob.id))).toBe(12);
+  });
+
+  it('reports an unknown username', async () => {
+    const res = await call(currency, {
+      method: 'POST',
+      user: alice,
+      body: { action: 'transfer', toUsername: 'nobody', amount: 1, idempotencyKey: 'u2' }
+    });
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error.code).toBe('USER_NOT_FOUND');
+  });
+
+  it('reports an unknown recipient id without opening an account for it', async () => {
+    for (const to of ['5f0c2a4e-8d61-4c1b-9e57-0a3b6c2d9e10', 'anything']) {
+      const res = await call(currency, {
+        method: 'POST',
+        user: alice,
+        body: { action: 'transfer', to, amount: 1, idempotencyKey: `id-${to}` }
+      });
+      expect(res.statusCode).toBe(404);
+      expect(res.body.error.code).toBe('USER_NOT_FOUND');
+      expect(await query(db.from('ledger_accounts').select('*').eq('id', userAccountId(to)))).toEqual([]);
+    }
+  });
+
+  it('transfers by user id', async () => {
+    const res = await call(currency, {
+      method: 'POST',
+      user: alice,
+      body: { action: 'transfer', to: bob.id, amount: 3, idempotencyKey: 'u3' }
+    });
+    expect(res.statusCode).toBe(201);
+    expect(await getBalance(userAccountId(bob.id))).toBe(3);
+  });
+});
+
+describe('GET /api/currency?action=history', () => {
+  it('names the users on the other side of each entry', async () => {
+    await transfer({ fromUserId: alice.id, toUserId: bob.id, amount: 7, idempotencyKey: 'h1' });
+    const res = await call(currency, { user: alice, query: { action: 'history' } });
+    expect(res.body.entries.map((entry) => entry.counterparties)).toEqual(
+      expect.arrayContaining([[userAccountId(bob.id)], [ISSUANCE_ACCOUNT]])
+    );
+    expect(res.body.usernames).toEqual({ [bob.id]: 'bob' });
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import { diffText, diffFiles } from '../../api/_diff.js';
+
+const lines = (count, label) => Array.from({ length: count }, (_, i) => (i % 2 ? `${label} ${i}` : `line ${i}`)).join('\n');
+
+describe('diffText', () => {
+  it('returns hunks with context around each change', () => {
+    const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'].join('\n');
+    const after = ['a', 'b', 'c', 'd', 'E', 'f', 'g', 'h'].join('\n');
+    const { additions, deletions, hunks } = diffText(before, after);
+    expect({ additions, deletions }).toEqual({ additions: 1, deletions: 1 });
+    expect(hunks).toEqual([
+      { oldStart: 2, newStart: 2, oldLines: 7, newLines: 7, lines: [' b', ' c', ' d', '-e', '+E', ' f', ' g', ' h'] }
+    ]);
+  });
+
+  it('treats added and removed files as all additions or deletions', () => {
+    expect(diffText('', 'x\ny')).toMatchObject({ additions: 2, deletions: 0 });
+    expect(diffText('x\ny', '')).toMatchObject({ additions: 0, deletions: 2 });
+  });
+});
+
+describe('diffFiles', () => {
+  it('reports added, removed and modified paths only', () => {
+    const result = diffFiles({ 'a.js': '1', 'b.js': '2', 'c.js': '3' }, { 'a.js': '1', 'b.js': '2!', 'd.js': '4' });
+    expect(result.map(({ path, status }) => [path, status])).toEqual([
+      ['b.js', 'modified'],
+      ['c.js', 'removed'],
+      ['d.js', 'added']
+    ]);
+  });
+
+  it('replaces files whole once the total work budget is spent', () => {
+    // Each file costs ~2.25M cells: under the per-file bound, but ten of them are not
+    const before = {};
+    const after = {};
+    for (let i = 0; i < 10; i += 1) {
+      before[`f${i}.txt`] = lines(1500, 'old');
+      after[`f${i}.txt`] = lines(1500, 'new');
+    }
+    const result = diffFiles(before, after);
+    expect(result[0].additions).toBe(750);
+    // Everything after the shared first line, as one block
+    expect(result[result.length - 1].additions).toBe(1499);
+    expect(result[result.length - 1].hunks).toHaveLength(1);
+  });
+});
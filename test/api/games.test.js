@@ -0,0 +1,68 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { publishGame, startSession, submitScore } from '../../api/games.js';
+import { createProject } from '../../api/projects.js';
+import { query } from '../../api/supabase-config.js';
+import { useFreshDatabase, createUser } from '../helpers.js';
+
+let db;
+let alice;
+let bob;
+let game;
+
+// Backdates a session past the minimum play time
+const finishRun = (session) => query(
+  db.from('game_sessions').update({ started_at: new Date(Date.now() - 60_000).toISOString() }).eq('id', session.id)
+);
+
+beforeEach(async () => {
+  db = useFreshDatabase();
+  alice = await createUser(db, 'alice');
+  bob = await createUser(db, 'bob');
+  const project = await createProject({ ownerId: alice.id, name: 'Runner', files: { 'index.html': '<canvas></canvas>' } });
+  ({ game } = await publishGame({ projectId: project.id, userId: alice.id, fields: {} }));
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe('play tokens', () => {
+  it('accepts one score per run and ranks it', async () => {
+    const { session } = await startSession({ gameId: game.id, userId: bob.id });
+    await finishRun(session);
+    const result = await submitScore({ gameId: game.id, userId: bob.id, token: session.token, score: 42 });
+    expect(result).toMatchObject({ score: 42, best: 42, improved: true, rank: 1 });
+    await expect(submitScore({ gameId: game.id, userId: bob.id, token: session.token, score: 99 }))
+      .rejects.toMatchObject({ status: 409, code: 'SCORE_ALREADY_SUBMITTED' });
+  });
+
+  it('rejects an instant finish', async () => {
+    const { session } = await startSession({ gameId: game.id, userId: bob.id });
+    await expect(submitScore({ gameId: game.id, userId: bob.id, token: session.token, score: 1 }))
+      .rejects.toMatchObject({ status: 422, code: 'SESSION_TOO_SHORT' });
+  });
+
+  it('binds the token to its player and signature', async () => {
+    const { session } = await startSession({ gameId: game.id, userId: bob.id });
+    await finishRun(session);
+    await expect(submitScore({ gameId: game.id, userId: alice.id, token: session.token, score: 1 }))
+      .rejects.toMatchObject({ status: 403, code: 'SESSION_MISMATCH' });
+
+    const [encoded, signature] = session.token.split('.');
+    const claims = JSON.parse(Buffer.from(encoded, 'base64url').toString());
+    const forged = `${Buffer.from(JSON.stringify({ ...claims, uid: alice.id })).toString('base64url')}.${signature}`;
+    await expect(submitScore({ gameId: game.id, userId: alice.id, token: forged, score: 1 }))
+      .rejects.toMatchObject({ status: 401, code: 'INVALID_SESSION_TOKEN' });
+  });
+
+  it('refuses to issue tokens in production without GAMES_SESSION_SECRET', async () => {
+    vi.stubEnv('NODE_ENV', 'production');
+    vi.stubEnv('GAMES_SESSION_SECRET', '');
+    await expect(startSession({ gameId: game.id, userId: bob.id }))
+      .rejects.toMatchObject({ status: 500, code: 'SESSION_SECRET_MISSING' });
+
+    vi.stubEnv('GAMES_SESSION_SECRET', 'configured');
+    const { session } = await startSession({ gameId: game.id, userId: bob.id });
+    expect(session.token).toMatch(/^[\w-]+\.[\w-]+$/);
+  });
+});
@@ -0,0 +1,106 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import items, { createItem, purchaseItem, TREASURY_ACCOUNT } from '../../api/items.js';
+import { mint, getBalance, userAccountId } from '../../api/currency.js';
+import { query } from '../../api/supabase-config.js';
+import { useFreshDatabase, createUser, call } from '../helpers.js';
+
+let db;
+let alice;
+
+const inventory = () => query(db.from('inventory_items').select('*').eq('owner_id', alice.id));
+
+beforeEach(async () => {
+  db = useFreshDatabase();
+  alice = await createUser(db, 'alice');
+  await mint({ adminId: 'admin', toUserId: alice.id, amount: 100, idempotencyKey: 'seed' });
+});
+
+describe('purchaseItem', () => {
+  it('charges the buyer and grants one row per copy', async () => {
+    const item = await createItem({ name: 'Neon Cube', price: 10, rarity: 'rare', rarity_rank: 2, asset_url: '/cube.glb', stock_limit: 5 });
+    const result = await purchaseItem({ userId: alice.id, itemId: item.id, quantity: 3, idempotencyKey: 'p1' });
+    expect(result.granted).toHaveLength(3);
+    expect(result.item).toMatchObject({ sold: 3, remaining: 2 });
+    expect(await getBalance(userAccountId(alice.id))).toBe(70);
+    expect(await getBalance(TREASURY_ACCOUNT)).toBe(30);
+  });
+
+  it('does not oversell a limited item to concurrent buyers', async () => {
+    const item = await createItem({ name: 'Last One', price: 10, rarity: 'epic', rarity_rank: 3, asset_url: '/one.glb', stock_limit: 1 });
+    const results = await Promise.allSettled([
+      purchaseItem({ userId: alice.id, itemId: item.id, idempotencyKey: 'a' }),
+      purchaseItem({ userId: alice.id, itemId: item.id, idempotencyKey: 'b' })
+    ]);
+    expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find((result) => result.status === 'rejected').reason.code).toBe('OUT_OF_STOCK');
+    expect(await inventory()).toHaveLength(1);
+    expect(await getBalance(userAccountId(alice.id))).toBe(90);
+  });
+
+  describe('when the stock runs out after payment', () => {
+    let item;
+
+    beforeEach(async () => {
+      item = await createItem({ name: 'Contested', price: 25, rarity: 'rare', rarity_rank: 2, asset_url: '/c.glb', stock_limit: 2 });
+      // Another instance sells the remaining stock between the check and the increment
+      const rpc = db.rpc;
+      db.rpc = async (fn, args) => {
+        if (fn === 'increment_item_sold_count') {
+          await query(db.from('items').update({ sold_count: 2 }).eq('id', item.id));
+          db.rpc = rpc;
+        }
+        return rpc(fn, args);
+      };
+    });
+
+    it('removes the granted copies and refunds the payment', async () => {
+      await expect(purchaseItem({ userId: alice.id, itemId: item.id, quantity: 2, idempotencyKey: 'p1' }))
+        .rejects.toMatchObject({ status: 409, code: 'OUT_OF_STOCK' });
+      expect(await inventory()).toEqual([]);
+      expect(await getBalance(userAccountId(alice.id))).toBe(100);
+      expect(await getBalance(TREASURY_ACCOUNT)).toBe(0);
+    });
+
+    it('reports the same failure when the key is replayed', async () => {
+      await expect(purchaseItem({ userId: alice.id, itemId: item.id, quantity: 2, idempotencyKey: 'p1' })).rejects.toThrow();
+      await expect(purchaseItem({ userId: alice.id, itemId: item.id, quantity: 2, idempotencyKey: 'p1' }))
+        .rejects.toMatchObject({ status: 409, code: 'OUT_OF_STOCK', details: { remaining: 0 } });
+      expect(await getBalance(userAccountId(alice.id))).toBe(100);
+    });
+  });
+
+  it('replays a completed purchase with its copies', async () => {
+    const item = await createItem({ name: 'Orb', price: 5, rarity: 'common', rarity_rank: 0, asset_url: '/orb.glb' });
+    const first = await purchaseItem({ userId: alice.id, itemId: item.id, quantity: 2, idempotencyKey: 'p1' });
+    const second = await purchaseItem({ userId: alice.id, itemId: item.id, quantity: 2, idempotencyKey: 'p1' });
+    expect(second.replayed).toBe(true);
+    expect(second.granted.map((row) => row.id).sort()).toEqual(first.granted.map((row) => row.id).sort());
+    expect(await getBalance(userAccountId(alice.id))).toBe(90);
+  });
+});
+
+describe('GET /api/items', () => {
+  it('answers 404 for an id that is not a uuid', async () => {
+    const res = await call(items, { query: { action: 'item', id: 'not-a-uuid' } });
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error.code).toBe('ITEM_NOT_FOUND');
+  });
+
+  it('shows an empty inventory for a malformed user id', async () => {
+    const res = await call(items, { query: { action: 'inventory', userId: '1 or 1=1' } });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.inventory).toEqual([]);
+  });
+});
+
+describe('POST /api/items', () => {
+  it('answers 404 when buying an item id that is not a uuid', async () => {
+    const res = await call(items, {
+      method: 'POST',
+      user: alice,
+      body: { action: 'buy', itemId: '42', idempotencyKey: 'b1' }
+    });
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error.code).toBe('ITEM_NOT_FOUND');
+  });
+});
@@ -0,0 +1,101 @@
+import { createServer } from 'net';
+import nodemailer from 'nodemailer';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import auth from '../../api/auth.js';
+import { setTransport } from '../../api/_mailer.js';
+import { useFreshDatabase, createUser, call } from '../helpers.js';
+
+// Just enough SMTP to accept messages from nodemailer and keep them
+function startSmtpSink() {
+  const messages = [];
+  const server = createServer((socket) => {
+    let buffer = '';
+    let message = null;
+    socket.write('220 sink ready\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let newline;
+      while ((newline = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        if (message) {
+          if (line === '.') {
+            messages.push(message.lines.join('\n'));
+            message = null;
+            socket.write('250 queued\r\n');
+          } else {
+            message.lines.push(line);
+          }
+        } else if (/^DATA/i.test(line)) {
+          message = { lines: [] };
+          socket.write('354 go ahead\r\n');
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('250 ok\r\n');
+        }
+      }
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, messages, port: server.address().port }));
+  });
+}
+
+let sink;
+let alice;
+
+beforeAll(async () => {
+  sink = await startSmtpSink();
+  setTransport(nodemailer.createTransport({ host: '127.0.0.1', port: sink.port, secure: false, ignoreTLS: true }));
+});
+
+afterAll(() => {
+  setTransport(null);
+  return new Promise((resolve) => sink.server.close(resolve));
+});
+
+beforeEach(async () => {
+  sink.messages.length = 0;
+  alice = await createUser(useFreshDatabase(), 'alice');
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+});
+
+const forgotPassword = () => call(auth, {
+  method: 'POST',
+  body: { action: 'forgot-password', email: alice.email },
+  headers: { 'x-forwarded-host': 'attacker.example', 'x-forwarded-proto': 'https' }
+});
+
+describe('password reset mail', () => {
+  it('links to APP_URL whatever host the request names', async () => {
+    vi.stubEnv('APP_URL', 'https://virtualmark.example/');
+    vi.spyOn(console, 'info').mockImplementation(() => {});
+    const res = await forgotPassword();
+    expect(res.statusCode).toBe(200);
+    expect(sink.messages).toHaveLength(1);
+    expect(sink.messages[0]).toContain('https://virtualmark.example/?reset=');
+    expect(sink.messages[0]).not.toContain('attacker.example');
+  });
+
+  it('refuses to build links from request headers in production', async () => {
+    vi.stubEnv('NODE_ENV', 'production');
+    vi.stubEnv('APP_URL', '');
+    const res = await forgotPassword();
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error.code).toBe('APP_URL_MISSING');
+    expect(sink.messages).toHaveLength(0);
+  });
+
+  it('logs the subject and recipient but not the link', async () => {
+    vi.stubEnv('APP_URL', 'https://virtualmark.example');
+    const info = vi.spyOn(console, 'info').mockImplementation(() => {});
+    await forgotPassword();
+    expect(info).toHaveBeenCalledWith(`[mail] Reset your VirtualMark password -> ${alice.email}`);
+    expect(info.mock.calls.flat().join('\n')).not.toContain('reset=');
+  });
+});
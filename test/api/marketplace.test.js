@@ -0,0 +1,143 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import marketplace, { createListing, makeOffer, respondToOffer } from '../../api/marketplace.js';
+import { createItem } from '../../api/items.js';
+import { mint, getBalance, userAccountId } from '../../api/currency.js';
+import { query } from '../../api/supabase-config.js';
+import { useFreshDatabase, createUser, call } from '../helpers.js';
+
+let db;
+let alice;
+let bob;
+let carol;
+
+const trade = (sellerId, buyerId) => ({
+  listing_id: crypto.randomUUID(),
+  item_id: crypto.randomUUID(),
+  inventory_item_id: crypto.randomUUID(),
+  seller_id: sellerId,
+  buyer_id: buyerId,
+  price: 10,
+  settled_at: new Date().toISOString()
+});
+
+beforeEach(async () => {
+  db = useFreshDatabase();
+  alice = await createUser(db, 'alice');
+  bob = await createUser(db, 'bob');
+  carol = await createUser(db, 'carol');
+  await query(db.from('trades').insert([trade(alice.id, bob.id), trade(bob.id, alice.id), trade(bob.id, carol.id)]));
+});
+
+describe('GET /api/marketplace?action=trades', () => {
+  it('lists the trades a user was on either side of', async () => {
+    const res = await call(marketplace, { query: { action: 'trades', userId: alice.id } });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.total).toBe(2);
+  });
+
+  it('refuses a userId that would extend the filter', async () => {
+    const res = await call(marketplace, { query: { action: 'trades', userId: `${alice.id},seller_id.neq.x` } });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_USER');
+  });
+});
+
+describe('escrow', () => {
+  let listing;
+
+  beforeEach(async () => {
+    const item = await createItem({ name: 'Relic', price: 5, rarity: 'rare', rarity_rank: 2, asset_url: '/relic.glb' });
+    const copy = await query(
+      db.from('inventory_items').insert({ item_id: item.id, owner_id: alice.id, acquired_via: 'purchase', listing_id: null }).select().single()
+    );
+    ({ listing } = await createListing({ sellerId: alice.id, inventoryItemId: copy.id, askPrice: 50, hours: 24, idempotencyKey: 'l1' }));
+    await mint({ adminId: 'admin', toUserId: bob.id, amount: 40, idempotencyKey: 'seed' });
+  });
+
+  it('holds an offer in escrow and refunds it on rejection', async () => {
+    const { offer } = await makeOffer({ buyerId: bob.id, listingId: listing.id, amount: 30, hours: 24, idempotencyKey: 'o1' });
+    expect(await getBalance(userAccountId(bob.id))).toBe(10);
+    expect(await getBalance(`escrow:${offer.id}`)).toBe(30);
+
+    await respondToOffer({ userId: alice.id, offerId: offer.id, response: 'reject' });
+    expect(await getBalance(userAccountId(bob.id))).toBe(40);
+    expect(await getBalance(`escrow:${offer.id}`)).toBe(0);
+  });
+
+  it('leaves no offer or escrow behind when the buyer cannot cover it', async () => {
+    await expect(makeOffer({ buyerId: bob.id, listingId: listing.id, amount: 45, hours: 24, idempotencyKey: 'o1' }))
+      .rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS' });
+    expect(await query(db.from('offers').select('*'))).toEqual([]);
+    expect(await query(db.from('ledger_accounts').select('*').ilike('id', 'escrow:%'))).toEqual([]);
+    expect(await getBalance(userAccountId(bob.id))).toBe(40);
+  });
+
+  describe('accepting an offer', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('settles the trade and releases the escrow keyed by the offer', async () => {
+      const { offer } = await makeOffer({ buyerId: bob.id, listingId: listing.id, amount: 30, hours: 24, idempotencyKey: 'o1' });
+      const result = await respondToOffer({ userId: alice.id, offerId: offer.id, response: 'accept' });
+      expect(result.listing).toMatchObject({ status: 'sold', buyerId: bob.id, acceptedOfferId: offer.id });
+      expect(await getBalance(userAccountId(alice.id))).toBe(30);
+      const release = await query(db.from('ledger_transactions').select('*').eq('type', 'escrow_release').single());
+      expect(release.idempotency_key).toBe(`system:marketplace:escrow-release:${offer.id}`);
+    });
+
+    it('refuses an offer that has expired before the settlement job ran', async () => {
+      const { offer } = await makeOffer({ buyerId: bob.id, listingId: listing.id, amount: 30, hours: 1, idempotencyKey: 'o1' });
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(Date.now() + 2 * 60 * 60 * 1000);
+      await expect(respondToOffer({ userId: alice.id, offerId: offer.id, response: 'accept' }))
+        .rejects.toMatchObject({ status: 409, code: 'OFFER_EXPIRED' });
+      expect(await getBalance(`escrow:${offer.id}`)).toBe(30);
+    });
+
+    it('refuses an offer on a listing that has expired', async () => {
+      const { offer } = await makeOffer({ buyerId: bob.id, listingId: listing.id, amount: 30, hours: 48, idempotencyKey: 'o1' });
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(Date.now() + 25 * 60 * 60 * 1000);
+      await expect(respondToOffer({ userId: alice.id, offerId: offer.id, response: 'accept' }))
+        .rejects.toMatchObject({ status: 409, code: 'OFFER_EXPIRED' });
+    });
+
+    it('lets only one of two racing accepts claim the listing', async () => {
+      await mint({ adminId: 'admin', toUserId: carol.id, amount: 40, idempotencyKey: 'seed-carol' });
+      const { offer: bobs } = await makeOffer({ buyerId: bob.id, listingId: listing.id, amount: 30, hours: 24, idempotencyKey: 'o1' });
+      const { offer: carols } = await makeOffer({ buyerId: carol.id, listingId: listing.id, amount: 35, hours: 24, idempotencyKey: 'o2' });
+
+      // Another instance accepts carol's offer after this one read the listing
+      const from = db.from.bind(db);
+      let listingQueries = 0;
+      db.from = (table) => {
+        if (table === 'listings' && ++listingQueries === 2) {
+          db.from = from;
+          from('listings').update({ status: 'pending', buyer_id: carol.id, accepted_offer_id: carols.id }).eq('id', listing.id).execute();
+        }
+        return from(table);
+      };
+
+      await expect(respondToOffer({ userId: alice.id, offerId: bobs.id, response: 'accept' }))
+        .rejects.toMatchObject({ status: 409, code: 'LISTING_CLOSED' });
+      const row = await query(db.from('listings').select('*').eq('id', listing.id).single());
+      expect(row).toMatchObject({ status: 'pending', buyer_id: carol.id, accepted_offer_id: carols.id });
+      expect(await getBalance(`escrow:${bobs.id}`)).toBe(30);
+    });
+  });
+});
+
+describe('ids that are not uuids', () => {
+  it('answer 404 for a listing', async () => {
+    const res = await call(marketplace, { query: { action: 'listing', id: 'nope' } });
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error.code).toBe('LISTING_NOT_FOUND');
+  });
+
+  it('answer 404 for an offer', async () => {
+    const res = await call(marketplace, { method: 'POST', user: alice, body: { action: 'accept', offerId: 'nope' } });
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error.code).toBe('OFFER_NOT_FOUND');
+  });
+});
@@ -0,0 +1,213 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import projects from '../../api/projects.js';
+import { useFreshDatabase, createUser, call } from '../helpers.js';
+
+let db;
+let alice;
+
+beforeEach(async () => {
+  db = useFreshDatabase();
+  alice = await createUser(db, 'alice');
+});
+
+describe('POST /api/projects', () => {
+  it('creates a project with normalized paths', async () => {
+    const res = await call(projects, { method: 'POST', user: alice, body: { name: 'Game', files: { './src\\main.js': 'x' } } });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.project.files).toEqual({ 'src/main.js': 'x' });
+  });
+
+  it('rejects two paths that name the same file', async () => {
+    const res = await call(projects, { method: 'POST', user: alice, body: { name: 'Game', files: { 'main.js': 'a', './main.js': 'b' } } });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.code).toBe('DUPLICATE_PATH');
+  });
+
+  it('rejects an unknown action instead of creating a project', async () => {
+    const res = await call(projects, { method: 'POST', user: alice, body: { action: 'resotre', name: 'Game', files: {} } });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.code).toBe('UNKNOWN_ACTION');
+  });
+});
+
+describe('PATCH /api/projects', () => {
+  it('rejects a patch that touches one file under two paths', async () => {
+    const created = await call(projects, { method: 'POST', user: alice, body: { name: 'Game', files: { 'main.js': 'a' } } });
+    const res = await call(projects, {
+      method: 'PATCH',
+      user: alice,
+      query: { id: created.body.project.id },
+      body: { files: { 'main.js': null, './main.js': 'b' } }
+    });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.code).toBe('DUPLICATE_PATH');
+  });
+});
+
+describe('GET /api/projects versions', () => {
+  let project;
+
+  beforeEach(async () => {
+    const res = await call(projects, { method: 'POST', user: alice, body: { name: 'Game', files: { 'main.js': 'a' } } });
+    project = res.body.project;
+  });
+
+  const get = (query) => call(projects, { user: alice, query: { id: project.id, ...query } });
+
+  it('rejects a version that is not a positive integer', async () => {
+    for (const version of ['latest', '1.5', '0', '']) {
+      const res = await get({ action: 'version', version });
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error.code).toBe('INVALID_VERSION');
+    }
+  });
+
+  it('rejects diff bounds that are not positive integers', async () => {
+    const res = await get({ action: 'diff', from: 'abc', to: '1' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatchObject({ code: 'INVALID_VERSION', message: 'from must be a positive integer' });
+  });
+
+  it('diffs a single-version project against itself by default', async () => {
+    const res = await get({ action: 'diff' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ from: 1, to: 1 });
+  });
+
+  it('answers 404 for a project id that is not a uuid', async () => {
+    const res = await call(projects, { user: alice, query: { id: 'nope' } });
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error.code).toBe('PROJECT_NOT_FOUND');
+  });
+});
+
+describe('project share links', () => {
+  let project;
+  let bob;
+
+  beforeEach(async () => {
+    bob = await createUser(db, 'bob');
+    const res = await call(projects, { method: 'POST', user: alice, body: { name: 'Game', files: { 'main.js': 'a' } } });
+    project = res.body.project;
+  });
+
+  const act = (action, user = alice) => call(projects, { method: 'POST', user, body: { action, id: project.id } });
+  const open = (slug) => call(projects, { query: { share: slug } });
+
+  it('returns the same active link until it is rotated', async () => {
+    const first = (await act('share')).body.share;
+    expect(first).toMatchObject({ status: 'active', views: 0, url: `/p/${first.slug}`, embedUrl: `/p/${first.slug}?embed=1` });
+    expect((await act('share')).body.share.id).toBe(first.id);
+
+    const rotated = (await act('rotate-share')).body.share;
+    expect(rotated.slug).not.toBe(first.slug);
+    expect((await open(first.slug)).statusCode).toBe(404);
+    expect((await open(rotated.slug)).statusCode).toBe(200);
+  });
+
+  it('serves the project without auth and counts every view', async () => {
+    const { slug } = (await act('share')).body.share;
+    await open(slug);
+    const res = await open(slug);
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ views: 2, project: { name: 'Game', version: 1, files: { 'main.js': 'a' } } });
+    expect(res.body.project.id).toBeUndefined();
+
+    const listed = await call(projects, { user: alice, query: { id: project.id, action: 'shares' } });
+    expect(listed.body.shares).toEqual([expect.objectContaining({ slug, views: 2 })]);
+  });
+
+  it('keeps per-link view counts in the history after rotating', async () => {
+    const first = (await act('share')).body.share;
+    await open(first.slug);
+    await act('rotate-share');
+
+    const { shares } = (await call(projects, { user: alice, query: { id: project.id, action: 'shares' } })).body;
+    expect(shares.map((share) => [share.status, share.views]).sort()).toEqual([['active', 0], ['revoked', 1]]);
+  });
+
+  it('revokes the active link', async () => {
+    const { slug } = (await act('share')).body.share;
+    const res = await act('revoke-share');
+    expect(res.body).toEqual({ revoked: true });
+    const opened = await open(slug);
+    expect(opened.statusCode).toBe(404);
+    expect(opened.body.error.code).toBe('SHARE_NOT_FOUND');
+  });
+
+  it('only lets the owner manage links', async () => {
+    const res = await act('share', bob);
+    expect(res.statusCode).toBe(403);
+    expect((await open('unknown-slug')).statusCode).toBe(404);
+  });
+
+  it('drops the links when the project is deleted', async () => {
+    const { slug } = (await act('share')).body.share;
+    await call(projects, { method: 'DELETE', user: alice, query: { id: project.id } });
+    expect((await open(slug)).statusCode).toBe(404);
+  });
+});
+
+describe('project collaborators', () => {
+  let project;
+  let bob;
+  let carol;
+
+  beforeEach(async () => {
+    bob = await createUser(db, 'bob');
+    carol = await createUser(db, 'carol');
+    const res = await call(projects, { method: 'POST', user: alice, body: { name: 'Game', files: { 'main.js': 'a' } } });
+    project = res.body.project;
+  });
+
+  const post = (user, body) => call(projects, { method: 'POST', user, body: { id: project.id, ...body } });
+  const add = (username, user = alice) => post(user, { action: 'add-collaborator', username });
+
+  it('adds collaborators by username, once each', async () => {
+    await add(' Bob ');
+    const res = await add('bob');
+    expect(res.body.collaborators).toEqual([expect.objectContaining({ userId: bob.id, username: 'bob' })]);
+
+    const listed = await call(projects, { user: bob, query: { id: project.id, action: 'collaborators' } });
+    expect(listed.body.collaborators).toHaveLength(1);
+  });
+
+  it('rejects unknown users, the owner and non-owners adding people', async () => {
+    expect((await add('nobody')).body.error.code).toBe('USER_NOT_FOUND');
+    expect((await add('alice')).body.error.code).toBe('ALREADY_OWNER');
+    expect((await add('')).statusCode).toBe(400);
+
+    await add('bob');
+    expect((await add('carol', bob)).statusCode).toBe(403);
+  });
+
+  it('lets collaborators edit and list the project but not manage it', async () => {
+    await add('bob');
+    const saved = await call(projects, { method: 'PATCH', user: bob, query: { id: project.id }, body: { files: { 'b.js': 'b' } } });
+    expect(saved.body.project.files).toEqual({ 'main.js': 'a', 'b.js': 'b' });
+
+    const listed = await call(projects, { user: bob });
+    expect(listed.body.projects.map((row) => row.id)).toEqual([project.id]);
+    expect((await post(bob, { action: 'share' })).statusCode).toBe(403);
+    expect((await call(projects, { method: 'DELETE', user: bob, query: { id: project.id } })).statusCode).toBe(403);
+  });
+
+  it('keeps everyone else out', async () => {
+    const res = await call(projects, { user: carol, query: { id: project.id } });
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error.code).toBe('NOT_COLLABORATOR');
+    expect((await call(projects, { user: carol })).body.projects).toEqual([]);
+  });
+
+  it('lets the owner remove anyone and collaborators remove only themselves', async () => {
+    await add('bob');
+    await add('carol');
+    expect((await post(bob, { action: 'remove-collaborator', userId: carol.id })).statusCode).toBe(403);
+
+    const left = await post(bob, { action: 'remove-collaborator', userId: bob.id });
+    expect(left.body.collaborators.map((row) => row.username)).toEqual(['carol']);
+    const removed = await post(alice, { action: 'remove-collaborator', userId: carol.id });
+    expect(removed.body.collaborators).toEqual([]);
+    expect((await call(projects, { user: carol, query: { id: project.id } })).statusCode).toBe(403);
+  });
+});
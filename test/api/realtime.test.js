@@ -0,0 +1,88 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import projects from '../../api/projects.js';
+import realtime from '../../api/realtime.js';
+import { issueTicket, verifyTicket, TICKET_TTL_MS } from '../../api/_realtime.js';
+import { useFreshDatabase, createUser, call } from '../helpers.js';
+
+const SECRET = 'test-secret';
+const user = { id: '5f0c2a4e-8d61-4c1b-9e57-0a3b6c2d9e10', username: 'alice' };
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllEnvs();
+});
+
+describe('realtime tickets', () => {
+  it('carry the user and room they were issued for', () => {
+    expect(verifyTicket(issueTicket(user, SECRET, { room: 'project:1' }), SECRET))
+      .toEqual({ userId: user.id, username: 'alice', room: 'project:1' });
+    expect(verifyTicket(issueTicket(null, SECRET), SECRET)).toEqual({ userId: null, username: null, room: null });
+  });
+
+  it('are rejected when signed with another secret or edited', () => {
+    const ticket = issueTicket(user, SECRET, { room: 'project:1' });
+    expect(verifyTicket(ticket, 'other-secret')).toBeNull();
+
+    const [encoded, signature] = ticket.split('.');
+    const claims = JSON.parse(Buffer.from(encoded, 'base64url').toString());
+    const edited = Buffer.from(JSON.stringify({ ...claims, room: 'project:2' })).toString('base64url');
+    expect(verifyTicket(`${edited}.${signature}`, SECRET)).toBeNull();
+    expect(verifyTicket('garbage', SECRET)).toBeNull();
+    expect(verifyTicket(undefined, SECRET)).toBeNull();
+  });
+
+  it('expire after TICKET_TTL_MS', () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const ticket = issueTicket(user, SECRET, { room: 'project:1' });
+    vi.setSystemTime(Date.now() + TICKET_TTL_MS - 1);
+    expect(verifyTicket(ticket, SECRET)).not.toBeNull();
+    vi.setSystemTime(Date.now() + 2);
+    expect(verifyTicket(ticket, SECRET)).toBeNull();
+  });
+});
+
+describe('GET /api/realtime', () => {
+  let db;
+  let alice;
+
+  beforeEach(async () => {
+    db = useFreshDatabase();
+    alice = await createUser(db, 'alice');
+  });
+
+  it('sends browsers to the stand-in when no relay is configured', async () => {
+    vi.stubEnv('REALTIME_URL', '');
+    const res = await call(realtime, { user: alice });
+    expect(res.body).toEqual({ url: null, ticket: null, expiresIn: null });
+  });
+
+  it('issues a ticket for the signed-in user, or a guest ticket', async () => {
+    vi.stubEnv('REALTIME_URL', 'wss://relay.example');
+    vi.stubEnv('REALTIME_SECRET', SECRET);
+
+    const res = await call(realtime, { user: alice });
+    expect(res.headers['Cache-Control']).toBe('no-store');
+    expect(res.body).toMatchObject({ url: 'wss://relay.example', expiresIn: TICKET_TTL_MS });
+    expect(verifyTicket(res.body.ticket, SECRET)).toEqual({ userId: alice.id, username: 'alice', room: null });
+
+    const guest = await call(realtime);
+    expect(verifyTicket(guest.body.ticket, SECRET)).toEqual({ userId: null, username: null, room: null });
+  });
+
+  it('admits the owner and collaborators to a project room, and no one else', async () => {
+    vi.stubEnv('REALTIME_URL', 'wss://relay.example');
+    vi.stubEnv('REALTIME_SECRET', SECRET);
+    const bob = await createUser(db, 'bob');
+    const carol = await createUser(db, 'carol');
+    const created = await call(projects, { method: 'POST', user: alice, body: { name: 'Game', files: { 'main.js': '' } } });
+    const projectId = created.body.project.id;
+    await call(projects, { method: 'POST', user: alice, body: { action: 'add-collaborator', id: projectId, username: 'bob' } });
+
+    for (const member of [alice, bob]) {
+      const res = await call(realtime, { user: member, query: { projectId } });
+      expect(verifyTicket(res.body.ticket, SECRET)).toMatchObject({ userId: member.id, room: `project:${projectId}` });
+    }
+    expect((await call(realtime, { user: carol, query: { projectId } })).statusCode).toBe(403);
+    expect((await call(realtime, { query: { projectId } })).statusCode).toBe(401);
+  });
+});
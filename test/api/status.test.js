@@ -0,0 +1,43 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { recordHeartbeat, countOnline, ONLINE_WINDOW_MS } from '../../api/status.js';
+import { query } from '../../api/supabase-config.js';
+import { useFreshDatabase } from '../helpers.js';
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('presence', () => {
+  it('counts members once per user and guests once per tab', async () => {
+    useFreshDatabase();
+    await recordHeartbeat('tab-aaaaaaaa', 'user-1');
+    await recordHeartbeat('tab-bbbbbbbb', 'user-1');
+    await recordHeartbeat('tab-cccccccc', null);
+    expect(await countOnline()).toEqual({ total: 2, members: 1, guests: 1 });
+  });
+
+  it('prunes stale rows at an interval, not on every heartbeat', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2030-01-01T00:00:00Z'));
+    const db = useFreshDatabase();
+    const stale = (clientId) => query(db.from('presence').insert({
+      client_id: clientId,
+      user_id: null,
+      last_seen_at: new Date(Date.now() - ONLINE_WINDOW_MS - 1000).toISOString()
+    }));
+    const clients = async () => (await query(db.from('presence').select('*'))).map((row) => row.client_id).sort();
+
+    await stale('old-aaaaaaaa');
+    await recordHeartbeat('tab-aaaaaaaa', null);
+    expect(await clients()).toEqual(['tab-aaaaaaaa']);
+
+    await stale('old-bbbbbbbb');
+    await recordHeartbeat('tab-aaaaaaaa', null);
+    expect(await clients()).toEqual(['old-bbbbbbbb', 'tab-aaaaaaaa']);
+    expect(await countOnline()).toMatchObject({ total: 1 });
+
+    vi.setSystemTime(new Date('2030-01-01T00:06:00Z'));
+    await recordHeartbeat('tab-aaaaaaaa', null);
+    expect(await clients()).toEqual(['tab-aaaaaaaa']);
+  });
+});
@@ -0,0 +1,56 @@
+import { createMemoryClient, setSupabase, query } from '../api/supabase-config.js';
+import { createSession, SESSION_COOKIE } from '../api/_sessions.js';
+
+// Shared fixtures for the API tests: a fresh in-memory database per test,
+// signed-in users, and a minimal req/res pair for calling route handlers.
+
+export function useFreshDatabase() {
+  const db = createMemoryClient();
+  setSupabase(db);
+  return db;
+}
+
+export async function createUser(db, username) {
+  const user = await query(
+    db.from('users')
+      .insert({ username, email: `${username}@example.com`, password_hash: 'x', email_verified_at: null })
+      .select()
+      .single()
+  );
+  const token = await createSession(user.id, { headers: {} });
+  return { ...user, cookie: `${SESSION_COOKIE}=${token}` };
+}
+
+export async function call(handler, { method = 'GET', query: params = {}, body, user, headers = {} } = {}) {
+  const req = {
+    method,
+    query: params,
+    body,
+    headers: { host: 'localhost:3000', ...(user ? { cookie: user.cookie } : {}), ...headers }
+  };
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+    send(payload) {
+      this.body = payload;
+      return this;
+    },
+    end() {
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name] = value;
+    }
+  };
+  await handler(req, res);
+  return res;
+}
@@ -0,0 +1,74 @@
+// @vitest-environment jsdom
+import { act } from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { useAccessibilityMode } from '../../src/lib/accessibility.js';
+import { renderHook } from '../render-hook.js';
+
+let hook;
+let media;
+
+// jsdom has no matchMedia; this one answers the reduced-motion query and can flip it
+function stubReducedMotion(matches) {
+  const listeners = new Set();
+  media = {
+    matches,
+    addEventListener: (type, listener) => listeners.add(listener),
+    removeEventListener: (type, listener) => listeners.delete(listener),
+    change(next) {
+      this.matches = next;
+      listeners.forEach((listener) => listener({ matches: next }));
+    }
+  };
+  window.matchMedia = vi.fn(() => media);
+}
+
+beforeEach(() => {
+  window.localStorage.clear();
+  stubReducedMotion(false);
+});
+
+afterEach(() => {
+  hook?.unmount();
+  hook = null;
+  delete window.matchMedia;
+});
+
+describe('useAccessibilityMode', () => {
+  it('follows the OS setting in auto mode, including later changes', () => {
+    stubReducedMotion(true);
+    hook = renderHook(useAccessibilityMode);
+    expect(hook.result.current).toMatchObject({ preference: 'auto', enabled: true, systemReduced: true });
+    expect(document.documentElement.hasAttribute('data-a11y')).toBe(true);
+
+    act(() => media.change(false));
+    expect(hook.result.current.enabled).toBe(false);
+    expect(document.documentElement.hasAttribute('data-a11y')).toBe(false);
+  });
+
+  it('pins the opposite of the effective state when toggled', () => {
+    stubReducedMotion(true);
+    hook = renderHook(useAccessibilityMode);
+    act(() => hook.result.current.toggle());
+    expect(hook.result.current).toMatchObject({ preference: 'off', enabled: false });
+
+    act(() => media.change(false));
+    act(() => hook.result.current.toggle());
+    expect(hook.result.current).toMatchObject({ preference: 'on', enabled: true });
+    expect(window.localStorage.getItem('virtualmark.a11y')).toBe('on');
+  });
+
+  it('restores a stored preference and ignores unknown ones', () => {
+    window.localStorage.setItem('virtualmark.a11y', 'on');
+    hook = renderHook(useAccessibilityMode);
+    expect(hook.result.current.enabled).toBe(true);
+
+    act(() => hook.result.current.setPreference('sometimes'));
+    expect(hook.result.current.preference).toBe('on');
+  });
+
+  it('works without matchMedia', () => {
+    delete window.matchMedia;
+    hook = renderHook(useAccessibilityMode);
+    expect(hook.result.current).toMatchObject({ enabled: false, systemReduced: false });
+  });
+});
@@ -0,0 +1,59 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { apiFetch, ApiRequestError, projectsApi } from '../../src/lib/api.js';
+
+let fetchMock;
+
+const respond = (status, payload) => fetchMock.mockResolvedValueOnce({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: 'Status',
+  json: async () => payload
+});
+
+beforeEach(() => {
+  fetchMock = vi.fn();
+  vi.stubGlobal('fetch', fetchMock);
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('apiFetch', () => {
+  it('builds the query string without empty parameters and sends JSON bodies', async () => {
+    respond(200, { ok: true });
+    await apiFetch('projects', { method: 'POST', params: { id: 'p1', action: '', tags: ['a', 'b'] }, body: { x: 1 }, idempotencyKey: 'k' });
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('/api/projects?id=p1&tags=a%2Cb');
+    expect(init.headers).toMatchObject({ 'Content-Type': 'application/json', 'Idempotency-Key': 'k' });
+    expect(init.body).toBe('{"x":1}');
+  });
+
+  it('throws the structured API error', async () => {
+    respond(409, { error: { code: 'VERSION_CONFLICT', message: 'Stale', details: { version: 3 } } });
+    const error = await apiFetch('projects').catch((err) => err);
+    expect(error).toBeInstanceOf(ApiRequestError);
+    expect(error).toMatchObject({ status: 409, code: 'VERSION_CONFLICT', message: 'Stale', details: { version: 3 } });
+  });
+
+  it('reports an HTTP_ERROR when the body is not JSON', async () => {
+    fetchMock.mockResolvedValueOnce({ ok: false, status: 502, statusText: 'Bad Gateway', json: async () => { throw new Error('html'); } });
+    await expect(apiFetch('projects')).rejects.toMatchObject({ status: 502, code: 'HTTP_ERROR', message: 'Bad Gateway' });
+  });
+});
+
+describe('projectsApi', () => {
+  it('unwraps the project from responses', async () => {
+    respond(200, { project: { id: 'p1' } });
+    expect(await projectsApi.get('p1')).toEqual({ id: 'p1' });
+  });
+
+  it('sends merge-saves as PATCH with the base version', async () => {
+    respond(200, { project: { id: 'p1', version: 2 } });
+    await projectsApi.patch('p1', { files: { 'a.js': null }, baseVersion: 1 });
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('/api/projects?id=p1');
+    expect(init.method).toBe('PATCH');
+    expect(JSON.parse(init.body)).toEqual({ files: { 'a.js': null }, baseVersion: 1 });
+  });
+});
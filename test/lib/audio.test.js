@@ -0,0 +1,222 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Just enough of the Web Audio graph to record what the engine builds
+const param = (value = 0) => ({
+  value,
+  setValueAtTime: vi.fn(),
+  linearRampToValueAtTime: vi.fn(),
+  exponentialRampToValueAtTime: vi.fn(),
+  setTargetAtTime: vi.fn(),
+  cancelScheduledValues: vi.fn()
+});
+
+const node = (extra) => ({ connect: vi.fn((next) => next), ...extra });
+
+class FakeAudioContext {
+  constructor() {
+    FakeAudioContext.instances.push(this);
+    this.state = 'running';
+    this.currentTime = 0;
+    this.destination = node();
+    this.oscillators = [];
+    this.panners = [];
+  }
+
+  createGain() {
+    return node({ gain: param(1) });
+  }
+
+  createOscillator() {
+    const osc = node({ frequency: param(), start: vi.fn(), stop: vi.fn() });
+    this.oscillators.push(osc);
+    return osc;
+  }
+
+  createAnalyser() {
+    // Samples the test sets; 128 is silence
+    this.samples = [];
+    return node({ getByteTimeDomainData: (data) => data.set(this.samples.slice(0, data.length)) });
+  }
+
+  createMediaStreamSource(stream) {
+    return node({ stream, disconnect: vi.fn() });
+  }
+
+  createPanner() {
+    const panner = node({ positionX: param(), positionY: param(), positionZ: param() });
+    this.panners.push(panner);
+    return panner;
+  }
+
+  resume() {
+    this.state = 'running';
+  }
+}
+
+let audio;
+
+beforeEach(async () => {
+  FakeAudioContext.instances = [];
+  window.AudioContext = FakeAudioContext;
+  window.localStorage.clear();
+  // The engine keeps its context and settings at module level
+  vi.resetModules();
+  audio = await import('../../src/lib/audio.js');
+});
+
+afterEach(() => {
+  delete window.AudioContext;
+});
+
+const context = () => FakeAudioContext.instances[0];
+
+describe('audio engine', () => {
+  it('stays silent until a gesture unlocks it', () => {
+    audio.playSound('click');
+    expect(FakeAudioContext.instances).toHaveLength(0);
+    expect(audio.getAudioState()).toMatchObject({ unlocked: false, volume: 0.6, muted: false });
+
+    audio.unlockAudio();
+    audio.unlockAudio();
+    expect(FakeAudioContext.instances).toHaveLength(1);
+    expect(audio.getAudioState().unlocked).toBe(true);
+  });
+
+  it('unlocks on the first key press and stops listening', () => {
+    audio.installAudioUnlock();
+    window.dispatchEvent(new KeyboardEvent('keydown'));
+    window.dispatchEvent(new KeyboardEvent('keydown'));
+    expect(FakeAudioContext.instances).toHaveLength(1);
+  });
+
+  it('plays every tone of a preset, shifted by pitch', () => {
+    audio.unlockAudio();
+    audio.playSound('click', { pitch: 12 });
+    const [first, second] = context().oscillators;
+    expect(context().oscillators).toHaveLength(2);
+    expect(first.frequency.setValueAtTime).toHaveBeenCalledWith(1760, 0);
+    expect(first.frequency.exponentialRampToValueAtTime).toHaveBeenCalledWith(1320, 0.08);
+    expect(second.frequency.setValueAtTime).toHaveBeenCalledWith(2640, 0);
+  });
+
+  it('throttles repeats inside the minimum interval', () => {
+    audio.unlockAudio();
+    audio.playSound('hover');
+    context().currentTime = 0.01;
+    audio.playSound('hover');
+    expect(context().oscillators).toHaveLength(1);
+  });
+
+  it('stops the oldest voice of a preset past its voice limit', () => {
+    audio.unlockAudio();
+    for (let i = 0; i < 4; i++) {
+      context().currentTime = i * 0.05;
+      audio.playSound('hover');
+    }
+    const [oldest, ...rest] = context().oscillators;
+    expect(oldest.stop).toHaveBeenLastCalledWith(expect.closeTo(0.2, 5));
+    rest.forEach((osc) => expect(osc.stop).toHaveBeenCalledTimes(1));
+  });
+
+  it('places a sound where its element sits on screen (here the top-right corner)', () => {
+    audio.unlockAudio();
+    const element = { getBoundingClientRect: () => ({ left: window.innerWidth, top: 0, width: 0, height: 0 }) };
+    audio.playSound('click', { element });
+    const [panner] = context().panners;
+    expect(panner.positionX.value).toBe(3);
+    expect(panner.positionY.value).toBe(3);
+    expect(panner.positionZ.value).toBe(-2);
+  });
+
+  it('places a sound at a given point, such as a projected scene object', () => {
+    expect(audio.screenPosition({ x: -1, y: 0.5 })).toEqual({ x: -3, y: 1.5, z: -2 });
+    audio.unlockAudio();
+    audio.playSound('click', { position: audio.screenPosition({ x: 1, y: 1 }) });
+    const [panner] = context().panners;
+    expect([panner.positionX.value, panner.positionY.value, panner.positionZ.value]).toEqual([3, 3, -2]);
+  });
+
+  it('clamps and persists volume and mutes playback', () => {
+    audio.unlockAudio();
+    audio.setVolume(4);
+    expect(JSON.parse(window.localStorage.getItem('virtualmark.audio'))).toEqual({ volume: 1, muted: false });
+
+    audio.setMuted(true);
+    audio.playSound('click');
+    expect(context().oscillators).toHaveLength(0);
+  });
+
+  it('restores saved settings on load', async () => {
+    window.localStorage.setItem('virtualmark.audio', JSON.stringify({ volume: 0.25, muted: true }));
+    vi.resetModules();
+    audio = await import('../../src/lib/audio.js');
+    expect(audio.getAudioState()).toMatchObject({ volume: 0.25, muted: true });
+  });
+});
+
+describe('analyser', () => {
+  it('reads a smoothed level with fast attack and slow release', () => {
+    expect(audio.getAudioLevel()).toBe(0);
+    audio.unlockAudio();
+
+    // A square wave at a quarter of full scale reads as full level
+    context().samples = Array.from({ length: 1024 }, (_, i) => (i % 2 ? 160 : 96));
+    context().currentTime = 1;
+    expect(audio.getAudioLevel()).toBe(1);
+
+    context().samples = new Array(1024).fill(128);
+    expect(audio.getAudioLevel()).toBe(1);
+    context().currentTime = 2;
+    expect(audio.getAudioLevel()).toBeCloseTo(0.92);
+  });
+});
+
+describe('microphone', () => {
+  let track;
+
+  const stubGetUserMedia = (impl) => {
+    Object.defineProperty(navigator, 'mediaDevices', { value: { getUserMedia: vi.fn(impl) }, configurable: true });
+  };
+
+  beforeEach(() => {
+    track = Object.assign(new EventTarget(), { stop: vi.fn() });
+  });
+
+  afterEach(() => {
+    delete navigator.mediaDevices;
+  });
+
+  it('feeds the microphone into the analyser until stopped', async () => {
+    const stream = { getAudioTracks: () => [track], getTracks: () => [track] };
+    stubGetUserMedia(async () => stream);
+
+    await audio.startMicrophone();
+    expect(audio.getAudioState().microphone).toBe('on');
+    expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledWith({ audio: true });
+
+    audio.stopMicrophone();
+    expect(track.stop).toHaveBeenCalled();
+    expect(audio.getAudioState().microphone).toBe('off');
+  });
+
+  it('turns off when the track ends', async () => {
+    stubGetUserMedia(async () => ({ getAudioTracks: () => [track], getTracks: () => [track] }));
+    await audio.startMicrophone();
+    track.dispatchEvent(new Event('ended'));
+    expect(audio.getAudioState().microphone).toBe('off');
+  });
+
+  it('reports a refused permission as denied', async () => {
+    stubGetUserMedia(async () => {
+      throw Object.assign(new Error('no'), { name: 'NotAllowedError' });
+    });
+    await audio.startMicrophone();
+    expect(audio.getAudioState().microphone).toBe('denied');
+  });
+
+  it('reports browsers without getUserMedia as unavailable', async () => {
+    await audio.startMicrophone();
+    expect(audio.getAudioState().microphone).toBe('unavailable');
+  });
+});
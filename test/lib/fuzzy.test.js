@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { fuzzyFilter, fuzzyMatch } from '../../src/lib/fuzzy.js';
+
+describe('fuzzyMatch', () => {
+  it('matches characters in order, ignoring case and spaces', () => {
+    expect(fuzzyMatch('GE', 'Go to editor').indices).toEqual([0, 6]);
+    expect(fuzzyMatch('go ed', 'Go to editor').indices).toEqual([0, 1, 6, 7]);
+    expect(fuzzyMatch('eg', 'Go to editor')).toBeNull();
+  });
+
+  it('matches everything for an empty query', () => {
+    expect(fuzzyMatch('  ', 'anything')).toEqual({ score: 0, indices: [] });
+  });
+
+  it('ranks word starts and runs above scattered matches', () => {
+    expect(fuzzyMatch('ge', 'Go to editor').score).toBeGreaterThan(fuzzyMatch('ge', 'Gadget').score);
+    expect(fuzzyMatch('main', 'src/main.js').score).toBeGreaterThan(fuzzyMatch('main', 'my animation.js').score);
+  });
+});
+
+describe('fuzzyFilter', () => {
+  const items = [{ name: 'Gadget' }, { name: 'Go to editor' }, { name: 'Currency' }];
+  const textOf = (item) => item.name;
+
+  it('drops non-matches and sorts the rest best first, with match indices', () => {
+    expect(fuzzyFilter(items, 'ge', textOf)).toEqual([
+      { item: items[1], indices: [0, 6] },
+      { item: items[0], indices: [0, 4] }
+    ]);
+  });
+
+  it('keeps every item in order for a blank query', () => {
+    expect(fuzzyFilter(items, ' ', textOf).map(({ item }) => item)).toEqual(items);
+  });
+});
@@ -0,0 +1,102 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { currencyApi } from '../../src/lib/api.js';
+import {
+  LEDGER_FILTERS,
+  accountLabel,
+  fetchLedgerHistory,
+  ledgerToCsv,
+  ledgerToJson,
+  recentCounterparties
+} from '../../src/lib/ledger.js';
+
+vi.mock('../../src/lib/api.js', () => ({
+  currencyApi: { history: vi.fn() }
+}));
+
+const usernames = { u2: 'bob', u3: 'carol' };
+
+const entry = (overrides) => ({
+  transactionId: 't1',
+  type: 'transfer',
+  direction: 'out',
+  amount: -5,
+  balanceAfter: 95,
+  memo: null,
+  counterparties: ['user:u2'],
+  createdAt: '2026-10-18T10:00:00.000Z',
+  ...overrides
+});
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe('labels', () => {
+  it('names accounts for people', () => {
+    expect(accountLabel('user:u2', usernames)).toBe('@bob');
+    expect(accountLabel('user:u9', usernames)).toBe('unknown user');
+    expect(accountLabel('system:treasury')).toBe('Item catalog');
+    expect(accountLabel('escrow:offer:o1')).toBe('Marketplace escrow');
+  });
+
+  it('filters by direction and type', () => {
+    const sale = entry({ type: 'escrow_release', direction: 'in', amount: 5 });
+    expect(LEDGER_FILTERS.incoming.test(sale)).toBe(true);
+    expect(LEDGER_FILTERS.market.test(sale)).toBe(true);
+    expect(LEDGER_FILTERS.purchase.test(entry({ type: 'refund' }))).toBe(true);
+    expect(LEDGER_FILTERS.outgoing.test(sale)).toBe(false);
+  });
+
+  it('lists recent transfer counterparties once each, newest first', () => {
+    const entries = [
+      entry({ counterparties: ['user:u3'] }),
+      entry({ type: 'escrow_release', counterparties: ['user:u2'] }),
+      entry({ counterparties: ['user:u2'] }),
+      entry({ counterparties: ['user:u3'] }),
+      entry({ type: 'mint', counterparties: ['system:issuance'] })
+    ];
+    expect(recentCounterparties(entries, usernames)).toEqual(['carol', 'bob']);
+  });
+});
+
+describe('fetchLedgerHistory', () => {
+  it('follows pages until the history or the limit runs out', async () => {
+    const all = Array.from({ length: 150 }, (_, i) => entry({ transactionId: `t${i}` }));
+    currencyApi.history.mockImplementation(async ({ limit, offset }) => ({
+      entries: all.slice(offset, offset + limit),
+      usernames: { [`u${offset}`]: `user${offset}` },
+      total: all.length
+    }));
+
+    const history = await fetchLedgerHistory();
+    expect(history.entries).toHaveLength(150);
+    expect(history.usernames).toEqual({ u0: 'user0', u100: 'user100' });
+    expect(currencyApi.history.mock.calls.map(([params]) => params)).toEqual([{ limit: 100, offset: 0 }, { limit: 100, offset: 100 }]);
+
+    currencyApi.history.mockClear();
+    expect((await fetchLedgerHistory({ max: 30 })).entries).toHaveLength(30);
+    expect(currencyApi.history).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('export', () => {
+  it('writes one CSV row per entry, quoting where needed', () => {
+    const csv = ledgerToCsv([entry({ memo: 'pizza, "large"' })], usernames);
+    expect(csv.split('\r\n')).toEqual([
+      'date,type,direction,amount,balanceAfter,counterparty,memo,transactionId',
+      '2026-10-18T10:00:00.000Z,transfer,out,-5,95,\'@bob,"pizza, ""large""",t1'
+    ]);
+  });
+
+  it('defuses formulas in every text column but leaves numbers alone', () => {
+    const [, row] = ledgerToCsv([
+      entry({ type: '=HYPERLINK("x")', memo: '+1+cmd', counterparties: ['user:u9'] })
+    ], { u9: '-2+3' }).split('\r\n');
+    expect(row).toBe('2026-10-18T10:00:00.000Z,"\'=HYPERLINK(""x"")",out,-5,95,\'@-2+3,\'+1+cmd,t1');
+  });
+
+  it('exports JSON with the account and currency', () => {
+    const json = JSON.parse(ledgerToJson([entry()], usernames, { username: 'alice', currency: 'VMC' }));
+    expect(json).toMatchObject({ account: 'alice', currency: 'VMC', entries: [{ counterparty: '@bob', memo: '', amount: -5 }] });
+  });
+});
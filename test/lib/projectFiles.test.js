@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { buildFileTree, detectLanguage, entryFile, extensionOf } from '../../src/lib/projectFiles.js';
+
+describe('detectLanguage', () => {
+  it('maps extensions case-insensitively to Monaco languages', () => {
+    expect(detectLanguage('src/App.JSX')).toBe('javascript');
+    expect(detectLanguage('shaders/glow.frag')).toBe('cpp');
+    expect(detectLanguage('README.md')).toBe('markdown');
+  });
+
+  it('falls back to plaintext', () => {
+    expect(detectLanguage('Makefile')).toBe('plaintext');
+    expect(detectLanguage('.gitignore')).toBe('plaintext');
+    expect(extensionOf('.gitignore')).toBe('');
+  });
+});
+
+describe('buildFileTree', () => {
+  it('nests paths with folders first, then names in order', () => {
+    const tree = buildFileTree(['main.js', 'src/b.js', 'src/a.js', 'assets/logo.svg', 'index.html']);
+    expect(tree.map((node) => `${node.type}:${node.path}`)).toEqual([
+      'folder:assets',
+      'folder:src',
+      'file:index.html',
+      'file:main.js'
+    ]);
+    expect(tree[1].children.map((node) => node.path)).toEqual(['src/a.js', 'src/b.js']);
+  });
+
+  it('keeps a file and a folder of the same name apart', () => {
+    const tree = buildFileTree(['docs', 'docs/intro.md']);
+    expect(tree.map((node) => node.type)).toEqual(['folder', 'file']);
+  });
+});
+
+describe('entryFile', () => {
+  it('prefers the page a project starts from', () => {
+    expect(entryFile(['style.css', 'main.js', 'index.html'])).toBe('index.html');
+    expect(entryFile(['lib.js', 'src/index.js'])).toBe('src/index.js');
+  });
+
+  it('falls back to the first file, or null for an empty project', () => {
+    expect(entryFile(['b.txt', 'a.txt'])).toBe('b.txt');
+    expect(entryFile([])).toBe(null);
+  });
+});
@@ -0,0 +1,88 @@
+// @vitest-environment jsdom
+import { act } from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { QUALITY_PRESETS, useGraphicsQuality, usePageVisible } from '../../src/lib/quality.js';
+import { renderHook } from '../render-hook.js';
+
+let hook;
+
+const device = (hardwareConcurrency, deviceMemory) => {
+  vi.spyOn(navigator, 'hardwareConcurrency', 'get').mockReturnValue(hardwareConcurrency);
+  Object.defineProperty(navigator, 'deviceMemory', { value: deviceMemory, configurable: true });
+};
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+afterEach(() => {
+  hook?.unmount();
+  hook = null;
+  vi.restoreAllMocks();
+  delete navigator.deviceMemory;
+});
+
+describe('useGraphicsQuality', () => {
+  it('starts auto mode from a device-based guess', () => {
+    device(2, 8);
+    hook = renderHook(useGraphicsQuality);
+    expect(hook.result.current).toMatchObject({ mode: 'auto', level: 'low', preset: QUALITY_PRESETS.low });
+    hook.unmount();
+
+    device(8, 8);
+    hook = renderHook(useGraphicsQuality);
+    expect(hook.result.current.level).toBe('high');
+  });
+
+  it('steps auto mode between low and high but never to off', () => {
+    device(4, 4);
+    hook = renderHook(useGraphicsQuality);
+    const quality = hook.result;
+    expect(quality.current.level).toBe('medium');
+
+    act(() => quality.current.stepDown());
+    act(() => quality.current.stepDown());
+    expect(quality.current.level).toBe('low');
+
+    act(() => quality.current.stepUp());
+    act(() => quality.current.stepUp());
+    act(() => quality.current.stepUp());
+    expect(quality.current.level).toBe('high');
+  });
+
+  it('lets a manual mode override auto and remembers it', () => {
+    hook = renderHook(useGraphicsQuality);
+    act(() => hook.result.current.setMode('off'));
+    expect(hook.result.current).toMatchObject({ mode: 'off', level: 'off' });
+    expect(hook.result.current.preset.frameloop).toBe('demand');
+    expect(window.localStorage.getItem('virtualmark.quality')).toBe('off');
+
+    act(() => hook.result.current.stepUp());
+    expect(hook.result.current.level).toBe('off');
+
+    hook.unmount();
+    hook = renderHook(useGraphicsQuality);
+    expect(hook.result.current.mode).toBe('off');
+  });
+
+  it('ignores unknown modes, stored or set', () => {
+    window.localStorage.setItem('virtualmark.quality', 'ultra');
+    hook = renderHook(useGraphicsQuality);
+    expect(hook.result.current.mode).toBe('auto');
+    act(() => hook.result.current.setMode('ultra'));
+    expect(hook.result.current.mode).toBe('auto');
+  });
+});
+
+describe('usePageVisible', () => {
+  it('follows visibilitychange', () => {
+    let hidden = false;
+    vi.spyOn(document, 'hidden', 'get').mockImplementation(() => hidden);
+    hook = renderHook(usePageVisible);
+    expect(hook.result.current).toBe(true);
+
+    hidden = true;
+    act(() => document.dispatchEvent(new Event('visibilitychange')));
+    expect(hook.result.current).toBe(false);
+  });
+});
@@ -0,0 +1,89 @@
+// @vitest-environment jsdom
+import { act } from 'react';
+import { afterEach, describe, expect, it } from 'vitest';
+import { buildPath, parsePath, useRouter } from '../../src/lib/router.js';
+import { renderHook } from '../render-hook.js';
+
+describe('parsePath', () => {
+  it('reads the view and its params', () => {
+    expect(parsePath('/')).toEqual({ view: 'home', params: {} });
+    expect(parsePath('/currency/')).toEqual({ view: 'currency', params: {} });
+    expect(parsePath('/projects/p1')).toEqual({ view: 'projects', params: { projectId: 'p1' } });
+    expect(parsePath('/editor/p1/src/main.js')).toEqual({ view: 'editor', params: { projectId: 'p1', filePath: 'src/main.js' } });
+    expect(parsePath('/editor/p1')).toEqual({ view: 'editor', params: { projectId: 'p1', filePath: undefined } });
+    expect(parsePath('/inventory/i1')).toEqual({ view: 'inventory', params: { itemId: 'i1' } });
+    expect(parsePath('/inventory')).toEqual({ view: 'inventory', params: { itemId: undefined } });
+  });
+
+  it('falls back to home for unknown views', () => {
+    expect(parsePath('/admin/users')).toEqual({ view: 'home', params: {} });
+  });
+
+  it('decodes segments and keeps malformed ones as they are', () => {
+    expect(parsePath('/editor/p1/my%20file.js').params.filePath).toBe('my file.js');
+    expect(parsePath('/editor/p1/%E0%A4%A').params.filePath).toBe('%E0%A4%A');
+  });
+});
+
+describe('buildPath', () => {
+  it('round-trips through parsePath', () => {
+    const params = { projectId: 'p 1', filePath: 'src/a b.js' };
+    const path = buildPath('editor', params);
+    expect(path).toBe('/editor/p%201/src/a%20b.js');
+    expect(parsePath(path)).toEqual({ view: 'editor', params });
+  });
+
+  it('drops params the view does not take', () => {
+    expect(buildPath('home', { projectId: 'p1' })).toBe('/');
+    expect(buildPath('currency', { projectId: 'p1' })).toBe('/currency');
+    expect(buildPath('projects', { projectId: 'p1', filePath: 'a.js' })).toBe('/projects/p1');
+    expect(buildPath('inventory', { projectId: 'p1', itemId: 'i 1' })).toBe('/inventory/i%201');
+    expect(buildPath('editor', { projectId: 'p1', itemId: 'i1' })).toBe('/editor/p1');
+    expect(buildPath('nowhere')).toBe('/');
+  });
+});
+
+describe('useRouter', () => {
+  let hook;
+
+  const mount = (path) => {
+    window.history.replaceState(null, '', path);
+    hook = renderHook(useRouter);
+    return hook.result;
+  };
+
+  const goBack = () => new Promise((resolve) => {
+    window.addEventListener('popstate', () => resolve(), { once: true });
+    window.history.back();
+  });
+
+  afterEach(() => {
+    hook.unmount();
+  });
+
+  it('reads the current URL on mount', () => {
+    const router = mount('/editor/p1/main.js').current;
+    expect(router.route).toEqual({ view: 'editor', params: { projectId: 'p1', filePath: 'main.js' } });
+    expect(router.direction).toBe(1);
+  });
+
+  it('pushes entries and reports back navigations as direction -1', async () => {
+    const router = mount('/');
+    act(() => router.current.navigate('/projects'));
+    act(() => router.current.navigate('/currency'));
+    expect(window.location.pathname).toBe('/currency');
+    expect(router.current.route.view).toBe('currency');
+
+    await act(goBack);
+    expect(window.location.pathname).toBe('/projects');
+    expect(router.current).toMatchObject({ route: { view: 'projects' }, direction: -1 });
+  });
+
+  it('replaces the entry when asked', () => {
+    const router = mount('/');
+    const length = window.history.length;
+    act(() => router.current.navigate('/projects/p1', { replace: true }));
+    expect(window.history.length).toBe(length);
+    expect(router.current.route.params.projectId).toBe('p1');
+  });
+});
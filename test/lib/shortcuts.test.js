@@ -0,0 +1,126 @@
+// @vitest-environment jsdom
+import { act } from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { renderHook } from '../render-hook.js';
+
+let shortcuts;
+let hook;
+
+// Bindings live at module level and are read from storage on load
+async function load() {
+  vi.resetModules();
+  shortcuts = await import('../../src/lib/shortcuts.js');
+}
+
+beforeEach(async () => {
+  window.localStorage.clear();
+  await load();
+});
+
+afterEach(() => {
+  hook?.unmount();
+  hook = null;
+  document.body.innerHTML = '';
+});
+
+const press = (code, key, modifiers = {}, target = window) => {
+  const event = new KeyboardEvent('keydown', { code, key, bubbles: true, cancelable: true, ...modifiers });
+  target.dispatchEvent(event);
+  return event;
+};
+
+describe('combos', () => {
+  const combo = (init) => shortcuts.comboFromEvent(new KeyboardEvent('keydown', init));
+
+  it('names keys by their physical code, with Mod for Ctrl off macOS', () => {
+    expect(combo({ code: 'KeyK', key: 'k', ctrlKey: true })).toBe('Mod+K');
+    expect(combo({ code: 'Digit2', key: '@', altKey: true, shiftKey: true })).toBe('Alt+Shift+2');
+    expect(combo({ code: 'KeyV', key: '√', altKey: true })).toBe('Alt+V');
+    expect(combo({ code: 'BracketLeft', key: '[', metaKey: true })).toBe('Meta+[');
+    expect(combo({ code: 'F2', key: 'F2' })).toBe('F2');
+    expect(combo({ code: 'ShiftLeft', key: 'Shift', shiftKey: true })).toBeNull();
+  });
+
+  it('formats Mod as Ctrl off macOS', () => {
+    expect(shortcuts.formatCombo('Mod+Shift+K')).toBe('Ctrl+Shift+K');
+    expect(shortcuts.formatCombo(null)).toBe('');
+  });
+
+  it('flags combos the editor already uses', () => {
+    expect(shortcuts.editorConflict('Mod+S')).toBe('Save');
+    expect(shortcuts.editorConflict('Alt+1')).toBeNull();
+  });
+
+  it('finds actions sharing a combo', () => {
+    expect(shortcuts.findConflicts({ a: 'Alt+1', b: 'Alt+1', c: 'Alt+2', d: null, e: null }))
+      .toEqual({ a: ['b'], b: ['a'] });
+  });
+});
+
+describe('bindings', () => {
+  it('rebinds, unbinds and resets, persisting each change', () => {
+    hook = renderHook(shortcuts.useShortcutBindings);
+    expect(hook.result.current.bindings['vr.toggle']).toBe('Alt+V');
+
+    act(() => shortcuts.setBinding('vr.toggle', 'Alt+X'));
+    act(() => shortcuts.setBinding('sound.toggle', null));
+    act(() => shortcuts.setBinding('not.an.action', 'Alt+Y'));
+    expect(hook.result.current.bindings).toMatchObject({ 'vr.toggle': 'Alt+X', 'sound.toggle': null });
+    expect(hook.result.current.bindings['not.an.action']).toBeUndefined();
+    expect(JSON.parse(window.localStorage.getItem('virtualmark.shortcuts'))['vr.toggle']).toBe('Alt+X');
+
+    act(() => shortcuts.resetBindings());
+    expect(hook.result.current.bindings['vr.toggle']).toBe('Alt+V');
+  });
+
+  it('restores saved bindings, skipping unknown actions and bad values', async () => {
+    window.localStorage.setItem('virtualmark.shortcuts', JSON.stringify({ palette: 'Mod+P', 'vr.toggle': 4, gone: 'Alt+G' }));
+    await load();
+    hook = renderHook(shortcuts.useShortcutBindings);
+    expect(hook.result.current.bindings).toMatchObject({ palette: 'Mod+P', 'vr.toggle': 'Alt+V' });
+    expect(hook.result.current.bindings.gone).toBeUndefined();
+  });
+});
+
+describe('useGlobalShortcuts', () => {
+  let handlers;
+
+  beforeEach(() => {
+    handlers = { palette: vi.fn(), 'vr.toggle': vi.fn() };
+    hook = renderHook(() => shortcuts.useGlobalShortcuts(handlers));
+  });
+
+  it('runs the bound action and claims the key', () => {
+    expect(press('KeyK', 'k', { ctrlKey: true }).defaultPrevented).toBe(true);
+    expect(handlers.palette).toHaveBeenCalledTimes(1);
+    expect(press('KeyK', 'k').defaultPrevented).toBe(false);
+    press('KeyK', 'k', { ctrlKey: true, repeat: true });
+    expect(handlers.palette).toHaveBeenCalledTimes(1);
+  });
+
+  it('follows rebinding', () => {
+    shortcuts.setBinding('vr.toggle', 'Alt+X');
+    press('KeyV', 'v', { altKey: true });
+    press('KeyX', 'x', { altKey: true });
+    expect(handlers['vr.toggle']).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves typing combos to text fields but not command ones', () => {
+    const input = document.body.appendChild(document.createElement('input'));
+    press('KeyV', 'v', { altKey: true }, input);
+    expect(handlers['vr.toggle']).not.toHaveBeenCalled();
+    press('KeyK', 'k', { ctrlKey: true }, input);
+    expect(handlers.palette).toHaveBeenCalled();
+  });
+
+  it('leaves combos the editor binds to Monaco', () => {
+    const editor = document.body.appendChild(document.createElement('div'));
+    editor.className = 'monaco-editor';
+    const textarea = editor.appendChild(document.createElement('textarea'));
+    expect(press('KeyK', 'k', { ctrlKey: true }, textarea).defaultPrevented).toBe(false);
+    expect(handlers.palette).not.toHaveBeenCalled();
+
+    press('KeyV', 'v', { altKey: true }, textarea);
+    expect(handlers['vr.toggle']).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,156 @@
+// @vitest-environment jsdom
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { projectsApi, currencyApi } from '../../src/lib/api.js';
+import {
+  appendHistory,
+  completeCommandLine,
+  listCommands,
+  loadHistory,
+  registerCommand,
+  runCommandLine,
+  tokenize
+} from '../../src/lib/terminal.js';
+
+vi.mock('../../src/lib/api.js', () => ({
+  authApi: {},
+  projectsApi: { list: vi.fn() },
+  currencyApi: { balance: vi.fn(), transfer: vi.fn() },
+  itemsApi: { inventory: vi.fn() }
+}));
+
+let context;
+let printed;
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  window.localStorage.clear();
+  printed = [];
+  context = {
+    user: { id: 'u1', username: 'alice' },
+    view: 'home',
+    themeName: 'cyberpunk',
+    vrMode: false,
+    navigate: vi.fn(),
+    setTheme: vi.fn(),
+    setVrMode: vi.fn(),
+    clear: vi.fn(),
+    print: (text, tone = 'info') => printed.push([tone, text])
+  };
+  projectsApi.list.mockResolvedValue({ projects: [{ id: 'p1', name: 'My Game' }, { id: 'p2', name: 'My Gallery' }] });
+  currencyApi.balance.mockResolvedValue({ balance: 1500, currency: 'CR' });
+});
+
+describe('tokenize', () => {
+  it('splits on whitespace and keeps quoted words together', () => {
+    expect(tokenize('  send bob  5 "for the  map" ')).toEqual(['send', 'bob', '5', 'for the  map']);
+    expect(tokenize(`open 'My Game`)).toEqual(['open', 'My Game']);
+    expect(tokenize('')).toEqual([]);
+  });
+});
+
+describe('runCommandLine', () => {
+  it('reports unknown commands and matches names case-insensitively', async () => {
+    await runCommandLine('dance', context);
+    expect(printed).toEqual([['error', 'command not found: dance (try help)']]);
+
+    await runCommandLine('GOTO currency', context);
+    expect(context.navigate).toHaveBeenCalledWith('/currency');
+  });
+
+  it('asks guests to log in for commands that need a user', async () => {
+    await runCommandLine('balance', { ...context, user: null });
+    expect(printed).toEqual([['error', 'balance: log in first']]);
+    expect(currencyApi.balance).not.toHaveBeenCalled();
+  });
+
+  it('prints what a command throws, prefixed with its name', async () => {
+    await runCommandLine('goto nowhere', context);
+    expect(printed).toEqual([['error', 'goto: usage: goto <home|projects|editor|currency|inventory>']]);
+  });
+
+  it('opens a project by name prefix', async () => {
+    await runCommandLine('open my gal', context);
+    expect(context.navigate).toHaveBeenCalledWith('/editor/p2');
+  });
+
+  it('sends whole amounts to another user by name', async () => {
+    await runCommandLine('send bob 25 "for the map"', context);
+    expect(currencyApi.transfer).toHaveBeenCalledWith({ username: 'bob' }, 25, { memo: 'for the map' });
+    expect(printed.at(-1)).toEqual(['success', 'sent 25 CR to bob; balance 1,500 CR']);
+
+    await runCommandLine('send bob 2.5', context);
+    await runCommandLine('send Alice 5', context);
+    expect(printed.slice(-2).map(([, text]) => text)).toEqual([
+      'send: usage: send <user> <whole amount> [memo]',
+      'send: cannot send to yourself'
+    ]);
+    expect(currencyApi.transfer).toHaveBeenCalledTimes(1);
+  });
+
+  it('switches themes and VR through the context', async () => {
+    await runCommandLine('theme DAYLIGHT', context);
+    expect(context.setTheme).toHaveBeenCalledWith('daylight');
+    await runCommandLine('vr off', context);
+    expect(printed.at(-1)).toEqual(['muted', 'vr already off']);
+    await runCommandLine('vr on', context);
+    expect(context.setVrMode).toHaveBeenCalledWith(true);
+  });
+});
+
+describe('registerCommand', () => {
+  it('adds a command until its remover runs, and leaves a replacement alone', async () => {
+    const run = vi.fn();
+    const remove = registerCommand({ name: 'ping', usage: 'ping', description: 'Pong', run });
+    await runCommandLine('ping a b', context);
+    expect(run).toHaveBeenCalledWith(['a', 'b'], context);
+
+    const replacement = { name: 'ping', usage: 'ping', description: 'Pong again', run };
+    const removeReplacement = registerCommand(replacement);
+    remove();
+    expect(listCommands()).toContain(replacement);
+    removeReplacement();
+    expect(listCommands().map((command) => command.name)).not.toContain('ping');
+  });
+});
+
+describe('completeCommandLine', () => {
+  it('completes a unique command name with a trailing space', async () => {
+    expect(await completeCommandLine('th', context)).toEqual({ line: 'theme ', candidates: [] });
+  });
+
+  it('lists the choices when several match', async () => {
+    const { line, candidates } = await completeCommandLine('goto ', context);
+    expect(line).toBe('goto ');
+    expect(candidates).toEqual(['home', 'projects', 'editor', 'currency', 'inventory']);
+  });
+
+  it('extends to the shared prefix, opening a quote when it has a space', async () => {
+    expect(await completeCommandLine('open my', context)).toEqual({ line: 'open "My Ga', candidates: ['My Game', 'My Gallery'] });
+    expect(await completeCommandLine('open "My Gam', context)).toEqual({ line: 'open "My Game" ', candidates: [] });
+  });
+
+  it('leaves the line alone when nothing matches', async () => {
+    expect(await completeCommandLine('goto x', context)).toEqual({ line: 'goto x', candidates: [] });
+    expect(await completeCommandLine('balance ', context)).toEqual({ line: 'balance ', candidates: [] });
+  });
+});
+
+describe('history', () => {
+  it('skips repeats of the last line and keeps the newest 50', () => {
+    let history = appendHistory([], 'help');
+    history = appendHistory(history, 'help');
+    expect(history).toEqual(['help']);
+
+    for (let i = 0; i < 60; i++) history = appendHistory(history, `goto ${i}`);
+    expect(history).toHaveLength(50);
+    expect(history[0]).toBe('goto 10');
+    expect(loadHistory()).toEqual(history);
+  });
+
+  it('ignores stored history that is not a list of lines', () => {
+    window.localStorage.setItem('virtualmark.terminal.history', '{"help": true}');
+    expect(loadHistory()).toEqual([]);
+    window.localStorage.setItem('virtualmark.terminal.history', '["help", 3]');
+    expect(loadHistory()).toEqual(['help']);
+  });
+});
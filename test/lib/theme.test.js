@@ -0,0 +1,91 @@
+// @vitest-environment jsdom
+import { act } from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { renderHook } from '../render-hook.js';
+
+vi.mock('../../src/lib/api.js', () => ({
+  authApi: { updatePreferences: vi.fn(async () => ({})) }
+}));
+
+let theme;
+let authApi;
+let hook;
+
+// The active theme lives at module level and is read from storage on load
+async function load() {
+  vi.resetModules();
+  ({ authApi } = await import('../../src/lib/api.js'));
+  theme = await import('../../src/lib/theme.js');
+}
+
+beforeEach(async () => {
+  window.localStorage.clear();
+  await load();
+});
+
+afterEach(() => {
+  hook?.unmount();
+  hook = null;
+});
+
+const root = () => document.documentElement;
+
+describe('theme helpers', () => {
+  it('lists the four neon hues and converts hex to rgba', () => {
+    expect(theme.paletteOf(theme.THEMES.cyberpunk)).toEqual(['#00ff88', '#0088ff', '#ff0088', '#ffff00']);
+    expect(theme.withAlpha('#00ff88', 0.2)).toBe('rgba(0, 255, 136, 0.2)');
+  });
+
+  it('gives every theme the same colour keys', () => {
+    const keys = Object.keys(theme.THEMES.cyberpunk.colors).sort();
+    theme.THEME_NAMES.forEach((name) => expect(Object.keys(theme.THEMES[name].colors).sort()).toEqual(keys));
+  });
+});
+
+describe('active theme', () => {
+  it('starts on the default and exposes it as CSS custom properties', () => {
+    expect(theme.getTheme()).toBe(theme.THEMES[theme.DEFAULT_THEME]);
+    expect(root().getAttribute('data-theme')).toBe('cyberpunk');
+    expect(root().style.getPropertyValue('--vm-primary')).toBe('#00ff88');
+    expect(root().style.getPropertyValue('--vm-text-dim-rgb')).toBe('204, 204, 204');
+    expect(root().style.colorScheme).toBe('dark');
+  });
+
+  it('restores a stored theme and ignores unknown ones', async () => {
+    window.localStorage.setItem('virtualmark.theme', 'daylight');
+    await load();
+    expect(theme.getTheme().label).toBe('DAYLIGHT');
+    expect(root().style.colorScheme).toBe('light');
+
+    window.localStorage.setItem('virtualmark.theme', 'vaporwave');
+    await load();
+    expect(theme.getTheme().label).toBe('CYBERPUNK');
+  });
+});
+
+describe('useThemePreference', () => {
+  const mount = (user) => {
+    hook = renderHook(() => ({ active: theme.useTheme(), set: theme.useThemePreference(user) }));
+    return hook.result;
+  };
+
+  it('switches every useTheme() consumer and remembers the choice locally for guests', () => {
+    const result = mount(null);
+    act(() => result.current.set('daylight'));
+    expect(result.current.active.name).toBe('daylight');
+    expect(root().getAttribute('data-theme')).toBe('daylight');
+    expect(window.localStorage.getItem('virtualmark.theme')).toBe('daylight');
+    expect(authApi.updatePreferences).not.toHaveBeenCalled();
+
+    act(() => result.current.set('vaporwave'));
+    expect(result.current.active.name).toBe('daylight');
+  });
+
+  it('adopts the account theme and saves changes back to it', () => {
+    const result = mount({ id: 'u1', theme: 'daylight' });
+    expect(result.current.active.name).toBe('daylight');
+
+    act(() => result.current.set('cyberpunk'));
+    expect(authApi.updatePreferences).toHaveBeenCalledWith({ theme: 'cyberpunk' });
+  });
+});
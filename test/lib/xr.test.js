@@ -0,0 +1,91 @@
+import { describe, expect, it, vi } from 'vitest';
+import { isImmersiveVRSupported, startImmersiveSession, endImmersiveSession, XR_SESSION_MODE } from '../../src/lib/xr.js';
+
+// A WebXR device with just the surface src/lib/xr.js touches
+function mockXR({ supported = true, enabledFeatures = ['local-floor'] } = {}) {
+  const sessions = [];
+  return {
+    sessions,
+    isSessionSupported: vi.fn(async (mode) => supported && mode === XR_SESSION_MODE),
+    requestSession: vi.fn(async () => {
+      const session = new EventTarget();
+      session.enabledFeatures = enabledFeatures;
+      session.ended = false;
+      session.end = vi.fn(async () => {
+        if (session.ended) throw new DOMException('Session already ended', 'InvalidStateError');
+        session.ended = true;
+        session.dispatchEvent(new Event('end'));
+      });
+      sessions.push(session);
+      return session;
+    })
+  };
+}
+
+function mockRenderer({ setSession = async () => {} } = {}) {
+  return { xr: { enabled: false, setReferenceSpaceType: vi.fn(), setSession: vi.fn(setSession) } };
+}
+
+describe('isImmersiveVRSupported', () => {
+  it('asks the device for immersive-vr', async () => {
+    expect(await isImmersiveVRSupported(mockXR())).toBe(true);
+    expect(await isImmersiveVRSupported(mockXR({ supported: false }))).toBe(false);
+  });
+
+  it('is false when the check throws or there is no WebXR', async () => {
+    expect(await isImmersiveVRSupported({ isSessionSupported: async () => { throw new Error('blocked'); } })).toBe(false);
+    expect(await isImmersiveVRSupported({})).toBe(false);
+  });
+});
+
+describe('immersive session lifecycle', () => {
+  it('hands the session to the renderer and cleans up when it ends', async () => {
+    const xr = mockXR();
+    const renderer = mockRenderer();
+    const onEnd = vi.fn();
+
+    const session = await startImmersiveSession(renderer, { xr, onEnd });
+    expect(xr.requestSession).toHaveBeenCalledWith(XR_SESSION_MODE, expect.objectContaining({ optionalFeatures: expect.any(Array) }));
+    expect(renderer.xr.enabled).toBe(true);
+    expect(renderer.xr.setReferenceSpaceType).toHaveBeenCalledWith('local-floor');
+    expect(renderer.xr.setSession).toHaveBeenCalledWith(session);
+
+    await endImmersiveSession(session);
+    expect(renderer.xr.enabled).toBe(false);
+    expect(onEnd).toHaveBeenCalledWith(session);
+
+    // A second end (UA already closed it) is harmless and doesn't re-notify
+    await endImmersiveSession(session);
+    expect(onEnd).toHaveBeenCalledTimes(1);
+  });
+
+  it('falls back to a local reference space without local-floor', async () => {
+    const renderer = mockRenderer();
+    await startImmersiveSession(renderer, { xr: mockXR({ enabledFeatures: [] }) });
+    expect(renderer.xr.setReferenceSpaceType).toHaveBeenCalledWith('local');
+  });
+
+  it('reports a session ended by the headset', async () => {
+    const xr = mockXR();
+    const onEnd = vi.fn();
+    const renderer = mockRenderer();
+    const session = await startImmersiveSession(renderer, { xr, onEnd });
+    session.dispatchEvent(new Event('end'));
+    expect(onEnd).toHaveBeenCalledTimes(1);
+    expect(renderer.xr.enabled).toBe(false);
+  });
+
+  it('ends the session when the renderer rejects it', async () => {
+    const xr = mockXR();
+    const onEnd = vi.fn();
+    const renderer = mockRenderer({ setSession: async () => { throw new Error('no layers'); } });
+    await expect(startImmersiveSession(renderer, { xr, onEnd })).rejects.toThrow('no layers');
+    expect(xr.sessions[0].ended).toBe(true);
+    expect(renderer.xr.enabled).toBe(false);
+    expect(onEnd).toHaveBeenCalledTimes(1);
+  });
+
+  it('fails clearly without WebXR', async () => {
+    await expect(startImmersiveSession(mockRenderer(), { xr: undefined })).rejects.toThrow('WebXR is not available');
+  });
+});
@@ -0,0 +1,145 @@
+import { readFileSync } from 'node:fs';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+
+const html = readFileSync(new URL('../../public/viewer.html', import.meta.url), 'utf8');
+const ORIGIN = 'http://localhost';
+
+let dom;
+
+// Defaults to the way the Editor embeds the viewer; no project id, so nothing is fetched
+const openViewer = (path = '/viewer.html?mode=editor', fetch) => {
+  dom = new JSDOM(html, {
+    url: `${ORIGIN}${path}`,
+    runScripts: 'dangerously',
+    beforeParse(window) {
+      if (fetch) window.fetch = fetch;
+    }
+  });
+  return dom.window;
+};
+
+const post = (window, data, init = {}) => {
+  window.dispatchEvent(new window.MessageEvent('message', { data, origin: ORIGIN, ...init }));
+};
+
+const load = (window, files, entry) => post(window, { type: 'virtualmark:load', files, entry });
+
+const previewDoc = (window) => {
+  const srcdoc = window.document.getElementById('preview').srcdoc;
+  return new window.DOMParser().parseFromString(srcdoc, 'text/html');
+};
+
+const decode = (url) => decodeURIComponent(url.slice(url.indexOf(',') + 1));
+
+afterEach(() => {
+  dom?.window.close();
+  dom = null;
+});
+
+describe('viewer bundling', () => {
+  it('hides the chrome when embedded by the Editor', () => {
+    const window = openViewer();
+    expect(window.document.body.classList.contains('chromeless')).toBe(true);
+  });
+
+  it('inlines local stylesheets and rewrites module imports to data urls', () => {
+    const window = openViewer();
+    load(window, {
+      'index.html': '<html><head><link rel="stylesheet" href="css/app.css"></head><body><script type="module" src="src/main.js"></script></body></html>',
+      'css/app.css': 'body { background: url(../logo.svg); }',
+      'logo.svg': '<svg></svg>',
+      'src/main.js': "import { greet } from './util';\nimport * as THREE from 'three';\ngreet();",
+      'src/util.js': 'export const greet = () => console.log("hi");'
+    });
+
+    const doc = previewDoc(window);
+    const style = doc.querySelector('style[data-source="css/app.css"]');
+    expect(style.textContent).toContain('url("data:image/svg+xml');
+    expect(doc.querySelector('link')).toBeNull();
+
+    const scripts = doc.querySelectorAll('script');
+    expect(scripts[0].textContent).toContain("'virtualmark-preview'");
+    const main = decode(scripts[1].getAttribute('src'));
+    expect(main).toContain("from 'https://esm.sh/three'");
+    expect(main).toContain('//# sourceURL=src/main.js');
+    const utilUrl = main.match(/from '(data:text\/javascript[^']+)'/)[1];
+    expect(decode(utilUrl)).toContain('export const greet');
+  });
+
+  it('generates an html shell around a javascript entry', () => {
+    const window = openViewer();
+    load(window, { 'app.js': 'console.log(1);' }, 'app.js');
+    const script = previewDoc(window).querySelector('script[type="module"]');
+    expect(decode(script.getAttribute('src'))).toContain('console.log(1);');
+  });
+
+  it('reports unresolved and circular imports as bundle errors', () => {
+    const window = openViewer();
+    const errorEl = window.document.getElementById('bundle-error');
+
+    load(window, { 'main.js': "import './missing.js';" }, 'main.js');
+    expect(errorEl.style.display).toBe('block');
+    expect(errorEl.textContent).toContain('Cannot resolve module "missing.js" imported from main.js');
+
+    load(window, { 'main.js': "import './a.js';", 'a.js': "import './b.js';", 'b.js': "import './a.js';" }, 'main.js');
+    expect(errorEl.textContent).toContain('Circular import: index.html -> main.js -> a.js -> b.js -> a.js');
+    expect(window.document.getElementById('status').textContent).toBe('BUNDLE ERROR');
+  });
+
+  it('ignores load messages from other origins', () => {
+    const window = openViewer();
+    post(window, { type: 'virtualmark:load', files: { 'main.js': '' } }, { origin: 'https://evil.example' });
+    expect(window.document.getElementById('preview').srcdoc).toBe('');
+  });
+});
+
+describe('viewer console relay', () => {
+  it('appends console output and errors posted by the preview frame', () => {
+    const window = openViewer();
+    const source = window.document.getElementById('preview').contentWindow;
+
+    post(window, { source: 'virtualmark-preview', kind: 'console', level: 'warn', args: ['low', '{ hp: 1 }'] }, { origin: 'null', source });
+    post(window, { source: 'virtualmark-preview', kind: 'error', message: 'boom', line: 3 }, { origin: 'null', source });
+
+    const entries = [...window.document.querySelectorAll('#console .entry')];
+    expect(entries.map((entry) => [entry.className, entry.textContent])).toEqual([
+      ['entry warn', 'low { hp: 1 }'],
+      ['entry error', 'boom (line 3)']
+    ]);
+  });
+
+  it('drops preview messages that do not come from the preview frame', () => {
+    const window = openViewer();
+    post(window, { source: 'virtualmark-preview', kind: 'console', level: 'log', args: ['spoof'] });
+    expect(window.document.querySelectorAll('#console .entry')).toHaveLength(0);
+  });
+});
+
+describe('viewer share links', () => {
+  it('reads the slug from a /p/<slug> path and shows the shared project', async () => {
+    const fetch = vi.fn(async () => ({
+      ok: true,
+      json: async () => ({ project: { name: 'Game', version: 3, files: { 'main.js': 'console.log(1);' } }, views: 1234 })
+    }));
+    const window = openViewer('/p/abc123?embed=1&entry=main.js', fetch);
+    await vi.waitFor(() => expect(window.document.getElementById('preview').srcdoc).not.toBe(''));
+
+    expect(fetch.mock.calls[0][0]).toBe('/api/projects?share=abc123');
+    expect(window.document.body.classList.contains('embed')).toBe(true);
+    expect(window.document.getElementById('share-name').textContent).toBe('Game');
+    expect(window.document.getElementById('share-views').textContent).toBe((1234).toLocaleString());
+  });
+
+  it('shows the error for a revoked link', async () => {
+    const fetch = vi.fn(async () => ({
+      ok: false,
+      statusText: 'Not Found',
+      json: async () => ({ error: { code: 'SHARE_NOT_FOUND', message: 'This link does not exist or was revoked' } })
+    }));
+    const window = openViewer('/p/gone?embed=1', fetch);
+    const errorEl = window.document.getElementById('bundle-error');
+    await vi.waitFor(() => expect(errorEl.style.display).toBe('block'));
+    expect(errorEl.textContent).toBe('This link does not exist or was revoked');
+  });
+});
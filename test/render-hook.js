@@ -0,0 +1,18 @@
+import { act, createElement } from 'react';
+import { createRoot } from 'react-dom/client';
+
+// Mounts a hook in a throwaway component for tests running under jsdom.
+// `result.current` is the hook's latest return value.
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+export function renderHook(useHook) {
+  const result = { current: undefined };
+  function Probe() {
+    result.current = useHook();
+    return null;
+  }
+  const root = createRoot(document.createElement('div'));
+  act(() => root.render(createElement(Probe)));
+  return { result, unmount: () => act(() => root.unmount()) };
+}
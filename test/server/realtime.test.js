@@ -0,0 +1,129 @@
+import { spawn } from 'child_process';
+import { once } from 'events';
+import { createServer } from 'net';
+import { fileURLToPath } from 'url';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import WebSocket from 'ws';
+import { issueTicket } from '../../api/_realtime.js';
+
+// Runs the relay as the separate process it is in production and talks to it
+// over real sockets
+
+const SECRET = 'test-secret';
+const SERVER = fileURLToPath(new URL('../../server/realtime.js', import.meta.url));
+const alice = { id: '5f0c2a4e-8d61-4c1b-9e57-0a3b6c2d9e10', username: 'alice' };
+const bob = { id: '0d9e3b7a-2c4f-4e8a-b1d6-7f5a9c3e2b11', username: 'bob' };
+
+let relay;
+let port;
+
+async function freePort() {
+  const server = createServer().listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const { port: free } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return free;
+}
+
+// Collects every message so tests can wait for the next one of a type
+async function connect(user, ticket = issueTicket(user, SECRET)) {
+  const socket = new WebSocket(`ws://127.0.0.1:${port}/?ticket=${encodeURIComponent(ticket)}`);
+  const inbox = [];
+  const waiters = [];
+  socket.on('message', (data) => {
+    const message = JSON.parse(data.toString());
+    const waiter = waiters.findIndex((w) => w.type === message.type);
+    if (waiter === -1) inbox.push(message);
+    else waiters.splice(waiter, 1)[0].resolve(message);
+  });
+  socket.next = (type) => {
+    const index = inbox.findIndex((message) => message.type === type);
+    if (index !== -1) return Promise.resolve(inbox.splice(index, 1)[0]);
+    return new Promise((resolve) => waiters.push({ type, resolve }));
+  };
+  socket.inbox = inbox;
+  socket.sendState = (state) => socket.send(JSON.stringify({ type: 'state', ...state }));
+  return socket;
+}
+
+beforeAll(async () => {
+  port = await freePort();
+  relay = spawn(process.execPath, ['--no-warnings', SERVER], {
+    env: { ...process.env, REALTIME_SECRET: SECRET, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  let output = '';
+  for await (const chunk of relay.stdout) {
+    output += chunk;
+    if (output.includes('listening')) break;
+  }
+});
+
+afterAll(async () => {
+  relay.kill();
+  await once(relay, 'exit');
+});
+
+describe('presence relay', () => {
+  it('answers health checks over plain HTTP', async () => {
+    const res = await fetch(`http://127.0.0.1:${port}/health`);
+    expect(await res.json()).toMatchObject({ ok: true });
+  });
+
+  it('closes sockets with a forged ticket', async () => {
+    const socket = await connect(alice, `${issueTicket(alice, 'other-secret')}`);
+    const [code] = await once(socket, 'close');
+    expect(code).toBe(4401);
+  });
+
+  it('relays joins, clamped updates and leaves between users', async () => {
+    const a = await connect(alice);
+    expect((await a.next('snapshot')).peers).toEqual([]);
+    const b = await connect(bob);
+    await b.next('snapshot');
+
+    a.sendState({ view: 'editor', cursor: { x: 0.5, y: -4 } });
+    expect((await b.next('join')).peer).toEqual({ id: alice.id, username: 'alice', view: 'editor', cursor: { x: 0.5, y: -1 } });
+
+    a.sendState({ view: 'not a view', cursor: null });
+    expect((await b.next('update')).peer).toMatchObject({ view: 'home', cursor: { x: 0, y: 0 } });
+
+    a.close();
+    expect(await b.next('leave')).toEqual({ type: 'leave', id: alice.id });
+    b.close();
+    await once(b, 'close');
+  });
+
+  it('lets guests watch but not broadcast', async () => {
+    const watcher = await connect(bob);
+    await watcher.next('snapshot');
+    const guest = await connect(null);
+    await guest.next('snapshot');
+    guest.sendState({ view: 'editor' });
+
+    // bob's own announcement reaches the guest, proving the guest's was dropped
+    watcher.sendState({ view: 'currency' });
+    expect((await guest.next('join')).peer.id).toBe(bob.id);
+    expect(watcher.inbox).toEqual([]);
+    guest.close();
+    watcher.close();
+    await Promise.all([once(guest, 'close'), once(watcher, 'close')]);
+  });
+
+  it('relays document traffic within a room only, stamped with the verified sender', async () => {
+    const a = await connect(alice, issueTicket(alice, SECRET, { room: 'project:1' }));
+    const b = await connect(bob, issueTicket(bob, SECRET, { room: 'project:1' }));
+    const outsider = await connect(bob, issueTicket(bob, SECRET, { room: 'project:2' }));
+    await Promise.all([a, b, outsider].map((socket) => once(socket, 'open')));
+
+    a.send(JSON.stringify({ type: 'presence-spoof', sender: { id: bob.id } }));
+    a.send(JSON.stringify({ type: 'doc-update', update: [1, 2], sender: { id: bob.id, name: 'bob' } }));
+    expect(await b.next('doc-update')).toEqual({ type: 'doc-update', update: [1, 2], sender: { id: alice.id, name: 'alice' } });
+
+    // Room sockets never see presence
+    expect(b.inbox).toEqual([]);
+    expect(outsider.inbox).toEqual([]);
+    [a, b, outsider].forEach((socket) => socket.close());
+    await Promise.all([a, b, outsider].map((socket) => once(socket, 'close')));
+  });
+});